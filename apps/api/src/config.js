@@ -80,6 +80,55 @@ if (hasIndividualVars) {
   }
 }
 
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// CRM targets: comma-separated list of "name|url" (or bare URLs).
+// Set CRM_TARGETS=none to disable forwarding, e.g. for local development.
+const DEFAULT_CRM_TARGETS = "homesfy|https://api.homesfy.in/api/leads/create";
+
+function parseCrmTargets(raw) {
+  const value = (raw === undefined ? DEFAULT_CRM_TARGETS : raw).trim();
+
+  if (!value || value.toLowerCase() === "none") {
+    return [];
+  }
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [first, second] = entry.split("|").map((part) => part.trim());
+      return second
+        ? { name: first, url: second }
+        : { name: `crm-${index + 1}`, url: first };
+    });
+}
+
+// Duplicate lead handling, see utils/leadDedup.js
+const DEDUP_SCOPES = ["off", "microsite", "global"];
+const DEDUP_ACTIONS = ["flag", "merge"];
+
+function parseChoice(value, choices, fallback) {
+  const normalized = (value || "").trim().toLowerCase();
+  return choices.includes(normalized) ? normalized : fallback;
+}
+
+// AI chat replies, see utils/chatResponder.js. "keyword" keeps the intent engine only.
+const LLM_PROVIDERS = ["keyword", "mock", "openai"];
+
+// Project documents (brochures, floor plans) live outside the public uploads
+// directory and are only served through signed links, see utils/documents.js
+function resolveDocumentsDirectory(input) {
+  if (!input || !input.trim()) {
+    return path.join(__dirname, "..", "documents");
+  }
+  return path.resolve(process.cwd(), input.trim());
+}
+
 // Create config object with mutable dataStore
 const configObj = {
   port: Number.isFinite(normalizedPort) ? normalizedPort : 4000,
@@ -90,6 +139,41 @@ const configObj = {
   dataStore: dataStore, // Will be updated after MySQL connection
   databaseUrl: databaseUrl || null,
   widgetConfigApiKey: (process.env.WIDGET_CONFIG_API_KEY && process.env.WIDGET_CONFIG_API_KEY.trim()) || null,
+  crm: {
+    targets: parseCrmTargets(process.env.CRM_TARGETS),
+    defaultProjectId: parseNumber(process.env.CRM_DEFAULT_PROJECT_ID, 5796),
+    maxAttempts: parseNumber(process.env.CRM_MAX_ATTEMPTS, 8),
+    retryBaseMs: parseNumber(process.env.CRM_RETRY_BASE_MS, 30000),
+    retryMaxMs: parseNumber(process.env.CRM_RETRY_MAX_MS, 60 * 60 * 1000),
+    pollIntervalMs: parseNumber(process.env.CRM_POLL_INTERVAL_MS, 15000),
+    requestTimeoutMs: parseNumber(process.env.CRM_REQUEST_TIMEOUT_MS, 10000),
+  },
+  leadDedup: {
+    scope: parseChoice(process.env.LEAD_DEDUP_SCOPE, DEDUP_SCOPES, "microsite"),
+    windowDays: Math.max(0, Number(process.env.LEAD_DEDUP_WINDOW_DAYS ?? 30) || 0),
+    action: parseChoice(process.env.LEAD_DEDUP_ACTION, DEDUP_ACTIONS, "flag"),
+  },
+  webhooks: {
+    maxAttempts: parseNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 6),
+    retryBaseMs: parseNumber(process.env.WEBHOOK_RETRY_BASE_MS, 10000),
+    retryMaxMs: parseNumber(process.env.WEBHOOK_RETRY_MAX_MS, 60 * 60 * 1000),
+    pollIntervalMs: parseNumber(process.env.WEBHOOK_POLL_INTERVAL_MS, 10000),
+    requestTimeoutMs: parseNumber(process.env.WEBHOOK_REQUEST_TIMEOUT_MS, 10000),
+  },
+  llm: {
+    provider: parseChoice(process.env.LLM_PROVIDER, LLM_PROVIDERS, "keyword"),
+    apiKey: (process.env.LLM_API_KEY && process.env.LLM_API_KEY.trim()) || null,
+    baseUrl: (process.env.LLM_BASE_URL || "https://api.openai.com/v1").trim().replace(/\/+$/, ""),
+    model: (process.env.LLM_MODEL || "gpt-4o-mini").trim(),
+    timeoutMs: parseNumber(process.env.LLM_TIMEOUT_MS, 8000),
+    maxTokens: parseNumber(process.env.LLM_MAX_TOKENS, 250),
+    maxReplyChars: parseNumber(process.env.LLM_MAX_REPLY_CHARS, 600),
+  },
+  documents: {
+    directory: resolveDocumentsDirectory(process.env.DOCUMENTS_DIRECTORY),
+    signingSecret: (process.env.DOWNLOAD_SIGNING_SECRET && process.env.DOWNLOAD_SIGNING_SECRET.trim()) || null,
+    linkTtlSeconds: parseNumber(process.env.DOWNLOAD_LINK_TTL_SECONDS, 15 * 60),
+  },
   // Function to update dataStore after MySQL connection
   setDataStore(newStore) {
     this.dataStore = newStore;
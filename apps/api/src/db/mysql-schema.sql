@@ -23,6 +23,9 @@ CREATE TABLE IF NOT EXISTS sessions (
 );
 
 -- Leads table
+-- Status workflow: new -> contacted -> site-visit-scheduled -> negotiating -> won/lost
+-- ('qualified' and 'closed' are legacy values kept so older rows stay valid).
+-- Older databases get their status CHECK replaced by migrateLeadStatusCheck() (db/mysql.js).
 CREATE TABLE IF NOT EXISTS leads (
     id INT AUTO_INCREMENT PRIMARY KEY,
     phone VARCHAR(20),
@@ -34,9 +37,11 @@ CREATE TABLE IF NOT EXISTS leads (
     metadata JSON DEFAULT ('{}'),
     conversation JSON DEFAULT ('[]'),
     location JSON,
+    score INT,
+    score_factors JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    CHECK (status IN ('new', 'contacted', 'qualified', 'closed'))
+    CHECK (status IN ('new', 'contacted', 'site-visit-scheduled', 'negotiating', 'won', 'lost', 'qualified', 'closed'))
 );
 
 -- Create indexes for leads
@@ -46,6 +51,178 @@ CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
 CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at);
 CREATE INDEX IF NOT EXISTS idx_leads_phone_microsite ON leads(phone, microsite);
 
+-- Columns added after the initial release ("Duplicate column" errors are ignored on re-run)
+ALTER TABLE leads ADD COLUMN score INT;
+ALTER TABLE leads ADD COLUMN score_factors JSON;
+CREATE INDEX IF NOT EXISTS idx_leads_score ON leads(score);
+ALTER TABLE leads ADD COLUMN assigned_to VARCHAR(255);
+ALTER TABLE leads ADD COLUMN assigned_at TIMESTAMP NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_assigned_to ON leads(assigned_to, status);
+CREATE INDEX IF NOT EXISTS idx_leads_lead_source ON leads(lead_source);
+
+-- Per-project lead scoring overrides (merged over the defaults in utils/leadScoring.js)
+CREATE TABLE IF NOT EXISTS lead_scoring_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) UNIQUE NOT NULL,
+    rules JSON,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Per-project chat intent overrides (merged over the built-ins in utils/defaultIntents.js)
+CREATE TABLE IF NOT EXISTS chat_intents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) UNIQUE NOT NULL,
+    overrides JSON,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Per-project knowledge base for /api/chat: FAQ entries use question/answer,
+-- documents use title/content (see utils/knowledgeBase.js)
+CREATE TABLE IF NOT EXISTS knowledge_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'faq',
+    question VARCHAR(500),
+    answer TEXT,
+    title VARCHAR(500),
+    content MEDIUMTEXT,
+    tags JSON,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by VARCHAR(255),
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK (type IN ('faq', 'document'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_entries_project_id ON knowledge_entries(project_id);
+
+-- Chat questions the knowledge base could not answer, one row per distinct question
+CREATE TABLE IF NOT EXISTS knowledge_unmatched (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    question_key VARCHAR(255) NOT NULL,
+    question VARCHAR(500) NOT NULL,
+    ask_count INT NOT NULL DEFAULT 1,
+    first_asked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_asked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_knowledge_unmatched (project_id, question_key)
+);
+
+-- Lead activity timeline (append-only: status changes, notes)
+CREATE TABLE IF NOT EXISTS lead_activities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    note TEXT,
+    actor VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_activities_lead_id ON lead_activities(lead_id, created_at);
+ALTER TABLE lead_activities ADD COLUMN from_assignee VARCHAR(255);
+ALTER TABLE lead_activities ADD COLUMN to_assignee VARCHAR(255);
+
+-- Agent teams: members are usernames from the users table. Teams with match rules
+-- (e.g. non-IN phone countries -> NRI desk) take precedence over catch-all teams.
+CREATE TABLE IF NOT EXISTS agent_teams (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    project_ids JSON,
+    members JSON,
+    strategy VARCHAR(20) DEFAULT 'round-robin',
+    match_rules JSON,
+    priority INT DEFAULT 0,
+    last_assignee VARCHAR(255),
+    active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK (strategy IN ('round-robin', 'least-loaded'))
+);
+
+-- CRM delivery outbox (one row per lead per CRM target)
+CREATE TABLE IF NOT EXISTS crm_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    target VARCHAR(100) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    payload JSON,
+    status VARCHAR(20) DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP NULL,
+    last_status_code INT,
+    last_error TEXT,
+    delivered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    CHECK (status IN ('pending', 'processing', 'delivered', 'dead'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_outbox_due ON crm_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_crm_outbox_lead_id ON crm_outbox(lead_id);
+
+-- Privacy audit log: one row per PII export or erasure. No foreign key to leads,
+-- since entries must outlive the records they describe; subject is a masked phone.
+CREATE TABLE IF NOT EXISTS privacy_audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(20) NOT NULL,
+    subject VARCHAR(50),
+    lead_ids JSON,
+    counts JSON,
+    actor VARCHAR(255),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (action IN ('export', 'erase'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_audit_log_created_at ON privacy_audit_log(created_at);
+
+-- Webhook subscriptions (project_id '*' receives events for every project)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    events JSON,
+    active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_project_id ON webhook_subscriptions(project_id);
+
+-- Webhook delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    event VARCHAR(100) NOT NULL,
+    payload JSON,
+    status VARCHAR(20) DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP NULL,
+    response_code INT,
+    response_body TEXT,
+    error TEXT,
+    delivered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    CHECK (status IN ('pending', 'processing', 'delivered', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
 -- Chat sessions table
 CREATE TABLE IF NOT EXISTS chat_sessions (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -66,6 +243,8 @@ CREATE TABLE IF NOT EXISTS chat_sessions (
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_microsite ON chat_sessions(microsite);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_lead_id ON chat_sessions(lead_id);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_project_id ON chat_sessions(project_id);
+-- Keyset pagination orders by (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_created_at ON chat_sessions(created_at);
 
 -- Events table for analytics
 CREATE TABLE IF NOT EXISTS events (
@@ -110,3 +289,92 @@ CREATE TABLE IF NOT EXISTS widget_configs (
 -- Create index for widget_configs
 CREATE INDEX IF NOT EXISTS idx_widget_configs_project_id ON widget_configs(project_id);
 
+-- Per-project LLM provider settings for /api/chat (see utils/chatResponder.js)
+ALTER TABLE widget_configs ADD COLUMN ai_chat JSON;
+
+-- How the widget handles typed messages: scripted CTA flow, /api/chat, or both
+ALTER TABLE widget_configs ADD COLUMN chat_mode VARCHAR(20) DEFAULT 'scripted';
+
+-- Hindi/Hinglish widget copy: { "hi": { "welcomeMessage": ..., "ctaOptions": [...] }, ... }
+ALTER TABLE widget_configs ADD COLUMN translations JSON;
+
+-- Widget visitor that started the session; links one visitor's sessions across page loads
+ALTER TABLE chat_sessions ADD COLUMN visitor_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_visitor_id ON chat_sessions(visitor_id);
+
+-- Booking rules for site visits: days, hours, slot length, capacity, holidays (see utils/siteVisits.js)
+ALTER TABLE widget_configs ADD COLUMN site_visits JSON;
+
+-- Booked site visits; open slots are derived from widget_configs.site_visits
+CREATE TABLE IF NOT EXISTS site_visits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    microsite VARCHAR(255),
+    lead_id INT NOT NULL,
+    slot_start DATETIME NOT NULL,
+    slot_end DATETIME NOT NULL,
+    mode VARCHAR(20) DEFAULT 'in-person',
+    status VARCHAR(20) DEFAULT 'scheduled',
+    sequence INT DEFAULT 0,
+    notes TEXT,
+    cancel_reason TEXT,
+    cancelled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    CHECK (mode IN ('in-person', 'virtual')),
+    CHECK (status IN ('scheduled', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_visits_slot ON site_visits(project_id, slot_start, status);
+CREATE INDEX IF NOT EXISTS idx_site_visits_lead_id ON site_visits(lead_id);
+
+-- Brochures and floor plans offered by the widget; files live in DOCUMENTS_DIRECTORY
+CREATE TABLE IF NOT EXISTS project_documents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    bhk_type VARCHAR(50),
+    title VARCHAR(255) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    size INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (type IN ('brochure', 'floor-plan'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_documents_project ON project_documents(project_id, type);
+
+-- Immutable widget config versions; the published one is copied into widget_configs
+CREATE TABLE IF NOT EXISTS widget_config_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    version INT NOT NULL,
+    status VARCHAR(20) DEFAULT 'draft',
+    config JSON NOT NULL,
+    diff JSON,
+    preview_token VARCHAR(64) NOT NULL,
+    rolled_back_from INT,
+    created_by VARCHAR(255),
+    published_by VARCHAR(255),
+    published_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_widget_config_version (project_id, version),
+    CHECK (status IN ('draft', 'published', 'archived'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_widget_config_versions_preview ON widget_config_versions(preview_token);
+
+-- Per-project CTA and BHK choices with canonical lead values (see utils/widgetOptions.js)
+ALTER TABLE widget_configs ADD COLUMN cta_options JSON;
+ALTER TABLE widget_configs ADD COLUMN bhk_options JSON;
+
+-- A/B experiments: variants overriding widget config fields (see utils/experiments.js)
+ALTER TABLE widget_configs ADD COLUMN experiments JSON;
+
+-- Page targeting and auto-open trigger rules (see utils/widgetTargeting.js)
+ALTER TABLE widget_configs ADD COLUMN targeting JSON;
+
+-- Business hours, holiday calendar and after-hours widget variant (see utils/businessHours.js)
+ALTER TABLE widget_configs ADD COLUMN business_hours JSON;
@@ -1,4 +1,5 @@
 import mysql from 'mysql2/promise';
+import { LEAD_STATUSES } from '../utils/leadWorkflow.js';
 
 let pool = null;
 
@@ -234,6 +235,70 @@ export async function query(text, params) {
     }
 }
 
+/**
+ * Statements in a schema file, in order. Comment lines are removed before the
+ * file is split on semicolons, so a statement with a comment above it still
+ * runs. MySQL has no CREATE INDEX IF NOT EXISTS (MariaDB does): the clause is
+ * dropped and the duplicate-key error on re-run is ignored instead.
+ */
+export function splitSchemaStatements(schema) {
+  return schema
+    .split('\n')
+    .filter((line) => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map((statement) => statement.trim().replace(/^CREATE INDEX IF NOT EXISTS /i, 'CREATE INDEX '))
+    .filter((statement) => statement.length > 0 && !statement.startsWith('/*'));
+}
+
+// Statuses the leads CHECK must allow: the workflow plus legacy values older rows hold
+const LEAD_STATUS_CHECK_VALUES = [...LEAD_STATUSES, 'qualified', 'closed'];
+
+/**
+ * CHECK constraints ({ name, clause }) on leads.status that reject a current status
+ */
+export function findOutdatedStatusChecks(checks) {
+  return checks.filter(
+    ({ clause }) =>
+      /\bstatus\b/i.test(clause || '') &&
+      !LEAD_STATUS_CHECK_VALUES.every((status) => clause.includes(`'${status}'`))
+  );
+}
+
+/**
+ * Databases created before the status workflow keep their original CHECK on
+ * leads.status, which rejects the new statuses. Drop any status CHECK that
+ * does not allow every status and add the current one. Safe to run repeatedly.
+ */
+export async function migrateLeadStatusCheck() {
+  let rows;
+  try {
+    ({ rows } = await query(
+      `SELECT tc.CONSTRAINT_NAME AS name, cc.CHECK_CLAUSE AS clause
+       FROM information_schema.TABLE_CONSTRAINTS tc
+       JOIN information_schema.CHECK_CONSTRAINTS cc
+         ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+       WHERE tc.TABLE_SCHEMA = DATABASE() AND tc.TABLE_NAME = 'leads' AND tc.CONSTRAINT_TYPE = 'CHECK'`,
+      []
+    ));
+  } catch (error) {
+    // Servers without CHECK_CONSTRAINTS (MySQL < 8.0.16) do not enforce CHECKs
+    return false;
+  }
+
+  const outdated = findOutdatedStatusChecks(rows);
+  if (outdated.length === 0) {
+    return false;
+  }
+  for (const { name } of outdated) {
+    await query(`ALTER TABLE leads DROP CONSTRAINT \`${name.replace(/`/g, '')}\``, []);
+  }
+  const allowed = LEAD_STATUS_CHECK_VALUES.map((status) => `'${status}'`).join(', ');
+  await query(`ALTER TABLE leads ADD CONSTRAINT chk_leads_status CHECK (status IN (${allowed}))`, []);
+  console.log(`✅ Replaced ${outdated.length} outdated leads status CHECK constraint(s)`);
+  return true;
+}
+
 /**
  * Initialize database schema (run migrations)
  */
@@ -249,36 +314,24 @@ export async function initializeSchema() {
     const schemaPath = path.join(__dirname, 'mysql-schema.sql');
     
     const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Split by semicolons and execute each statement
-    // Filter out comments and empty statements
-    const statements = schema
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => {
-        const trimmed = s.trim();
-        return trimmed.length > 0 && 
-               !trimmed.startsWith('--') && 
-               !trimmed.startsWith('/*') &&
-               trimmed !== '';
-      });
+    const statements = splitSchemaStatements(schema);
     
     for (const statement of statements) {
-      if (statement.trim()) {
-        try {
-          await query(statement);
-        } catch (error) {
-          // Ignore "already exists" errors (tables/functions/indexes might already exist)
-          if (error.code === 'ER_DUP_KEYNAME' || 
-              error.code === 'ER_DUP_ENTRY' ||
-              (error.message && (error.message.includes('already exists') || error.message.includes('Duplicate')))) {
-            // Silently skip - this is expected when schema already exists
-            continue;
-          }
-          throw error;
+      try {
+        await query(statement);
+      } catch (error) {
+        // Ignore "already exists" errors (tables/functions/indexes might already exist)
+        if (error.code === 'ER_DUP_KEYNAME' || 
+            error.code === 'ER_DUP_ENTRY' ||
+            (error.message && (error.message.includes('already exists') || error.message.includes('Duplicate')))) {
+          // Silently skip - this is expected when schema already exists
+          continue;
         }
+        throw error;
       }
     }
+
+    await migrateLeadStatusCheck();
     
     console.log('✅ Database schema initialized');
   } catch (error) {
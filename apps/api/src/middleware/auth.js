@@ -1,3 +1,6 @@
+import crypto from 'crypto';
+import { Session } from '../models/Session.js';
+
 export function requireApiKey(req, res, next) {
   const apiKey = (req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') || '').trim();
   const expectedKey = (process.env.WIDGET_CONFIG_API_KEY || '').trim();
@@ -26,3 +29,75 @@ export function requireApiKey(req, res, next) {
   next();
 }
 
+
+/**
+ * Usernames configured through DASHBOARD_USERS ("user:pass,user2:pass2") and the
+ * single VITE_DASHBOARD_USERNAME login, used when the users table is unavailable
+ */
+export function listEnvDashboardUsernames() {
+  const usernames = (process.env.DASHBOARD_USERS || '')
+    .split(',')
+    .map((entry) => entry.trim().split(':')[0]?.trim())
+    .filter(Boolean);
+  const fallbackUsername = process.env.VITE_DASHBOARD_USERNAME || 'admin';
+  return [...new Set([fallbackUsername, ...usernames])];
+}
+
+// Sessions issued by the env-based login while the sessions table is unavailable.
+// They live in this process only, so a restart signs those users out.
+const envSessions = new Map();
+
+/**
+ * Issue a session token for an env-based login (see /api/users/auth)
+ */
+export function createEnvSession(username, expiresAt) {
+  const token = crypto.randomBytes(32).toString('hex');
+  envSessions.set(token, { username, expiresAt: expiresAt.getTime() });
+  return token;
+}
+
+export function deleteEnvSession(token) {
+  envSessions.delete(token);
+}
+
+function findEnvSession(token) {
+  const session = envSessions.get(token);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    envSessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Resolve the signed-in dashboard user from a session token.
+ * Returns the username, or null when the token is not a live session. A
+ * username sent alongside the token is never trusted on its own.
+ */
+export async function resolveDashboardUser({ token } = {}) {
+  if (!token) {
+    return null;
+  }
+
+  const envSession = findEnvSession(token);
+  if (envSession) {
+    return envSession.username;
+  }
+
+  try {
+    const session = await Session.findByToken(token);
+    return session?.username || null;
+  } catch (dbError) {
+    // Without the sessions table only env sessions exist
+    return null;
+  }
+}
+
+export function getDashboardCredentials(req) {
+  return {
+    token: (req.headers['x-session-token'] || '').trim() || null,
+  };
+}
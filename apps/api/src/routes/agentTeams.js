@@ -0,0 +1,242 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId, sanitizeString } from "../utils/sanitize.js";
+import {
+  ASSIGNMENT_STRATEGIES,
+  MATCH_RULE_KEYS,
+  listAgentUsernames,
+} from "../utils/leadAssignment.js";
+
+const router = express.Router();
+
+// Helper functions to get the right storage modules
+async function getTeamStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlAgentTeamStore.js");
+  } else {
+    return await import("../storage/agentTeamStore.js");
+  }
+}
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  } else {
+    return await import("../storage/leadStore.js");
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim());
+}
+
+function validateMatchRules(rules) {
+  if (rules === null) {
+    return null;
+  }
+  if (typeof rules !== "object" || Array.isArray(rules)) {
+    return "matchRules must be an object or null";
+  }
+
+  const unknown = Object.keys(rules).filter((key) => !MATCH_RULE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown matchRules keys: ${unknown.join(", ")}`;
+  }
+
+  for (const key of ["phoneCountries", "excludePhoneCountries", "bhkTypes"]) {
+    if (rules[key] !== undefined && !isStringList(rules[key])) {
+      return `matchRules.${key} must be a list of strings`;
+    }
+  }
+
+  if (
+    rules.minScore !== undefined &&
+    (typeof rules.minScore !== "number" || rules.minScore < 0 || rules.minScore > 100)
+  ) {
+    return "matchRules.minScore must be a number between 0 and 100";
+  }
+
+  return null;
+}
+
+/**
+ * Validate a create/update body. Returns { updates } or { error }.
+ */
+async function validateTeamInput(body, { partial = false } = {}) {
+  const updates = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? sanitizeString(body.name).slice(0, 255) : "";
+    if (!name) {
+      return { error: "name is required" };
+    }
+    updates.name = name;
+  }
+
+  if (body.projectIds !== undefined || !partial) {
+    const projectIds = Array.isArray(body.projectIds)
+      ? body.projectIds.map((id) => (id === "*" ? "*" : sanitizeProjectId(id)))
+      : [];
+    if (projectIds.length === 0 || projectIds.some((id) => !id)) {
+      return { error: "projectIds must be a non-empty list of project ids (or \"*\")" };
+    }
+    updates.projectIds = [...new Set(projectIds)];
+  }
+
+  if (body.members !== undefined || !partial) {
+    if (!isStringList(body.members) || body.members.length === 0) {
+      return { error: "members must be a non-empty list of usernames" };
+    }
+    const members = [...new Set(body.members.map((member) => member.trim()))];
+    const agents = await listAgentUsernames();
+    const unknown = members.filter((member) => !agents.includes(member));
+    if (unknown.length > 0) {
+      return { error: `Unknown users: ${unknown.join(", ")}` };
+    }
+    updates.members = members;
+  }
+
+  if (body.strategy !== undefined) {
+    if (!ASSIGNMENT_STRATEGIES.includes(body.strategy)) {
+      return { error: `strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(", ")}` };
+    }
+    updates.strategy = body.strategy;
+  }
+
+  if (body.matchRules !== undefined) {
+    const matchError = validateMatchRules(body.matchRules);
+    if (matchError) {
+      return { error: matchError };
+    }
+    updates.matchRules = body.matchRules;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority)) {
+      return { error: "priority must be an integer" };
+    }
+    updates.priority = body.priority;
+  }
+
+  if (body.active !== undefined) {
+    updates.active = Boolean(body.active);
+  }
+
+  return { updates };
+}
+
+router.use(requireApiKey);
+
+router.get("/", async (req, res) => {
+  try {
+    const teamStore = await getTeamStore();
+    const teams = await teamStore.listTeams({ projectId: req.query.projectId });
+
+    res.json({ items: teams, total: teams.length });
+  } catch (error) {
+    logger.error("Failed to list agent teams", error);
+    res.status(500).json({ message: "Failed to list agent teams" });
+  }
+});
+
+// Agents with their open lead counts and team memberships
+router.get("/agents", async (_req, res) => {
+  try {
+    const teamStore = await getTeamStore();
+    const leadStore = await getLeadStore();
+    const [usernames, teams] = await Promise.all([
+      listAgentUsernames(),
+      teamStore.listTeams(),
+    ]);
+    const counts = await leadStore.countOpenLeadsByAssignee(usernames);
+
+    res.json({
+      items: usernames.map((username) => ({
+        username,
+        openLeads: counts[username] || 0,
+        teams: teams
+          .filter((team) => team.members.includes(username))
+          .map((team) => ({ id: team.id, name: team.name })),
+      })),
+    });
+  } catch (error) {
+    logger.error("Failed to list agents", error);
+    res.status(500).json({ message: "Failed to list agents" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { updates, error } = await validateTeamInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const teamStore = await getTeamStore();
+    const team = await teamStore.createTeam(updates);
+
+    res.status(201).json({ message: "Team created", team });
+  } catch (error) {
+    logger.error("Failed to create agent team", error);
+    res.status(500).json({ message: "Failed to create agent team" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const teamStore = await getTeamStore();
+    const team = await teamStore.getTeamById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    res.json({ team });
+  } catch (error) {
+    logger.error("Failed to fetch agent team", error);
+    res.status(500).json({ message: "Failed to fetch agent team" });
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    const { updates, error } = await validateTeamInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const teamStore = await getTeamStore();
+    const existing = await teamStore.getTeamById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const team = await teamStore.updateTeam(existing.id, updates);
+    res.json({ message: "Team updated", team });
+  } catch (error) {
+    logger.error("Failed to update agent team", error);
+    res.status(500).json({ message: "Failed to update agent team" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const teamStore = await getTeamStore();
+    const existing = await teamStore.getTeamById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    await teamStore.deleteTeam(existing.id);
+    res.json({ message: "Team deleted" });
+  } catch (error) {
+    logger.error("Failed to delete agent team", error);
+    res.status(500).json({ message: "Failed to delete agent team" });
+  }
+});
+
+export default router;
@@ -1,7 +1,31 @@
 import express from "express";
 import { config } from "../config.js";
-import { sanitizeString, sanitizeProjectId, sanitizeMicrosite, sanitizeConversation } from "../utils/sanitize.js";
+import {
+  sanitizeString,
+  sanitizeProjectId,
+  sanitizeMicrosite,
+  sanitizeConversation,
+  sanitizeIntentId,
+  sanitizeVisitorId,
+} from "../utils/sanitize.js";
 import { logger } from "../utils/logger.js";
+import {
+  FALLBACK_INTENT_ID,
+  buildTemplateVars,
+  loadProjectIntents,
+  localizedResponse,
+  matchIntent,
+  renderTemplate,
+} from "../utils/intentEngine.js";
+import { KEYWORD_PROVIDER, generateAiReply, resolveAiSettings } from "../utils/chatResponder.js";
+import {
+  KNOWLEDGE_INTENT_ID,
+  STRONG_MATCH_SCORE,
+  recordUnmatchedQuestion,
+  searchKnowledge,
+} from "../utils/knowledgeBase.js";
+import { extractConversationEntities, extractEntities, localitiesFor } from "../utils/entityExtraction.js";
+import { DEFAULT_LANGUAGE, detectLanguage, isSupportedLanguage } from "../utils/language.js";
 
 const router = express.Router();
 
@@ -31,6 +55,32 @@ async function getConfigStore() {
   }
 }
 
+async function getSessionStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatSessionStore.js");
+  }
+  return await import("../storage/chatSessionStore.js");
+}
+
+// Keeps the entities found so far on the visitor's chat session, so they are
+// there before (or without) a lead. Only the visitor who started the session
+// can write to it, as with /api/chat-sessions/:id/messages.
+async function saveSessionEntities(chatSessionId, visitorId, entities) {
+  if (!chatSessionId || !visitorId || Object.keys(entities).length === 0) {
+    return;
+  }
+  const sessionStore = await getSessionStore();
+  const session = await sessionStore.getChatSessionById(chatSessionId);
+  if (!session || (session.visitorId ?? session.visitor_id) !== visitorId) {
+    return;
+  }
+  const metadata = session.metadata || {};
+  if (JSON.stringify(metadata.entities) === JSON.stringify(entities)) {
+    return;
+  }
+  await sessionStore.updateChatSession(session.id, { metadata: { ...metadata, entities } });
+}
+
 router.post("/", async (req, res) => {
   try {
     let { message, conversation, projectId, microsite, selectedCta, selectedBhk, propertyInfo: clientPropertyInfo } = req.body;
@@ -56,178 +106,126 @@ router.post("/", async (req, res) => {
     
     logger.log("Chat API: Received propertyInfo:", propertyInfo ? Object.keys(propertyInfo) : 'none');
     // Removed sensitive logging - message content logging removed for privacy
-    logger.log("Chat API: Using keyword matching for responses");
 
-    // Use property info to give a helpful response
-    const hasPropertyInfo = propertyInfo && Object.keys(propertyInfo).length > 0;
-    
-    if (hasPropertyInfo && message) {
-      const lowerMessage = message.toLowerCase().trim();
-      const lastUserMessage = conversation && conversation.length > 0 
-        ? conversation[conversation.length - 1]?.text?.toLowerCase() || ''
-        : '';
-      const contextMessage = lastUserMessage || lowerMessage;
-      
-      // Handle simple responses like "yes", "no", "ok", "sure"
-      if (['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'alright', 'fine', 'correct', 'right'].includes(lowerMessage)) {
-        // Look at last AGENT message to understand what they're saying yes to
-        const lastAgentMessage = conversation && conversation.length > 0
-          ? conversation.filter(m => m.type === 'agent' || m.type === 'system').slice(-1)[0]?.text?.toLowerCase() || ''
-          : '';
-        
-        // Check what the agent just asked about
-        if (lastAgentMessage.includes('would you like to know about') && (lastAgentMessage.includes('pricing') || lastAgentMessage.includes('site visit'))) {
-          const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-            ? propertyInfo.availableBhk.join(' and ')
-            : 'various configurations';
-          const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-            ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-            : 'Check with our team for current pricing';
-          const response = `Great! We have ${bhkText} available. Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details?`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('located in') || (lastAgentMessage.includes('location') && lastAgentMessage.includes('would you like'))) {
-          const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-            ? propertyInfo.availableBhk.join(' and ')
-            : 'various configurations';
-          const pricingInfo = propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0
-            ? `Pricing starts from ${Object.values(propertyInfo.pricing)[0]}. `
-            : '';
-          const response = `Great! We have ${bhkText} available. ${pricingInfo}Would you like to know more about the configurations or schedule a site visit?`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('pricing') && lastAgentMessage.includes('would you') && !lastAgentMessage.includes('location')) {
-          const response = `Excellent! I'd love to help you with the best pricing and payment plans. Share your name and phone so our team can reach out with exclusive offers.`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('bhk') || lastAgentMessage.includes('configuration') || lastAgentMessage.includes('bedroom')) {
-          const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-            ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-            : 'Check with our team for current pricing';
-          const response = `Perfect! Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details? Share your name and phone.`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        // Generic yes response
-        const response = `That's great! ${propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0 
-          ? `Would you like to know about our pricing or available configurations?` 
-          : `Would you like to know more about ${propertyInfo.projectName || 'this project'}?`} Share your name and phone so I can assist you better.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle "no" responses
-      if (['no', 'nope', 'not', "don't", 'nah'].includes(lowerMessage)) {
-        const response = `No worries! Is there anything else about ${propertyInfo.projectName || 'the project'} you'd like to know? I'm here to help!`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle greetings
-      if (['hi', 'hello', 'hey', 'hello there', 'hi there'].includes(lowerMessage)) {
-        const projectText = propertyInfo.projectName 
-          ? `I'm here to help you with ${propertyInfo.projectName}.` 
-          : "I'm here to help you find your dream home.";
-        const response = `Hi! 👋 I'm ${agentName} from Homesfy. ${projectText} What would you like to know?`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle project name questions
-      if (lowerMessage.includes('project name') || lowerMessage.includes('name of project') || lowerMessage.includes('what is this') || lowerMessage.includes('what project')) {
-        const response = propertyInfo.projectName 
-          ? `This is ${propertyInfo.projectName}${propertyInfo.developer ? ` by ${propertyInfo.developer}` : ''}${propertyInfo.location ? ` located in ${propertyInfo.location}` : ''}. Would you like to know more about pricing or available configurations?`
-          : "I'd love to help you with that! Share your name and phone so I can assist you better.";
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle pricing questions
-      if (lowerMessage.includes('cost') || lowerMessage.includes('price') || lowerMessage.includes('pricing') || lowerMessage.includes('how much')) {
-        const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-          ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-          : 'Check with our team for current pricing';
-        const response = `Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details? Share your name and phone.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle location questions
-      if (lowerMessage.includes('location') || lowerMessage.includes('where') || lowerMessage.includes('address') || lowerMessage.includes('situated')) {
-        const response = propertyInfo.location
-          ? `${propertyInfo.projectName || 'This project'} is located in ${propertyInfo.location}. ${propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0 
-            ? `We have ${propertyInfo.availableBhk.join(' and ')} available. ` 
-            : ''}Would you like to know about pricing or schedule a site visit?`
-          : "I'd love to help you with that! Share your name and phone so I can assist you better.";
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle BHK questions
-      if (lowerMessage.includes('bhk') || lowerMessage.includes('configuration') || lowerMessage.includes('bedroom') || lowerMessage.includes('room')) {
-        const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-          ? propertyInfo.availableBhk.join(' and ')
-          : 'various configurations';
-        const response = `We have ${bhkText} available. ${propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0 
-          ? `Would you like to know about pricing? ` 
-          : ''}Share your name and phone so I can assist you better.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle amenities questions
-      if (lowerMessage.includes('amenit') || lowerMessage.includes('facilit') || lowerMessage.includes('feature') || lowerMessage.includes('what do you have')) {
-        const amenitiesText = propertyInfo.amenities && Array.isArray(propertyInfo.amenities) && propertyInfo.amenities.length > 0
-          ? propertyInfo.amenities.slice(0, 8).join(', ')
-          : 'modern amenities';
-        const response = `We offer ${amenitiesText}${propertyInfo.amenities && propertyInfo.amenities.length > 8 ? ' and more' : ''}. Would you like to know about pricing or schedule a site visit?`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle "brief details", "highlights", "overview" requests
-      const isBriefRequest = lowerMessage.includes('brief') || 
-                            lowerMessage.includes('breif') || 
-                            lowerMessage.includes('detail') || 
-                            lowerMessage.includes('highlight') || 
-                            lowerMessage.includes('overview') || 
-                            lowerMessage.includes('tell me about') || 
-                            lowerMessage.includes('about the project') ||
-                            lowerMessage.includes('about this project') ||
-                            (lowerMessage.includes('can give') && (lowerMessage.includes('brief') || lowerMessage.includes('breif') || lowerMessage.includes('detail'))) ||
-                            (lowerMessage.includes('give me') && (lowerMessage.includes('brief') || lowerMessage.includes('breif') || lowerMessage.includes('detail') || lowerMessage.includes('info')));
-      
-      if (isBriefRequest) {
-        const highlights = [];
-        if (propertyInfo.projectName) highlights.push(`${propertyInfo.projectName}`);
-        if (propertyInfo.developer) highlights.push(`by ${propertyInfo.developer}`);
-        if (propertyInfo.location) highlights.push(`located in ${propertyInfo.location}`);
-        if (propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0) {
-          highlights.push(`available in ${propertyInfo.availableBhk.join(' and ')} configurations`);
-        }
-        if (propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0) {
-          const pricingList = Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ');
-          highlights.push(`pricing ranges from ${pricingList}`);
-        }
-        if (propertyInfo.amenities && Array.isArray(propertyInfo.amenities) && propertyInfo.amenities.length > 0) {
-          const topAmenities = propertyInfo.amenities.slice(0, 5).join(', ');
-          highlights.push(`key amenities include ${topAmenities}`);
-        }
-        if (propertyInfo.specialOffers && propertyInfo.specialOffers !== 'None' && propertyInfo.specialOffers.trim()) {
-          highlights.push(`special offer: ${propertyInfo.specialOffers}`);
-        }
-        
-        if (highlights.length > 0) {
-          let response = highlights.join('. ');
-          if (propertyInfo.area && propertyInfo.area !== 'Not specified') {
-            response += `. The project offers ${propertyInfo.area} of living space`;
-          }
-          response += '. Would you like to know more about pricing, configurations, or schedule a site visit?';
-          return res.json({ response: response.replace(/\.\s*\./g, '.').replace(/\s+/g, ' ').trim(), aiUsed: false, fallback: true });
-        }
+    // The widget echoes back context.lastIntent; older clients only send the
+    // conversation, whose agent messages may carry the intent that produced them
+    // (the widget stores agent messages as type "system")
+    const lastIntent = sanitizeIntentId(req.body.context?.lastIntent)
+      || (conversation || []).filter(m => (m.type === 'agent' || m.type === 'system') && m.intent).slice(-1)[0]?.intent
+      || null;
+
+    // Reply in the language of this message; when it does not tell ("ok", "2 bhk"),
+    // keep the language the widget is in (its switcher, or the last reply)
+    const preferredLanguage = [req.body.language, req.body.context?.language].find(isSupportedLanguage);
+    const language = detectLanguage(message) || preferredLanguage || DEFAULT_LANGUAGE;
+
+    const compiled = await loadProjectIntents(projectId);
+    const { intent, matched } = matchIntent(message, compiled, { lastIntent });
+    const knowledge = await searchKnowledge(projectId, message);
+
+    // Budget, BHK, timeline and locality from everything the visitor typed so far;
+    // the widget skips its BHK step when the BHK is already known
+    const localities = localitiesFor(propertyInfo || {});
+    const entities = extractConversationEntities(
+      [...(conversation || []), { type: "user", text: message }],
+      { localities }
+    );
+    const stated = extractEntities(message, { localities });
+    try {
+      await saveSessionEntities(
+        sanitizeString(String(req.body.chatSessionId ?? "")),
+        sanitizeVisitorId(req.body.visitorId),
+        entities
+      );
+    } catch (error) {
+      logger.error("Chat API: Failed to save entities on the chat session", error);
+    }
+    // The keyword intent classifies buying intent whichever path writes the reply,
+    // so the widget knows when to offer the BHK and name/phone steps; stating a
+    // BHK or budget counts too
+    const leadCapture = Boolean(intent?.leadCapture || matched?.leadCapture || stated.bhk || stated.budget);
+
+    if (!matched && knowledge.length === 0) {
+      recordUnmatchedQuestion(projectId, message).catch((error) => {
+        logger.error("Chat API: Failed to record unmatched question", error);
+      });
+    }
+
+    const aiSettings = resolveAiSettings(widgetConfig.aiChat);
+    // Set only when a configured provider failed; `fallback` means exactly that
+    let fallbackReason = null;
+
+    if (aiSettings.provider !== KEYWORD_PROVIDER) {
+      try {
+        const reply = await generateAiReply({
+          message,
+          conversation: conversation || [],
+          propertyInfo: propertyInfo || {},
+          knowledge,
+          agentName,
+          language,
+          settings: aiSettings,
+        });
+        logger.log("Chat API: Answered by LLM provider", reply.provider);
+        return res.json({
+          response: reply.text,
+          intent: null,
+          language,
+          context: { lastIntent: null, language },
+          citations: reply.citations,
+          leadCapture,
+          entities,
+          aiUsed: true,
+          fallback: false,
+          provider: reply.provider,
+        });
+      } catch (error) {
+        // Any provider problem falls through to the intent engine below
+        fallbackReason = error.reason || "provider_error";
+        logger.warn(`Chat API: LLM provider "${aiSettings.provider}" failed (${fallbackReason}), using intent engine:`, error.message);
       }
     }
-    
-    // Generic fallback response
-    const fallbackResponse = conversation && conversation.length > 2
-      ? "That's interesting! Share your name and phone so I can connect you with our team."
+
+    // A knowledge base entry answers questions no intent covers, and overrides a
+    // matched intent when it is a close match (follow-ups like "yes" are kept)
+    const [bestMatch] = knowledge;
+    const isFollowUp = matched && intent !== matched;
+    const useKnowledge = bestMatch && !isFollowUp && (!matched || bestMatch.score >= STRONG_MATCH_SCORE);
+
+    if (useKnowledge) {
+      logger.log("Chat API: Answered from knowledge base entry", bestMatch.citation.id);
+      return res.json({
+        response: bestMatch.answer,
+        intent: KNOWLEDGE_INTENT_ID,
+        language,
+        context: { lastIntent: KNOWLEDGE_INTENT_ID, language },
+        citations: [bestMatch.citation],
+        leadCapture,
+        entities,
+        aiUsed: false,
+        fallback: Boolean(fallbackReason),
+        ...(fallbackReason && { fallbackReason }),
+      });
+    }
+
+    const vars = buildTemplateVars(propertyInfo || {}, { agentName, conversation: conversation || [] });
+    const response = intent
+      ? renderTemplate(localizedResponse(intent, language), vars)
       : "I'd love to help you with that! What would you like to know about the project?";
-    return res.json({ response: fallbackResponse, aiUsed: false, fallback: true });
+    const intentId = intent?.id || FALLBACK_INTENT_ID;
+
+    logger.log("Chat API: Matched intent", intentId);
+    return res.json({
+      response,
+      intent: intentId,
+      language,
+      context: { lastIntent: intentId, language },
+      leadCapture,
+      entities,
+      aiUsed: false,
+      fallback: Boolean(fallbackReason),
+      ...(fallbackReason && { fallbackReason }),
+    });
     
   } catch (error) {
     logger.error("❌ Chat API: Error processing request:", error);
@@ -235,6 +233,7 @@ router.post("/", async (req, res) => {
     // Generic fallback response on error
     res.status(500).json({ 
       response: "I'd love to help you with that! Share your name and phone so I can assist you better.",
+      leadCapture: true,
       aiUsed: false,
       fallback: true,
       error: process.env.NODE_ENV !== 'production' ? error.message : undefined
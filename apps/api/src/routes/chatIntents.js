@@ -0,0 +1,157 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId } from "../utils/sanitize.js";
+import {
+  compileIntentConfig,
+  replayUtterances,
+  resolveIntentConfig,
+  validateIntentConfig,
+} from "../utils/intentEngine.js";
+
+const router = express.Router();
+
+const MAX_REPLAY_CASES = 200;
+
+// Helper function to get the right storage module
+async function getIntentStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatIntentStore.js");
+  } else {
+    return await import("../storage/chatIntentStore.js");
+  }
+}
+
+function pickOverrides(body = {}) {
+  return {
+    ...(body.intents !== undefined && { intents: body.intents }),
+    ...(body.synonyms !== undefined && { synonyms: body.synonyms }),
+  };
+}
+
+/**
+ * Returns an error message, or null when the replay cases are valid
+ */
+function validateReplayCases(cases) {
+  if (!Array.isArray(cases) || cases.length > MAX_REPLAY_CASES) {
+    return `utterances must be a list of at most ${MAX_REPLAY_CASES} cases`;
+  }
+  const invalid = cases.findIndex(
+    (item) =>
+      !item ||
+      typeof item.text !== "string" ||
+      typeof item.expect !== "string" ||
+      (item.lastIntent !== undefined && item.lastIntent !== null && typeof item.lastIntent !== "string")
+  );
+  return invalid === -1
+    ? null
+    : `utterances[${invalid}] must be { text, expect, lastIntent? } with string values`;
+}
+
+router.get("/:projectId", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const intentStore = await getIntentStore();
+    const stored = await intentStore.getChatIntents(projectId);
+
+    res.json({
+      projectId,
+      ...resolveIntentConfig(stored?.overrides),
+      overrides: stored?.overrides || {},
+      updatedAt: stored?.updatedAt || null,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch chat intents", error);
+    res.status(500).json({ message: "Failed to fetch chat intents" });
+  }
+});
+
+router.post("/:projectId", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const overrides = pickOverrides(req.body);
+    const validationError = validateIntentConfig(overrides);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const intentStore = await getIntentStore();
+    const saved = await intentStore.upsertChatIntents(
+      projectId,
+      overrides,
+      req.body?.updatedBy || null
+    );
+
+    res.json({
+      message: "Chat intents saved",
+      projectId,
+      ...resolveIntentConfig(saved.overrides),
+      overrides: saved.overrides,
+    });
+  } catch (error) {
+    logger.error("Failed to save chat intents", error);
+    res.status(500).json({ message: "Failed to save chat intents" });
+  }
+});
+
+// Replays every intent's examples plus any given utterances. Pass intents and/or
+// synonyms to try a draft before saving it; otherwise the stored overrides are used.
+router.post("/:projectId/replay", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const cases = req.body?.utterances || [];
+    const casesError = validateReplayCases(cases);
+    if (casesError) {
+      return res.status(400).json({ message: casesError });
+    }
+
+    let overrides = pickOverrides(req.body);
+    if (Object.keys(overrides).length > 0) {
+      const validationError = validateIntentConfig(overrides);
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+    } else {
+      const intentStore = await getIntentStore();
+      overrides = (await intentStore.getChatIntents(projectId))?.overrides;
+    }
+
+    const compiled = compileIntentConfig(resolveIntentConfig(overrides));
+    res.json({ projectId, ...replayUtterances(compiled, cases) });
+  } catch (error) {
+    logger.error("Failed to replay chat intents", error);
+    res.status(500).json({ message: "Failed to replay chat intents" });
+  }
+});
+
+router.delete("/:projectId", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const intentStore = await getIntentStore();
+    await intentStore.deleteChatIntents(projectId);
+
+    res.json({ message: "Chat intents reset to defaults", projectId });
+  } catch (error) {
+    logger.error("Failed to reset chat intents", error);
+    res.status(500).json({ message: "Failed to reset chat intents" });
+  }
+});
+
+export default router;
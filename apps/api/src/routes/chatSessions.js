@@ -1,6 +1,14 @@
 import express from "express";
 import { config } from "../config.js";
 import { logger } from "../utils/logger.js";
+import { CHAT_SESSION_SORT_KEYS, parseListQuery, pickTextFilters } from "../utils/pagination.js";
+import {
+  sanitizeConversation,
+  sanitizeMetadata,
+  sanitizeMicrosite,
+  sanitizeProjectId,
+  sanitizeVisitorId,
+} from "../utils/sanitize.js";
 
 const router = express.Router();
 
@@ -13,21 +21,121 @@ async function getSessionStore() {
   }
 }
 
+// A session is capped so a misbehaving page cannot grow one without bound
+const MAX_SESSION_MESSAGES = 500;
+
+// MySQL rows keep their snake_case columns
+function getSessionVisitorId(session) {
+  return session.visitorId ?? session.visitor_id ?? null;
+}
+
+/**
+ * Exact-match filters are the stores' SESSION_FACETS: bhkType is the session's
+ * own, utmSource/utmMedium/utmCampaign and city come from the visitor context in
+ * its metadata, phoneCountry is metadata.phoneCountryCode, and status and
+ * assignee are read from the linked lead.
+ */
 router.get("/", async (req, res) => {
   try {
-    const { microsite, leadId, limit, skip } = req.query;
+    const { microsite, leadId, visitorId, converted, limit, skip } = req.query;
+    const { paging, facets: withFacets, error } = parseListQuery(req.query, CHAT_SESSION_SORT_KEYS);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (converted !== undefined && converted !== "true" && converted !== "false") {
+      return res.status(400).json({ message: "converted must be true or false" });
+    }
+
     const sessionStore = await getSessionStore();
-    const { items, total } = await sessionStore.listChatSessions({
+    const filters = {
+      ...pickTextFilters(req.query, sessionStore.SESSION_FACETS),
       microsite,
       leadId,
+      visitorId,
+      converted: converted === undefined ? undefined : converted === "true",
+    };
+    const { items, total, nextCursor } = await sessionStore.listChatSessions({
+      ...filters,
+      ...paging,
       limit: limit ? parseInt(limit, 10) : undefined,
       skip: skip ? parseInt(skip, 10) : undefined,
     });
+    const facets = withFacets ? await sessionStore.listChatSessionFacets(filters) : undefined;
 
-    res.json({ items, total });
+    res.json({ items, total, nextCursor, facets });
   } catch (error) {
     logger.error("Failed to list chat sessions", error);
-    res.status(500).json({ message: "Failed to list chat sessions", error: error.message });
+    res.status(500).json({ message: "Failed to list chat sessions" });
+  }
+});
+
+/**
+ * Started by the widget on the visitor's first interaction, so conversations that
+ * never reach the phone step are kept too. The lead submission links it later
+ * (metadata.chatSessionId).
+ */
+router.post("/", async (req, res) => {
+  try {
+    const visitorId = sanitizeVisitorId(req.body.visitorId);
+    if (!visitorId) {
+      return res.status(400).json({ message: "Missing or invalid visitorId" });
+    }
+    const microsite = sanitizeMicrosite(req.body.microsite);
+    if (!microsite) {
+      return res.status(400).json({ message: "Missing or invalid microsite" });
+    }
+
+    const conversation = sanitizeConversation(req.body.conversation) || [];
+    const metadata = sanitizeMetadata(req.body.metadata) || {};
+
+    const sessionStore = await getSessionStore();
+    const session = await sessionStore.createChatSession({
+      microsite,
+      projectId: sanitizeProjectId(req.body.projectId) || undefined,
+      visitorId,
+      conversation,
+      metadata,
+      location: metadata.visitor?.location || null,
+    });
+
+    res.status(201).json({ message: "Chat session created", session });
+  } catch (error) {
+    logger.error("Failed to create chat session", error);
+    res.status(500).json({ message: "Failed to create chat session" });
+  }
+});
+
+/**
+ * Append turns to a session. Only the visitor who started it (same visitorId)
+ * can write to it.
+ */
+router.post("/:id/messages", async (req, res) => {
+  try {
+    const sessionStore = await getSessionStore();
+    const session = await sessionStore.getChatSessionById(req.params.id);
+    const visitorId = sanitizeVisitorId(req.body.visitorId);
+
+    if (!session || !visitorId || getSessionVisitorId(session) !== visitorId) {
+      return res.status(404).json({ message: "Chat session not found" });
+    }
+
+    const messages = sanitizeConversation(req.body.messages);
+    if (!messages || messages.length === 0) {
+      return res.status(400).json({ message: "messages must be a non-empty list" });
+    }
+    if ((session.conversation?.length || 0) + messages.length > MAX_SESSION_MESSAGES) {
+      return res.status(409).json({ message: `A chat session holds at most ${MAX_SESSION_MESSAGES} messages` });
+    }
+
+    const updated = await sessionStore.appendChatSessionMessages(session.id, messages);
+    res.json({
+      message: "Messages added",
+      id: updated.id,
+      messageCount: updated.conversation.length,
+    });
+  } catch (error) {
+    logger.error("Failed to add chat session messages", error);
+    res.status(500).json({ message: "Failed to add chat session messages" });
   }
 });
 
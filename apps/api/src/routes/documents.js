@@ -0,0 +1,312 @@
+import express from "express";
+import multer from "multer";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId, sanitizeString, sanitizeVisitorId } from "../utils/sanitize.js";
+import { normalizeBhkPreference } from "../utils/leadNormalization.js";
+import { isSubmittedByVisitor } from "../utils/leadDedup.js";
+import {
+  DOCUMENT_MIME_TYPES,
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  floorPlanBhkTypes,
+  selectDocumentsForLead,
+  signDownloadToken,
+  verifyDownloadToken,
+} from "../utils/documents.js";
+
+const router = express.Router();
+
+// Stored under a random name; the original name is only used for the download
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(config.documents.directory, { recursive: true })
+        .then(() => cb(null, config.documents.directory))
+        .catch((error) => cb(error));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: { fileSize: MAX_DOCUMENT_BYTES },
+  fileFilter: (req, file, cb) => {
+    const mimeType = DOCUMENT_MIME_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (mimeType && file.mimetype === mimeType) {
+      return cb(null, true);
+    }
+    cb(new Error(`Only ${Object.keys(DOCUMENT_MIME_TYPES).join(", ")} files are allowed`));
+  },
+});
+
+// Helper functions to get the right storage modules
+async function getDocumentStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlDocumentStore.js");
+  } else {
+    return await import("../storage/documentStore.js");
+  }
+}
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  } else {
+    return await import("../storage/leadStore.js");
+  }
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  } else {
+    return await import("../storage/eventStore.js");
+  }
+}
+
+async function getConfigStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigStore.js");
+  } else {
+    return await import("../storage/widgetConfigStore.js");
+  }
+}
+
+// The project's configured BHK options, null when it uses the built-in ones
+async function getProjectBhkOptions(projectId) {
+  const { findWidgetConfig } = await getConfigStore();
+  const widgetConfig = await findWidgetConfig(projectId);
+  return widgetConfig?.bhkOptions || null;
+}
+
+function documentPath(document) {
+  return path.join(config.documents.directory, path.basename(document.fileName));
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Failed to remove document file", error);
+    }
+  }
+}
+
+/**
+ * Validate the upload's form fields. Returns { document } or { error }.
+ * A floor plan's bhkType must be one of the project's BHK options.
+ */
+async function validateDocumentInput(body, file) {
+  const projectId = sanitizeProjectId(body.projectId);
+  if (!projectId) {
+    return { error: "Missing or invalid projectId" };
+  }
+  if (!DOCUMENT_TYPES.includes(body.type)) {
+    return { error: `type must be one of: ${DOCUMENT_TYPES.join(", ")}` };
+  }
+
+  let bhkType = null;
+  if (body.bhkType) {
+    if (body.type !== "floor-plan") {
+      return { error: "bhkType only applies to floor plans" };
+    }
+    const bhkOptions = await getProjectBhkOptions(projectId);
+    const allowed = floorPlanBhkTypes(bhkOptions);
+    bhkType = normalizeBhkPreference({ bhkType: body.bhkType }, { options: bhkOptions })?.type;
+    if (!allowed.includes(bhkType)) {
+      return { error: `bhkType must be one of: ${allowed.join(", ")}` };
+    }
+  }
+
+  const originalName = sanitizeString(file.originalname).slice(0, 255);
+  const title =
+    (typeof body.title === "string" && sanitizeString(body.title).slice(0, 255)) ||
+    path.basename(originalName, path.extname(originalName));
+
+  return {
+    document: {
+      projectId,
+      type: body.type,
+      bhkType,
+      title,
+      fileName: file.filename,
+      originalName,
+      mimeType: DOCUMENT_MIME_TYPES[path.extname(file.filename)],
+      size: file.size,
+    },
+  };
+}
+
+// Multipart: file, projectId, type (brochure | floor-plan), bhkType (floor plans
+// only, omit for a project-wide plan), title
+router.post("/", requireApiKey, (req, res, next) => {
+  documentUpload.single("file")(req, res, (error) => {
+    if (error) {
+      const message = error.code === "LIMIT_FILE_SIZE"
+        ? `Documents must be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB`
+        : error.message || "Invalid upload";
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Upload the document in the \"file\" field" });
+    }
+
+    const { document, error } = await validateDocumentInput(req.body, req.file);
+    if (error) {
+      await removeFile(req.file.path);
+      return res.status(400).json({ message: error });
+    }
+
+    const documentStore = await getDocumentStore();
+    const created = await documentStore.createDocument(document);
+    res.status(201).json({ message: "Document uploaded", document: created });
+  } catch (error) {
+    if (req.file) {
+      await removeFile(req.file.path);
+    }
+    logger.error("Failed to upload document", error);
+    res.status(500).json({ message: "Failed to upload document" });
+  }
+});
+
+router.get("/", requireApiKey, async (req, res) => {
+  try {
+    const { projectId, type } = req.query;
+    if (type !== undefined && !DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${DOCUMENT_TYPES.join(", ")}` });
+    }
+
+    const documentStore = await getDocumentStore();
+    const items = await documentStore.listDocuments({ projectId, type });
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to list documents", error);
+    res.status(500).json({ message: "Failed to list documents" });
+  }
+});
+
+router.delete("/:id", requireApiKey, async (req, res) => {
+  try {
+    const documentStore = await getDocumentStore();
+    const document = await documentStore.getDocumentById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    await documentStore.deleteDocument(document.id);
+    await removeFile(documentPath(document));
+    res.json({ message: "Document deleted" });
+  } catch (error) {
+    logger.error("Failed to delete document", error);
+    res.status(500).json({ message: "Failed to delete document" });
+  }
+});
+
+/**
+ * Signed download links for a captured lead, requested by the widget after the
+ * lead form. Only the visitor who submitted the lead can unlock its documents.
+ * types narrows the result (default: every type).
+ */
+router.post("/links", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.body.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Missing or invalid projectId" });
+    }
+    const visitorId = sanitizeVisitorId(req.body.visitorId);
+    if (!visitorId || req.body.leadId === undefined || req.body.leadId === null) {
+      return res.status(400).json({ message: "leadId and visitorId are required" });
+    }
+    const types = req.body.types ?? DOCUMENT_TYPES;
+    if (!Array.isArray(types) || types.length === 0 || types.some((type) => !DOCUMENT_TYPES.includes(type))) {
+      return res.status(400).json({ message: `types must be a list of: ${DOCUMENT_TYPES.join(", ")}` });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.body.leadId);
+    if (
+      !lead ||
+      !isSubmittedByVisitor(lead, visitorId) ||
+      ![lead.microsite, lead.metadata?.projectId].includes(projectId)
+    ) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const documentStore = await getDocumentStore();
+    const documents = selectDocumentsForLead(await documentStore.listDocuments({ projectId }), {
+      types,
+      bhkType: lead.bhkType || lead.bhk_type,
+      bhkOptions: await getProjectBhkOptions(projectId),
+    });
+
+    const items = documents.map((document) => {
+      const { token, expiresAt } = signDownloadToken({ documentId: document.id, leadId: lead.id });
+      return {
+        id: document.id,
+        type: document.type,
+        bhkType: document.bhkType,
+        title: document.title,
+        mimeType: document.mimeType,
+        size: document.size,
+        url: `/api/documents/download/${token}`,
+        expiresAt,
+      };
+    });
+
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to create document links", error);
+    res.status(500).json({ message: "Failed to create document links" });
+  }
+});
+
+// Public: the signed token is the credential. Each download is recorded against the lead.
+router.get("/download/:token", async (req, res) => {
+  try {
+    const grant = verifyDownloadToken(req.params.token);
+    if (!grant) {
+      return res.status(410).json({ message: "This download link has expired. Please ask for a new one." });
+    }
+
+    const documentStore = await getDocumentStore();
+    const document = await documentStore.getDocumentById(grant.documentId);
+    const filePath = document ? documentPath(document) : null;
+    if (!filePath || !(await fs.stat(filePath).catch(() => null))) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(grant.leadId);
+    const eventStore = await getEventStore();
+    await eventStore.recordEvent({
+      type: "brochure_downloaded",
+      projectId: document.projectId,
+      microsite: lead?.microsite || null,
+      payload: {
+        leadId: lead?.id ?? grant.leadId,
+        documentId: document.id,
+        documentType: document.type,
+        bhkType: document.bhkType,
+      },
+    });
+
+    res.setHeader("Cache-Control", "private, no-store");
+    res.download(filePath, document.originalName || path.basename(filePath), {
+      headers: { "Content-Type": document.mimeType },
+    });
+  } catch (error) {
+    logger.error("Failed to download document", error);
+    res.status(500).json({ message: "Failed to download document" });
+  }
+});
+
+export default router;
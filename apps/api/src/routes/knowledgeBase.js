@@ -0,0 +1,257 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId, sanitizeString } from "../utils/sanitize.js";
+import {
+  KNOWLEDGE_TYPES,
+  invalidateKnowledgeIndex,
+  searchKnowledge,
+} from "../utils/knowledgeBase.js";
+
+const router = express.Router();
+
+const TEXT_LIMITS = {
+  question: 500,
+  answer: 5000,
+  title: 500,
+  content: 100000,
+};
+
+// Helper function to get the right storage module
+async function getKnowledgeStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlKnowledgeBaseStore.js");
+  } else {
+    return await import("../storage/knowledgeBaseStore.js");
+  }
+}
+
+/**
+ * Validate a create/update body. FAQ entries need question and answer,
+ * documents need title and content. Returns { updates } or { error }.
+ */
+function validateEntryInput(body, { existing = null } = {}) {
+  const updates = {};
+
+  if (body.type !== undefined || !existing) {
+    const type = body.type ?? "faq";
+    if (!KNOWLEDGE_TYPES.includes(type)) {
+      return { error: `type must be one of: ${KNOWLEDGE_TYPES.join(", ")}` };
+    }
+    updates.type = type;
+  }
+
+  for (const [field, maxLength] of Object.entries(TEXT_LIMITS)) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    const value = body[field] === null ? null : sanitizeString(body[field]);
+    if (value && value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    updates[field] = value || null;
+  }
+
+  const merged = { ...existing, ...updates };
+  const required = merged.type === "document" ? ["title", "content"] : ["question", "answer"];
+  const missing = required.filter((field) => !merged[field]);
+  if (missing.length > 0) {
+    return { error: `${merged.type} entries need ${required.join(" and ")}` };
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some((tag) => typeof tag !== "string")) {
+      return { error: "tags must be a list of strings" };
+    }
+    updates.tags = [...new Set(body.tags.map((tag) => tag.trim().slice(0, 50)).filter(Boolean))].slice(0, 20);
+  }
+
+  if (body.active !== undefined) {
+    updates.active = Boolean(body.active);
+  }
+
+  return { updates };
+}
+
+router.use(requireApiKey);
+
+router.get("/:projectId/entries", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const entries = await knowledgeStore.listKnowledgeEntries(projectId, {
+      type: KNOWLEDGE_TYPES.includes(req.query.type) ? req.query.type : undefined,
+    });
+
+    res.json({ items: entries, total: entries.length });
+  } catch (error) {
+    logger.error("Failed to list knowledge base entries", error);
+    res.status(500).json({ message: "Failed to list knowledge base entries" });
+  }
+});
+
+router.post("/:projectId/entries", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const { updates, error } = validateEntryInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const entry = await knowledgeStore.createKnowledgeEntry(projectId, {
+      ...updates,
+      createdBy: req.body?.createdBy || null,
+    });
+    invalidateKnowledgeIndex(projectId);
+
+    res.status(201).json({ message: "Knowledge base entry created", entry });
+  } catch (error) {
+    logger.error("Failed to create knowledge base entry", error);
+    res.status(500).json({ message: "Failed to create knowledge base entry" });
+  }
+});
+
+// Try retrieval without going through /api/chat, e.g. while writing entries
+router.get("/:projectId/search", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    const question = typeof req.query.q === "string" ? req.query.q.trim().slice(0, 500) : "";
+    if (!projectId || !question) {
+      return res.status(400).json({ message: "projectId and q are required" });
+    }
+
+    const matches = await searchKnowledge(projectId, question, { limit: 5, minScore: 0 });
+    res.json({ items: matches.filter((match) => match.score > 0) });
+  } catch (error) {
+    logger.error("Failed to search knowledge base", error);
+    res.status(500).json({ message: "Failed to search knowledge base" });
+  }
+});
+
+router.get("/:projectId/unmatched", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const result = await knowledgeStore.listUnmatchedQuestions(projectId, {
+      limit: Math.min(Number(req.query.limit) || 50, 500),
+      skip: Math.max(Number(req.query.skip) || 0, 0),
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to list unmatched questions", error);
+    res.status(500).json({ message: "Failed to list unmatched questions" });
+  }
+});
+
+// Dismiss an unmatched question, e.g. once an entry answering it has been added
+router.delete("/:projectId/unmatched/:id", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const deleted = await knowledgeStore.deleteUnmatchedQuestion(projectId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Unmatched question not found" });
+    }
+
+    res.json({ message: "Unmatched question dismissed" });
+  } catch (error) {
+    logger.error("Failed to dismiss unmatched question", error);
+    res.status(500).json({ message: "Failed to dismiss unmatched question" });
+  }
+});
+
+router.get("/:projectId/entries/:id", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const entry = await knowledgeStore.getKnowledgeEntry(projectId, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Knowledge base entry not found" });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    logger.error("Failed to fetch knowledge base entry", error);
+    res.status(500).json({ message: "Failed to fetch knowledge base entry" });
+  }
+});
+
+router.patch("/:projectId/entries/:id", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const existing = await knowledgeStore.getKnowledgeEntry(projectId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Knowledge base entry not found" });
+    }
+
+    const { updates, error } = validateEntryInput(req.body || {}, { existing });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entry = await knowledgeStore.updateKnowledgeEntry(projectId, existing.id, {
+      ...updates,
+      updatedBy: req.body?.updatedBy || null,
+    });
+    invalidateKnowledgeIndex(projectId);
+
+    res.json({ message: "Knowledge base entry updated", entry });
+  } catch (error) {
+    logger.error("Failed to update knowledge base entry", error);
+    res.status(500).json({ message: "Failed to update knowledge base entry" });
+  }
+});
+
+router.delete("/:projectId/entries/:id", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const knowledgeStore = await getKnowledgeStore();
+    const deleted = await knowledgeStore.deleteKnowledgeEntry(projectId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Knowledge base entry not found" });
+    }
+    invalidateKnowledgeIndex(projectId);
+
+    res.json({ message: "Knowledge base entry deleted" });
+  } catch (error) {
+    logger.error("Failed to delete knowledge base entry", error);
+    res.status(500).json({ message: "Failed to delete knowledge base entry" });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId } from "../utils/sanitize.js";
+import {
+  DEFAULT_SCORING_RULES,
+  SCORING_SIGNALS,
+  resolveScoringRules,
+} from "../utils/leadScoring.js";
+
+const router = express.Router();
+
+// Helper function to get the right storage module
+async function getScoringRuleStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlScoringRuleStore.js");
+  } else {
+    return await import("../storage/scoringRuleStore.js");
+  }
+}
+
+const VALUE_MAPS = ["bhk", "cta", "utmSources", "utmCampaigns", "phoneCountries"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isUnitValue(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+/**
+ * Returns an error message, or null when the override is valid
+ */
+function validateRules(rules) {
+  if (!isPlainObject(rules)) {
+    return "rules must be an object";
+  }
+
+  const knownKeys = Object.keys(DEFAULT_SCORING_RULES);
+  const unknown = Object.keys(rules).filter((key) => !knownKeys.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown rule keys: ${unknown.join(", ")}`;
+  }
+
+  if (rules.weights !== undefined) {
+    if (!isPlainObject(rules.weights)) return "weights must be an object";
+    for (const [key, value] of Object.entries(rules.weights)) {
+      if (!SCORING_SIGNALS.includes(key)) {
+        return `Unknown weight "${key}". Expected one of: ${SCORING_SIGNALS.join(", ")}`;
+      }
+      if (typeof value !== "number" || value < 0 || value > 100) {
+        return `weights.${key} must be a number between 0 and 100`;
+      }
+    }
+  }
+
+  for (const mapKey of VALUE_MAPS) {
+    if (rules[mapKey] === undefined) continue;
+    if (!isPlainObject(rules[mapKey])) return `${mapKey} must be an object`;
+    for (const [key, value] of Object.entries(rules[mapKey])) {
+      if (!isUnitValue(value)) {
+        return `${mapKey}["${key}"] must be a number between 0 and 1`;
+      }
+    }
+  }
+
+  if (rules.defaults !== undefined) {
+    if (!isPlainObject(rules.defaults)) return "defaults must be an object";
+    for (const [key, value] of Object.entries(rules.defaults)) {
+      if (!(key in DEFAULT_SCORING_RULES.defaults) || !isUnitValue(value)) {
+        return `defaults.${key} must be a known default with a value between 0 and 1`;
+      }
+    }
+  }
+
+  if (rules.conversation?.fullAtMessages !== undefined) {
+    const value = rules.conversation.fullAtMessages;
+    if (typeof value !== "number" || value <= 0) {
+      return "conversation.fullAtMessages must be a positive number";
+    }
+  }
+
+  if (rules.timeOnPage?.fullAtSeconds !== undefined) {
+    const value = rules.timeOnPage.fullAtSeconds;
+    if (typeof value !== "number" || value <= 0) {
+      return "timeOnPage.fullAtSeconds must be a positive number";
+    }
+  }
+
+  return null;
+}
+
+router.get("/:projectId", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const ruleStore = await getScoringRuleStore();
+    const stored = await ruleStore.getScoringRules(projectId);
+
+    res.json({
+      projectId,
+      rules: resolveScoringRules(stored?.rules),
+      overrides: stored?.rules || {},
+      updatedAt: stored?.updatedAt || null,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch scoring rules", error);
+    res.status(500).json({ message: "Failed to fetch scoring rules" });
+  }
+});
+
+router.post("/:projectId", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const rules = req.body?.rules;
+    const validationError = validateRules(rules);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const ruleStore = await getScoringRuleStore();
+    const saved = await ruleStore.upsertScoringRules(
+      projectId,
+      rules,
+      req.body?.updatedBy || null
+    );
+
+    res.json({
+      message: "Scoring rules saved",
+      projectId,
+      rules: resolveScoringRules(saved.rules),
+      overrides: saved.rules,
+    });
+  } catch (error) {
+    logger.error("Failed to save scoring rules", error);
+    res.status(500).json({ message: "Failed to save scoring rules" });
+  }
+});
+
+router.delete("/:projectId", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.params.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Invalid projectId" });
+    }
+
+    const ruleStore = await getScoringRuleStore();
+    await ruleStore.deleteScoringRules(projectId);
+
+    res.json({ message: "Scoring rules reset to defaults", projectId });
+  } catch (error) {
+    logger.error("Failed to reset scoring rules", error);
+    res.status(500).json({ message: "Failed to reset scoring rules" });
+  }
+});
+
+export default router;
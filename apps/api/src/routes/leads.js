@@ -1,11 +1,67 @@
 import express from "express";
+import multer from "multer";
 import { config } from "../config.js";
 import { normalizePhone } from "../utils/phoneValidation.js";
-import { sanitizeMetadata, sanitizeConversation, sanitizeMicrosite } from "../utils/sanitize.js";
+import {
+  findConfiguredOption,
+  normalizeBhkPreference,
+  normalizeExtractedBhk,
+  withPhoneMetadata,
+} from "../utils/leadNormalization.js";
+import { optionValue } from "../utils/widgetOptions.js";
+import { findCallbackTime, getBusinessStatus, resolveBusinessHours } from "../utils/businessHours.js";
+import { formatSlotTime } from "../utils/siteVisits.js";
+import { extractConversationEntities } from "../utils/entityExtraction.js";
+import { parseCsv } from "../utils/csv.js";
+import {
+  MAX_IMPORT_ROWS,
+  prepareImportRow,
+  resolveColumnMapping,
+} from "../utils/leadImport.js";
+import { sanitizeMetadata, sanitizeConversation, sanitizeMicrosite, sanitizeString, sanitizeVisitorId } from "../utils/sanitize.js";
 import { logger } from "../utils/logger.js";
+import {
+  getDashboardCredentials,
+  requireApiKey,
+  resolveDashboardUser,
+} from "../middleware/auth.js";
+import {
+  LEAD_STATUSES,
+  MAX_NOTE_LENGTH,
+  canTransition,
+  getAllowedTransitions,
+  isValidLeadStatus,
+} from "../utils/leadWorkflow.js";
+import {
+  enqueueLeadForCrm,
+  processCrmOutbox,
+  summarizeDeliveries,
+  toPublicDelivery,
+} from "../utils/crmForwarder.js";
+import { dispatchWebhookEvent } from "../utils/webhookDispatcher.js";
+import { buildMergeUpdates, findDuplicateLead, getDedupRule, isSubmittedByVisitor } from "../utils/leadDedup.js";
+import { scoreLead } from "../utils/leadScoring.js";
+import { LEAD_SORT_KEYS, parseListQuery, pickTextFilters } from "../utils/pagination.js";
+import {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  writeCsvExport,
+  writeXlsxExport,
+} from "../utils/leadExport.js";
+import {
+  assignLead,
+  autoAssignLead,
+  listAgentUsernames,
+} from "../utils/leadAssignment.js";
 
 const router = express.Router();
 
+// CSV imports are parsed in memory; files are small and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
 // Helper functions to get the right storage modules
 async function getLeadStore() {
   const storageType = config.dataStore;
@@ -35,72 +91,97 @@ async function getEventStore() {
   }
 }
 
-async function getSessionStore() {
+async function getOutboxStore() {
   if (config.dataStore === "mysql") {
-    return await import("../storage/mysqlChatSessionStore.js");
+    return await import("../storage/mysqlCrmOutboxStore.js");
   } else {
-    return await import("../storage/chatSessionStore.js");
+    return await import("../storage/crmOutboxStore.js");
   }
 }
 
-const SPECIAL_BHK_MAPPINGS = new Map([
-  ["duplex", { type: "Duplex", numeric: null }],
-  ["justbrowsing", { type: "Just Browsing", numeric: null }],
-  ["justlooking", { type: "Just Browsing", numeric: null }],
-  ["other", { type: "Other", numeric: null }],
-  ["yettodecide", { type: "Yet to decide", numeric: null }],
-]);
-
-function normalizeKey(value) {
-  return String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+async function getConfigStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigStore.js");
+  } else {
+    return await import("../storage/widgetConfigStore.js");
+  }
 }
 
-function normalizeBhkPreference({ bhk, bhkType }) {
-  if (bhk !== undefined && bhk !== null && bhk !== "") {
-    const numericValue = Number(bhk);
-
-    if (Number.isFinite(numericValue)) {
-      if (numericValue === 0) {
-        return { type: "Yet to decide", numeric: null };
-      }
-
-      const rounded = Math.round(numericValue);
-      if (rounded >= 1 && rounded <= 4) {
-        return { type: `${rounded} BHK`, numeric: rounded };
-      }
-
-      return { type: "Other", numeric: rounded };
-    }
+/**
+ * The project's configured CTA and BHK options (null when it uses the built-in
+ * ones) and business hours (null when it is always open)
+ */
+async function getProjectOptions(projectId) {
+  try {
+    const { findWidgetConfig } = await getConfigStore();
+    const widgetConfig = projectId ? await findWidgetConfig(projectId) : null;
+    return {
+      ctaOptions: widgetConfig?.ctaOptions || null,
+      bhkOptions: widgetConfig?.bhkOptions || null,
+      businessHours: resolveBusinessHours(widgetConfig),
+    };
+  } catch (error) {
+    // Never lose a lead over its config; the built-in options still apply
+    logger.error("Failed to load project options", error);
+    return { ctaOptions: null, bhkOptions: null, businessHours: null };
   }
+}
 
-  if (bhkType !== undefined && bhkType !== null && bhkType !== "") {
-    const trimmed = String(bhkType).trim();
-    if (!trimmed) {
-      return null;
-    }
-
-    const compactKey = normalizeKey(trimmed);
+async function getSessionStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatSessionStore.js");
+  } else {
+    return await import("../storage/chatSessionStore.js");
+  }
+}
 
-    if (SPECIAL_BHK_MAPPINGS.has(compactKey)) {
-      return SPECIAL_BHK_MAPPINGS.get(compactKey);
-    }
+function parseScoreFilter(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
 
-    const digitsMatch = trimmed.match(/(\d+)/);
-    if (digitsMatch) {
-      const numeric = Number(digitsMatch[1]);
-      if (Number.isFinite(numeric)) {
-        if (numeric === 0) {
-          return { type: "Yet to decide", numeric: null };
-        }
-        if (numeric >= 1 && numeric <= 4) {
-          return { type: `${numeric} BHK`, numeric };
-        }
-        return { type: "Other", numeric };
-      }
+// Exact-match filters, offered as facets by GET /?facets=true
+const FIELD_FILTER_PARAMS = [
+  "bhkType",
+  "utmSource",
+  "utmMedium",
+  "utmCampaign",
+  "phoneCountry",
+  "city",
+];
+
+/**
+ * Filters shared by the list and export endpoints. Returns { filters } or
+ * { status, message } when the request cannot be served.
+ */
+async function parseLeadFilters(req) {
+  const { microsite, leadSource, status, search, startDate, endDate } = req.query;
+
+  let assignee = req.query.assignee || undefined;
+  if (assignee === "me") {
+    assignee = await resolveDashboardUser(getDashboardCredentials(req));
+    if (!assignee) {
+      return { status: 401, message: "Sign in to list your assigned leads" };
     }
   }
 
-  return null;
+  return {
+    filters: {
+      ...pickTextFilters(req.query, FIELD_FILTER_PARAMS),
+      microsite,
+      leadSource,
+      status,
+      assignee,
+      search,
+      startDate,
+      endDate,
+      minScore: parseScoreFilter(req.query.minScore),
+      maxScore: parseScoreFilter(req.query.maxScore),
+    },
+  };
 }
 
 router.post("/", async (req, res) => {
@@ -117,7 +198,13 @@ router.post("/", async (req, res) => {
     metadata = sanitizeMetadata(metadata);
     conversation = sanitizeConversation(conversation);
 
-    const normalizedBhk = normalizeBhkPreference({ bhk, bhkType });
+    // Preferences the visitor typed during the chat; a BHK mentioned there
+    // stands in for a missing one if the project offers it
+    const entities = extractConversationEntities(conversation || []);
+    const projectOptions = await getProjectOptions(metadata?.projectId || microsite);
+    const normalizedBhk =
+      normalizeBhkPreference({ bhk, bhkType }, { options: projectOptions.bhkOptions }) ||
+      normalizeExtractedBhk(entities, { options: projectOptions.bhkOptions });
 
     if (!normalizedBhk) {
       return res
@@ -139,33 +226,21 @@ router.post("/", async (req, res) => {
     }
 
     const normalizedPhone = normalizedPhoneResult?.value;
-    let metadataPayload =
-      metadata && typeof metadata === "object" ? { ...metadata } : undefined;
-
-    if (normalizedPhoneResult && metadataPayload) {
-      metadataPayload.phoneCountry =
-        metadataPayload.phoneCountry ??
-        normalizedPhoneResult.country?.name ??
-        metadataPayload.phoneCountry;
-      metadataPayload.phoneCountryCode =
-        metadataPayload.phoneCountryCode ??
-        normalizedPhoneResult.country?.countryCode ??
-        metadataPayload.phoneCountryCode;
-      metadataPayload.phoneDialCode =
-        metadataPayload.phoneDialCode ??
-        normalizedPhoneResult.country?.code ??
-        metadataPayload.phoneDialCode;
-      metadataPayload.phoneSubscriber =
-        metadataPayload.phoneSubscriber ??
-        normalizedPhoneResult.subscriber ??
-        metadataPayload.phoneSubscriber;
-    } else if (normalizedPhoneResult && !metadataPayload) {
-      metadataPayload = {
-        phoneCountry: normalizedPhoneResult.country?.name,
-        phoneCountryCode: normalizedPhoneResult.country?.countryCode,
-        phoneDialCode: normalizedPhoneResult.country?.code,
-        phoneSubscriber: normalizedPhoneResult.subscriber,
-      };
+    let metadataPayload = withPhoneMetadata(
+      metadata && typeof metadata === "object" ? { ...metadata } : undefined,
+      normalizedPhoneResult
+    );
+    if (Object.keys(entities).length > 0) {
+      metadataPayload = { ...metadataPayload, entities };
+    }
+    // Store the canonical value of a configured CTA, whichever label was sent
+    const ctaOption = findConfiguredOption(projectOptions.ctaOptions, metadataPayload?.cta);
+    if (ctaOption) {
+      metadataPayload = { ...metadataPayload, cta: optionValue(ctaOption) };
+    }
+    // Decided here rather than trusted from the widget, whose status may be stale
+    if (projectOptions.businessHours) {
+      metadataPayload = { ...metadataPayload, afterHours: !getBusinessStatus(projectOptions.businessHours).open };
     }
 
     // Extract location from metadata if available
@@ -175,7 +250,7 @@ router.post("/", async (req, res) => {
     const sessionStore = await getSessionStore();
     const eventStore = await getEventStore();
 
-    const lead = await leadStore.createLead({
+    const incoming = {
       phone: normalizedPhone,
       bhk: normalizedBhk.numeric,
       bhkType: normalizedBhk.type,
@@ -183,27 +258,111 @@ router.post("/", async (req, res) => {
       metadata: metadataPayload,
       conversation,
       location,
+    };
+
+    const duplicate = await findDuplicateLead(leadStore, {
+      phone: normalizedPhone,
+      microsite,
     });
+    const merged = Boolean(duplicate) && getDedupRule().action === "merge";
+
+    let lead;
+    if (merged) {
+      lead = await leadStore.updateLead(
+        duplicate.id,
+        buildMergeUpdates(duplicate, incoming)
+      );
+      await leadStore.appendLeadActivity(duplicate.id, {
+        type: "merged",
+        note: `Resubmitted on ${microsite}`,
+      });
+    } else {
+      lead = await leadStore.createLead({
+        ...incoming,
+        metadata: duplicate
+          ? { ...(metadataPayload || {}), duplicateOf: duplicate.id }
+          : metadataPayload,
+      });
+    }
+
+    try {
+      lead = await scoreLead(leadStore, lead);
+    } catch (error) {
+      logger.error("Failed to score lead", error);
+    }
+
+    if (!merged) {
+      try {
+        // Scored first so team rules can match on score
+        ({ lead } = await autoAssignLead(leadStore, lead, { io: req.io }));
+      } catch (error) {
+        logger.error("Failed to assign lead", error);
+      }
+    }
 
     // Get lead ID (MySQL uses id, file storage uses id)
     const leadId = lead.id;
 
+    const projectIds = [microsite, metadataPayload?.projectId];
+
     try {
-      await sessionStore.createChatSession({
-        microsite,
-        projectId: metadataPayload?.projectId || metadata?.projectId,
+      const sessionDetails = {
         leadId: leadId,
         phone: normalizedPhone ?? sanitizedPhone,
         bhkType: normalizedBhk.type,
         conversation,
         metadata: metadataPayload,
         location,
+      };
+      // The widget has been saving this conversation since the first message;
+      // link that session unless it belongs to another visitor or lead
+      const visitorId = sanitizeVisitorId(metadataPayload?.visitorId);
+      const started = visitorId && metadataPayload.chatSessionId
+        ? await sessionStore.getChatSessionById(metadataPayload.chatSessionId)
+        : null;
+      const linkable =
+        started &&
+        (started.visitorId ?? started.visitor_id) === visitorId &&
+        !(started.leadId ?? started.lead_id);
+
+      const session = linkable
+        ? await sessionStore.updateChatSession(started.id, sessionDetails)
+        : await sessionStore.createChatSession({
+            microsite,
+            projectId: metadataPayload?.projectId || metadata?.projectId,
+            visitorId,
+            ...sessionDetails,
+          });
+      // Subscribers get sessions once they have a lead, as before
+      await dispatchWebhookEvent("chat.session.created", {
+        projectIds,
+        data: session,
       });
     } catch (error) {
       logger.error("Failed to store chat session", error);
     }
 
-    req.io?.to(microsite).emit("lead:new", lead);
+    if (merged) {
+      // The CRM already has this lead; a merge only updates our copy
+      req.io?.to(microsite).emit("lead:updated", lead);
+      await dispatchWebhookEvent("lead.updated", {
+        projectIds,
+        data: { lead, changes: [{ type: "merged" }] },
+      });
+    } else {
+      try {
+        await enqueueLeadForCrm(lead, {
+          userAgent: req.headers["user-agent"],
+          clientIp: req.ip,
+        });
+      } catch (error) {
+        // The lead is stored; a missing outbox entry must not fail the visitor
+        logger.error("Failed to queue lead for CRM delivery", error);
+      }
+
+      req.io?.to(microsite).emit("lead:new", lead);
+      await dispatchWebhookEvent("lead.created", { projectIds, data: lead });
+    }
 
     await eventStore.recordEvent({
       type: "lead_submitted",
@@ -214,21 +373,208 @@ router.post("/", async (req, res) => {
         bhkType: normalizedBhk.type,
         ...(normalizedBhk.numeric !== null &&
           normalizedBhk.numeric !== undefined && { bhk: normalizedBhk.numeric }),
+        ...(duplicate && { duplicateOf: duplicate.id, merged }),
+        // Counted in the experiment report even if the widget's own event is lost
+        ...(metadataPayload?.experimentId && {
+          experimentId: metadataPayload.experimentId,
+          variantId: metadataPayload.variantId,
+          visitorId: sanitizeVisitorId(metadataPayload.visitorId),
+        }),
       },
       location,
     });
 
-    res.status(201).json({ message: "Lead created", lead });
+    if (merged) {
+      return res.json({ message: "Lead merged", lead, merged: true });
+    }
+
+    res.status(201).json({
+      message: "Lead created",
+      lead,
+      ...(duplicate && { duplicateOf: duplicate.id }),
+    });
   } catch (error) {
     logger.error("Failed to create lead", error);
     res.status(500).json({ message: "Failed to create lead" });
   }
 });
 
+function resolveImportBatch(label) {
+  const slug = String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return slug || new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+}
+
+// Upload a CSV (multipart field "file"). Body fields: microsite (default for rows
+// without one), mapping (JSON { field: "CSV header" }), batch (label), dryRun.
+// Imported leads are scored and assigned but not forwarded to the CRM.
+router.post("/import", requireApiKey, (req, res, next) => {
+  importUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message || "Invalid upload" });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Upload a CSV file in the \"file\" field" });
+    }
+
+    const dryRun = ["true", "1", "yes"].includes(
+      String(req.body.dryRun ?? req.query.dryRun ?? "").toLowerCase()
+    );
+
+    let overrides = {};
+    if (req.body.mapping) {
+      try {
+        overrides = JSON.parse(req.body.mapping);
+      } catch {
+        return res.status(400).json({ message: "mapping must be a JSON object" });
+      }
+      if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+        return res.status(400).json({ message: "mapping must be a JSON object" });
+      }
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer.toString("utf-8"), { maxRows: MAX_IMPORT_ROWS + 1 });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (rows.length < 2) {
+      return res.status(400).json({ message: "CSV needs a header row and at least one lead" });
+    }
+
+    const [headers, ...dataRows] = rows;
+    const { mapping, error: mappingError } = resolveColumnMapping(headers, overrides);
+    if (mappingError) {
+      return res.status(400).json({ message: mappingError });
+    }
+
+    const batch = resolveImportBatch(req.body.batch);
+    const leadSource = `Import:${batch}`;
+    const defaultMicrosite = req.body.microsite || req.query.microsite;
+    const dedupRule = getDedupRule();
+    const leadStore = await getLeadStore();
+    const seen = new Map();
+    const report = [];
+    const bhkOptionsByMicrosite = new Map();
+    const getBhkOptions = async (microsite) => {
+      if (!bhkOptionsByMicrosite.has(microsite)) {
+        bhkOptionsByMicrosite.set(microsite, (await getProjectOptions(microsite)).bhkOptions);
+      }
+      return bhkOptionsByMicrosite.get(microsite);
+    };
+
+    for (const [index, row] of dataRows.entries()) {
+      const rowNumber = index + 1;
+      const { lead: incoming, reason } = await prepareImportRow(row, {
+        headers,
+        mapping,
+        defaultMicrosite,
+        batch,
+        getBhkOptions,
+      });
+
+      if (!incoming) {
+        report.push({ row: rowNumber, status: "rejected", reason });
+        continue;
+      }
+
+      const entry = { row: rowNumber, phone: incoming.phone, microsite: incoming.microsite };
+
+      if (dedupRule.scope !== "off") {
+        const key = dedupRule.scope === "global"
+          ? incoming.phone
+          : `${incoming.phone}|${incoming.microsite}`;
+        if (seen.has(key)) {
+          report.push({
+            ...entry,
+            status: "duplicate",
+            reason: `Same phone as row ${seen.get(key)} in this file`,
+          });
+          continue;
+        }
+        seen.set(key, rowNumber);
+      }
+
+      const duplicate = await findDuplicateLead(leadStore, {
+        phone: incoming.phone,
+        microsite: incoming.microsite,
+      });
+      if (duplicate) {
+        report.push({
+          ...entry,
+          status: "duplicate",
+          reason: "Matches an existing lead",
+          duplicateOf: duplicate.id,
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        report.push({ ...entry, status: "created", leadId: null });
+        continue;
+      }
+
+      let lead = await leadStore.createLead({ ...incoming, leadSource });
+      try {
+        lead = await scoreLead(leadStore, lead);
+        ({ lead } = await autoAssignLead(leadStore, lead, { io: req.io }));
+      } catch (error) {
+        logger.error("Failed to score or assign imported lead", error);
+      }
+
+      await dispatchWebhookEvent("lead.created", {
+        projectIds: [lead.microsite, lead.metadata?.projectId],
+        data: lead,
+      });
+      report.push({ ...entry, status: "created", leadId: lead.id });
+    }
+
+    const summary = { total: report.length, created: 0, duplicate: 0, rejected: 0 };
+    for (const entry of report) {
+      summary[entry.status] += 1;
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? "Dry run complete, nothing was saved" : "Import complete",
+      dryRun,
+      batch,
+      leadSource,
+      mapping: Object.fromEntries(
+        Object.entries(mapping).map(([field, index]) => [field, headers[index]])
+      ),
+      summary,
+      rows: report,
+    });
+  } catch (error) {
+    logger.error("Failed to import leads", error);
+    res.status(500).json({ message: "Failed to import leads" });
+  }
+});
+
 router.get("/", async (req, res) => {
   try {
-    const { microsite, search, startDate, endDate, limit = 50, skip = 0 } =
-      req.query;
+    const { limit = 50, skip = 0 } = req.query;
+    const { filters, status: errorStatus, message } = await parseLeadFilters(req);
+    if (!filters) {
+      return res.status(errorStatus).json({ message });
+    }
+    const { sort, paging, facets: withFacets, error: pagingError } = parseListQuery(
+      req.query,
+      LEAD_SORT_KEYS
+    );
+    if (pagingError) {
+      return res.status(400).json({ message: pagingError });
+    }
+    const { microsite, search, startDate, endDate } = filters;
     
     logger.log("📋 GET /leads request:", {
       microsite,
@@ -240,17 +586,18 @@ router.get("/", async (req, res) => {
         : "All time",
       limit,
       skip,
+      cursor: Boolean(paging.cursor),
     });
     
     const leadStore = await getLeadStore();
-    const { items, total } = await leadStore.listLeads({
-      microsite,
-      search,
-      startDate,
-      endDate,
+    const { items, total, nextCursor } = await leadStore.listLeads({
+      ...filters,
+      ...paging,
+      sort,
       limit,
       skip,
     });
+    const facets = withFacets ? await leadStore.listLeadFacets(filters) : undefined;
 
     logger.log("✅ GET /leads response:", {
       itemsCount: Array.isArray(items) ? items.length : "not an array",
@@ -263,13 +610,405 @@ router.get("/", async (req, res) => {
       } : null,
     });
 
-    res.json({ items, total });
+    const outboxStore = await getOutboxStore();
+    const deliveries = await outboxStore.listDeliveriesForLeads(
+      items.map((lead) => lead.id)
+    );
+    const itemsWithDelivery = items.map((lead) => ({
+      ...lead,
+      crmDelivery: summarizeDeliveries(
+        deliveries.filter((delivery) => String(delivery.leadId) === String(lead.id))
+      ),
+    }));
+
+    res.json({ items: itemsWithDelivery, total, nextCursor, facets });
   } catch (error) {
     logger.error("Failed to list leads", error);
     res.status(500).json({ message: "Failed to list leads" });
   }
 });
 
+// Streams every matching lead (no page limit); must stay above "/:id"
+router.get("/export", requireApiKey, async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `Invalid format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    const { columns, error } = resolveExportColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { filters, status: errorStatus, message } = await parseLeadFilters(req);
+    if (!filters) {
+      return res.status(errorStatus).json({ message });
+    }
+
+    const leadStore = await getLeadStore();
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="leads-${timestamp}.${extension}"`
+    );
+
+    const writeExport = format === "xlsx" ? writeXlsxExport : writeCsvExport;
+    await writeExport(res, leadStore.iterateLeads(filters), columns);
+  } catch (error) {
+    logger.error("Failed to export leads", error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut it off rather than append JSON
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: "Failed to export leads" });
+    }
+  }
+});
+
+router.get("/crm-outbox", requireApiKey, async (req, res) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+    const outboxStore = await getOutboxStore();
+    const { items, total } = await outboxStore.listDeliveries({ status, limit, skip });
+
+    res.json({ items: items.map(toPublicDelivery), total });
+  } catch (error) {
+    logger.error("Failed to list CRM deliveries", error);
+    res.status(500).json({ message: "Failed to list CRM deliveries" });
+  }
+});
+
+router.get("/:id", requireApiKey, async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const activity = await leadStore.listLeadActivity(lead.id);
+    const outboxStore = await getOutboxStore();
+    const deliveries = await outboxStore.listDeliveriesForLeads([lead.id]);
+
+    res.json({
+      lead: { ...lead, crmDelivery: summarizeDeliveries(deliveries) },
+      activity,
+      allowedTransitions: getAllowedTransitions(lead.status || "new"),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch lead", error);
+    res.status(500).json({ message: "Failed to fetch lead" });
+  }
+});
+
+/**
+ * Callback time picked in the widget after hours, for a lead the same visitor
+ * submitted. Saved as metadata.callbackAt with an entry on the timeline.
+ */
+router.post("/:id/callback", async (req, res) => {
+  try {
+    const visitorId = sanitizeVisitorId(req.body.visitorId);
+    if (!visitorId) {
+      return res.status(400).json({ message: "visitorId is required" });
+    }
+
+    const leadStore = await getLeadStore();
+    const existing = await leadStore.getLeadById(req.params.id);
+    if (!existing || !isSubmittedByVisitor(existing, visitorId)) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const { businessHours } = await getProjectOptions(existing.metadata?.projectId || existing.microsite);
+    if (!businessHours) {
+      return res.status(400).json({ message: "Business hours are not set up for this project" });
+    }
+    const { start, error } = findCallbackTime(businessHours, req.body.callbackAt);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const lead = await leadStore.updateLead(existing.id, {
+      metadata: { ...(existing.metadata || {}), callbackAt: start },
+    });
+    const activity = await leadStore.appendLeadActivity(existing.id, {
+      type: "callback_requested",
+      note: `Callback requested for ${formatSlotTime(start, businessHours.timeZone)}`,
+    });
+
+    const eventStore = await getEventStore();
+    await eventStore.recordEvent({
+      type: "callback_requested",
+      projectId: lead.metadata?.projectId || lead.microsite,
+      microsite: lead.microsite,
+      payload: { leadId: lead.id, callbackAt: start },
+    });
+    req.io?.to(lead.microsite).emit("lead:updated", lead);
+    await dispatchWebhookEvent("lead.updated", {
+      projectIds: [lead.microsite, lead.metadata?.projectId],
+      data: { lead, changes: [activity] },
+    });
+
+    res.json({ message: "Callback time saved", callbackAt: start });
+  } catch (error) {
+    logger.error("Failed to save callback time", error);
+    res.status(500).json({ message: "Failed to save callback time" });
+  }
+});
+
+router.patch("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const note =
+      typeof req.body.note === "string" ? sanitizeString(req.body.note) : "";
+    const actor =
+      typeof req.body.actor === "string"
+        ? sanitizeString(req.body.actor).slice(0, 255) || null
+        : null;
+
+    if (status === undefined && !note) {
+      return res
+        .status(400)
+        .json({ message: "Provide a status change and/or a note" });
+    }
+
+    if (status !== undefined && !isValidLeadStatus(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Expected one of: ${LEAD_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        message: `Note must be at most ${MAX_NOTE_LENGTH} characters`,
+      });
+    }
+
+    const leadStore = await getLeadStore();
+    const existing = await leadStore.getLeadById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const fromStatus = existing.status || "new";
+    const statusChanged = status !== undefined && status !== fromStatus;
+
+    if (statusChanged && !canTransition(fromStatus, status)) {
+      return res.status(409).json({
+        message: `Cannot move lead from "${fromStatus}" to "${status}"`,
+        allowedTransitions: getAllowedTransitions(fromStatus),
+      });
+    }
+
+    let lead = existing;
+    const recorded = [];
+
+    if (statusChanged) {
+      lead = await scoreLead(
+        leadStore,
+        await leadStore.updateLead(existing.id, { status })
+      );
+      recorded.push(
+        await leadStore.appendLeadActivity(existing.id, {
+          type: "status_changed",
+          fromStatus,
+          toStatus: status,
+          note: note || null,
+          actor,
+        })
+      );
+
+      req.io?.to(lead.microsite).emit("lead:status", {
+        leadId: lead.id,
+        fromStatus,
+        toStatus: status,
+        lead,
+      });
+    } else if (note) {
+      recorded.push(
+        await leadStore.appendLeadActivity(existing.id, {
+          type: "note",
+          note,
+          actor,
+        })
+      );
+    }
+
+    await dispatchWebhookEvent("lead.updated", {
+      projectIds: [lead.microsite, lead.metadata?.projectId],
+      data: { lead, changes: recorded },
+    });
+
+    const activity = await leadStore.listLeadActivity(existing.id);
+
+    res.json({
+      message: "Lead updated",
+      lead,
+      activity,
+      recorded,
+      allowedTransitions: getAllowedTransitions(lead.status || "new"),
+    });
+  } catch (error) {
+    logger.error("Failed to update lead", error);
+    res.status(500).json({ message: "Failed to update lead" });
+  }
+});
+
+router.post("/:id/merge", requireApiKey, async (req, res) => {
+  try {
+    const sourceId = req.body?.sourceId;
+    const actor =
+      typeof req.body?.actor === "string"
+        ? sanitizeString(req.body.actor).slice(0, 255) || null
+        : null;
+
+    if (sourceId === undefined || sourceId === null || sourceId === "") {
+      return res.status(400).json({ message: "sourceId is required" });
+    }
+
+    if (String(sourceId) === String(req.params.id)) {
+      return res.status(400).json({ message: "Cannot merge a lead into itself" });
+    }
+
+    const leadStore = await getLeadStore();
+    const [target, source] = await Promise.all([
+      leadStore.getLeadById(req.params.id),
+      leadStore.getLeadById(sourceId),
+    ]);
+
+    if (!target || !source) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    let lead = await leadStore.updateLead(target.id, buildMergeUpdates(target, source));
+    lead = await scoreLead(leadStore, lead);
+
+    const sessionStore = await getSessionStore();
+    await sessionStore.reassignChatSessions(source.id, target.id);
+    await leadStore.reassignLeadActivity(source.id, target.id);
+
+    await leadStore.appendLeadActivity(target.id, {
+      type: "merged",
+      note: `Merged lead ${source.id}`,
+      actor,
+    });
+    await leadStore.deleteLead(source.id);
+
+    req.io?.to(lead.microsite).emit("lead:updated", lead);
+    await dispatchWebhookEvent("lead.updated", {
+      projectIds: [lead.microsite, lead.metadata?.projectId],
+      data: { lead, changes: [{ type: "merged", mergedLeadId: source.id }] },
+    });
+
+    res.json({ message: "Leads merged", lead, mergedLeadId: source.id });
+  } catch (error) {
+    logger.error("Failed to merge leads", error);
+    res.status(500).json({ message: "Failed to merge leads" });
+  }
+});
+
+router.post("/:id/assign", requireApiKey, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const actor =
+      typeof body.actor === "string"
+        ? sanitizeString(body.actor).slice(0, 255) || null
+        : null;
+    const note =
+      typeof body.note === "string" ? sanitizeString(body.note).trim() : "";
+
+    if (!body.auto && body.assignee !== null && typeof body.assignee !== "string") {
+      return res.status(400).json({
+        message: "Provide assignee (a username, or null to unassign) or auto: true",
+      });
+    }
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        message: `Note must be at most ${MAX_NOTE_LENGTH} characters`,
+      });
+    }
+
+    const leadStore = await getLeadStore();
+    const existing = await leadStore.getLeadById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    let result;
+    if (body.auto) {
+      result = await autoAssignLead(leadStore, existing, {
+        reassign: true,
+        actor,
+        io: req.io,
+      });
+    } else {
+      const assignee = body.assignee ? body.assignee.trim() : null;
+      if (assignee && !(await listAgentUsernames()).includes(assignee)) {
+        return res.status(400).json({ message: `Unknown user: ${assignee}` });
+      }
+      result = await assignLead(leadStore, existing, assignee, {
+        actor,
+        note: note || null,
+        io: req.io,
+      });
+    }
+
+    const { lead, activity } = result;
+    if (activity) {
+      await dispatchWebhookEvent("lead.updated", {
+        projectIds: [lead.microsite, lead.metadata?.projectId],
+        data: { lead, changes: [activity] },
+      });
+    }
+
+    res.json({
+      message: activity ? "Lead assigned" : "Assignment unchanged",
+      lead,
+      activity,
+    });
+  } catch (error) {
+    logger.error("Failed to assign lead", error);
+    res.status(500).json({ message: "Failed to assign lead" });
+  }
+});
+
+router.post("/:id/crm-retry", requireApiKey, async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const outboxStore = await getOutboxStore();
+    const requeued = await outboxStore.requeueDeliveries(lead.id);
+
+    if (requeued.length > 0) {
+      processCrmOutbox().catch((error) => {
+        logger.error("CRM outbox run failed", error);
+      });
+    }
+
+    res.json({
+      message: requeued.length > 0 ? "CRM delivery requeued" : "No dead-lettered deliveries",
+      requeued: requeued.map(toPublicDelivery),
+    });
+  } catch (error) {
+    logger.error("Failed to requeue CRM delivery", error);
+    res.status(500).json({ message: "Failed to requeue CRM delivery" });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,93 @@
+import express from "express";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeString } from "../utils/sanitize.js";
+import {
+  erasePersonalData,
+  exportPersonalData,
+  listPrivacyAudit,
+} from "../utils/privacy.js";
+
+const router = express.Router();
+
+const AUDIT_ACTIONS = ["export", "erase"];
+
+// Phone numbers travel in the body, never the URL, so they stay out of access logs
+function readRequest(body = {}) {
+  const text = (value, max) =>
+    typeof value === "string" ? sanitizeString(value).slice(0, max) || null : null;
+
+  return {
+    phone: typeof body.phone === "string" ? body.phone : "",
+    actor: text(body.actor, 255),
+    reason: text(body.reason, 1000),
+  };
+}
+
+router.use(requireApiKey);
+
+router.post("/export", async (req, res) => {
+  try {
+    const { phone, actor, reason } = readRequest(req.body);
+    const { bundle, audit, error } = await exportPersonalData(phone, { actor, reason });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ auditId: audit.id, ...bundle });
+  } catch (error) {
+    logger.error("Failed to export personal data", error);
+    res.status(500).json({ message: "Failed to export personal data" });
+  }
+});
+
+router.post("/erase", async (req, res) => {
+  try {
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        message: "Erasure cannot be undone; send confirm: true to proceed",
+      });
+    }
+
+    const { phone, actor, reason } = readRequest(req.body);
+    const { audit, counts, error } = await erasePersonalData(phone, { actor, reason });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({
+      message: counts.leads > 0 || counts.chatSessions > 0
+        ? "Personal data erased"
+        : "No records found for this phone number",
+      counts,
+      audit,
+    });
+  } catch (error) {
+    logger.error("Failed to erase personal data", error);
+    res.status(500).json({ message: "Failed to erase personal data" });
+  }
+});
+
+router.get("/audit", async (req, res) => {
+  try {
+    const { action, limit, skip } = req.query;
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        message: `action must be one of: ${AUDIT_ACTIONS.join(", ")}`,
+      });
+    }
+
+    const { items, total } = await listPrivacyAudit({
+      action,
+      limit: limit ? parseInt(limit, 10) : undefined,
+      skip: skip ? parseInt(skip, 10) : undefined,
+    });
+
+    res.json({ items, total });
+  } catch (error) {
+    logger.error("Failed to list privacy audit log", error);
+    res.status(500).json({ message: "Failed to list privacy audit log" });
+  }
+});
+
+export default router;
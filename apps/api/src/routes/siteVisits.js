@@ -0,0 +1,408 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId, sanitizeString, sanitizeVisitorId } from "../utils/sanitize.js";
+import { canTransition } from "../utils/leadWorkflow.js";
+import { isSubmittedByVisitor } from "../utils/leadDedup.js";
+import { scoreLead } from "../utils/leadScoring.js";
+import { dispatchWebhookEvent } from "../utils/webhookDispatcher.js";
+import {
+  SITE_VISIT_MODES,
+  SITE_VISIT_STATUSES,
+  buildSiteVisitIcs,
+  findSlot,
+  formatSlotTime,
+  isValidDate,
+  listOpenSlots,
+  resolveSiteVisitAvailability,
+  slotRange,
+} from "../utils/siteVisits.js";
+
+const router = express.Router();
+
+const MAX_NOTES_LENGTH = 500;
+const MAX_LISTED_DAYS = 31;
+const SCHEDULED_STATUS = "site-visit-scheduled";
+const SLOT_TAKEN_MESSAGE = "That slot has just been booked. Please pick another time.";
+
+// Helper functions to get the right storage modules
+async function getSiteVisitStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlSiteVisitStore.js");
+  } else {
+    return await import("../storage/siteVisitStore.js");
+  }
+}
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  } else {
+    return await import("../storage/leadStore.js");
+  }
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  } else {
+    return await import("../storage/eventStore.js");
+  }
+}
+
+async function getConfigStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigStore.js");
+  } else {
+    return await import("../storage/widgetConfigStore.js");
+  }
+}
+
+async function loadProject(projectId) {
+  const { getWidgetConfig } = await getConfigStore();
+  const widgetConfig = (await getWidgetConfig(projectId)) || {};
+  return { widgetConfig, availability: resolveSiteVisitAvailability(widgetConfig) };
+}
+
+function buildIcs(visit, widgetConfig) {
+  const propertyInfo = widgetConfig.propertyInfo || widgetConfig.property_info || {};
+  return buildSiteVisitIcs(visit, {
+    projectName: propertyInfo.projectName,
+    location: propertyInfo.location,
+  });
+}
+
+function parseActor(body) {
+  return typeof body.actor === "string" ? sanitizeString(body.actor).slice(0, 255) || null : null;
+}
+
+async function recordSiteVisitEvent(type, visit) {
+  const eventStore = await getEventStore();
+  await eventStore.recordEvent({
+    type,
+    projectId: visit.projectId,
+    microsite: visit.microsite,
+    payload: {
+      siteVisitId: visit.id,
+      leadId: visit.leadId,
+      slotStart: visit.slotStart,
+      mode: visit.mode,
+    },
+  });
+}
+
+/**
+ * Put the visit on the lead: its latest booking (with the invite link) in
+ * metadata.siteVisit, an entry on the timeline and, for a booking, the
+ * "site-visit-scheduled" status when the workflow allows that move.
+ */
+async function attachVisitToLead(req, leadId, visit, { type, note, actor = null }) {
+  const leadStore = await getLeadStore();
+  const existing = await leadStore.getLeadById(leadId);
+  if (!existing) {
+    return null;
+  }
+
+  const fromStatus = existing.status || "new";
+  const moveStatus =
+    type === "site_visit_scheduled" &&
+    fromStatus !== SCHEDULED_STATUS &&
+    canTransition(fromStatus, SCHEDULED_STATUS);
+
+  let lead = await leadStore.updateLead(existing.id, {
+    metadata: {
+      ...(existing.metadata || {}),
+      siteVisit: {
+        id: visit.id,
+        slotStart: visit.slotStart,
+        slotEnd: visit.slotEnd,
+        mode: visit.mode,
+        status: visit.status,
+        icsUrl: `/api/site-visits/${visit.id}/ics`,
+      },
+    },
+    ...(moveStatus && { status: SCHEDULED_STATUS }),
+  });
+
+  const recorded = [await leadStore.appendLeadActivity(existing.id, { type, note, actor })];
+
+  if (moveStatus) {
+    lead = await scoreLead(leadStore, lead);
+    recorded.push(
+      await leadStore.appendLeadActivity(existing.id, {
+        type: "status_changed",
+        fromStatus,
+        toStatus: SCHEDULED_STATUS,
+        actor,
+      })
+    );
+    req.io?.to(lead.microsite).emit("lead:status", {
+      leadId: lead.id,
+      fromStatus,
+      toStatus: SCHEDULED_STATUS,
+      lead,
+    });
+  }
+
+  await dispatchWebhookEvent("lead.updated", {
+    projectIds: [lead.microsite, lead.metadata?.projectId],
+    data: { lead, changes: recorded },
+  });
+
+  return lead;
+}
+
+/**
+ * Open slots for the widget's date/slot picker. `from` (YYYY-MM-DD, project
+ * time zone) and `days` narrow the project's booking window.
+ */
+router.get("/slots", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.query.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Missing or invalid projectId" });
+    }
+
+    const { from } = req.query;
+    if (from !== undefined && !isValidDate(from)) {
+      return res.status(400).json({ message: "from must be a date in YYYY-MM-DD format" });
+    }
+    const days = req.query.days === undefined ? undefined : Number(req.query.days);
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_LISTED_DAYS)) {
+      return res.status(400).json({ message: `days must be a whole number between 1 and ${MAX_LISTED_DAYS}` });
+    }
+
+    const { availability } = await loadProject(projectId);
+    if (!availability) {
+      return res.json({ enabled: false, dates: [] });
+    }
+
+    const siteVisitStore = await getSiteVisitStore();
+    const bookings = await siteVisitStore.listSiteVisits({
+      projectId,
+      status: "scheduled",
+      ...slotRange(availability, { from, days }),
+    });
+
+    res.json({
+      enabled: true,
+      timeZone: availability.timeZone,
+      slotMinutes: availability.slotMinutes,
+      dates: listOpenSlots(availability, bookings, { from, days }),
+    });
+  } catch (error) {
+    logger.error("Failed to list site visit slots", error);
+    res.status(500).json({ message: "Failed to list site visit slots" });
+  }
+});
+
+/**
+ * Book a slot from the widget, against a lead the same visitor submitted.
+ * Responds with the invite as `ics`.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.body.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Missing or invalid projectId" });
+    }
+    const visitorId = sanitizeVisitorId(req.body.visitorId);
+    if (!visitorId || req.body.leadId === undefined || req.body.leadId === null) {
+      return res.status(400).json({ message: "leadId and visitorId are required" });
+    }
+
+    const mode = req.body.mode ?? "in-person";
+    if (!SITE_VISIT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${SITE_VISIT_MODES.join(", ")}` });
+    }
+    const notes = typeof req.body.notes === "string" ? sanitizeString(req.body.notes) : "";
+    if (notes.length > MAX_NOTES_LENGTH) {
+      return res.status(400).json({ message: `notes must be at most ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.body.leadId);
+    if (
+      !lead ||
+      !isSubmittedByVisitor(lead, visitorId) ||
+      ![lead.microsite, lead.metadata?.projectId].includes(projectId)
+    ) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const { widgetConfig, availability } = await loadProject(projectId);
+    if (!availability) {
+      return res.status(400).json({ message: "Site visit booking is not enabled for this project" });
+    }
+
+    const { slot, error } = findSlot(availability, req.body.slotStart);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const siteVisitStore = await getSiteVisitStore();
+    const [booked] = await siteVisitStore.listSiteVisits({
+      projectId,
+      leadId: lead.id,
+      status: "scheduled",
+    });
+    if (booked) {
+      return res.status(409).json({
+        message: "This lead already has a site visit booked",
+        siteVisit: booked,
+      });
+    }
+
+    const visit = await siteVisitStore.bookSiteVisit(
+      {
+        projectId,
+        microsite: lead.microsite,
+        leadId: lead.id,
+        slotStart: slot.start,
+        slotEnd: slot.end,
+        mode,
+        notes: notes || null,
+      },
+      { capacity: availability.capacity }
+    );
+    if (!visit) {
+      return res.status(409).json({ message: SLOT_TAKEN_MESSAGE });
+    }
+
+    await attachVisitToLead(req, lead.id, visit, {
+      type: "site_visit_scheduled",
+      note: `${mode === "virtual" ? "Virtual tour" : "Site visit"} booked for ${formatSlotTime(visit.slotStart, availability.timeZone)}`,
+    });
+    await recordSiteVisitEvent("site_visit_booked", visit);
+
+    res.status(201).json({
+      message: "Site visit booked",
+      siteVisit: visit,
+      ics: buildIcs(visit, widgetConfig),
+    });
+  } catch (error) {
+    logger.error("Failed to book site visit", error);
+    res.status(500).json({ message: "Failed to book site visit" });
+  }
+});
+
+router.get("/", requireApiKey, async (req, res) => {
+  try {
+    const { projectId, leadId, status, from, to } = req.query;
+    if (status !== undefined && !SITE_VISIT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${SITE_VISIT_STATUSES.join(", ")}` });
+    }
+    for (const [key, value] of [["from", from], ["to", to]]) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ message: `${key} must be an ISO 8601 date-time` });
+      }
+    }
+
+    const siteVisitStore = await getSiteVisitStore();
+    const items = await siteVisitStore.listSiteVisits({ projectId, leadId, status, from, to });
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to list site visits", error);
+    res.status(500).json({ message: "Failed to list site visits" });
+  }
+});
+
+router.get("/:id/ics", requireApiKey, async (req, res) => {
+  try {
+    const siteVisitStore = await getSiteVisitStore();
+    const visit = await siteVisitStore.getSiteVisitById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ message: "Site visit not found" });
+    }
+
+    const { widgetConfig } = await loadProject(visit.projectId);
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="site-visit-${visit.id}.ics"`);
+    res.send(buildIcs(visit, widgetConfig));
+  } catch (error) {
+    logger.error("Failed to build site visit invite", error);
+    res.status(500).json({ message: "Failed to build site visit invite" });
+  }
+});
+
+/**
+ * Reschedule ({ slotStart }) or cancel ({ status: "cancelled", reason }) a
+ * visit. Either bumps the invite's SEQUENCE so calendars update the event.
+ */
+router.patch("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { slotStart, status } = req.body;
+    const actor = parseActor(req.body);
+    const reason = typeof req.body.reason === "string" ? sanitizeString(req.body.reason) : "";
+
+    if (status !== undefined && status !== "cancelled") {
+      return res.status(400).json({ message: 'status can only be set to "cancelled"' });
+    }
+    if ((status === undefined) === (slotStart === undefined)) {
+      return res.status(400).json({ message: 'Provide either a new slotStart or status "cancelled"' });
+    }
+    if (reason.length > MAX_NOTES_LENGTH) {
+      return res.status(400).json({ message: `reason must be at most ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    const siteVisitStore = await getSiteVisitStore();
+    const existing = await siteVisitStore.getSiteVisitById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Site visit not found" });
+    }
+    if (existing.status === "cancelled") {
+      return res.status(409).json({ message: "This site visit has been cancelled" });
+    }
+
+    const { widgetConfig, availability } = await loadProject(existing.projectId);
+    const timeZone = availability?.timeZone || "Asia/Kolkata";
+    let visit;
+
+    if (status === "cancelled") {
+      visit = await siteVisitStore.cancelSiteVisit(existing.id, { reason: reason || null });
+      await attachVisitToLead(req, existing.leadId, visit, {
+        type: "site_visit_cancelled",
+        note: [`Site visit on ${formatSlotTime(existing.slotStart, timeZone)} cancelled`, reason]
+          .filter(Boolean)
+          .join(": "),
+        actor,
+      });
+      await recordSiteVisitEvent("site_visit_cancelled", visit);
+    } else {
+      if (!availability) {
+        return res.status(400).json({ message: "Site visit booking is not enabled for this project" });
+      }
+      const { slot, error } = findSlot(availability, slotStart);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      visit = await siteVisitStore.rescheduleSiteVisit(
+        existing.id,
+        { slotStart: slot.start, slotEnd: slot.end },
+        { capacity: availability.capacity }
+      );
+      if (!visit) {
+        return res.status(409).json({ message: SLOT_TAKEN_MESSAGE });
+      }
+      await attachVisitToLead(req, existing.leadId, visit, {
+        type: "site_visit_rescheduled",
+        note: `Site visit moved from ${formatSlotTime(existing.slotStart, timeZone)} to ${formatSlotTime(visit.slotStart, timeZone)}`,
+        actor,
+      });
+      await recordSiteVisitEvent("site_visit_rescheduled", visit);
+    }
+
+    res.json({
+      message: "Site visit updated",
+      siteVisit: visit,
+      ics: buildIcs(visit, widgetConfig),
+    });
+  } catch (error) {
+    logger.error("Failed to update site visit", error);
+    res.status(500).json({ message: "Failed to update site visit" });
+  }
+});
+
+export default router;
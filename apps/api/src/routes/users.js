@@ -3,6 +3,7 @@ import { authLimiter } from "../middleware/authRateLimit.js";
 import { logger } from "../utils/logger.js";
 import { User } from "../models/User.js";
 import { Session } from "../models/Session.js";
+import { createEnvSession, deleteEnvSession, resolveDashboardUser } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -123,9 +124,9 @@ router.post("/auth", authLimiter, async (req, res) => {
     try {
       session = await Session.create(user.id || 1, expiresAt);
     } catch (sessionError) {
-      // If session creation fails, generate token anyway (backward compatibility)
-      logger.warn("Session creation failed, using simple token");
-      const token = require('crypto').randomBytes(32).toString('hex');
+      // Without the sessions table the token is kept in this process only
+      logger.warn("Session creation failed, using an in-process session");
+      const token = createEnvSession(user.username, expiresAt);
       return res.json({
         success: true,
         token,
@@ -166,10 +167,9 @@ router.post("/verify", async (req, res) => {
         });
       }
     } catch (dbError) {
-      // Fallback: just check if username exists (backward compatibility)
-      logger.warn("Database not available, using simple verification");
-      const usersEnv = process.env.DASHBOARD_USERS || "";
-      if (usersEnv.includes(username)) {
+      // Fallback: sessions issued in this process by the env-based login
+      logger.warn("Database not available, checking in-process sessions");
+      if ((await resolveDashboardUser({ token })) === username) {
         return res.json({ valid: true, username });
       }
     }
@@ -187,6 +187,7 @@ router.post("/logout", async (req, res) => {
     const { token } = req.body;
     
     if (token) {
+      deleteEnvSession(token);
       try {
         await Session.deleteByToken(token);
       } catch (error) {
@@ -0,0 +1,225 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId } from "../utils/sanitize.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  sendTestEvent,
+} from "../utils/webhookDispatcher.js";
+
+const router = express.Router();
+
+// Helper function to get the right storage module
+async function getWebhookStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWebhookStore.js");
+  } else {
+    return await import("../storage/webhookStore.js");
+  }
+}
+
+function maskSecret(secret) {
+  if (!secret) {
+    return null;
+  }
+  return `${secret.slice(0, 10)}…${secret.slice(-4)}`;
+}
+
+function toPublicSubscription(subscription) {
+  return { ...subscription, secret: maskSecret(subscription.secret) };
+}
+
+function isValidWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a create/update body. Returns { updates } or { error }.
+ */
+function validateSubscriptionInput(body, { partial = false } = {}) {
+  const updates = {};
+
+  if (body.projectId !== undefined || !partial) {
+    const projectId = body.projectId === "*" ? "*" : sanitizeProjectId(body.projectId);
+    if (!projectId) {
+      return { error: "Missing or invalid projectId (use \"*\" for all projects)" };
+    }
+    updates.projectId = projectId;
+  }
+
+  if (body.url !== undefined || !partial) {
+    if (typeof body.url !== "string" || !isValidWebhookUrl(body.url.trim())) {
+      return { error: "url must be a valid http(s) URL" };
+    }
+    updates.url = body.url.trim();
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (events.length === 0 || unknown.length > 0) {
+      return {
+        error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+    updates.events = events;
+  }
+
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== "string" || body.secret.trim().length < 16) {
+      return { error: "secret must be at least 16 characters" };
+    }
+    updates.secret = body.secret.trim();
+  }
+
+  if (body.active !== undefined) {
+    updates.active = Boolean(body.active);
+  }
+
+  return { updates };
+}
+
+router.use(requireApiKey);
+
+router.get("/events", (_req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const subscriptions = await webhookStore.listSubscriptions({
+      projectId: req.query.projectId,
+    });
+
+    res.json({ items: subscriptions.map(toPublicSubscription), total: subscriptions.length });
+  } catch (error) {
+    logger.error("Failed to list webhooks", error);
+    res.status(500).json({ message: "Failed to list webhooks" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { updates, error } = validateSubscriptionInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhookStore = await getWebhookStore();
+    const subscription = await webhookStore.createSubscription({
+      ...updates,
+      secret: updates.secret || generateWebhookSecret(),
+      active: updates.active ?? true,
+    });
+
+    // The full secret is only returned once, on creation
+    res.status(201).json({ message: "Webhook created", webhook: subscription });
+  } catch (error) {
+    logger.error("Failed to create webhook", error);
+    res.status(500).json({ message: "Failed to create webhook" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const subscription = await webhookStore.getSubscriptionById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    res.json({ webhook: toPublicSubscription(subscription) });
+  } catch (error) {
+    logger.error("Failed to fetch webhook", error);
+    res.status(500).json({ message: "Failed to fetch webhook" });
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    const { updates, error } = validateSubscriptionInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhookStore = await getWebhookStore();
+    const existing = await webhookStore.getSubscriptionById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const subscription = await webhookStore.updateSubscription(existing.id, updates);
+    res.json({ message: "Webhook updated", webhook: toPublicSubscription(subscription) });
+  } catch (error) {
+    logger.error("Failed to update webhook", error);
+    res.status(500).json({ message: "Failed to update webhook" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const existing = await webhookStore.getSubscriptionById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    await webhookStore.deleteSubscription(existing.id);
+    res.json({ message: "Webhook deleted" });
+  } catch (error) {
+    logger.error("Failed to delete webhook", error);
+    res.status(500).json({ message: "Failed to delete webhook" });
+  }
+});
+
+router.post("/:id/test", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const subscription = await webhookStore.getSubscriptionById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const delivery = await sendTestEvent(subscription);
+
+    res.json({
+      message: delivery?.status === "delivered" ? "Test event delivered" : "Test event failed",
+      delivery,
+    });
+  } catch (error) {
+    logger.error("Failed to send test webhook", error);
+    res.status(500).json({ message: "Failed to send test webhook" });
+  }
+});
+
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+    const webhookStore = await getWebhookStore();
+    const { items, total } = await webhookStore.listDeliveries({
+      subscriptionId: req.params.id,
+      status,
+      limit,
+      skip,
+    });
+
+    res.json({ items, total });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", error);
+    res.status(500).json({ message: "Failed to list webhook deliveries" });
+  }
+});
+
+export default router;
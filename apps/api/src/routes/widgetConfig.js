@@ -1,10 +1,23 @@
 import express from "express";
 import { config } from "../config.js";
-import { requireApiKey } from "../middleware/auth.js";
+import { getDashboardCredentials, requireApiKey, resolveDashboardUser } from "../middleware/auth.js";
 import { logger } from "../utils/logger.js";
+import { sanitizeString } from "../utils/sanitize.js";
+import { validateAiSettings } from "../utils/chatResponder.js";
+import { validateWidgetTranslations } from "../utils/language.js";
+import { validateSiteVisitAvailability } from "../utils/siteVisits.js";
+import { validateBhkOptions, validateCtaOptions } from "../utils/widgetOptions.js";
+import { validateTargeting } from "../utils/widgetTargeting.js";
+import { getBusinessStatus, resolveBusinessHours, validateBusinessHours } from "../utils/businessHours.js";
+import { diffConfigs, snapshotConfig } from "../utils/widgetConfigVersions.js";
+import { EXPERIMENT_FUNNEL, buildExperimentReport, validateExperiments } from "../utils/experiments.js";
 
 const router = express.Router();
 
+// scripted: typed text starts the CTA flow; conversational: typed text goes to
+// /api/chat; hybrid: CTA buttons plus /api/chat for typed questions
+const CHAT_MODES = ["scripted", "conversational", "hybrid"];
+
 // Helper function to get the right storage module
 async function getConfigStore() {
   if (config.dataStore === "mysql") {
@@ -33,10 +46,83 @@ async function getConfigStore() {
   }
 }
 
-router.get("/:projectId", async (req, res) => {
+async function getVersionStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigVersionStore.js");
+  } else {
+    return await import("../storage/widgetConfigVersionStore.js");
+  }
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  } else {
+    return await import("../storage/eventStore.js");
+  }
+}
+
+async function invalidateCache(projectId) {
+  try {
+    const { invalidateConfigCache } = await import("../storage/redisCache.js");
+    await invalidateConfigCache(projectId);
+  } catch (error) {
+    // Redis not available
+  }
+}
+
+// Signed-in dashboard user, else the updatedBy sent with the request
+async function resolveAuthor(req) {
+  const dashboardUser = await resolveDashboardUser(getDashboardCredentials(req));
+  const updatedBy = typeof req.body?.updatedBy === "string" ? sanitizeString(req.body.updatedBy).slice(0, 255) : null;
+  return dashboardUser || updatedBy || null;
+}
+
+// Open/closed right now, so the widget can render its after-hours variant.
+// Computed per request; the cached config only holds the hours themselves.
+function withBusinessStatus(widgetConfig) {
+  const hours = resolveBusinessHours(widgetConfig);
+  return { ...widgetConfig, businessStatus: hours ? getBusinessStatus(hours) : null };
+}
+
+// ?version=N is for the dashboard (API key); ?preview=<token> lets a microsite load a draft
+function requireApiKeyForVersion(req, res, next) {
+  if (req.query.version !== undefined) {
+    return requireApiKey(req, res, next);
+  }
+  next();
+}
+
+async function sendVersionPreview(req, res) {
+  const { projectId } = req.params;
+  const versionStore = await getVersionStore();
+  const version =
+    req.query.version !== undefined
+      ? await versionStore.getConfigVersion(projectId, req.query.version)
+      : await versionStore.getConfigVersionByPreviewToken(String(req.query.preview));
+
+  if (!version || version.projectId !== projectId) {
+    return res.status(404).json({ message: "Config version not found" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json(withBusinessStatus({
+    projectId,
+    ...snapshotConfig(version.config),
+    propertyInfo: version.config.propertyInfo || {},
+    version: version.version,
+    versionStatus: version.status,
+  }));
+}
+
+router.get("/:projectId", requireApiKeyForVersion, async (req, res) => {
   const { projectId } = req.params;
   
   try {
+    if (req.query.version !== undefined || req.query.preview !== undefined) {
+      return await sendVersionPreview(req, res);
+    }
+
     let config = null;
     try {
       const { getCachedConfig } = await import("../storage/redisCache.js");
@@ -72,11 +158,20 @@ router.get("/:projectId", async (req, res) => {
         autoOpenDelayMs: config.auto_open_delay_ms || config.autoOpenDelayMs,
         welcomeMessage: config.welcome_message || config.welcomeMessage,
         propertyInfo: config.property_info || config.propertyInfo || {},
+        aiChat: config.ai_chat || config.aiChat || null,
+        chatMode: config.chat_mode || config.chatMode || "scripted",
+        translations: config.translations || null,
+        siteVisits: config.site_visits || config.siteVisits || null,
+        ctaOptions: config.cta_options || config.ctaOptions || null,
+        bhkOptions: config.bhk_options || config.bhkOptions || null,
+        experiments: config.experiments || null,
+        targeting: config.targeting || null,
+        businessHours: config.business_hours || config.businessHours || null,
       };
-      return res.json(camelCaseConfig);
+      return res.json(withBusinessStatus(camelCaseConfig));
     }
 
-    res.json(config || {});
+    res.json(withBusinessStatus(config || {}));
   } catch (error) {
     logger.error("Failed to fetch widget config", error);
     res.status(200).json({
@@ -97,22 +192,127 @@ router.get("/:projectId", async (req, res) => {
   }
 });
 
+function validateConfigUpdate(update) {
+  if (update?.aiChat !== undefined) {
+    const aiChatError = validateAiSettings(update.aiChat);
+    if (aiChatError) {
+      return aiChatError;
+    }
+  }
+
+  if (update?.chatMode !== undefined && !CHAT_MODES.includes(update.chatMode)) {
+    return `chatMode must be one of: ${CHAT_MODES.join(", ")}`;
+  }
+
+  if (update?.translations !== undefined) {
+    const translationsError = validateWidgetTranslations(update.translations);
+    if (translationsError) {
+      return translationsError;
+    }
+  }
+
+  if (update?.siteVisits !== undefined) {
+    const siteVisitsError = validateSiteVisitAvailability(update.siteVisits);
+    if (siteVisitsError) {
+      return siteVisitsError;
+    }
+  }
+
+  if (update?.ctaOptions !== undefined) {
+    const ctaOptionsError = validateCtaOptions(update.ctaOptions);
+    if (ctaOptionsError) {
+      return ctaOptionsError;
+    }
+  }
+
+  if (update?.bhkOptions !== undefined) {
+    const bhkOptionsError = validateBhkOptions(update.bhkOptions);
+    if (bhkOptionsError) {
+      return bhkOptionsError;
+    }
+  }
+
+  if (update?.targeting !== undefined) {
+    const targetingError = validateTargeting(update.targeting);
+    if (targetingError) {
+      return targetingError;
+    }
+  }
+
+  if (update?.businessHours !== undefined) {
+    // After-hours translations and CTAs are checked like the fields they replace
+    const businessHoursError = validateBusinessHours(update.businessHours, validateConfigUpdate);
+    if (businessHoursError) {
+      return businessHoursError;
+    }
+  }
+
+  if (update?.experiments !== undefined) {
+    // Variant overrides are checked like the config fields they replace
+    const experimentsError = validateExperiments(update.experiments, validateConfigUpdate);
+    if (experimentsError) {
+      return experimentsError;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy a version into the live config and mark it published. Snapshots saved
+ * before the theme defaults were resolved are re-snapshotted on the way in.
+ */
+async function publishVersion(projectId, version, publishedBy) {
+  const { updateWidgetConfig } = await getConfigStore();
+  const liveConfig = await updateWidgetConfig(projectId, { ...snapshotConfig(version.config), updatedBy: publishedBy });
+  const versionStore = await getVersionStore();
+  const published = await versionStore.publishConfigVersion(projectId, version.version, { publishedBy });
+  await invalidateCache(projectId);
+  return { version: published, config: liveConfig };
+}
+
+/**
+ * Save changes as a new draft version. The draft builds on the newest version,
+ * so consecutive saves accumulate; nothing goes live until it is published.
+ * A project's first save also records the current live config as version 1.
+ */
 router.post("/:projectId", requireApiKey, async (req, res) => {
   try {
     const { projectId } = req.params;
     const update = req.body;
 
-    const { updateWidgetConfig } = await getConfigStore();
-    const updatedConfig = await updateWidgetConfig(projectId, update);
-    
-    try {
-      const { invalidateConfigCache } = await import("../storage/redisCache.js");
-      await invalidateConfigCache(projectId);
-    } catch (error) {
-      // Redis not available
+    const validationError = validateConfigUpdate(update);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
-    
-    res.json(updatedConfig);
+
+    const author = await resolveAuthor(req);
+    const versionStore = await getVersionStore();
+    let [latest] = await versionStore.listConfigVersions(projectId);
+    if (!latest) {
+      const { getWidgetConfig } = await getConfigStore();
+      const liveConfig = await getWidgetConfig(projectId);
+      latest = await versionStore.createConfigVersion({
+        projectId,
+        config: snapshotConfig(liveConfig),
+        status: "published",
+        createdBy: liveConfig.updatedBy || liveConfig.updated_by || null,
+      });
+    }
+
+    const draftConfig = snapshotConfig({ ...latest.config, ...update });
+    const diff = diffConfigs(latest.config, draftConfig);
+    if (diff.length === 0) {
+      return res.json({ message: "No changes to save", version: latest });
+    }
+
+    const version = await versionStore.createConfigVersion({
+      projectId,
+      config: draftConfig,
+      diff,
+      createdBy: author,
+    });
+    res.status(201).json({ message: "Draft saved", version });
   } catch (error) {
     logger.error("Failed to update widget config", error);
     const isDevelopment = process.env.NODE_ENV !== 'production';
@@ -124,4 +324,116 @@ router.post("/:projectId", requireApiKey, async (req, res) => {
   }
 });
 
+router.get("/:projectId/versions", requireApiKey, async (req, res) => {
+  try {
+    const versionStore = await getVersionStore();
+    const items = await versionStore.listConfigVersions(req.params.projectId);
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to list widget config versions", error);
+    res.status(500).json({ message: "Failed to list widget config versions" });
+  }
+});
+
+router.get("/:projectId/versions/:version", requireApiKey, async (req, res) => {
+  try {
+    const versionStore = await getVersionStore();
+    const version = await versionStore.getConfigVersion(req.params.projectId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ message: "Config version not found" });
+    }
+    res.json(version);
+  } catch (error) {
+    logger.error("Failed to fetch widget config version", error);
+    res.status(500).json({ message: "Failed to fetch widget config version" });
+  }
+});
+
+router.post("/:projectId/versions/:version/publish", requireApiKey, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const versionStore = await getVersionStore();
+    const version = await versionStore.getConfigVersion(projectId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ message: "Config version not found" });
+    }
+    if (version.status === "published") {
+      return res.status(409).json({ message: `Version ${version.version} is already live` });
+    }
+
+    const result = await publishVersion(projectId, version, await resolveAuthor(req));
+    res.json({ message: `Version ${version.version} published`, ...result });
+  } catch (error) {
+    logger.error("Failed to publish widget config version", error);
+    res.status(500).json({ message: "Failed to publish widget config version" });
+  }
+});
+
+/**
+ * Restore an earlier version: its snapshot is saved as a new version and
+ * published straight away, so the history itself is never rewritten.
+ */
+router.post("/:projectId/versions/:version/rollback", requireApiKey, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const versionStore = await getVersionStore();
+    const target = await versionStore.getConfigVersion(projectId, req.params.version);
+    if (!target) {
+      return res.status(404).json({ message: "Config version not found" });
+    }
+
+    const versions = await versionStore.listConfigVersions(projectId);
+    const live = versions.find((item) => item.status === "published");
+    if (live?.version === target.version) {
+      return res.status(409).json({ message: `Version ${target.version} is already live` });
+    }
+
+    const author = await resolveAuthor(req);
+    const restoredConfig = snapshotConfig(target.config);
+    const version = await versionStore.createConfigVersion({
+      projectId,
+      config: restoredConfig,
+      diff: diffConfigs(live?.config || {}, restoredConfig),
+      rolledBackFrom: target.version,
+      createdBy: author,
+    });
+    const result = await publishVersion(projectId, version, author);
+    res.status(201).json({ message: `Rolled back to version ${target.version}`, ...result });
+  } catch (error) {
+    logger.error("Failed to roll back widget config", error);
+    res.status(500).json({ message: "Failed to roll back widget config" });
+  }
+});
+
+/**
+ * Shown -> started -> lead funnel per variant, with each variant's lead rate
+ * tested against the control. The experiment is looked up in the live config,
+ * then in saved versions so finished experiments can still be reported.
+ */
+router.get("/:projectId/experiments/:experimentId/report", requireApiKey, async (req, res) => {
+  try {
+    const { projectId, experimentId } = req.params;
+    const { getWidgetConfig } = await getConfigStore();
+    const liveConfig = await getWidgetConfig(projectId);
+    const versionStore = await getVersionStore();
+    const versions = await versionStore.listConfigVersions(projectId);
+    const experiment = [liveConfig, ...versions.map((version) => version.config)]
+      .flatMap((item) => (Array.isArray(item?.experiments) ? item.experiments : []))
+      .find((item) => item.id === experimentId);
+    if (!experiment) {
+      return res.status(404).json({ message: "Experiment not found" });
+    }
+
+    const eventStore = await getEventStore();
+    const counts = await eventStore.countExperimentFunnel(
+      experimentId,
+      EXPERIMENT_FUNNEL.map((step) => step.event)
+    );
+    res.json(buildExperimentReport(experiment, counts));
+  } catch (error) {
+    logger.error("Failed to build experiment report", error);
+    res.status(500).json({ message: "Failed to build experiment report" });
+  }
+});
+
 export default router;
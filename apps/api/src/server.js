@@ -12,6 +12,17 @@ import chatSessionsRouter from "./routes/chatSessions.js";
 import chatRouter from "./routes/chat.js";
 import usersRouter from "./routes/users.js";
 import uploadRouter from "./routes/upload.js";
+import webhooksRouter from "./routes/webhooks.js";
+import leadScoringRouter from "./routes/leadScoring.js";
+import chatIntentsRouter from "./routes/chatIntents.js";
+import knowledgeBaseRouter from "./routes/knowledgeBase.js";
+import agentTeamsRouter from "./routes/agentTeams.js";
+import privacyRouter from "./routes/privacy.js";
+import siteVisitsRouter from "./routes/siteVisits.js";
+import documentsRouter from "./routes/documents.js";
+import { resolveDashboardUser } from "./middleware/auth.js";
+import { getAgentRoom } from "./utils/leadAssignment.js";
+import { attachLiveChat } from "./utils/liveChat.js";
 
 function expandAllowedOrigins(origins) {
   const expanded = new Set(origins);
@@ -252,13 +263,13 @@ async function bootstrap() {
             callback(null, true);
           },
           credentials: false, // Must be false when using wildcard origin
-          methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+          methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
           allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
         }
       : {
           origin: expandedOrigins,
           credentials: true,
-          methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+          methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
           allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
         };
 
@@ -273,8 +284,8 @@ async function bootstrap() {
     } else {
       res.header('Access-Control-Allow-Origin', '*');
     }
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key, X-Session-Token');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
     res.status(200).end();
   });
@@ -293,8 +304,8 @@ async function bootstrap() {
           res.header('Access-Control-Allow-Origin', '*');
         }
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key, X-Session-Token');
       next();
     });
 
@@ -323,6 +334,19 @@ async function bootstrap() {
         if (microsite) {
           socket.join(microsite);
         }
+
+        // Signed-in dashboards also join their agent room for assignment events
+        const { token } = socket.handshake.auth || {};
+        const agentLookup = token
+          ? resolveDashboardUser({ token }).catch(() => null)
+          : Promise.resolve(null);
+        agentLookup.then((agent) => {
+          if (agent) {
+            socket.join(getAgentRoom(agent));
+          }
+        });
+
+        attachLiveChat(io, socket, agentLookup);
       });
     }
 
@@ -348,6 +372,14 @@ async function bootstrap() {
     app.use("/api/chat", chatRouter);
     app.use("/api/users", usersRouter);
     app.use("/api/upload", uploadRouter);
+    app.use("/api/webhooks", webhooksRouter);
+    app.use("/api/lead-scoring", leadScoringRouter);
+    app.use("/api/chat-intents", chatIntentsRouter);
+    app.use("/api/knowledge-base", knowledgeBaseRouter);
+    app.use("/api/agent-teams", agentTeamsRouter);
+    app.use("/api/privacy", privacyRouter);
+    app.use("/api/site-visits", siteVisitsRouter);
+    app.use("/api/documents", documentsRouter);
     
     try {
       const { getHealthCheck, getMonitoringStats } = await import('./middleware/monitoring.js');
@@ -374,7 +406,13 @@ async function bootstrap() {
             events: "/api/events",
             chatSessions: "/api/chat-sessions",
             users: "/api/users",
-            upload: "/api/upload"
+            upload: "/api/upload",
+            webhooks: "/api/webhooks",
+            leadScoring: "/api/lead-scoring/:projectId",
+            chatIntents: "/api/chat-intents/:projectId",
+            knowledgeBase: "/api/knowledge-base/:projectId",
+            agentTeams: "/api/agent-teams",
+            privacy: "/api/privacy"
           }
         });
       });
@@ -500,8 +538,8 @@ async function bootstrap() {
       } else {
         res.header('Access-Control-Allow-Origin', '*');
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key, X-Session-Token');
       
       res.status(err.status || 500).json({
         error: err.message || "Internal Server Error",
@@ -521,8 +559,8 @@ async function bootstrap() {
       } else {
         res.header('Access-Control-Allow-Origin', '*');
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key, X-Session-Token');
       
       res.status(404).json({
         error: "Not Found",
@@ -538,6 +576,25 @@ async function bootstrap() {
       logger.log(`   Local:   http://localhost:${config.port}`);
       logger.log(`   Network: http://127.0.0.1:${config.port}`);
     });
+
+    try {
+      const { startCrmOutboxWorker } = await import('./utils/crmForwarder.js');
+      startCrmOutboxWorker();
+      if (config.crm.targets.length > 0) {
+        logger.log(`✅ CRM forwarding enabled for ${config.crm.targets.length} target(s)`);
+      } else {
+        logger.log('ℹ️  CRM forwarding disabled (CRM_TARGETS=none)');
+      }
+    } catch (error) {
+      logger.warn('⚠️  CRM outbox worker not available');
+    }
+
+    try {
+      const { startWebhookWorker } = await import('./utils/webhookDispatcher.js');
+      startWebhookWorker();
+    } catch (error) {
+      logger.warn('⚠️  Webhook worker not available');
+    }
     
     // Handle server errors
     server.on('error', (error) => {
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "agent-teams.json";
+const DEFAULT_STORE = { teams: [] };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.teams = store.teams || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function createTeam({
+  name,
+  projectIds = [],
+  members = [],
+  strategy = "round-robin",
+  matchRules = null,
+  priority = 0,
+  active = true,
+}) {
+  const now = new Date().toISOString();
+  const team = {
+    id: crypto.randomUUID(),
+    name,
+    projectIds,
+    members,
+    strategy,
+    matchRules,
+    priority,
+    lastAssignee: null,
+    active,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.teams = [team, ...store.teams];
+  await saveStore(store);
+  return team;
+}
+
+export async function listTeams({ projectId } = {}) {
+  const store = await loadStore();
+  if (!projectId) {
+    return store.teams;
+  }
+  return store.teams.filter((team) => team.projectIds.includes(projectId));
+}
+
+export async function getTeamById(id) {
+  const store = await loadStore();
+  return store.teams.find((team) => String(team.id) === String(id)) || null;
+}
+
+export async function updateTeam(id, updates) {
+  const store = await loadStore();
+  const index = store.teams.findIndex((team) => String(team.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = [
+    "name",
+    "projectIds",
+    "members",
+    "strategy",
+    "matchRules",
+    "priority",
+    "lastAssignee",
+    "active",
+  ];
+  const changes = {};
+  for (const key of allowed) {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  }
+
+  store.teams[index] = {
+    ...store.teams[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.teams[index];
+}
+
+export async function deleteTeam(id) {
+  const store = await loadStore();
+  store.teams = store.teams.filter((team) => String(team.id) !== String(id));
+  await saveStore(store);
+  return true;
+}
+
+/**
+ * Active teams serving a project (projectIds containing "*" serve every project)
+ */
+export async function findTeamsForProject(projectIds = []) {
+  const store = await loadStore();
+  return store.teams.filter(
+    (team) =>
+      team.active &&
+      team.members.length > 0 &&
+      team.projectIds.some((id) => id === "*" || projectIds.includes(id))
+  );
+}
+
+/**
+ * Move the team's round-robin pointer from `previous` to `next`.
+ * Returns false when another assignment moved it first.
+ */
+export async function advanceRoundRobin(id, previous, next) {
+  const store = await loadStore();
+  const team = store.teams.find((item) => String(item.id) === String(id));
+
+  if (!team || (team.lastAssignee || null) !== (previous || null)) {
+    return false;
+  }
+
+  team.lastAssignee = next;
+  team.updatedAt = new Date().toISOString();
+  await saveStore(store);
+  return true;
+}
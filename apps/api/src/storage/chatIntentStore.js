@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "chat-intents.json";
+const DEFAULT_STORE = { projects: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function getChatIntents(projectId) {
+  const store = await loadStore();
+  return store.projects.find((item) => item.projectId === projectId) || null;
+}
+
+export async function upsertChatIntents(projectId, overrides, updatedBy = null) {
+  const store = await loadStore();
+  const timestamp = new Date().toISOString();
+  const index = store.projects.findIndex((item) => item.projectId === projectId);
+
+  if (index === -1) {
+    const entry = {
+      id: crypto.randomUUID(),
+      projectId,
+      overrides,
+      updatedBy,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+    store.projects.push(entry);
+    await saveStore(store);
+    return entry;
+  }
+
+  store.projects[index] = {
+    ...store.projects[index],
+    overrides,
+    updatedBy,
+    updatedAt: timestamp,
+  };
+  await saveStore(store);
+  return store.projects[index];
+}
+
+export async function deleteChatIntents(projectId) {
+  const store = await loadStore();
+  store.projects = store.projects.filter((item) => item.projectId !== projectId);
+  await saveStore(store);
+  return true;
+}
@@ -1,5 +1,7 @@
 import crypto from "crypto";
 import { readJson, writeJson } from "./fileStore.js";
+import { getLeadsByIds } from "./leadStore.js";
+import { DEFAULT_SORT, compareKeys, countFacets, encodeCursor } from "../utils/pagination.js";
 
 const FILE_NAME = "chat-sessions.json";
 const DEFAULT_STORE = { sessions: [] };
@@ -15,22 +17,26 @@ async function saveStore(store) {
 export async function createChatSession({
   microsite,
   projectId,
+  visitorId = null,
   leadId,
   phone,
   bhkType,
   conversation = [],
   metadata = {},
+  location,
 }) {
   const now = new Date().toISOString();
   const session = {
     id: crypto.randomUUID(),
     microsite,
     projectId: projectId || microsite,
+    visitorId,
     leadId,
     phone,
     bhkType,
     conversation,
     metadata,
+    ...(location !== undefined && { location }),
     createdAt: now,
     updatedAt: now,
   };
@@ -42,14 +48,45 @@ export async function createChatSession({
   return session;
 }
 
-export async function listChatSessions({
-  microsite,
-  leadId,
-  limit = 50,
-  skip = 0,
-} = {}) {
-  const store = await loadStore();
-  let collection = store.sessions;
+const createdAtTime = (session) => new Date(session.createdAt).getTime() || 0;
+const sessionKey = (session) => [createdAtTime(session), session.id];
+const visitor = (session) => session.metadata?.visitor || {};
+
+// Exact-match filters that are also offered as facets. status and assignee come
+// from the linked lead (attached as session.lead while filtering).
+const SESSION_FIELD_FILTERS = {
+  status: (session) => session.lead?.status || (session.lead ? "new" : null),
+  bhkType: (session) => session.bhkType,
+  utmSource: (session) => visitor(session).utm?.source,
+  utmMedium: (session) => visitor(session).utm?.medium,
+  utmCampaign: (session) => visitor(session).utm?.campaign,
+  phoneCountry: (session) => session.metadata?.phoneCountryCode,
+  city: (session) => visitor(session).location?.city ?? session.location?.city,
+  assignee: (session) => session.lead?.assignedTo || "unassigned",
+};
+
+export const SESSION_FACETS = Object.keys(SESSION_FIELD_FILTERS);
+
+async function withLeads(sessions) {
+  const leads = await getLeadsByIds(
+    [...new Set(sessions.map((session) => session.leadId).filter(Boolean))]
+  );
+  const byId = new Map(leads.map((lead) => [String(lead.id), lead]));
+  return sessions.map((session) => ({
+    ...session,
+    lead: byId.get(String(session.leadId)) || null,
+  }));
+}
+
+function needsLeads(filters) {
+  return Boolean(filters.status || filters.assignee);
+}
+
+/**
+ * `omit` skips one field filter, so a facet counts its own alternatives
+ */
+function filterChatSessions(sessions, { microsite, leadId, visitorId, converted, ...fields } = {}, { omit } = {}) {
+  let collection = sessions;
 
   if (microsite) {
     collection = collection.filter((session) => session.microsite === microsite);
@@ -59,10 +96,147 @@ export async function listChatSessions({
     collection = collection.filter((session) => session.leadId === leadId);
   }
 
+  if (visitorId) {
+    collection = collection.filter((session) => session.visitorId === visitorId);
+  }
+
+  // Sessions that never reached a lead are the drop-offs
+  if (converted !== undefined) {
+    collection = collection.filter((session) => Boolean(session.leadId) === converted);
+  }
+
+  for (const [field, getValue] of Object.entries(SESSION_FIELD_FILTERS)) {
+    if (fields[field] && field !== omit) {
+      collection = collection.filter((session) => getValue(session) === fields[field]);
+    }
+  }
+
+  return collection;
+}
+
+/**
+ * Newest first. Pass `cursor` (a decoded key from a previous nextCursor) instead
+ * of `skip` to page by keyset.
+ */
+export async function listChatSessions({
+  limit = 50,
+  skip = 0,
+  cursor = null,
+  withTotal,
+  ...filters
+} = {}) {
+  const store = await loadStore();
+  const sessions = needsLeads(filters) ? await withLeads(store.sessions) : store.sessions;
+  let collection = filterChatSessions(sessions, filters).sort(
+    (a, b) => compareKeys(sessionKey(b), sessionKey(a))
+  );
+
   const total = collection.length;
-  const items = collection.slice(Number(skip), Number(skip) + Number(limit));
+  if (cursor) {
+    collection = collection.filter((session) => compareKeys(sessionKey(session), cursor) < 0);
+  } else {
+    collection = collection.slice(Number(skip));
+  }
 
-  return { items, total };
+  const items = collection
+    .slice(0, Number(limit))
+    .map(({ lead, ...session }) => session);
+  const nextCursor = collection.length > items.length && items.length > 0
+    ? encodeCursor(DEFAULT_SORT, sessionKey(items[items.length - 1]))
+    : null;
+
+  return { items, total, nextCursor };
 }
 
+/**
+ * Counts per value for each SESSION_FACETS field, with every other filter applied
+ */
+export async function listChatSessionFacets(filters = {}) {
+  const store = await loadStore();
+  const sessions = await withLeads(store.sessions);
+  const facets = {};
+
+  for (const facet of SESSION_FACETS) {
+    const collection = filterChatSessions(sessions, filters, { omit: facet });
+    Object.assign(facets, countFacets(collection, { [facet]: SESSION_FIELD_FILTERS[facet] }));
+  }
 
+  return facets;
+}
+
+/**
+ * Sessions linked to any of the lead ids or captured with the given phone
+ */
+export async function findChatSessions({ leadIds = [], phones = [] } = {}) {
+  const wantedLeads = new Set(leadIds.map(String));
+  const store = await loadStore();
+
+  return store.sessions.filter(
+    (session) =>
+      (session.leadId && wantedLeads.has(String(session.leadId))) ||
+      (session.phone && phones.includes(session.phone))
+  );
+}
+
+export async function getChatSessionById(id) {
+  const store = await loadStore();
+  return store.sessions.find((session) => String(session.id) === String(id)) || null;
+}
+
+export async function appendChatSessionMessages(id, messages) {
+  const store = await loadStore();
+  const index = store.sessions.findIndex((session) => String(session.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  store.sessions[index] = {
+    ...store.sessions[index],
+    conversation: [...(store.sessions[index].conversation || []), ...messages],
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.sessions[index];
+}
+
+export async function updateChatSession(id, updates) {
+  const store = await loadStore();
+  const index = store.sessions.findIndex((session) => String(session.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["leadId", "phone", "bhkType", "conversation", "metadata", "location"];
+  const changes = {};
+  for (const key of allowed) {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  }
+
+  store.sessions[index] = {
+    ...store.sessions[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.sessions[index];
+}
+
+export async function reassignChatSessions(fromLeadId, toLeadId) {
+  const store = await loadStore();
+  let moved = 0;
+
+  store.sessions = store.sessions.map((session) => {
+    if (String(session.leadId) !== String(fromLeadId)) {
+      return session;
+    }
+    moved += 1;
+    return { ...session, leadId: toLeadId, updatedAt: new Date().toISOString() };
+  });
+
+  await saveStore(store);
+  return moved;
+}
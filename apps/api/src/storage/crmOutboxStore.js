@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "crm-outbox.json";
+const DEFAULT_STORE = { deliveries: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function enqueueDeliveries(leadId, targets, payload) {
+  const now = new Date().toISOString();
+  const deliveries = targets.map((target) => ({
+    id: crypto.randomUUID(),
+    leadId,
+    target: target.name,
+    url: target.url,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedAt: null,
+    lastStatusCode: null,
+    lastError: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  }));
+
+  const store = await loadStore();
+  store.deliveries = [...deliveries, ...store.deliveries];
+  await saveStore(store);
+  return deliveries;
+}
+
+export async function listDueDeliveries({ now = new Date(), staleLockMs, limit = 20 } = {}) {
+  const store = await loadStore();
+  const nowMs = now.getTime();
+
+  return store.deliveries
+    .filter((delivery) => {
+      if (delivery.status === "pending") {
+        return new Date(delivery.nextAttemptAt).getTime() <= nowMs;
+      }
+      // A delivery stuck in "processing" means the process died mid-send
+      return (
+        delivery.status === "processing" &&
+        delivery.lockedAt &&
+        nowMs - new Date(delivery.lockedAt).getTime() > staleLockMs
+      );
+    })
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+    .slice(0, limit);
+}
+
+export async function claimDelivery(id) {
+  const store = await loadStore();
+  const delivery = store.deliveries.find((item) => item.id === id);
+
+  if (!delivery || delivery.status === "delivered" || delivery.status === "dead") {
+    return null;
+  }
+
+  delivery.status = "processing";
+  delivery.lockedAt = new Date().toISOString();
+  delivery.updatedAt = delivery.lockedAt;
+  await saveStore(store);
+  return delivery;
+}
+
+export async function updateDelivery(id, updates) {
+  const store = await loadStore();
+  const index = store.deliveries.findIndex((item) => item.id === id);
+
+  if (index === -1) {
+    return null;
+  }
+
+  store.deliveries[index] = {
+    ...store.deliveries[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.deliveries[index];
+}
+
+export async function listDeliveriesForLeads(leadIds = []) {
+  const wanted = new Set(leadIds.map((id) => String(id)));
+  const store = await loadStore();
+  return store.deliveries.filter((delivery) => wanted.has(String(delivery.leadId)));
+}
+
+/**
+ * Drop the stored payloads for erased leads; undelivered rows are marked dead
+ * so the worker never sends them.
+ */
+export async function redactDeliveriesForLeads(leadIds = []) {
+  const wanted = new Set(leadIds.map((id) => String(id)));
+  const store = await loadStore();
+  const now = new Date().toISOString();
+  let redacted = 0;
+
+  store.deliveries = store.deliveries.map((delivery) => {
+    if (!wanted.has(String(delivery.leadId))) {
+      return delivery;
+    }
+    redacted += 1;
+    const delivered = delivery.status === "delivered";
+    return {
+      ...delivery,
+      payload: null,
+      status: delivered ? "delivered" : "dead",
+      lastError: delivered ? delivery.lastError : "Lead data erased",
+      lockedAt: null,
+      updatedAt: now,
+    };
+  });
+
+  await saveStore(store);
+  return redacted;
+}
+
+export async function listDeliveries({ status, limit = 50, skip = 0 } = {}) {
+  const store = await loadStore();
+  let collection = store.deliveries;
+
+  if (status) {
+    collection = collection.filter((delivery) => delivery.status === status);
+  }
+
+  const total = collection.length;
+  const items = collection.slice(Number(skip), Number(skip) + Number(limit));
+
+  return { items, total };
+}
+
+export async function requeueDeliveries(leadId) {
+  const store = await loadStore();
+  const now = new Date().toISOString();
+  const requeued = [];
+
+  store.deliveries = store.deliveries.map((delivery) => {
+    if (String(delivery.leadId) !== String(leadId) || delivery.status !== "dead") {
+      return delivery;
+    }
+
+    const updated = {
+      ...delivery,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      lockedAt: null,
+      updatedAt: now,
+    };
+    requeued.push(updated);
+    return updated;
+  });
+
+  await saveStore(store);
+  return requeued;
+}
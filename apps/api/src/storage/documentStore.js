@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "project-documents.json";
+const DEFAULT_STORE = { documents: [] };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.documents = store.documents || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function createDocument({
+  projectId,
+  type,
+  bhkType = null,
+  title,
+  fileName,
+  originalName,
+  mimeType,
+  size,
+}) {
+  const document = {
+    id: crypto.randomUUID(),
+    projectId,
+    type,
+    bhkType,
+    title,
+    fileName,
+    originalName,
+    mimeType,
+    size,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await loadStore();
+  store.documents = [document, ...store.documents];
+  await saveStore(store);
+  return document;
+}
+
+export async function listDocuments({ projectId, type } = {}) {
+  const store = await loadStore();
+  return store.documents.filter(
+    (document) =>
+      (!projectId || document.projectId === projectId) &&
+      (!type || document.type === type)
+  );
+}
+
+export async function getDocumentById(id) {
+  const store = await loadStore();
+  return store.documents.find((document) => String(document.id) === String(id)) || null;
+}
+
+export async function deleteDocument(id) {
+  const store = await loadStore();
+  store.documents = store.documents.filter((document) => String(document.id) !== String(id));
+  await saveStore(store);
+  return true;
+}
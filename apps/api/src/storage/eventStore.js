@@ -29,6 +29,52 @@ export async function recordEvent({ type, projectId, microsite, payload }) {
   return event;
 }
 
+export async function findEventsForLeads(leadIds = []) {
+  const wanted = new Set(leadIds.map(String));
+  const store = await loadStore();
+  return store.events.filter(
+    (event) => event.payload?.leadId && wanted.has(String(event.payload.leadId))
+  );
+}
+
+export async function updateEvent(id, updates) {
+  const store = await loadStore();
+  const index = store.events.findIndex((event) => String(event.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  for (const key of ["payload", "location"]) {
+    if (updates[key] !== undefined) {
+      store.events[index][key] = updates[key];
+    }
+  }
+  await saveStore(store);
+  return store.events[index];
+}
+
+/**
+ * Distinct visitors per variant and event type for one experiment:
+ * [{ variantId, type, visitors }]
+ */
+export async function countExperimentFunnel(experimentId, types) {
+  const store = await loadStore();
+  const visitors = new Map();
+  for (const event of store.events) {
+    const { payload } = event;
+    if (payload?.experimentId !== experimentId || !payload.visitorId || !types.includes(event.type)) {
+      continue;
+    }
+    const key = `${payload.variantId}:${event.type}`;
+    if (!visitors.has(key)) {
+      visitors.set(key, { variantId: payload.variantId, type: event.type, ids: new Set() });
+    }
+    visitors.get(key).ids.add(payload.visitorId);
+  }
+  return [...visitors.values()].map(({ variantId, type, ids }) => ({ variantId, type, visitors: ids.size }));
+}
+
 export async function getEventSummary() {
   const store = await loadStore();
 
@@ -0,0 +1,188 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "knowledge-base.json";
+const DEFAULT_STORE = { entries: [], unmatched: [] };
+
+const ENTRY_FIELDS = ["type", "question", "answer", "title", "content", "tags", "active", "updatedBy"];
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.entries = store.entries || [];
+  store.unmatched = store.unmatched || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function listKnowledgeEntries(projectId, { type, activeOnly = false } = {}) {
+  const store = await loadStore();
+  return store.entries.filter(
+    (entry) =>
+      entry.projectId === projectId &&
+      (!type || entry.type === type) &&
+      (!activeOnly || entry.active)
+  );
+}
+
+export async function getKnowledgeEntry(projectId, id) {
+  const store = await loadStore();
+  return (
+    store.entries.find(
+      (entry) => entry.projectId === projectId && String(entry.id) === String(id)
+    ) || null
+  );
+}
+
+export async function createKnowledgeEntry(projectId, {
+  type = "faq",
+  question = null,
+  answer = null,
+  title = null,
+  content = null,
+  tags = [],
+  active = true,
+  createdBy = null,
+}) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    projectId,
+    type,
+    question,
+    answer,
+    title,
+    content,
+    tags,
+    active,
+    createdBy,
+    updatedBy: createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.entries = [entry, ...store.entries];
+  await saveStore(store);
+  return entry;
+}
+
+export async function updateKnowledgeEntry(projectId, id, updates) {
+  const store = await loadStore();
+  const index = store.entries.findIndex(
+    (entry) => entry.projectId === projectId && String(entry.id) === String(id)
+  );
+
+  if (index === -1) {
+    return null;
+  }
+
+  const changes = {};
+  for (const key of ENTRY_FIELDS) {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  }
+
+  store.entries[index] = {
+    ...store.entries[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.entries[index];
+}
+
+export async function deleteKnowledgeEntry(projectId, id) {
+  const store = await loadStore();
+  const before = store.entries.length;
+  store.entries = store.entries.filter(
+    (entry) => !(entry.projectId === projectId && String(entry.id) === String(id))
+  );
+
+  if (store.entries.length === before) {
+    return false;
+  }
+
+  await saveStore(store);
+  return true;
+}
+
+/**
+ * Count another ask of a question the knowledge base could not answer.
+ * `questionKey` is the normalised form used to group repeats.
+ */
+export async function recordUnmatchedQuestion(projectId, { questionKey, question }) {
+  const store = await loadStore();
+  const now = new Date().toISOString();
+  const existing = store.unmatched.find(
+    (item) => item.projectId === projectId && item.questionKey === questionKey
+  );
+
+  if (existing) {
+    existing.question = question;
+    existing.askCount += 1;
+    existing.lastAskedAt = now;
+  } else {
+    store.unmatched.push({
+      id: crypto.randomUUID(),
+      projectId,
+      questionKey,
+      question,
+      askCount: 1,
+      firstAskedAt: now,
+      lastAskedAt: now,
+    });
+  }
+
+  await saveStore(store);
+}
+
+// Most asked first
+export async function listUnmatchedQuestions(projectId, { limit = 50, skip = 0 } = {}) {
+  const store = await loadStore();
+  const items = store.unmatched
+    .filter((item) => item.projectId === projectId)
+    .sort(
+      (a, b) =>
+        b.askCount - a.askCount ||
+        new Date(b.lastAskedAt).getTime() - new Date(a.lastAskedAt).getTime()
+    );
+
+  return { items: items.slice(skip, skip + limit), total: items.length };
+}
+
+export async function deleteUnmatchedQuestion(projectId, id) {
+  const store = await loadStore();
+  const before = store.unmatched.length;
+  store.unmatched = store.unmatched.filter(
+    (item) => !(item.projectId === projectId && String(item.id) === String(id))
+  );
+
+  if (store.unmatched.length === before) {
+    return false;
+  }
+
+  await saveStore(store);
+  return true;
+}
+
+/**
+ * Remove the unmatched questions with these keys from any of the projects,
+ * e.g. when the visitor who asked them is erased. Returns how many went.
+ */
+export async function deleteUnmatchedQuestionsByKey(projectIds = [], questionKeys = []) {
+  const store = await loadStore();
+  const before = store.unmatched.length;
+  store.unmatched = store.unmatched.filter(
+    (item) => !(projectIds.includes(item.projectId) && questionKeys.includes(item.questionKey))
+  );
+
+  const removed = before - store.unmatched.length;
+  if (removed > 0) {
+    await saveStore(store);
+  }
+  return removed;
+}
@@ -1,8 +1,10 @@
 import crypto from "crypto";
 import { readJson, writeJson } from "./fileStore.js";
+import { CLOSED_LEAD_STATUSES } from "../utils/leadWorkflow.js";
+import { DEFAULT_SORT, compareKeys, countFacets, encodeCursor } from "../utils/pagination.js";
 
 const FILE_NAME = "leads.json";
-const DEFAULT_STORE = { leads: [] };
+const DEFAULT_STORE = { leads: [], activity: [] };
 
 async function loadStore() {
   return readJson(FILE_NAME, DEFAULT_STORE);
@@ -12,11 +14,35 @@ async function saveStore(store) {
   await writeJson(FILE_NAME, store);
 }
 
+function buildActivity(leadId, {
+  type,
+  fromStatus = null,
+  toStatus = null,
+  fromAssignee = null,
+  toAssignee = null,
+  note = null,
+  actor = null,
+}) {
+  return {
+    id: crypto.randomUUID(),
+    leadId,
+    type,
+    fromStatus,
+    toStatus,
+    fromAssignee,
+    toAssignee,
+    note,
+    actor,
+    createdAt: new Date().toISOString(),
+  };
+}
+
 export async function createLead({
   phone,
   bhk,
   bhkType,
   microsite,
+  leadSource = "ChatWidget",
   metadata = {},
   conversation = [],
 }) {
@@ -27,8 +53,10 @@ export async function createLead({
     bhk,
     bhkType,
     microsite,
-    leadSource: "ChatWidget",
+    leadSource,
     status: "new",
+    assignedTo: null,
+    assignedAt: null,
     metadata,
     conversation,
     createdAt: now,
@@ -37,25 +65,77 @@ export async function createLead({
 
   const store = await loadStore();
   store.leads = [lead, ...store.leads];
+  store.activity = [
+    buildActivity(lead.id, { type: "created", toStatus: lead.status }),
+    ...(store.activity || []),
+  ];
   await saveStore(store);
   return lead;
 }
 
-export async function listLeads({
+const createdAtTime = (lead) => new Date(lead.createdAt).getTime() || 0;
+// Unscored leads sort last, like the -1 fallback in the MySQL store
+const scoreValue = (lead) => lead.score ?? -1;
+
+// Each sort orders by a key tuple ending in the id, so cursors are unambiguous
+const LEAD_SORTS = {
+  "-createdAt": { key: (lead) => [createdAtTime(lead), lead.id], direction: -1 },
+  createdAt: { key: (lead) => [createdAtTime(lead), lead.id], direction: 1 },
+  "-score": { key: (lead) => [scoreValue(lead), createdAtTime(lead), lead.id], direction: -1 },
+  score: { key: (lead) => [scoreValue(lead), createdAtTime(lead), lead.id], direction: 1 },
+};
+
+const visitor = (lead) => lead.metadata?.visitor || {};
+
+// Exact-match filters that are also offered as facets
+const LEAD_FIELD_FILTERS = {
+  status: (lead) => lead.status || "new",
+  bhkType: (lead) => lead.bhkType,
+  utmSource: (lead) => visitor(lead).utm?.source,
+  utmMedium: (lead) => visitor(lead).utm?.medium,
+  utmCampaign: (lead) => visitor(lead).utm?.campaign,
+  phoneCountry: (lead) => lead.metadata?.phoneCountryCode,
+  city: (lead) => visitor(lead).location?.city ?? lead.location?.city,
+  assignee: (lead) => lead.assignedTo || "unassigned",
+};
+
+export const LEAD_FACETS = Object.keys(LEAD_FIELD_FILTERS);
+
+function sortLeads(leads, sort) {
+  return [...leads].sort(
+    (a, b) => sort.direction * compareKeys(sort.key(a), sort.key(b))
+  );
+}
+
+/**
+ * `omit` skips one field filter, so a facet counts its own alternatives
+ */
+function filterLeads(leads, {
   microsite,
+  leadSource,
   search,
   startDate,
   endDate,
-  limit = 50,
-  skip = 0,
-} = {}) {
-  const store = await loadStore();
-  let collection = store.leads;
+  minScore,
+  maxScore,
+  ...fields
+} = {}, { omit } = {}) {
+  let collection = leads;
 
   if (microsite) {
     collection = collection.filter((lead) => lead.microsite === microsite);
   }
 
+  if (leadSource) {
+    collection = collection.filter((lead) => lead.leadSource === leadSource);
+  }
+
+  for (const [field, getValue] of Object.entries(LEAD_FIELD_FILTERS)) {
+    if (fields[field] && field !== omit) {
+      collection = collection.filter((lead) => getValue(lead) === fields[field]);
+    }
+  }
+
   if (search) {
     const normalized = String(search).trim().toLowerCase();
 
@@ -101,10 +181,234 @@ export async function listLeads({
     });
   }
 
+  if (minScore !== undefined && minScore !== null) {
+    collection = collection.filter(
+      (lead) => typeof lead.score === "number" && lead.score >= Number(minScore)
+    );
+  }
+
+  if (maxScore !== undefined && maxScore !== null) {
+    collection = collection.filter(
+      (lead) => typeof lead.score === "number" && lead.score <= Number(maxScore)
+    );
+  }
+
+  return collection;
+}
+
+/**
+ * Pass `cursor` (a decoded key from a previous nextCursor) instead of `skip`
+ * to page by keyset. `total` is always cheap here, so `withTotal` is ignored.
+ */
+export async function listLeads({
+  limit = 50,
+  skip = 0,
+  cursor = null,
+  withTotal,
+  sort,
+  ...filters
+} = {}) {
+  const store = await loadStore();
+  const sortName = LEAD_SORTS[sort] ? sort : DEFAULT_SORT;
+  const order = LEAD_SORTS[sortName];
+  let collection = sortLeads(filterLeads(store.leads, filters), order);
+
   const total = collection.length;
-  const items = collection.slice(Number(skip), Number(skip) + Number(limit));
+  if (cursor) {
+    collection = collection.filter(
+      (lead) => order.direction * compareKeys(order.key(lead), cursor) > 0
+    );
+  } else {
+    collection = collection.slice(Number(skip));
+  }
+
+  const items = collection.slice(0, Number(limit));
+  const nextCursor = collection.length > items.length && items.length > 0
+    ? encodeCursor(sortName, order.key(items[items.length - 1]))
+    : null;
 
-  return { items, total };
+  return { items, total, nextCursor };
 }
 
+/**
+ * Counts per value for each LEAD_FACETS field. Every other filter applies, so
+ * e.g. the status facet still lists all statuses when a status is selected.
+ */
+export async function listLeadFacets(filters = {}) {
+  const store = await loadStore();
+  const facets = {};
+
+  for (const facet of LEAD_FACETS) {
+    const collection = filterLeads(store.leads, filters, { omit: facet });
+    Object.assign(facets, countFacets(collection, { [facet]: LEAD_FIELD_FILTERS[facet] }));
+  }
 
+  return facets;
+}
+
+/**
+ * Yield every lead matching the listLeads filters, in batches, without a limit
+ */
+export async function* iterateLeads({ sort, ...filters } = {}, { batchSize = 500 } = {}) {
+  const store = await loadStore();
+  const collection = sortLeads(
+    filterLeads(store.leads, filters),
+    LEAD_SORTS[sort] || LEAD_SORTS["-createdAt"]
+  );
+
+  for (let index = 0; index < collection.length; index += batchSize) {
+    yield collection.slice(index, index + batchSize);
+  }
+}
+
+export async function findLeadsByPhone({ phone, microsite, since, excludeId, limit = 10 } = {}) {
+  if (!phone) {
+    return [];
+  }
+
+  const store = await loadStore();
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  return store.leads
+    .filter((lead) => {
+      if (lead.phone !== phone) return false;
+      if (microsite && lead.microsite !== microsite) return false;
+      if (excludeId && String(lead.id) === String(excludeId)) return false;
+      if (sinceTime && new Date(lead.createdAt).getTime() < sinceTime) return false;
+      return true;
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Open (not won/lost) lead counts per assignee, e.g. { alice: 3, bob: 0 }
+ */
+export async function countOpenLeadsByAssignee(usernames = []) {
+  const store = await loadStore();
+  const counts = Object.fromEntries(usernames.map((username) => [username, 0]));
+
+  for (const lead of store.leads) {
+    if (
+      lead.assignedTo &&
+      lead.assignedTo in counts &&
+      !CLOSED_LEAD_STATUSES.includes(lead.status)
+    ) {
+      counts[lead.assignedTo] += 1;
+    }
+  }
+
+  return counts;
+}
+
+export async function getLeadById(id) {
+  const store = await loadStore();
+  return store.leads.find((lead) => String(lead.id) === String(id)) || null;
+}
+
+export async function getLeadsByIds(ids = []) {
+  const wanted = new Set(ids.map(String));
+  const store = await loadStore();
+  return store.leads.filter((lead) => wanted.has(String(lead.id)));
+}
+
+export async function updateLead(id, updates) {
+  const store = await loadStore();
+  const index = store.leads.findIndex((lead) => String(lead.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = [
+    "phone",
+    "bhkType",
+    "bhk",
+    "status",
+    "metadata",
+    "conversation",
+    "location",
+    "score",
+    "scoreFactors",
+    "assignedTo",
+    "assignedAt",
+  ];
+  const changes = {};
+  for (const key of allowed) {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  }
+
+  const updated = {
+    ...store.leads[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.leads[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
+export async function deleteLead(id) {
+  const store = await loadStore();
+  store.leads = store.leads.filter((lead) => String(lead.id) !== String(id));
+  store.activity = (store.activity || []).filter(
+    (entry) => String(entry.leadId) !== String(id)
+  );
+  await saveStore(store);
+  return true;
+}
+
+// Activity is append-only: entries are never edited or removed individually.
+export async function appendLeadActivity(leadId, entry) {
+  const store = await loadStore();
+  const activity = buildActivity(leadId, entry);
+  store.activity = [activity, ...(store.activity || [])];
+  await saveStore(store);
+  return activity;
+}
+
+/**
+ * Clear free-text notes on a lead's timeline. The one exception to append-only:
+ * used when a person's data is erased.
+ */
+export async function redactLeadActivity(leadId) {
+  const store = await loadStore();
+  let redacted = 0;
+
+  store.activity = (store.activity || []).map((entry) => {
+    if (String(entry.leadId) !== String(leadId) || entry.note === null) {
+      return entry;
+    }
+    redacted += 1;
+    return { ...entry, note: null };
+  });
+
+  await saveStore(store);
+  return redacted;
+}
+
+// Move a merged lead's timeline onto the lead it was merged into
+export async function reassignLeadActivity(fromLeadId, toLeadId) {
+  const store = await loadStore();
+  let moved = 0;
+
+  store.activity = (store.activity || []).map((entry) => {
+    if (String(entry.leadId) !== String(fromLeadId)) {
+      return entry;
+    }
+    moved += 1;
+    return { ...entry, leadId: toLeadId };
+  });
+
+  await saveStore(store);
+  return moved;
+}
+
+export async function listLeadActivity(leadId) {
+  const store = await loadStore();
+  return (store.activity || [])
+    .filter((entry) => String(entry.leadId) === String(leadId))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
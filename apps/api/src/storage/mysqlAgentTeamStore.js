@@ -0,0 +1,143 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for agent teams used by lead assignment
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function dbRowToTeam(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    projectIds: parseJson(row.project_ids, []),
+    members: parseJson(row.members, []),
+    strategy: row.strategy,
+    matchRules: parseJson(row.match_rules, null),
+    priority: row.priority,
+    lastAssignee: row.last_assignee,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function createTeam({
+  name,
+  projectIds = [],
+  members = [],
+  strategy = 'round-robin',
+  matchRules = null,
+  priority = 0,
+  active = true,
+}) {
+  await query(
+    `INSERT INTO agent_teams (name, project_ids, members, strategy, match_rules, priority, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      name,
+      JSON.stringify(projectIds),
+      JSON.stringify(members),
+      strategy,
+      matchRules ? JSON.stringify(matchRules) : null,
+      priority,
+      active ? 1 : 0
+    ]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM agent_teams WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToTeam(insertedRows.rows[0]);
+}
+
+export async function listTeams({ projectId } = {}) {
+  const result = await query('SELECT * FROM agent_teams ORDER BY priority DESC, created_at DESC', []);
+  const teams = result.rows.map(dbRowToTeam);
+
+  if (!projectId) {
+    return teams;
+  }
+  return teams.filter((team) => team.projectIds.includes(projectId));
+}
+
+export async function getTeamById(id) {
+  const result = await query('SELECT * FROM agent_teams WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToTeam(result.rows[0]) : null;
+}
+
+export async function updateTeam(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.projectIds !== undefined) {
+    fields.push('project_ids = ?');
+    values.push(JSON.stringify(updates.projectIds));
+  }
+  if (updates.members !== undefined) {
+    fields.push('members = ?');
+    values.push(JSON.stringify(updates.members));
+  }
+  if (updates.strategy !== undefined) {
+    fields.push('strategy = ?');
+    values.push(updates.strategy);
+  }
+  if (updates.matchRules !== undefined) {
+    fields.push('match_rules = ?');
+    values.push(updates.matchRules ? JSON.stringify(updates.matchRules) : null);
+  }
+  if (updates.priority !== undefined) {
+    fields.push('priority = ?');
+    values.push(updates.priority);
+  }
+  if (updates.lastAssignee !== undefined) {
+    fields.push('last_assignee = ?');
+    values.push(updates.lastAssignee);
+  }
+  if (updates.active !== undefined) {
+    fields.push('active = ?');
+    values.push(updates.active ? 1 : 0);
+  }
+
+  if (fields.length === 0) {
+    return await getTeamById(id);
+  }
+
+  values.push(id);
+  await query(`UPDATE agent_teams SET ${fields.join(', ')} WHERE id = ?`, values);
+
+  return await getTeamById(id);
+}
+
+export async function deleteTeam(id) {
+  await query('DELETE FROM agent_teams WHERE id = ?', [id]);
+  return true;
+}
+
+export async function findTeamsForProject(projectIds = []) {
+  // Team counts are small; filtering the JSON columns in JS keeps the SQL portable
+  const result = await query('SELECT * FROM agent_teams WHERE active = 1', []);
+  return result.rows
+    .map(dbRowToTeam)
+    .filter(
+      (team) =>
+        team.members.length > 0 &&
+        team.projectIds.some((id) => id === '*' || projectIds.includes(id))
+    );
+}
+
+export async function advanceRoundRobin(id, previous, next) {
+  // Compare-and-set so concurrent assignments never hand out the same slot twice
+  const result = await query(
+    'UPDATE agent_teams SET last_assignee = ? WHERE id = ? AND last_assignee <=> ?',
+    [next, id, previous || null]
+  );
+  return Boolean(result.rows[0]?.affectedRows);
+}
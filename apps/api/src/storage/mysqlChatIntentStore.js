@@ -0,0 +1,38 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for per-project chat intent overrides
+ */
+function dbRowToIntents(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    overrides: typeof row.overrides === 'string' ? JSON.parse(row.overrides) : (row.overrides || {}),
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getChatIntents(projectId) {
+  const result = await query(
+    'SELECT * FROM chat_intents WHERE project_id = ?',
+    [projectId]
+  );
+  return result.rows.length ? dbRowToIntents(result.rows[0]) : null;
+}
+
+export async function upsertChatIntents(projectId, overrides, updatedBy = null) {
+  await query(
+    `INSERT INTO chat_intents (project_id, overrides, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE overrides = VALUES(overrides), updated_by = VALUES(updated_by)`,
+    [projectId, JSON.stringify(overrides || {}), updatedBy]
+  );
+  return await getChatIntents(projectId);
+}
+
+export async function deleteChatIntents(projectId) {
+  await query('DELETE FROM chat_intents WHERE project_id = ?', [projectId]);
+  return true;
+}
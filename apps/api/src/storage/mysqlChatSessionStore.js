@@ -1,15 +1,17 @@
 import { query } from '../db/mysql.js';
+import { DEFAULT_SORT, FACET_LIMIT, encodeCursor } from '../utils/pagination.js';
 
 /**
  * MySQL storage for Chat Sessions
  */
 export async function createChatSession(data) {
   await query(
-    `INSERT INTO chat_sessions (microsite, project_id, lead_id, phone, bhk_type, conversation, metadata, location)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO chat_sessions (microsite, project_id, visitor_id, lead_id, phone, bhk_type, conversation, metadata, location)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       data.microsite,
       data.projectId || null,
+      data.visitorId || null,
       data.leadId ? parseInt(data.leadId, 10) : null,
       data.phone || null,
       data.bhkType || null,
@@ -81,7 +83,29 @@ export async function getChatSessionsByMicrosite(microsite) {
   }));
 }
 
-export async function listChatSessions(filters = {}) {
+// JSON null unquotes to the string 'null'; treat it as SQL NULL
+const jsonText = (column, path) => `NULLIF(JSON_UNQUOTE(JSON_EXTRACT(${column}, '${path}')), 'null')`;
+const leadColumn = (column) => `(SELECT ${column} FROM leads WHERE leads.id = chat_sessions.lead_id)`;
+
+// Exact-match filters that are also offered as facets; status and assignee
+// come from the linked lead
+const SESSION_FIELD_COLUMNS = {
+  status: leadColumn('status'),
+  bhkType: 'bhk_type',
+  utmSource: jsonText('metadata', '$.visitor.utm.source'),
+  utmMedium: jsonText('metadata', '$.visitor.utm.medium'),
+  utmCampaign: jsonText('metadata', '$.visitor.utm.campaign'),
+  phoneCountry: jsonText('metadata', '$.phoneCountryCode'),
+  city: `COALESCE(${jsonText('metadata', '$.visitor.location.city')}, ${jsonText('location', '$.city')})`,
+  assignee: `COALESCE(${leadColumn('assigned_to')}, 'unassigned')`,
+};
+
+export const SESSION_FACETS = Object.keys(SESSION_FIELD_COLUMNS);
+
+/**
+ * `omit` skips one field filter, so a facet counts its own alternatives
+ */
+function buildChatSessionFilters(filters = {}, { omit } = {}) {
   let whereConditions = [];
   let params = [];
 
@@ -100,44 +124,142 @@ export async function listChatSessions(filters = {}) {
     params.push(filters.projectId);
   }
 
-  const whereClause = whereConditions.length > 0 
-    ? `WHERE ${whereConditions.join(' AND ')}`
-    : '';
+  if (filters.visitorId) {
+    whereConditions.push(`visitor_id = ?`);
+    params.push(filters.visitorId);
+  }
 
-  // Get total count
-  const countResult = await query(
-    `SELECT COUNT(*) as total FROM chat_sessions ${whereClause}`,
-    params
-  );
-  const total = parseInt(countResult.rows[0].total, 10);
+  // Sessions that never reached a lead are the drop-offs
+  if (filters.converted !== undefined) {
+    whereConditions.push(filters.converted ? `lead_id IS NOT NULL` : `lead_id IS NULL`);
+  }
+
+  for (const [field, column] of Object.entries(SESSION_FIELD_COLUMNS)) {
+    if (filters[field] && field !== omit) {
+      whereConditions.push(`${column} = ?`);
+      params.push(filters[field]);
+    }
+  }
+
+  return { whereConditions, params };
+}
+
+/**
+ * Newest first. Pass `cursor` (a decoded key from a previous nextCursor) instead of
+ * `skip` to page by keyset; the COUNT(*) is then skipped unless `withTotal` is set.
+ */
+export async function listChatSessions(filters = {}) {
+  const { whereConditions, params } = buildChatSessionFilters(filters);
+  const cursor = filters.cursor;
+
+  let total;
+  if (!cursor || filters.withTotal) {
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM chat_sessions ${whereClause}`,
+      params
+    );
+    total = parseInt(countResult.rows[0].total, 10);
+  }
 
   // Get paginated results
   // MySQL doesn't support placeholders for LIMIT/OFFSET - use safe integers
-  const skip = Math.max(0, Math.floor(Number(filters.skip) || 0));
+  const skip = cursor ? 0 : Math.max(0, Math.floor(Number(filters.skip) || 0));
   const limit = Math.max(1, Math.min(1000, Math.floor(Number(filters.limit) || 50)));
-  
+
+  const pageConditions = [...whereConditions];
+  const pageParams = [...params];
+  if (cursor) {
+    pageConditions.push(`(created_at, id) < (?, ?)`);
+    pageParams.push(new Date(cursor[0]), Number(cursor[1]));
+  }
+  const pageWhereClause = pageConditions.length > 0
+    ? `WHERE ${pageConditions.join(' AND ')}`
+    : '';
+
+  // Fetch one extra row to know whether there is a next page
   const itemsResult = await query(
-    `SELECT * FROM chat_sessions ${whereClause}
-     ORDER BY created_at DESC
-     LIMIT ${limit} OFFSET ${skip}`,
-    params
+    `SELECT * FROM chat_sessions ${pageWhereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit + 1} OFFSET ${skip}`,
+    pageParams
   );
 
+  const rows = itemsResult.rows.slice(0, limit);
+  const lastRow = rows[rows.length - 1];
+  const nextCursor = itemsResult.rows.length > limit
+    ? encodeCursor(DEFAULT_SORT, [lastRow.created_at, lastRow.id])
+    : null;
+
   // Parse JSON fields
-  const items = itemsResult.rows.map(row => ({
+  const items = rows.map(row => ({
     ...row,
     conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
     metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
     location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
   }));
 
-  return { items, total };
+  return { items, total, nextCursor };
+}
+
+/**
+ * Counts per value for each SESSION_FACETS field, with every other filter applied
+ */
+export async function listChatSessionFacets(filters = {}) {
+  const facets = {};
+
+  for (const facet of SESSION_FACETS) {
+    const { whereConditions, params } = buildChatSessionFilters(filters, { omit: facet });
+    const column = SESSION_FIELD_COLUMNS[facet];
+    const conditions = [...whereConditions, `${column} IS NOT NULL`, `${column} <> ''`];
+
+    const result = await query(
+      `SELECT ${column} AS value, COUNT(*) AS total FROM chat_sessions
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY value
+       ORDER BY total DESC, value ASC
+       LIMIT ${FACET_LIMIT}`,
+      params
+    );
+
+    facets[facet] = result.rows.map((row) => ({
+      value: row.value,
+      count: parseInt(row.total, 10),
+    }));
+  }
+
+  return facets;
+}
+
+export async function appendChatSessionMessages(id, messages) {
+  // Appended in SQL so turns sent close together cannot overwrite each other
+  await query(
+    `UPDATE chat_sessions SET conversation = JSON_MERGE_PRESERVE(COALESCE(conversation, JSON_ARRAY()), CAST(? AS JSON))
+     WHERE id = ?`,
+    [JSON.stringify(messages), id]
+  );
+
+  return await getChatSessionById(id);
 }
 
 export async function updateChatSession(id, updates) {
   const fields = [];
   const values = [];
 
+  if (updates.leadId !== undefined) {
+    fields.push(`lead_id = ?`);
+    values.push(updates.leadId ? parseInt(updates.leadId, 10) : null);
+  }
+  if (updates.bhkType !== undefined) {
+    fields.push(`bhk_type = ?`);
+    values.push(updates.bhkType);
+  }
+  if (updates.phone !== undefined) {
+    fields.push(`phone = ?`);
+    values.push(updates.phone);
+  }
   if (updates.conversation !== undefined) {
     fields.push(`conversation = ?`);
     values.push(JSON.stringify(updates.conversation));
@@ -165,8 +287,47 @@ export async function updateChatSession(id, updates) {
   return await getChatSessionById(id);
 }
 
+/**
+ * Sessions linked to any of the lead ids or captured with the given phone
+ */
+export async function findChatSessions({ leadIds = [], phones = [] } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (leadIds.length > 0) {
+    conditions.push(`lead_id IN (${leadIds.map(() => '?').join(', ')})`);
+    params.push(...leadIds.map((id) => parseInt(id, 10)));
+  }
+  if (phones.length > 0) {
+    conditions.push(`phone IN (${phones.map(() => '?').join(', ')})`);
+    params.push(...phones);
+  }
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const result = await query(
+    `SELECT * FROM chat_sessions WHERE ${conditions.join(' OR ')} ORDER BY created_at DESC`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
+    metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
+    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
+  }));
+}
+
 export async function deleteChatSession(id) {
   await query('DELETE FROM chat_sessions WHERE id = ?', [id]);
   return true;
 }
 
+export async function reassignChatSessions(fromLeadId, toLeadId) {
+  const result = await query(
+    'UPDATE chat_sessions SET lead_id = ? WHERE lead_id = ?',
+    [toLeadId, fromLeadId]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
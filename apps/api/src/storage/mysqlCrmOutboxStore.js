@@ -0,0 +1,191 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for the CRM delivery outbox
+ */
+function dbRowToDelivery(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    target: row.target,
+    url: row.url,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lockedAt: row.locked_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function enqueueDeliveries(leadId, targets, payload) {
+  const deliveries = [];
+
+  for (const target of targets) {
+    await query(
+      `INSERT INTO crm_outbox (lead_id, target, url, payload, status, attempts, next_attempt_at)
+       VALUES (?, ?, ?, ?, 'pending', 0, ?)`,
+      [leadId, target.name, target.url, JSON.stringify(payload || {}), new Date()]
+    );
+
+    const insertedRows = await query(
+      'SELECT * FROM crm_outbox WHERE id = LAST_INSERT_ID()',
+      []
+    );
+    deliveries.push(dbRowToDelivery(insertedRows.rows[0]));
+  }
+
+  return deliveries;
+}
+
+export async function listDueDeliveries({ now = new Date(), staleLockMs, limit = 20 } = {}) {
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 20)));
+  const staleBefore = new Date(now.getTime() - staleLockMs);
+
+  const result = await query(
+    `SELECT * FROM crm_outbox
+     WHERE (status = 'pending' AND next_attempt_at <= ?)
+        OR (status = 'processing' AND locked_at < ?)
+     ORDER BY next_attempt_at ASC
+     LIMIT ${safeLimit}`,
+    [now, staleBefore]
+  );
+
+  return result.rows.map(dbRowToDelivery);
+}
+
+export async function claimDelivery(id, { staleLockMs } = {}) {
+  // Conditional update so two API processes never send the same delivery
+  const now = new Date();
+  const result = await query(
+    `UPDATE crm_outbox SET status = 'processing', locked_at = ?
+     WHERE id = ? AND (status = 'pending' OR (status = 'processing' AND locked_at < ?))`,
+    [now, id, new Date(now.getTime() - (staleLockMs || 0))]
+  );
+
+  if (!result.rows[0]?.affectedRows) {
+    return null;
+  }
+
+  const claimed = await query('SELECT * FROM crm_outbox WHERE id = ?', [id]);
+  return claimed.rows.length ? dbRowToDelivery(claimed.rows[0]) : null;
+}
+
+export async function updateDelivery(id, updates) {
+  const fieldMap = {
+    status: 'status',
+    attempts: 'attempts',
+    nextAttemptAt: 'next_attempt_at',
+    lockedAt: 'locked_at',
+    lastStatusCode: 'last_status_code',
+    lastError: 'last_error',
+    deliveredAt: 'delivered_at',
+  };
+  const dateFields = new Set(['nextAttemptAt', 'lockedAt', 'deliveredAt']);
+
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(fieldMap)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(dateFields.has(key) && updates[key] ? new Date(updates[key]) : updates[key]);
+    }
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(
+      `UPDATE crm_outbox SET ${fields.join(', ')} WHERE id = ?`,
+      values
+    );
+  }
+
+  const result = await query('SELECT * FROM crm_outbox WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToDelivery(result.rows[0]) : null;
+}
+
+export async function listDeliveriesForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = leadIds.map(() => '?').join(', ');
+  const result = await query(
+    `SELECT * FROM crm_outbox WHERE lead_id IN (${placeholders}) ORDER BY created_at DESC`,
+    leadIds
+  );
+
+  return result.rows.map(dbRowToDelivery);
+}
+
+/**
+ * Drop the stored payloads for erased leads; undelivered rows are marked dead
+ * so the worker never sends them.
+ */
+export async function redactDeliveriesForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return 0;
+  }
+
+  // last_error is assigned before status, which MySQL applies left to right
+  const result = await query(
+    `UPDATE crm_outbox
+     SET payload = NULL,
+         last_error = IF(status = 'delivered', last_error, 'Lead data erased'),
+         status = IF(status = 'delivered', 'delivered', 'dead'),
+         locked_at = NULL
+     WHERE lead_id IN (${leadIds.map(() => '?').join(', ')})`,
+    leadIds
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
+
+export async function listDeliveries({ status, limit = 50, skip = 0 } = {}) {
+  const whereClause = status ? 'WHERE status = ?' : '';
+  const params = status ? [status] : [];
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM crm_outbox ${whereClause}`,
+    params
+  );
+  const total = parseInt(countResult.rows[0].total, 10);
+
+  const safeSkip = Math.max(0, Math.floor(parseInt(skip, 10) || 0));
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(parseInt(limit, 10) || 50)));
+
+  const itemsResult = await query(
+    `SELECT * FROM crm_outbox ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT ${safeLimit} OFFSET ${safeSkip}`,
+    params
+  );
+
+  return { items: itemsResult.rows.map(dbRowToDelivery), total };
+}
+
+export async function requeueDeliveries(leadId) {
+  const dead = await query(
+    `SELECT id FROM crm_outbox WHERE lead_id = ? AND status = 'dead'`,
+    [leadId]
+  );
+
+  if (dead.rows.length === 0) {
+    return [];
+  }
+
+  await query(
+    `UPDATE crm_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = ?, locked_at = NULL
+     WHERE lead_id = ? AND status = 'dead'`,
+    [new Date(), leadId]
+  );
+
+  const requeuedIds = new Set(dead.rows.map((row) => row.id));
+  const deliveries = await listDeliveriesForLeads([leadId]);
+  return deliveries.filter((delivery) => requeuedIds.has(delivery.id));
+}
@@ -0,0 +1,71 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for project documents (the files themselves stay on disk)
+ */
+function dbRowToDocument(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    type: row.type,
+    bhkType: row.bhk_type,
+    title: row.title,
+    fileName: row.file_name,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    size: row.size,
+    createdAt: row.created_at,
+  };
+}
+
+export async function createDocument({
+  projectId,
+  type,
+  bhkType = null,
+  title,
+  fileName,
+  originalName,
+  mimeType,
+  size,
+}) {
+  await query(
+    `INSERT INTO project_documents (project_id, type, bhk_type, title, file_name, original_name, mime_type, size)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [projectId, type, bhkType, title, fileName, originalName, mimeType, size]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM project_documents WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToDocument(insertedRows.rows[0]);
+}
+
+export async function listDocuments({ projectId, type } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (projectId) {
+    conditions.push('project_id = ?');
+    values.push(projectId);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    values.push(type);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM project_documents ${where} ORDER BY created_at DESC, id DESC`, values);
+  return result.rows.map(dbRowToDocument);
+}
+
+export async function getDocumentById(id) {
+  const result = await query('SELECT * FROM project_documents WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToDocument(result.rows[0]) : null;
+}
+
+export async function deleteDocument(id) {
+  await query('DELETE FROM project_documents WHERE id = ?', [id]);
+  return true;
+}
@@ -102,6 +102,46 @@ export async function getEventById(id) {
   };
 }
 
+export async function findEventsForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return [];
+  }
+
+  const result = await query(
+    `SELECT * FROM events
+     WHERE JSON_UNQUOTE(JSON_EXTRACT(payload, '$.leadId')) IN (${leadIds.map(() => '?').join(', ')})
+     ORDER BY created_at DESC`,
+    leadIds.map(String)
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
+  }));
+}
+
+export async function updateEvent(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.payload !== undefined) {
+    fields.push('payload = ?');
+    values.push(JSON.stringify(updates.payload));
+  }
+  if (updates.location !== undefined) {
+    fields.push('location = ?');
+    values.push(JSON.stringify(updates.location));
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE events SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getEventById(id);
+}
+
 export async function deleteEvent(id) {
   await query('DELETE FROM events WHERE id = ?', [id]);
   return true;
@@ -111,6 +151,29 @@ export async function recordEvent(data) {
   return await createEvent(data);
 }
 
+/**
+ * Distinct visitors per variant and event type for one experiment:
+ * [{ variantId, type, visitors }]
+ */
+export async function countExperimentFunnel(experimentId, types) {
+  const result = await query(
+    `SELECT JSON_UNQUOTE(JSON_EXTRACT(payload, '$.variantId')) AS variant_id, type,
+            COUNT(DISTINCT JSON_UNQUOTE(JSON_EXTRACT(payload, '$.visitorId'))) AS visitors
+     FROM events
+     WHERE JSON_UNQUOTE(JSON_EXTRACT(payload, '$.experimentId')) = ?
+       AND JSON_EXTRACT(payload, '$.visitorId') IS NOT NULL
+       AND type IN (${types.map(() => '?').join(', ')})
+     GROUP BY variant_id, type`,
+    [experimentId, ...types]
+  );
+
+  return result.rows.map(row => ({
+    variantId: row.variant_id,
+    type: row.type,
+    visitors: parseInt(row.visitors, 10),
+  }));
+}
+
 export async function getEventSummary() {
   // Get event counts by type
   const typeCounts = await query(
@@ -0,0 +1,210 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for the per-project chat knowledge base
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function dbRowToEntry(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    type: row.type,
+    question: row.question,
+    answer: row.answer,
+    title: row.title,
+    content: row.content,
+    tags: parseJson(row.tags, []),
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function dbRowToUnmatched(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    questionKey: row.question_key,
+    question: row.question,
+    askCount: row.ask_count,
+    firstAskedAt: row.first_asked_at,
+    lastAskedAt: row.last_asked_at,
+  };
+}
+
+export async function listKnowledgeEntries(projectId, { type, activeOnly = false } = {}) {
+  const conditions = ['project_id = ?'];
+  const params = [projectId];
+
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (activeOnly) {
+    conditions.push('active = 1');
+  }
+
+  const result = await query(
+    `SELECT * FROM knowledge_entries WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC`,
+    params
+  );
+  return result.rows.map(dbRowToEntry);
+}
+
+export async function getKnowledgeEntry(projectId, id) {
+  const result = await query(
+    'SELECT * FROM knowledge_entries WHERE project_id = ? AND id = ?',
+    [projectId, id]
+  );
+  return result.rows.length ? dbRowToEntry(result.rows[0]) : null;
+}
+
+export async function createKnowledgeEntry(projectId, {
+  type = 'faq',
+  question = null,
+  answer = null,
+  title = null,
+  content = null,
+  tags = [],
+  active = true,
+  createdBy = null,
+}) {
+  await query(
+    `INSERT INTO knowledge_entries
+       (project_id, type, question, answer, title, content, tags, active, created_by, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      projectId,
+      type,
+      question,
+      answer,
+      title,
+      content,
+      JSON.stringify(tags || []),
+      active ? 1 : 0,
+      createdBy,
+      createdBy
+    ]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM knowledge_entries WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToEntry(insertedRows.rows[0]);
+}
+
+export async function updateKnowledgeEntry(projectId, id, updates) {
+  const columns = {
+    type: 'type',
+    question: 'question',
+    answer: 'answer',
+    title: 'title',
+    content: 'content',
+    updatedBy: 'updated_by',
+  };
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  if (updates.tags !== undefined) {
+    fields.push('tags = ?');
+    values.push(JSON.stringify(updates.tags || []));
+  }
+  if (updates.active !== undefined) {
+    fields.push('active = ?');
+    values.push(updates.active ? 1 : 0);
+  }
+
+  if (fields.length > 0) {
+    values.push(projectId, id);
+    await query(
+      `UPDATE knowledge_entries SET ${fields.join(', ')} WHERE project_id = ? AND id = ?`,
+      values
+    );
+  }
+
+  return await getKnowledgeEntry(projectId, id);
+}
+
+export async function deleteKnowledgeEntry(projectId, id) {
+  const result = await query(
+    'DELETE FROM knowledge_entries WHERE project_id = ? AND id = ?',
+    [projectId, id]
+  );
+  return Boolean(result.rows[0]?.affectedRows);
+}
+
+/**
+ * Count another ask of a question the knowledge base could not answer.
+ * `questionKey` is the normalised form used to group repeats.
+ */
+export async function recordUnmatchedQuestion(projectId, { questionKey, question }) {
+  await query(
+    `INSERT INTO knowledge_unmatched (project_id, question_key, question)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       question = VALUES(question),
+       ask_count = ask_count + 1,
+       last_asked_at = CURRENT_TIMESTAMP`,
+    [projectId, questionKey, question]
+  );
+}
+
+// Most asked first
+export async function listUnmatchedQuestions(projectId, { limit = 50, skip = 0 } = {}) {
+  const countResult = await query(
+    'SELECT COUNT(*) as total FROM knowledge_unmatched WHERE project_id = ?',
+    [projectId]
+  );
+  const total = parseInt(countResult.rows[0].total, 10);
+
+  const safeSkip = Math.max(0, Math.floor(parseInt(skip, 10) || 0));
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(parseInt(limit, 10) || 50)));
+
+  const itemsResult = await query(
+    `SELECT * FROM knowledge_unmatched WHERE project_id = ?
+     ORDER BY ask_count DESC, last_asked_at DESC
+     LIMIT ${safeLimit} OFFSET ${safeSkip}`,
+    [projectId]
+  );
+
+  return { items: itemsResult.rows.map(dbRowToUnmatched), total };
+}
+
+export async function deleteUnmatchedQuestion(projectId, id) {
+  const result = await query(
+    'DELETE FROM knowledge_unmatched WHERE project_id = ? AND id = ?',
+    [projectId, id]
+  );
+  return Boolean(result.rows[0]?.affectedRows);
+}
+
+/**
+ * Remove the unmatched questions with these keys from any of the projects,
+ * e.g. when the visitor who asked them is erased. Returns how many went.
+ */
+export async function deleteUnmatchedQuestionsByKey(projectIds = [], questionKeys = []) {
+  if (projectIds.length === 0 || questionKeys.length === 0) {
+    return 0;
+  }
+
+  const result = await query(
+    `DELETE FROM knowledge_unmatched
+     WHERE project_id IN (${projectIds.map(() => '?').join(', ')})
+       AND question_key IN (${questionKeys.map(() => '?').join(', ')})`,
+    [...projectIds, ...questionKeys]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
@@ -1,8 +1,20 @@
 import { query } from '../db/mysql.js';
+import { CLOSED_LEAD_STATUSES } from '../utils/leadWorkflow.js';
+import { DEFAULT_SORT, FACET_LIMIT, encodeCursor } from '../utils/pagination.js';
 
 /**
  * MySQL storage for Leads
  */
+function parseLeadRow(row) {
+  return {
+    ...row,
+    metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
+    conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
+    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
+    score_factors: typeof row.score_factors === 'string' ? JSON.parse(row.score_factors) : (row.score_factors || null),
+  };
+}
+
 export async function createLead(data) {
   const result = await query(
     `INSERT INTO leads (phone, bhk_type, bhk, microsite, lead_source, status, metadata, conversation, location)
@@ -27,15 +39,64 @@ export async function createLead(data) {
   );
   
   const row = insertedRows.rows[0];
-  return {
-    ...row,
-    metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
-    conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
-    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
-  };
+  await appendLeadActivity(row.id, { type: 'created', toStatus: row.status });
+
+  return parseLeadRow(row);
 }
 
-export async function listLeads(filters = {}) {
+const toDate = (value) => new Date(value);
+
+// Each sort orders by a key tuple ending in the id, so cursors are unambiguous.
+// Columns are whitelisted here, never interpolated from user input.
+const LEAD_SORTS = {
+  '-createdAt': {
+    columns: ['created_at', 'id'],
+    key: (row) => [row.created_at, row.id],
+    parse: [toDate, Number],
+    direction: 'DESC',
+  },
+  createdAt: {
+    columns: ['created_at', 'id'],
+    key: (row) => [row.created_at, row.id],
+    parse: [toDate, Number],
+    direction: 'ASC',
+  },
+  // Unscored leads sort last in DESC order
+  '-score': {
+    columns: ['COALESCE(score, -1)', 'created_at', 'id'],
+    key: (row) => [row.score ?? -1, row.created_at, row.id],
+    parse: [Number, toDate, Number],
+    direction: 'DESC',
+  },
+  score: {
+    columns: ['COALESCE(score, -1)', 'created_at', 'id'],
+    key: (row) => [row.score ?? -1, row.created_at, row.id],
+    parse: [Number, toDate, Number],
+    direction: 'ASC',
+  },
+};
+
+// JSON null unquotes to the string 'null'; treat it as SQL NULL
+const jsonText = (column, path) => `NULLIF(JSON_UNQUOTE(JSON_EXTRACT(${column}, '${path}')), 'null')`;
+
+// Exact-match filters that are also offered as facets
+const LEAD_FIELD_COLUMNS = {
+  status: 'status',
+  bhkType: 'bhk_type',
+  utmSource: jsonText('metadata', '$.visitor.utm.source'),
+  utmMedium: jsonText('metadata', '$.visitor.utm.medium'),
+  utmCampaign: jsonText('metadata', '$.visitor.utm.campaign'),
+  phoneCountry: jsonText('metadata', '$.phoneCountryCode'),
+  city: `COALESCE(${jsonText('metadata', '$.visitor.location.city')}, ${jsonText('location', '$.city')})`,
+  assignee: `COALESCE(assigned_to, 'unassigned')`,
+};
+
+export const LEAD_FACETS = Object.keys(LEAD_FIELD_COLUMNS);
+
+/**
+ * `omit` skips one field filter, so a facet counts its own alternatives
+ */
+function buildLeadFilters(filters = {}, { omit } = {}) {
   let whereConditions = [];
   let params = [];
 
@@ -44,6 +105,25 @@ export async function listLeads(filters = {}) {
     params.push(filters.microsite);
   }
 
+  if (filters.leadSource) {
+    whereConditions.push(`lead_source = ?`);
+    params.push(filters.leadSource);
+  }
+
+  if (filters.assignee === 'unassigned' && omit !== 'assignee') {
+    whereConditions.push(`assigned_to IS NULL`);
+  } else if (filters.assignee && omit !== 'assignee') {
+    whereConditions.push(`assigned_to = ?`);
+    params.push(filters.assignee);
+  }
+
+  for (const [field, column] of Object.entries(LEAD_FIELD_COLUMNS)) {
+    if (filters[field] && field !== omit && field !== 'assignee') {
+      whereConditions.push(`${column} = ?`);
+      params.push(filters[field]);
+    }
+  }
+
   if (filters.search) {
     whereConditions.push(`(
       microsite LIKE ? OR
@@ -67,48 +147,197 @@ export async function listLeads(filters = {}) {
     }
   }
 
-  if (filters.status) {
-    whereConditions.push(`status = ?`);
-    params.push(filters.status);
+  if (filters.minScore !== undefined && filters.minScore !== null) {
+    whereConditions.push(`score >= ?`);
+    params.push(Number(filters.minScore));
   }
 
-  const whereClause = whereConditions.length > 0 
-    ? `WHERE ${whereConditions.join(' AND ')}`
-    : '';
+  if (filters.maxScore !== undefined && filters.maxScore !== null) {
+    whereConditions.push(`score <= ?`);
+    params.push(Number(filters.maxScore));
+  }
 
-  // Get total count
-  const countResult = await query(
-    `SELECT COUNT(*) as total FROM leads ${whereClause}`,
-    params
-  );
-  const total = parseInt(countResult.rows[0].total, 10);
+  return { whereConditions, params };
+}
+
+/**
+ * Pass `cursor` (a decoded key from a previous nextCursor) instead of `skip` to
+ * page by keyset. With a cursor the COUNT(*) is skipped unless `withTotal` is set.
+ */
+export async function listLeads(filters = {}) {
+  const { whereConditions, params } = buildLeadFilters(filters);
+  const sortName = LEAD_SORTS[filters.sort] ? filters.sort : DEFAULT_SORT;
+  const order = LEAD_SORTS[sortName];
+  const cursor = filters.cursor;
+
+  let total;
+  if (!cursor || filters.withTotal) {
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM leads ${whereClause}`,
+      params
+    );
+    total = parseInt(countResult.rows[0].total, 10);
+  }
 
-  // Get paginated results
   // Note: MySQL doesn't support placeholders for LIMIT/OFFSET in prepared statements
   // We must use integers directly, but we've already validated them as safe integers
   const skip = parseInt(filters.skip, 10) || 0;
   const limit = parseInt(filters.limit, 10) || 50;
   
   // Ensure skip and limit are safe integers (prevent SQL injection)
-  const safeSkip = Math.max(0, Math.floor(skip));
+  const safeSkip = cursor ? 0 : Math.max(0, Math.floor(skip));
   const safeLimit = Math.max(1, Math.min(1000, Math.floor(limit))); // Max 1000 per page
-  
+
+  const pageConditions = [...whereConditions];
+  const pageParams = [...params];
+  if (cursor) {
+    // Row comparison: everything strictly after the last key of the previous page
+    const operator = order.direction === 'DESC' ? '<' : '>';
+    pageConditions.push(
+      `(${order.columns.join(', ')}) ${operator} (${order.columns.map(() => '?').join(', ')})`
+    );
+    pageParams.push(...order.parse.map((parse, index) => parse(cursor[index])));
+  }
+  const pageWhereClause = pageConditions.length > 0
+    ? `WHERE ${pageConditions.join(' AND ')}`
+    : '';
+
+  // Fetch one extra row to know whether there is a next page
   const itemsResult = await query(
-    `SELECT * FROM leads ${whereClause}
+    `SELECT * FROM leads ${pageWhereClause}
+     ORDER BY ${order.columns.map((column) => `${column} ${order.direction}`).join(', ')}
+     LIMIT ${safeLimit + 1} OFFSET ${safeSkip}`,
+    pageParams
+  );
+
+  const rows = itemsResult.rows.slice(0, safeLimit);
+  const nextCursor = itemsResult.rows.length > safeLimit
+    ? encodeCursor(sortName, order.key(rows[rows.length - 1]))
+    : null;
+
+  // Parse JSON fields
+  const items = rows.map(parseLeadRow);
+
+  return { items, total, nextCursor };
+}
+
+/**
+ * Counts per value for each LEAD_FACETS field. Every other filter applies, so
+ * e.g. the status facet still lists all statuses when a status is selected.
+ */
+export async function listLeadFacets(filters = {}) {
+  const facets = {};
+
+  for (const facet of LEAD_FACETS) {
+    const { whereConditions, params } = buildLeadFilters(filters, { omit: facet });
+    const column = LEAD_FIELD_COLUMNS[facet];
+    const conditions = [...whereConditions, `${column} IS NOT NULL`, `${column} <> ''`];
+
+    const result = await query(
+      `SELECT ${column} AS value, COUNT(*) AS total FROM leads
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY value
+       ORDER BY total DESC, value ASC
+       LIMIT ${FACET_LIMIT}`,
+      params
+    );
+
+    facets[facet] = result.rows.map((row) => ({
+      value: row.value,
+      count: parseInt(row.total, 10),
+    }));
+  }
+
+  return facets;
+}
+
+/**
+ * Yield every lead matching the listLeads filters, newest first, in batches.
+ * Pages by id (keyset) so large exports never hold more than one batch.
+ */
+export async function* iterateLeads(filters = {}, { batchSize = 500 } = {}) {
+  const { whereConditions, params } = buildLeadFilters(filters);
+  const safeBatchSize = Math.max(1, Math.min(1000, Math.floor(Number(batchSize) || 500)));
+  let lastId = null;
+
+  while (true) {
+    const conditions = lastId === null ? whereConditions : [...whereConditions, 'id < ?'];
+    const batchParams = lastId === null ? params : [...params, lastId];
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT * FROM leads ${whereClause}
+       ORDER BY id DESC
+       LIMIT ${safeBatchSize}`,
+      batchParams
+    );
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    yield result.rows.map(parseLeadRow);
+
+    if (result.rows.length < safeBatchSize) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+export async function findLeadsByPhone({ phone, microsite, since, excludeId, limit = 10 } = {}) {
+  if (!phone) {
+    return [];
+  }
+
+  const whereConditions = ['phone = ?'];
+  const params = [phone];
+
+  if (microsite) {
+    whereConditions.push('microsite = ?');
+    params.push(microsite);
+  }
+  if (since) {
+    whereConditions.push('created_at >= ?');
+    params.push(new Date(since));
+  }
+  if (excludeId) {
+    whereConditions.push('id <> ?');
+    params.push(excludeId);
+  }
+
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 10)));
+  const result = await query(
+    `SELECT * FROM leads WHERE ${whereConditions.join(' AND ')}
      ORDER BY created_at DESC
-     LIMIT ${safeLimit} OFFSET ${safeSkip}`,
+     LIMIT ${safeLimit}`,
     params
   );
 
-  // Parse JSON fields
-  const items = itemsResult.rows.map(row => ({
-    ...row,
-    metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
-    conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
-    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
-  }));
+  return result.rows.map(parseLeadRow);
+}
+
+export async function countOpenLeadsByAssignee(usernames = []) {
+  const counts = Object.fromEntries(usernames.map((username) => [username, 0]));
+  if (usernames.length === 0) {
+    return counts;
+  }
+
+  const result = await query(
+    `SELECT assigned_to, COUNT(*) as total FROM leads
+     WHERE assigned_to IN (${usernames.map(() => '?').join(', ')})
+       AND status NOT IN (${CLOSED_LEAD_STATUSES.map(() => '?').join(', ')})
+     GROUP BY assigned_to`,
+    [...usernames, ...CLOSED_LEAD_STATUSES]
+  );
 
-  return { items, total };
+  for (const row of result.rows) {
+    counts[row.assigned_to] = parseInt(row.total, 10);
+  }
+  return counts;
 }
 
 export async function getLeadById(id) {
@@ -122,12 +351,7 @@ export async function getLeadById(id) {
   }
 
   const row = result.rows[0];
-  return {
-    ...row,
-    metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {}),
-    conversation: typeof row.conversation === 'string' ? JSON.parse(row.conversation) : (row.conversation || []),
-    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
-  };
+  return parseLeadRow(row);
 }
 
 export async function updateLead(id, updates) {
@@ -162,6 +386,22 @@ export async function updateLead(id, updates) {
     fields.push(`location = ?`);
     values.push(JSON.stringify(updates.location));
   }
+  if (updates.score !== undefined) {
+    fields.push(`score = ?`);
+    values.push(updates.score);
+  }
+  if (updates.scoreFactors !== undefined) {
+    fields.push(`score_factors = ?`);
+    values.push(JSON.stringify(updates.scoreFactors));
+  }
+  if (updates.assignedTo !== undefined) {
+    fields.push(`assigned_to = ?`);
+    values.push(updates.assignedTo);
+  }
+  if (updates.assignedAt !== undefined) {
+    fields.push(`assigned_at = ?`);
+    values.push(updates.assignedAt ? new Date(updates.assignedAt) : null);
+  }
 
   if (fields.length === 0) {
     return await getLeadById(id);
@@ -182,3 +422,73 @@ export async function deleteLead(id) {
   return true;
 }
 
+
+function dbRowToActivity(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    type: row.type,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    fromAssignee: row.from_assignee,
+    toAssignee: row.to_assignee,
+    note: row.note,
+    actor: row.actor,
+    createdAt: row.created_at,
+  };
+}
+
+// Activity is append-only: there is deliberately no update/delete for entries.
+export async function appendLeadActivity(leadId, entry) {
+  await query(
+    `INSERT INTO lead_activities (lead_id, type, from_status, to_status, from_assignee, to_assignee, note, actor)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      leadId,
+      entry.type,
+      entry.fromStatus || null,
+      entry.toStatus || null,
+      entry.fromAssignee || null,
+      entry.toAssignee || null,
+      entry.note || null,
+      entry.actor || null
+    ]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM lead_activities WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToActivity(insertedRows.rows[0]);
+}
+
+/**
+ * Clear free-text notes on a lead's timeline. The one exception to append-only:
+ * used when a person's data is erased.
+ */
+export async function redactLeadActivity(leadId) {
+  const result = await query(
+    'UPDATE lead_activities SET note = NULL WHERE lead_id = ? AND note IS NOT NULL',
+    [leadId]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
+
+// Move a merged lead's timeline onto the lead it was merged into
+export async function reassignLeadActivity(fromLeadId, toLeadId) {
+  const result = await query(
+    'UPDATE lead_activities SET lead_id = ? WHERE lead_id = ?',
+    [toLeadId, fromLeadId]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
+
+export async function listLeadActivity(leadId) {
+  const result = await query(
+    'SELECT * FROM lead_activities WHERE lead_id = ? ORDER BY created_at ASC, id ASC',
+    [leadId]
+  );
+
+  return result.rows.map(dbRowToActivity);
+}
@@ -0,0 +1,74 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for the privacy (PII export / erasure) audit log
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function dbRowToEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    subject: row.subject,
+    leadIds: parseJson(row.lead_ids, []),
+    counts: parseJson(row.counts, {}),
+    actor: row.actor,
+    reason: row.reason,
+    createdAt: row.created_at,
+  };
+}
+
+// Audit entries are append-only and never hold the raw phone number
+export async function recordPrivacyAction({
+  action,
+  subject,
+  leadIds = [],
+  counts = {},
+  actor = null,
+  reason = null,
+}) {
+  await query(
+    `INSERT INTO privacy_audit_log (action, subject, lead_ids, counts, actor, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      action,
+      subject,
+      JSON.stringify(leadIds),
+      JSON.stringify(counts),
+      actor,
+      reason
+    ]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM privacy_audit_log WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToEntry(insertedRows.rows[0]);
+}
+
+export async function listPrivacyActions({ action, limit = 50, skip = 0 } = {}) {
+  const whereClause = action ? 'WHERE action = ?' : '';
+  const params = action ? [action] : [];
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM privacy_audit_log ${whereClause}`,
+    params
+  );
+  const total = parseInt(countResult.rows[0].total, 10);
+
+  const safeSkip = Math.max(0, Math.floor(parseInt(skip, 10) || 0));
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(parseInt(limit, 10) || 50)));
+
+  const itemsResult = await query(
+    `SELECT * FROM privacy_audit_log ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${safeLimit} OFFSET ${safeSkip}`,
+    params
+  );
+
+  return { items: itemsResult.rows.map(dbRowToEntry), total };
+}
@@ -0,0 +1,38 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for per-project lead scoring rules
+ */
+function dbRowToRules(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    rules: typeof row.rules === 'string' ? JSON.parse(row.rules) : (row.rules || {}),
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getScoringRules(projectId) {
+  const result = await query(
+    'SELECT * FROM lead_scoring_rules WHERE project_id = ?',
+    [projectId]
+  );
+  return result.rows.length ? dbRowToRules(result.rows[0]) : null;
+}
+
+export async function upsertScoringRules(projectId, rules, updatedBy = null) {
+  await query(
+    `INSERT INTO lead_scoring_rules (project_id, rules, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE rules = VALUES(rules), updated_by = VALUES(updated_by)`,
+    [projectId, JSON.stringify(rules || {}), updatedBy]
+  );
+  return await getScoringRules(projectId);
+}
+
+export async function deleteScoringRules(projectId) {
+  await query('DELETE FROM lead_scoring_rules WHERE project_id = ?', [projectId]);
+  return true;
+}
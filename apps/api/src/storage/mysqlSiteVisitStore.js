@@ -0,0 +1,143 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for booked site visits
+ */
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function dbRowToVisit(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    microsite: row.microsite,
+    leadId: row.lead_id,
+    slotStart: toIso(row.slot_start),
+    slotEnd: toIso(row.slot_end),
+    mode: row.mode,
+    status: row.status,
+    sequence: row.sequence,
+    notes: row.notes,
+    cancelReason: row.cancel_reason,
+    cancelledAt: row.cancelled_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function bookSiteVisit(
+  { projectId, microsite = null, leadId, slotStart, slotEnd, mode = 'in-person', notes = null },
+  { capacity }
+) {
+  // The capacity check and the insert are one statement so two visitors can't
+  // both take the last place in a slot
+  const result = await query(
+    `INSERT INTO site_visits (project_id, microsite, lead_id, slot_start, slot_end, mode, notes)
+     SELECT ?, ?, ?, ?, ?, ?, ?
+     FROM DUAL
+     WHERE (
+       SELECT COUNT(*) FROM site_visits
+       WHERE project_id = ? AND slot_start = ? AND status = 'scheduled'
+     ) < ?`,
+    [
+      projectId,
+      microsite,
+      leadId,
+      new Date(slotStart),
+      new Date(slotEnd),
+      mode,
+      notes,
+      projectId,
+      new Date(slotStart),
+      capacity,
+    ]
+  );
+
+  if (!result.rows[0]?.affectedRows) {
+    return null;
+  }
+
+  const insertedRows = await query('SELECT * FROM site_visits WHERE id = LAST_INSERT_ID()', []);
+  return dbRowToVisit(insertedRows.rows[0]);
+}
+
+export async function getSiteVisitById(id) {
+  const result = await query('SELECT * FROM site_visits WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToVisit(result.rows[0]) : null;
+}
+
+export async function listSiteVisits({ projectId, leadId, status, from, to } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (projectId) {
+    conditions.push('project_id = ?');
+    values.push(projectId);
+  }
+  if (leadId) {
+    conditions.push('lead_id = ?');
+    values.push(leadId);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+  if (from) {
+    conditions.push('slot_start >= ?');
+    values.push(new Date(from));
+  }
+  if (to) {
+    conditions.push('slot_start < ?');
+    values.push(new Date(to));
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM site_visits ${where} ORDER BY slot_start ASC, id ASC`, values);
+  return result.rows.map(dbRowToVisit);
+}
+
+export async function rescheduleSiteVisit(id, { slotStart, slotEnd }, { capacity }) {
+  const visit = await getSiteVisitById(id);
+  if (!visit) {
+    return null;
+  }
+
+  // MySQL can't read the table an UPDATE writes to, hence the derived table
+  const result = await query(
+    `UPDATE site_visits
+     SET slot_start = ?, slot_end = ?, sequence = sequence + 1
+     WHERE id = ? AND (
+       SELECT booked FROM (
+         SELECT COUNT(*) AS booked FROM site_visits
+         WHERE project_id = ? AND slot_start = ? AND status = 'scheduled' AND id <> ?
+       ) AS slot
+     ) < ?`,
+    [new Date(slotStart), new Date(slotEnd), id, visit.projectId, new Date(slotStart), id, capacity]
+  );
+
+  return result.rows[0]?.affectedRows ? await getSiteVisitById(id) : null;
+}
+
+export async function cancelSiteVisit(id, { reason = null } = {}) {
+  await query(
+    `UPDATE site_visits
+     SET status = 'cancelled', cancel_reason = ?, cancelled_at = CURRENT_TIMESTAMP, sequence = sequence + 1
+     WHERE id = ?`,
+    [reason, id]
+  );
+  return await getSiteVisitById(id);
+}
+
+export async function redactSiteVisitsForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return 0;
+  }
+
+  const result = await query(
+    `UPDATE site_visits SET notes = NULL, cancel_reason = NULL
+     WHERE lead_id IN (${leadIds.map(() => '?').join(', ')})`,
+    leadIds
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
@@ -0,0 +1,264 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for webhook subscriptions and their delivery log
+ */
+function dbRowToSubscription(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    url: row.url,
+    secret: row.secret,
+    events: typeof row.events === 'string' ? JSON.parse(row.events) : (row.events || []),
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function dbRowToDelivery(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    event: row.event,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lockedAt: row.locked_at,
+    responseCode: row.response_code,
+    responseBody: row.response_body,
+    error: row.error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function createSubscription({ projectId, url, secret, events, active = true }) {
+  await query(
+    `INSERT INTO webhook_subscriptions (project_id, url, secret, events, active)
+     VALUES (?, ?, ?, ?, ?)`,
+    [projectId, url, secret, JSON.stringify(events || []), active ? 1 : 0]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM webhook_subscriptions WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToSubscription(insertedRows.rows[0]);
+}
+
+export async function listSubscriptions({ projectId } = {}) {
+  const result = projectId
+    ? await query(
+        'SELECT * FROM webhook_subscriptions WHERE project_id = ? ORDER BY created_at DESC',
+        [projectId]
+      )
+    : await query('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC', []);
+
+  return result.rows.map(dbRowToSubscription);
+}
+
+export async function getSubscriptionById(id) {
+  const result = await query('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToSubscription(result.rows[0]) : null;
+}
+
+export async function updateSubscription(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.projectId !== undefined) {
+    fields.push('project_id = ?');
+    values.push(updates.projectId);
+  }
+  if (updates.url !== undefined) {
+    fields.push('url = ?');
+    values.push(updates.url);
+  }
+  if (updates.secret !== undefined) {
+    fields.push('secret = ?');
+    values.push(updates.secret);
+  }
+  if (updates.events !== undefined) {
+    fields.push('events = ?');
+    values.push(JSON.stringify(updates.events));
+  }
+  if (updates.active !== undefined) {
+    fields.push('active = ?');
+    values.push(updates.active ? 1 : 0);
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(
+      `UPDATE webhook_subscriptions SET ${fields.join(', ')} WHERE id = ?`,
+      values
+    );
+  }
+
+  return await getSubscriptionById(id);
+}
+
+export async function deleteSubscription(id) {
+  await query('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+  return true;
+}
+
+export async function findSubscriptionsForEvent(event, projectIds = []) {
+  const scopes = ['*', ...projectIds];
+  const placeholders = scopes.map(() => '?').join(', ');
+  const result = await query(
+    `SELECT * FROM webhook_subscriptions
+     WHERE active = 1 AND project_id IN (${placeholders})`,
+    scopes
+  );
+
+  return result.rows
+    .map(dbRowToSubscription)
+    .filter((subscription) => subscription.events.includes(event));
+}
+
+export async function createDelivery({ subscriptionId, event, payload }) {
+  await query(
+    `INSERT INTO webhook_deliveries (subscription_id, event, payload, status, attempts, next_attempt_at)
+     VALUES (?, ?, ?, 'pending', 0, ?)`,
+    [subscriptionId, event, JSON.stringify(payload || {}), new Date()]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM webhook_deliveries WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToDelivery(insertedRows.rows[0]);
+}
+
+export async function listDueDeliveries({ now = new Date(), staleLockMs, limit = 20 } = {}) {
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 20)));
+  const staleBefore = new Date(now.getTime() - staleLockMs);
+
+  const result = await query(
+    `SELECT * FROM webhook_deliveries
+     WHERE (status = 'pending' AND next_attempt_at <= ?)
+        OR (status = 'processing' AND locked_at < ?)
+     ORDER BY next_attempt_at ASC
+     LIMIT ${safeLimit}`,
+    [now, staleBefore]
+  );
+
+  return result.rows.map(dbRowToDelivery);
+}
+
+export async function claimDelivery(id, { staleLockMs } = {}) {
+  const now = new Date();
+  const result = await query(
+    `UPDATE webhook_deliveries SET status = 'processing', locked_at = ?
+     WHERE id = ? AND (status = 'pending' OR (status = 'processing' AND locked_at < ?))`,
+    [now, id, new Date(now.getTime() - (staleLockMs || 0))]
+  );
+
+  if (!result.rows[0]?.affectedRows) {
+    return null;
+  }
+
+  const claimed = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+  return claimed.rows.length ? dbRowToDelivery(claimed.rows[0]) : null;
+}
+
+export async function updateDelivery(id, updates) {
+  const fieldMap = {
+    status: 'status',
+    attempts: 'attempts',
+    nextAttemptAt: 'next_attempt_at',
+    lockedAt: 'locked_at',
+    responseCode: 'response_code',
+    responseBody: 'response_body',
+    error: 'error',
+    deliveredAt: 'delivered_at',
+  };
+  const dateFields = new Set(['nextAttemptAt', 'lockedAt', 'deliveredAt']);
+
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(fieldMap)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(dateFields.has(key) && updates[key] ? new Date(updates[key]) : updates[key]);
+    }
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(
+      `UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = ?`,
+      values
+    );
+  }
+
+  const result = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+  return result.rows.length ? dbRowToDelivery(result.rows[0]) : null;
+}
+
+/**
+ * Strip erased leads out of lead.* delivery payloads; undelivered rows are marked
+ * failed so the worker never sends them.
+ */
+export async function redactDeliveriesForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return 0;
+  }
+
+  // error is assigned before status, which MySQL applies left to right
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET payload = JSON_SET(payload, '$.data', JSON_OBJECT('id', JSON_EXTRACT(payload, '$.data.id'), 'erased', TRUE)),
+         error = IF(status IN ('pending', 'processing'), 'Lead data erased', error),
+         status = IF(status IN ('pending', 'processing'), 'failed', status),
+         locked_at = NULL
+     WHERE event LIKE 'lead.%'
+       AND JSON_UNQUOTE(JSON_EXTRACT(payload, '$.data.id')) IN (${leadIds.map(() => '?').join(', ')})`,
+    leadIds.map(String)
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
+
+export async function listDeliveries({ subscriptionId, status, limit = 50, skip = 0 } = {}) {
+  const whereConditions = [];
+  const params = [];
+
+  if (subscriptionId) {
+    whereConditions.push('subscription_id = ?');
+    params.push(subscriptionId);
+  }
+
+  if (status) {
+    whereConditions.push('status = ?');
+    params.push(status);
+  }
+
+  const whereClause = whereConditions.length > 0
+    ? `WHERE ${whereConditions.join(' AND ')}`
+    : '';
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+    params
+  );
+  const total = parseInt(countResult.rows[0].total, 10);
+
+  const safeSkip = Math.max(0, Math.floor(parseInt(skip, 10) || 0));
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(parseInt(limit, 10) || 50)));
+
+  const itemsResult = await query(
+    `SELECT * FROM webhook_deliveries ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT ${safeLimit} OFFSET ${safeSkip}`,
+    params
+  );
+
+  return { items: itemsResult.rows.map(dbRowToDelivery), total };
+}
@@ -44,6 +44,15 @@ export async function getWidgetConfig(projectId) {
     autoOpenDelayMs: row.auto_open_delay_ms,
     welcomeMessage: row.welcome_message,
     propertyInfo: typeof row.property_info === 'string' ? JSON.parse(row.property_info) : (row.property_info || {}),
+    aiChat: typeof row.ai_chat === 'string' ? JSON.parse(row.ai_chat) : (row.ai_chat || null),
+    chatMode: row.chat_mode || 'scripted',
+    translations: typeof row.translations === 'string' ? JSON.parse(row.translations) : (row.translations || null),
+    siteVisits: typeof row.site_visits === 'string' ? JSON.parse(row.site_visits) : (row.site_visits || null),
+    ctaOptions: typeof row.cta_options === 'string' ? JSON.parse(row.cta_options) : (row.cta_options || null),
+    bhkOptions: typeof row.bhk_options === 'string' ? JSON.parse(row.bhk_options) : (row.bhk_options || null),
+    experiments: typeof row.experiments === 'string' ? JSON.parse(row.experiments) : (row.experiments || null),
+    targeting: typeof row.targeting === 'string' ? JSON.parse(row.targeting) : (row.targeting || null),
+    businessHours: typeof row.business_hours === 'string' ? JSON.parse(row.business_hours) : (row.business_hours || null),
   };
 }
 
@@ -63,17 +72,38 @@ function dbRowToConfig(row) {
     autoOpenDelayMs: row.auto_open_delay_ms,
     welcomeMessage: row.welcome_message,
     propertyInfo: typeof row.property_info === 'string' ? JSON.parse(row.property_info) : (row.property_info || {}),
+    aiChat: typeof row.ai_chat === 'string' ? JSON.parse(row.ai_chat) : (row.ai_chat || null),
+    chatMode: row.chat_mode || 'scripted',
+    translations: typeof row.translations === 'string' ? JSON.parse(row.translations) : (row.translations || null),
+    siteVisits: typeof row.site_visits === 'string' ? JSON.parse(row.site_visits) : (row.site_visits || null),
+    ctaOptions: typeof row.cta_options === 'string' ? JSON.parse(row.cta_options) : (row.cta_options || null),
+    bhkOptions: typeof row.bhk_options === 'string' ? JSON.parse(row.bhk_options) : (row.bhk_options || null),
+    experiments: typeof row.experiments === 'string' ? JSON.parse(row.experiments) : (row.experiments || null),
+    targeting: typeof row.targeting === 'string' ? JSON.parse(row.targeting) : (row.targeting || null),
+    businessHours: typeof row.business_hours === 'string' ? JSON.parse(row.business_hours) : (row.business_hours || null),
   };
 }
 
+/**
+ * The saved config for a project, or null when it has none
+ */
+export async function findWidgetConfig(projectId) {
+  const result = await query(
+    'SELECT * FROM widget_configs WHERE project_id = ?',
+    [projectId]
+  );
+  return result.rows.length > 0 ? dbRowToConfig(result.rows[0]) : null;
+}
+
 export async function createWidgetConfig(projectId, config) {
   await query(
     `INSERT INTO widget_configs (
       project_id, agent_name, avatar_url, primary_color, followup_message,
       bhk_prompt, inventory_message, phone_prompt, thank_you_message,
       bubble_position, auto_open_delay_ms, welcome_message, property_info,
-      created_by, updated_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ai_chat, chat_mode, translations, site_visits, cta_options, bhk_options,
+      experiments, targeting, business_hours, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       projectId,
       config.agentName || 'Riya from Homesfy',
@@ -88,6 +118,15 @@ export async function createWidgetConfig(projectId, config) {
       config.autoOpenDelayMs || 4000,
       config.welcomeMessage || 'Hi, I\'m Riya from Homesfy 👋\nHow can I help you today?',
       JSON.stringify(config.propertyInfo || {}),
+      config.aiChat ? JSON.stringify(config.aiChat) : null,
+      config.chatMode || 'scripted',
+      config.translations ? JSON.stringify(config.translations) : null,
+      config.siteVisits ? JSON.stringify(config.siteVisits) : null,
+      config.ctaOptions ? JSON.stringify(config.ctaOptions) : null,
+      config.bhkOptions ? JSON.stringify(config.bhkOptions) : null,
+      config.experiments ? JSON.stringify(config.experiments) : null,
+      config.targeting ? JSON.stringify(config.targeting) : null,
+      config.businessHours ? JSON.stringify(config.businessHours) : null,
       config.createdBy || null,
       config.updatedBy || null
     ]
@@ -120,15 +159,24 @@ export async function updateWidgetConfig(projectId, updates) {
     autoOpenDelayMs: 'auto_open_delay_ms',
     welcomeMessage: 'welcome_message',
     propertyInfo: 'property_info',
+    aiChat: 'ai_chat',
+    chatMode: 'chat_mode',
+    translations: 'translations',
+    siteVisits: 'site_visits',
+    ctaOptions: 'cta_options',
+    bhkOptions: 'bhk_options',
+    experiments: 'experiments',
+    targeting: 'targeting',
+    businessHours: 'business_hours',
     updatedBy: 'updated_by'
   };
 
   for (const [key, value] of Object.entries(updates)) {
     const dbField = fieldMap[key];
     if (dbField) {
-      if (key === 'propertyInfo') {
+      if (key === 'propertyInfo' || key === 'aiChat' || key === 'translations' || key === 'siteVisits' || key === 'ctaOptions' || key === 'bhkOptions' || key === 'experiments' || key === 'targeting' || key === 'businessHours') {
         fields.push(`${dbField} = ?`);
-        values.push(JSON.stringify(value));
+        values.push(value === null ? null : JSON.stringify(value));
       } else {
         fields.push(`${dbField} = ?`);
         values.push(value);
@@ -0,0 +1,115 @@
+import { query } from '../db/mysql.js';
+import { createPreviewToken } from '../utils/widgetConfigVersions.js';
+
+/**
+ * MySQL storage for widget config versions
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function dbRowToVersion(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    version: row.version,
+    status: row.status,
+    config: parseJson(row.config, {}),
+    diff: parseJson(row.diff, []),
+    previewToken: row.preview_token,
+    rolledBackFrom: row.rolled_back_from,
+    createdBy: row.created_by,
+    publishedBy: row.published_by,
+    publishedAt: row.published_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Append the next version for a project. The version number is taken inside the
+ * INSERT, and the (project_id, version) key rejects a concurrent duplicate.
+ */
+export async function createConfigVersion({
+  projectId,
+  config,
+  diff = [],
+  status = 'draft',
+  rolledBackFrom = null,
+  createdBy = null,
+}) {
+  const published = status === 'published';
+  await query(
+    `INSERT INTO widget_config_versions (
+      project_id, version, status, config, diff, preview_token, rolled_back_from,
+      created_by, published_by, published_at
+    )
+    SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ${published ? 'CURRENT_TIMESTAMP' : 'NULL'}
+    FROM widget_config_versions WHERE project_id = ?`,
+    [
+      projectId,
+      status,
+      JSON.stringify(config),
+      JSON.stringify(diff),
+      createPreviewToken(),
+      rolledBackFrom,
+      createdBy,
+      published ? createdBy : null,
+      projectId,
+    ]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM widget_config_versions WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return dbRowToVersion(insertedRows.rows[0]);
+}
+
+/**
+ * Newest first
+ */
+export async function listConfigVersions(projectId) {
+  const result = await query(
+    'SELECT * FROM widget_config_versions WHERE project_id = ? ORDER BY version DESC',
+    [projectId]
+  );
+  return result.rows.map(dbRowToVersion);
+}
+
+export async function getConfigVersion(projectId, version) {
+  const result = await query(
+    'SELECT * FROM widget_config_versions WHERE project_id = ? AND version = ?',
+    [projectId, Number(version)]
+  );
+  return result.rows.length > 0 ? dbRowToVersion(result.rows[0]) : null;
+}
+
+export async function getConfigVersionByPreviewToken(previewToken) {
+  const result = await query(
+    'SELECT * FROM widget_config_versions WHERE preview_token = ?',
+    [previewToken]
+  );
+  return result.rows.length > 0 ? dbRowToVersion(result.rows[0]) : null;
+}
+
+/**
+ * Mark a version as the live one; the previously published version is archived
+ */
+export async function publishConfigVersion(projectId, version, { publishedBy = null } = {}) {
+  const target = await getConfigVersion(projectId, version);
+  if (!target) {
+    return null;
+  }
+
+  await query(
+    `UPDATE widget_config_versions
+     SET status = CASE WHEN version = ? THEN 'published' ELSE 'archived' END,
+         published_by = CASE WHEN version = ? THEN ? ELSE published_by END,
+         published_at = CASE WHEN version = ? THEN CURRENT_TIMESTAMP ELSE published_at END
+     WHERE project_id = ? AND (version = ? OR status = 'published')`,
+    [target.version, target.version, publishedBy, target.version, projectId, target.version]
+  );
+
+  return await getConfigVersion(projectId, target.version);
+}
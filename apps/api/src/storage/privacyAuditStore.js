@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "privacy-audit.json";
+const DEFAULT_STORE = { entries: [] };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.entries = store.entries || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+// Audit entries are append-only and never hold the raw phone number
+export async function recordPrivacyAction({
+  action,
+  subject,
+  leadIds = [],
+  counts = {},
+  actor = null,
+  reason = null,
+}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    subject,
+    leadIds,
+    counts,
+    actor,
+    reason,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await loadStore();
+  store.entries = [entry, ...store.entries];
+  await saveStore(store);
+  return entry;
+}
+
+export async function listPrivacyActions({ action, limit = 50, skip = 0 } = {}) {
+  const store = await loadStore();
+  let collection = store.entries;
+
+  if (action) {
+    collection = collection.filter((entry) => entry.action === action);
+  }
+
+  const total = collection.length;
+  const items = collection.slice(Number(skip), Number(skip) + Number(limit));
+
+  return { items, total };
+}
@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "scoring-rules.json";
+const DEFAULT_STORE = { rules: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function getScoringRules(projectId) {
+  const store = await loadStore();
+  return store.rules.find((item) => item.projectId === projectId) || null;
+}
+
+export async function upsertScoringRules(projectId, rules, updatedBy = null) {
+  const store = await loadStore();
+  const timestamp = new Date().toISOString();
+  const index = store.rules.findIndex((item) => item.projectId === projectId);
+
+  if (index === -1) {
+    const entry = {
+      id: crypto.randomUUID(),
+      projectId,
+      rules,
+      updatedBy,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+    store.rules.push(entry);
+    await saveStore(store);
+    return entry;
+  }
+
+  store.rules[index] = {
+    ...store.rules[index],
+    rules,
+    updatedBy,
+    updatedAt: timestamp,
+  };
+  await saveStore(store);
+  return store.rules[index];
+}
+
+export async function deleteScoringRules(projectId) {
+  const store = await loadStore();
+  store.rules = store.rules.filter((item) => item.projectId !== projectId);
+  await saveStore(store);
+  return true;
+}
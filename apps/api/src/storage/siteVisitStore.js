@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "site-visits.json";
+const DEFAULT_STORE = { visits: [] };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.visits = store.visits || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+function bookedCount(visits, projectId, slotStart, excludeId = null) {
+  return visits.filter(
+    (visit) =>
+      visit.projectId === projectId &&
+      visit.status === "scheduled" &&
+      visit.slotStart === slotStart &&
+      String(visit.id) !== String(excludeId)
+  ).length;
+}
+
+/**
+ * Book a slot. Returns null when the slot already holds `capacity` visits.
+ */
+export async function bookSiteVisit(
+  { projectId, microsite = null, leadId, slotStart, slotEnd, mode = "in-person", notes = null },
+  { capacity }
+) {
+  const store = await loadStore();
+  if (bookedCount(store.visits, projectId, slotStart) >= capacity) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const visit = {
+    id: crypto.randomUUID(),
+    projectId,
+    microsite,
+    leadId,
+    slotStart,
+    slotEnd,
+    mode,
+    status: "scheduled",
+    sequence: 0,
+    notes,
+    cancelReason: null,
+    cancelledAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  store.visits = [visit, ...store.visits];
+  await saveStore(store);
+  return visit;
+}
+
+export async function getSiteVisitById(id) {
+  const store = await loadStore();
+  return store.visits.find((visit) => String(visit.id) === String(id)) || null;
+}
+
+/**
+ * Visits ordered by slot. from/to bound slotStart (ISO instants, to exclusive).
+ */
+export async function listSiteVisits({ projectId, leadId, status, from, to } = {}) {
+  const store = await loadStore();
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  return store.visits
+    .filter((visit) => {
+      const start = new Date(visit.slotStart).getTime();
+      return (
+        (!projectId || visit.projectId === projectId) &&
+        (!leadId || String(visit.leadId) === String(leadId)) &&
+        (!status || visit.status === status) &&
+        (fromTime === null || start >= fromTime) &&
+        (toTime === null || start < toTime)
+      );
+    })
+    .sort((a, b) => new Date(a.slotStart) - new Date(b.slotStart));
+}
+
+/**
+ * Move a scheduled visit to another slot, bumping its invite sequence.
+ * Returns null when the new slot is already full.
+ */
+export async function rescheduleSiteVisit(id, { slotStart, slotEnd }, { capacity }) {
+  const store = await loadStore();
+  const visit = store.visits.find((item) => String(item.id) === String(id));
+  if (!visit) {
+    return null;
+  }
+  if (bookedCount(store.visits, visit.projectId, slotStart, visit.id) >= capacity) {
+    return null;
+  }
+
+  Object.assign(visit, {
+    slotStart,
+    slotEnd,
+    sequence: (visit.sequence || 0) + 1,
+    updatedAt: new Date().toISOString(),
+  });
+  await saveStore(store);
+  return visit;
+}
+
+export async function cancelSiteVisit(id, { reason = null } = {}) {
+  const store = await loadStore();
+  const visit = store.visits.find((item) => String(item.id) === String(id));
+  if (!visit) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  Object.assign(visit, {
+    status: "cancelled",
+    cancelReason: reason,
+    cancelledAt: now,
+    sequence: (visit.sequence || 0) + 1,
+    updatedAt: now,
+  });
+  await saveStore(store);
+  return visit;
+}
+
+/**
+ * Clear the free-text notes on a person's visits (privacy erasure)
+ */
+export async function redactSiteVisitsForLeads(leadIds = []) {
+  const wanted = new Set(leadIds.map((id) => String(id)));
+  const store = await loadStore();
+  let redacted = 0;
+
+  store.visits = store.visits.map((visit) => {
+    if (!wanted.has(String(visit.leadId))) {
+      return visit;
+    }
+    redacted += 1;
+    return { ...visit, notes: null, cancelReason: null };
+  });
+
+  await saveStore(store);
+  return redacted;
+}
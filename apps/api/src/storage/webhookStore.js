@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "webhooks.json";
+const DEFAULT_STORE = { subscriptions: [], deliveries: [] };
+const MAX_DELIVERY_LOG = 5000;
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.subscriptions = store.subscriptions || [];
+  store.deliveries = store.deliveries || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function createSubscription({ projectId, url, secret, events, active = true }) {
+  const now = new Date().toISOString();
+  const subscription = {
+    id: crypto.randomUUID(),
+    projectId,
+    url,
+    secret,
+    events,
+    active,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.subscriptions = [subscription, ...store.subscriptions];
+  await saveStore(store);
+  return subscription;
+}
+
+export async function listSubscriptions({ projectId } = {}) {
+  const store = await loadStore();
+  if (!projectId) {
+    return store.subscriptions;
+  }
+  return store.subscriptions.filter((item) => item.projectId === projectId);
+}
+
+export async function getSubscriptionById(id) {
+  const store = await loadStore();
+  return store.subscriptions.find((item) => String(item.id) === String(id)) || null;
+}
+
+export async function updateSubscription(id, updates) {
+  const store = await loadStore();
+  const index = store.subscriptions.findIndex((item) => String(item.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["projectId", "url", "secret", "events", "active"];
+  const changes = {};
+  for (const key of allowed) {
+    if (updates[key] !== undefined) {
+      changes[key] = updates[key];
+    }
+  }
+
+  store.subscriptions[index] = {
+    ...store.subscriptions[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.subscriptions[index];
+}
+
+export async function deleteSubscription(id) {
+  const store = await loadStore();
+  store.subscriptions = store.subscriptions.filter((item) => String(item.id) !== String(id));
+  store.deliveries = store.deliveries.filter(
+    (item) => String(item.subscriptionId) !== String(id)
+  );
+  await saveStore(store);
+  return true;
+}
+
+export async function findSubscriptionsForEvent(event, projectIds = []) {
+  const store = await loadStore();
+  return store.subscriptions.filter(
+    (item) =>
+      item.active &&
+      item.events.includes(event) &&
+      (item.projectId === "*" || projectIds.includes(item.projectId))
+  );
+}
+
+export async function createDelivery({ subscriptionId, event, payload }) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriptionId,
+    event,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedAt: null,
+    responseCode: null,
+    responseBody: null,
+    error: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  // Keep the file bounded; MySQL keeps the full history
+  store.deliveries = [delivery, ...store.deliveries].slice(0, MAX_DELIVERY_LOG);
+  await saveStore(store);
+  return delivery;
+}
+
+export async function listDueDeliveries({ now = new Date(), staleLockMs, limit = 20 } = {}) {
+  const store = await loadStore();
+  const nowMs = now.getTime();
+
+  return store.deliveries
+    .filter((delivery) => {
+      if (delivery.status === "pending") {
+        return new Date(delivery.nextAttemptAt).getTime() <= nowMs;
+      }
+      return (
+        delivery.status === "processing" &&
+        delivery.lockedAt &&
+        nowMs - new Date(delivery.lockedAt).getTime() > staleLockMs
+      );
+    })
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+    .slice(0, limit);
+}
+
+export async function claimDelivery(id) {
+  const store = await loadStore();
+  const delivery = store.deliveries.find((item) => item.id === id);
+
+  if (!delivery || delivery.status === "delivered" || delivery.status === "failed") {
+    return null;
+  }
+
+  delivery.status = "processing";
+  delivery.lockedAt = new Date().toISOString();
+  delivery.updatedAt = delivery.lockedAt;
+  await saveStore(store);
+  return delivery;
+}
+
+export async function updateDelivery(id, updates) {
+  const store = await loadStore();
+  const index = store.deliveries.findIndex((item) => item.id === id);
+
+  if (index === -1) {
+    return null;
+  }
+
+  store.deliveries[index] = {
+    ...store.deliveries[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  await saveStore(store);
+  return store.deliveries[index];
+}
+
+/**
+ * Strip erased leads out of lead.* delivery payloads; undelivered rows are marked
+ * failed so the worker never sends them.
+ */
+export async function redactDeliveriesForLeads(leadIds = []) {
+  const wanted = new Set(leadIds.map((id) => String(id)));
+  const store = await loadStore();
+  const now = new Date().toISOString();
+  let redacted = 0;
+
+  store.deliveries = store.deliveries.map((delivery) => {
+    const leadId = delivery.payload?.data?.id;
+    if (!String(delivery.event).startsWith("lead.") || !wanted.has(String(leadId))) {
+      return delivery;
+    }
+    redacted += 1;
+    const settled = delivery.status === "delivered" || delivery.status === "failed";
+    return {
+      ...delivery,
+      payload: { ...delivery.payload, data: { id: leadId, erased: true } },
+      status: settled ? delivery.status : "failed",
+      error: settled ? delivery.error : "Lead data erased",
+      lockedAt: null,
+      updatedAt: now,
+    };
+  });
+
+  await saveStore(store);
+  return redacted;
+}
+
+export async function listDeliveries({ subscriptionId, status, limit = 50, skip = 0 } = {}) {
+  const store = await loadStore();
+  let collection = store.deliveries;
+
+  if (subscriptionId) {
+    collection = collection.filter(
+      (item) => String(item.subscriptionId) === String(subscriptionId)
+    );
+  }
+
+  if (status) {
+    collection = collection.filter((item) => item.status === status);
+  }
+
+  const total = collection.length;
+  const items = collection.slice(Number(skip), Number(skip) + Number(limit));
+
+  return { items, total };
+}
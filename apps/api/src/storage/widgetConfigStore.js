@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import { readJson, writeJson } from "./fileStore.js";
+import { DEFAULT_THEME } from "../utils/widgetConfigVersions.js";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import path from "path";
@@ -86,21 +87,6 @@ async function saveStore(store) {
   await writeJson(FILE_NAME, store);
 }
 
-const DEFAULT_THEME = {
-  agentName: "Riya from Homesfy",
-  avatarUrl:
-    "https://media.giphy.com/media/v1.Y2lkPTc5MGI3NjExNzlzZ2R4b3J2OHJ2MjFpd3RiZW5sbmxwOHVzb3RrdmNmZTh5Z25mYiZlcD12MV9naWZzX3NlYXJjaCZjdD1n/g9582DNuQppxC/giphy.gif",
-  primaryColor: "#6158ff",
-  followupMessage: "Sure… I’ll send that across right away!",
-  bhkPrompt: "Which configuration you are looking for?",
-  inventoryMessage: "That’s cool… we have inventory available with us.",
-  phonePrompt: "Please enter your mobile number...",
-  thankYouMessage: "Thanks! Our expert will call you shortly 📞",
-  bubblePosition: "bottom-right",
-  autoOpenDelayMs: 4000,
-  welcomeMessage: "Hi, I’m Riya from Homesfy 👋\nHow can I help you today?",
-};
-
 const ALLOWED_FIELDS = [
   "agentName",
   "avatarUrl",
@@ -114,6 +100,15 @@ const ALLOWED_FIELDS = [
   "autoOpenDelayMs",
   "welcomeMessage",
   "propertyInfo",
+  "aiChat",
+  "chatMode",
+  "translations",
+  "siteVisits",
+  "ctaOptions",
+  "bhkOptions",
+  "experiments",
+  "targeting",
+  "businessHours",
   "createdBy",
   "updatedBy",
 ];
@@ -185,6 +180,15 @@ export async function getWidgetConfig(projectId) {
   return config;
 }
 
+/**
+ * The saved config for a project, or null. Unlike getWidgetConfig this never
+ * creates a default entry.
+ */
+export async function findWidgetConfig(projectId) {
+  const store = await loadStore();
+  return store.configs.find((item) => item.projectId === projectId) || null;
+}
+
 export async function upsertWidgetConfig(projectId, update) {
   const sanitizedUpdate = sanitizeUpdate(update);
   const store = await loadStore();
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+import { createPreviewToken } from "../utils/widgetConfigVersions.js";
+
+const FILE_NAME = "widget-config-versions.json";
+const DEFAULT_STORE = { versions: [] };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  store.versions = store.versions || [];
+  return store;
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+/**
+ * Append the next version for a project. Versions are never edited afterwards,
+ * apart from their publish status.
+ */
+export async function createConfigVersion({
+  projectId,
+  config,
+  diff = [],
+  status = "draft",
+  rolledBackFrom = null,
+  createdBy = null,
+}) {
+  const store = await loadStore();
+  const latest = store.versions
+    .filter((item) => item.projectId === projectId)
+    .reduce((max, item) => Math.max(max, item.version), 0);
+
+  const now = new Date().toISOString();
+  const version = {
+    id: crypto.randomUUID(),
+    projectId,
+    version: latest + 1,
+    status,
+    config,
+    diff,
+    previewToken: createPreviewToken(),
+    rolledBackFrom,
+    createdBy,
+    publishedBy: status === "published" ? createdBy : null,
+    publishedAt: status === "published" ? now : null,
+    createdAt: now,
+  };
+
+  store.versions.push(version);
+  await saveStore(store);
+  return version;
+}
+
+/**
+ * Newest first
+ */
+export async function listConfigVersions(projectId) {
+  const store = await loadStore();
+  return store.versions
+    .filter((item) => item.projectId === projectId)
+    .sort((a, b) => b.version - a.version);
+}
+
+export async function getConfigVersion(projectId, version) {
+  const store = await loadStore();
+  return (
+    store.versions.find((item) => item.projectId === projectId && item.version === Number(version)) || null
+  );
+}
+
+export async function getConfigVersionByPreviewToken(previewToken) {
+  const store = await loadStore();
+  return store.versions.find((item) => item.previewToken === previewToken) || null;
+}
+
+/**
+ * Mark a version as the live one; the previously published version is archived
+ */
+export async function publishConfigVersion(projectId, version, { publishedBy = null } = {}) {
+  const store = await loadStore();
+  const target = store.versions.find(
+    (item) => item.projectId === projectId && item.version === Number(version)
+  );
+  if (!target) {
+    return null;
+  }
+
+  store.versions.forEach((item) => {
+    if (item.projectId === projectId && item.status === "published") {
+      item.status = "archived";
+    }
+  });
+  Object.assign(target, {
+    status: "published",
+    publishedBy,
+    publishedAt: new Date().toISOString(),
+  });
+
+  await saveStore(store);
+  return target;
+}
@@ -0,0 +1,264 @@
+// Business hours and holiday calendar (widget config `businessHours`). Outside
+// hours the widget swaps in the `afterHours` copy and CTAs, can offer a
+// callback-time picker, and leads are marked as after-hours.
+//
+//   {
+//     enabled, timeZone, days: [1, ..., 6], openTime: "10:00", closeTime: "19:00",
+//     holidays: [{ date: "2026-11-08", name: "Diwali" }],
+//     afterHours: { thankYouMessage, ..., translations, ctaOptions, callbackPicker },
+//   }
+
+import {
+  addDays,
+  isValidDate,
+  isValidTimeZone,
+  toMinutes,
+  zonedDate,
+  zonedInstant,
+} from "./siteVisits.js";
+
+export const DEFAULT_BUSINESS_HOURS = {
+  enabled: true,
+  timeZone: "Asia/Kolkata",
+  days: [1, 2, 3, 4, 5, 6],
+  openTime: "10:00",
+  closeTime: "19:00",
+  holidays: [],
+  afterHours: null,
+};
+
+// Config fields the after-hours variant may replace
+export const AFTER_HOURS_COPY_FIELDS = [
+  "welcomeMessage",
+  "followupMessage",
+  "bhkPrompt",
+  "inventoryMessage",
+  "phonePrompt",
+  "thankYouMessage",
+];
+const AFTER_HOURS_KEYS = [...AFTER_HOURS_COPY_FIELDS, "translations", "ctaOptions", "callbackPicker"];
+
+const BUSINESS_HOURS_KEYS = Object.keys(DEFAULT_BUSINESS_HOURS);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_HOLIDAYS = 366;
+const MAX_HOLIDAY_NAME_LENGTH = 100;
+const MAX_COPY_LENGTH = 1000;
+// How far ahead the next opening (and callback times) are looked for
+const LOOKAHEAD_DAYS = 14;
+const CALLBACK_SLOT_MINUTES = 60;
+const MAX_CALLBACK_SLOTS = 6;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateAfterHours(afterHours, validateOverrides) {
+  if (afterHours === null) {
+    return null;
+  }
+  if (!isPlainObject(afterHours)) {
+    return "businessHours.afterHours must be an object or null";
+  }
+  const unknown = Object.keys(afterHours).filter((key) => !AFTER_HOURS_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown businessHours.afterHours keys: ${unknown.join(", ")}`;
+  }
+
+  for (const field of AFTER_HOURS_COPY_FIELDS) {
+    const value = afterHours[field];
+    if (value !== undefined && (typeof value !== "string" || value.length > MAX_COPY_LENGTH)) {
+      return `businessHours.afterHours.${field} must be a string of at most ${MAX_COPY_LENGTH} characters`;
+    }
+  }
+  if (afterHours.callbackPicker !== undefined && typeof afterHours.callbackPicker !== "boolean") {
+    return "businessHours.afterHours.callbackPicker must be a boolean";
+  }
+
+  const { callbackPicker, ...overrides } = afterHours;
+  const overridesError = validateOverrides(overrides);
+  return overridesError ? `businessHours.afterHours: ${overridesError}` : null;
+}
+
+/**
+ * Validate a widget config `businessHours` value. validateOverrides checks the
+ * after-hours translations and CTA list like a config update. Returns an error
+ * message or null.
+ */
+export function validateBusinessHours(businessHours, validateOverrides) {
+  if (businessHours === null) {
+    return null;
+  }
+  if (!isPlainObject(businessHours)) {
+    return "businessHours must be an object or null";
+  }
+
+  const unknown = Object.keys(businessHours).filter((key) => !BUSINESS_HOURS_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown businessHours keys: ${unknown.join(", ")}`;
+  }
+
+  const { enabled, timeZone, days, openTime, closeTime, holidays, afterHours } = businessHours;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "businessHours.enabled must be a boolean";
+  }
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return "businessHours.timeZone must be an IANA time zone such as Asia/Kolkata";
+  }
+  if (
+    days !== undefined &&
+    (!Array.isArray(days) ||
+      days.some((day) => !Number.isInteger(day) || day < 0 || day > 6) ||
+      new Set(days).size !== days.length)
+  ) {
+    return "businessHours.days must be a list of distinct weekdays from 0 (Sunday) to 6 (Saturday)";
+  }
+  for (const [key, value] of [["openTime", openTime], ["closeTime", closeTime]]) {
+    if (value !== undefined && (typeof value !== "string" || !TIME_PATTERN.test(value))) {
+      return `businessHours.${key} must be a time in HH:MM format`;
+    }
+  }
+  const resolved = { ...DEFAULT_BUSINESS_HOURS, ...businessHours };
+  if (toMinutes(resolved.openTime) >= toMinutes(resolved.closeTime)) {
+    return "businessHours.openTime must be before businessHours.closeTime";
+  }
+
+  if (holidays !== undefined) {
+    if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS) {
+      return `businessHours.holidays must be a list of at most ${MAX_HOLIDAYS} holidays`;
+    }
+    for (const [index, holiday] of holidays.entries()) {
+      if (!isPlainObject(holiday) || !isValidDate(holiday.date)) {
+        return `businessHours.holidays[${index}].date must be a date in YYYY-MM-DD format`;
+      }
+      if (
+        holiday.name !== undefined &&
+        (typeof holiday.name !== "string" || holiday.name.length > MAX_HOLIDAY_NAME_LENGTH)
+      ) {
+        return `businessHours.holidays[${index}].name must be a string of at most ${MAX_HOLIDAY_NAME_LENGTH} characters`;
+      }
+    }
+  }
+
+  return afterHours === undefined ? null : validateAfterHours(afterHours, validateOverrides);
+}
+
+// MySQL may hand the column back as a JSON string; anything unreadable counts as unset
+function parseStoredHours(businessHours) {
+  if (typeof businessHours !== "string") {
+    return businessHours;
+  }
+  try {
+    return JSON.parse(businessHours);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A project's business hours with defaults filled in, or null when none are
+ * set, they are switched off or they cannot be read: the project is then
+ * treated as always open.
+ */
+export function resolveBusinessHours(widgetConfig) {
+  const businessHours = widgetConfig?.businessHours ?? widgetConfig?.business_hours;
+  const parsed = parseStoredHours(businessHours);
+  if (!isPlainObject(parsed) || parsed.enabled === false) {
+    return null;
+  }
+  return { ...DEFAULT_BUSINESS_HOURS, ...parsed };
+}
+
+// Opening and closing instants on a local date, or null when closed all day
+function openingOn(hours, date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (!hours.days.includes(weekday) || hours.holidays.some((holiday) => holiday.date === date)) {
+    return null;
+  }
+  return {
+    opensAt: zonedInstant(date, toMinutes(hours.openTime), hours.timeZone),
+    closesAt: zonedInstant(date, toMinutes(hours.closeTime), hours.timeZone),
+  };
+}
+
+// Hourly callback times during the next openings after `now`
+function callbackSlots(hours, now) {
+  const slots = [];
+  const today = zonedDate(now, hours.timeZone);
+  for (let offset = 0; offset < LOOKAHEAD_DAYS && slots.length < MAX_CALLBACK_SLOTS; offset += 1) {
+    const date = addDays(today, offset);
+    if (!openingOn(hours, date)) {
+      continue;
+    }
+    const close = toMinutes(hours.closeTime);
+    for (
+      let minutes = toMinutes(hours.openTime);
+      minutes < close && slots.length < MAX_CALLBACK_SLOTS;
+      minutes += CALLBACK_SLOT_MINUTES
+    ) {
+      const start = zonedInstant(date, minutes, hours.timeZone);
+      if (start > now) {
+        slots.push({ date, start: start.toISOString() });
+      }
+    }
+  }
+  return slots;
+}
+
+/**
+ * Open/closed state at `now`, sent with the widget config:
+ * { open, timeZone, holiday, opensAt, closesAt, callbackSlots? }
+ * `holiday` names today's holiday; `opensAt` is the next opening while closed
+ * and `closesAt` today's closing while open. Callback slots are listed while
+ * closed when the after-hours picker is on.
+ */
+export function getBusinessStatus(hours, now = new Date()) {
+  const today = zonedDate(now, hours.timeZone);
+  const todayHours = openingOn(hours, today);
+  const holiday = hours.holidays.find((item) => item.date === today);
+
+  if (todayHours && now >= todayHours.opensAt && now < todayHours.closesAt) {
+    return {
+      open: true,
+      timeZone: hours.timeZone,
+      holiday: null,
+      opensAt: null,
+      closesAt: todayHours.closesAt.toISOString(),
+    };
+  }
+
+  let opensAt = null;
+  for (let offset = 0; offset < LOOKAHEAD_DAYS && !opensAt; offset += 1) {
+    const opening = openingOn(hours, addDays(today, offset));
+    if (opening && opening.opensAt > now) {
+      opensAt = opening.opensAt.toISOString();
+    }
+  }
+
+  return {
+    open: false,
+    timeZone: hours.timeZone,
+    holiday: holiday ? holiday.name || holiday.date : null,
+    opensAt,
+    closesAt: null,
+    ...(hours.afterHours?.callbackPicker && { callbackSlots: callbackSlots(hours, now) }),
+  };
+}
+
+/**
+ * Whether `start` is a time the team can call back: in the future, inside
+ * opening hours and within the lookahead window. Returns { start } or { error }.
+ */
+export function findCallbackTime(hours, start, now = new Date()) {
+  const instant = new Date(start);
+  if (typeof start !== "string" || Number.isNaN(instant.getTime())) {
+    return { error: "callbackAt must be an ISO 8601 date-time" };
+  }
+
+  const date = zonedDate(instant, hours.timeZone);
+  const opening = openingOn(hours, date);
+  const lastDate = addDays(zonedDate(now, hours.timeZone), LOOKAHEAD_DAYS - 1);
+  if (!opening || instant < opening.opensAt || instant >= opening.closesAt || instant <= now || date > lastDate) {
+    return { error: "callbackAt must be a future time within business hours" };
+  }
+  return { start: instant.toISOString() };
+}
@@ -0,0 +1,229 @@
+/**
+ * AI chat replies with guard rails
+ *
+ * Each project picks a provider through its widget config (`aiChat`), falling
+ * back to LLM_PROVIDER. A provider reply is only used when it arrives within
+ * the timeout, is non-empty and quotes no price that is not in
+ * propertyInfo.pricing or the knowledge base answers it was given; otherwise
+ * the caller answers with the intent engine and reports why.
+ */
+
+import { config } from "../config.js";
+import { LLM_PROVIDER_NAMES, getLlmProvider } from "./llmProviders.js";
+
+export const KEYWORD_PROVIDER = "keyword";
+
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_HISTORY_TEXT = 500;
+const LIMITS = {
+  maxTokens: { min: 16, max: 1000 },
+  timeoutMs: { min: 500, max: 30000 },
+  maxReplyChars: { min: 80, max: 2000 },
+  temperature: { min: 0, max: 1 },
+};
+
+const AMOUNT_UNITS = {
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7,
+  l: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  lakh: 1e5,
+  lakhs: 1e5,
+  k: 1e3,
+};
+
+// "₹ 1.2 Cr", "Rs. 85 lakh", "1.2 - 1.5 Cr", "INR 49,00,000". A bare number only
+// counts as a price with a currency prefix or a unit, so "2 BHK" is ignored.
+const PRICE_PATTERN =
+  /(₹|\brs\.?|\binr)?\s*(\d[\d,]*(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d[\d,]*(?:\.\d+)?))?\s*(crores?|cr|lakhs?|lacs?|lac|l|k)?\b/gi;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Each price mentioned in the text as { index, text, amounts }, amounts in rupees
+ * (two for a range)
+ */
+export function findPriceMentions(text) {
+  const mentions = [];
+  for (const match of String(text || "").matchAll(PRICE_PATTERN)) {
+    const [, currency, first, second, unit] = match;
+    if (!currency && !unit) {
+      continue;
+    }
+    const multiplier = unit ? AMOUNT_UNITS[unit.toLowerCase()] : 1;
+    mentions.push({
+      index: match.index,
+      text: match[0].trim(),
+      amounts: [first, second].filter(Boolean).map((value) => Number(value.replace(/,/g, "")) * multiplier),
+    });
+  }
+  return mentions;
+}
+
+/**
+ * Every price amount mentioned in the text, in rupees
+ */
+export function extractPriceAmounts(text) {
+  return findPriceMentions(text).flatMap((mention) => mention.amounts);
+}
+
+/**
+ * Returns { grounded, inventedPrices }. A reply is grounded when each price it
+ * mentions matches (within 0.5%) an amount in propertyInfo.pricing or in one of
+ * the `sources` texts (knowledge base answers the provider was given).
+ */
+export function checkPriceGrounding(reply, propertyInfo = {}, sources = []) {
+  const pricing = isPlainObject(propertyInfo.pricing) ? propertyInfo.pricing : {};
+  const allowed = [...Object.values(pricing), ...sources].flatMap((text) => extractPriceAmounts(text));
+  const inventedPrices = extractPriceAmounts(reply).filter(
+    (amount) => !allowed.some((known) => Math.abs(known - amount) <= known * 0.005)
+  );
+  return { grounded: inventedPrices.length === 0, inventedPrices };
+}
+
+/**
+ * Trim to maxChars, preferring to end on a sentence boundary
+ */
+export function limitReply(text, maxChars) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxChars) {
+    return clean;
+  }
+  const cut = clean.slice(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("? "), cut.lastIndexOf("! "));
+  return sentenceEnd > maxChars / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.slice(0, maxChars - 1).trimEnd()}…`;
+}
+
+function clamp(value, { min, max }, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+/**
+ * Effective settings for a project: its widget config `aiChat` over the server defaults
+ */
+export function resolveAiSettings(aiChat = {}) {
+  const settings = isPlainObject(aiChat) ? aiChat : {};
+  return {
+    provider: settings.provider || config.llm.provider,
+    model: settings.model || config.llm.model,
+    maxTokens: clamp(settings.maxTokens, LIMITS.maxTokens, config.llm.maxTokens),
+    timeoutMs: clamp(settings.timeoutMs, LIMITS.timeoutMs, config.llm.timeoutMs),
+    maxReplyChars: clamp(settings.maxReplyChars, LIMITS.maxReplyChars, config.llm.maxReplyChars),
+    temperature: clamp(settings.temperature, LIMITS.temperature, 0.3),
+  };
+}
+
+/**
+ * Returns an error message, or null when a widget config `aiChat` value is valid
+ */
+export function validateAiSettings(aiChat) {
+  if (aiChat === null) {
+    return null;
+  }
+  if (!isPlainObject(aiChat)) {
+    return "aiChat must be an object";
+  }
+
+  const providers = [KEYWORD_PROVIDER, ...LLM_PROVIDER_NAMES];
+  if (aiChat.provider !== undefined && !providers.includes(aiChat.provider)) {
+    return `aiChat.provider must be one of: ${providers.join(", ")}`;
+  }
+  if (aiChat.model !== undefined && (typeof aiChat.model !== "string" || aiChat.model.length > 100)) {
+    return "aiChat.model must be a string of at most 100 characters";
+  }
+  for (const [key, { min, max }] of Object.entries(LIMITS)) {
+    const value = aiChat[key];
+    if (value !== undefined && (typeof value !== "number" || value < min || value > max)) {
+      return `aiChat.${key} must be a number between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+class AiReplyError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "AiReplyError";
+    this.reason = reason;
+  }
+}
+
+function withTimeout(promise, signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener(
+      "abort",
+      () => reject(new AiReplyError("timeout", "LLM provider timed out")),
+      { once: true }
+    );
+    promise.then(resolve, reject);
+  });
+}
+
+/**
+ * Ask the configured provider for a reply. Returns { text, provider, usage, citations },
+ * or throws an error whose `reason` is one of: unknown_provider, timeout,
+ * provider_error, empty_reply, ungrounded_price.
+ */
+export async function generateAiReply({ message, conversation = [], propertyInfo = {}, knowledge = [], agentName, language = "en", settings }) {
+  const provider = getLlmProvider(settings.provider);
+  if (!provider) {
+    throw new AiReplyError("unknown_provider", `Unknown LLM provider "${settings.provider}"`);
+  }
+
+  const signal = AbortSignal.timeout(settings.timeoutMs);
+  let result;
+  try {
+    result = await withTimeout(
+      provider.generateReply({
+        message,
+        conversation: conversation.slice(-MAX_HISTORY_MESSAGES).map((entry) => ({
+          type: entry.type,
+          text: String(entry.text || "").slice(0, MAX_HISTORY_TEXT),
+        })),
+        propertyInfo,
+        knowledge,
+        persona: { agentName },
+        language,
+        model: settings.model,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        signal,
+      }),
+      signal
+    );
+  } catch (error) {
+    if (error instanceof AiReplyError) {
+      throw error;
+    }
+    throw new AiReplyError(signal.aborted ? "timeout" : "provider_error", error.message);
+  }
+
+  const text = limitReply(result?.text, settings.maxReplyChars);
+  if (!text) {
+    throw new AiReplyError("empty_reply", "LLM provider returned an empty reply");
+  }
+
+  const { grounded, inventedPrices } = checkPriceGrounding(
+    text,
+    propertyInfo,
+    knowledge.map((item) => item.answer)
+  );
+  if (!grounded) {
+    throw new AiReplyError(
+      "ungrounded_price",
+      `LLM reply quoted unknown prices: ${inventedPrices.join(", ")}`
+    );
+  }
+
+  return {
+    text,
+    provider: provider.name,
+    usage: result.usage || null,
+    citations: result.citations || [],
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * CRM forwarding
+ * Leads are written to a persisted outbox and delivered to every configured
+ * CRM target in the background, with exponential backoff. Deliveries that
+ * exhaust their attempts are parked as "dead" until retried manually.
+ */
+
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let workerTimer = null;
+let processing = false;
+let rerunRequested = false;
+
+async function getOutboxStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlCrmOutboxStore.js");
+  } else {
+    return await import("../storage/crmOutboxStore.js");
+  }
+}
+
+function detectDevice(userAgent = "") {
+  if (/Android|webOS|iPhone|Windows Phone/i.test(userAgent)) {
+    return "Mobile";
+  }
+  if (/iPad|iPod/i.test(userAgent)) {
+    return "Tablet";
+  }
+  return "Desktop";
+}
+
+function detectBrowser(userAgent = "") {
+  if (userAgent.includes("Chrome")) return "Chrome";
+  if (userAgent.includes("Firefox")) return "Firefox";
+  if (userAgent.includes("Safari")) return "Safari";
+  if (userAgent.includes("Edge")) return "Edge";
+  return "Other";
+}
+
+/**
+ * Build the Homesfy CRM payload for a stored lead (previously assembled in the widget)
+ */
+export function buildCrmPayload(lead, { userAgent, clientIp } = {}) {
+  const metadata = lead.metadata || {};
+  const utm = metadata.visitor?.utm || {};
+  const magnetId = metadata.magnetId || null;
+  const dialCode = metadata.phoneDialCode || "+91";
+  const subscriber = String(metadata.phoneSubscriber || "").replace(/\D/g, "");
+  const agent = userAgent || metadata.visitor?.userAgent || "";
+
+  const payload = {
+    name: metadata.name || "Guest",
+    email: null,
+    country_code: dialCode,
+    number: subscriber,
+    tracking_lead_id: magnetId || `chat-${lead.id}`,
+    nationality: dialCode === "+91" ? 1 : 2,
+    source_id: magnetId ? 49 : 31,
+    project_id: Number(metadata.projectId) || config.crm.defaultProjectId,
+    Digital: {
+      user_device: detectDevice(agent),
+      user_browser: detectBrowser(agent),
+      campaing_type: utm.campaign || null, // "campaing" is the CRM's field name
+      launch_name: "",
+      client_ipaddress: clientIp || "0.0.0.0",
+      client_pref: null,
+    },
+  };
+
+  if (Object.keys(utm).length > 0) {
+    payload.Utm = {
+      utm_medium: utm.medium || null,
+      utm_source: utm.source || null,
+      utm_content: utm.content || null,
+      utm_term: utm.term || null,
+    };
+  }
+
+  if (magnetId) {
+    payload.is_magnet = 1;
+    payload.magnet_id = magnetId;
+  }
+
+  return payload;
+}
+
+export function getRetryDelayMs(attempts) {
+  const { retryBaseMs, retryMaxMs } = config.crm;
+  return Math.min(retryBaseMs * 2 ** Math.max(0, attempts - 1), retryMaxMs);
+}
+
+/**
+ * Collapse a lead's deliveries into a single status for list views
+ */
+export function summarizeDeliveries(deliveries = []) {
+  if (deliveries.length === 0) {
+    return { status: "not_queued", targets: [] };
+  }
+
+  const statuses = deliveries.map((delivery) => delivery.status);
+  let status = "pending";
+  if (statuses.every((value) => value === "delivered")) {
+    status = "delivered";
+  } else if (statuses.includes("dead")) {
+    status = "dead";
+  } else if (deliveries.some((delivery) => delivery.attempts > 0)) {
+    status = "retrying";
+  }
+
+  return {
+    status,
+    targets: deliveries.map(toPublicDelivery),
+  };
+}
+
+export function toPublicDelivery(delivery) {
+  const { payload, lockedAt, ...rest } = delivery;
+  return rest;
+}
+
+export async function enqueueLeadForCrm(lead, context = {}) {
+  const targets = config.crm.targets;
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const outboxStore = await getOutboxStore();
+  const deliveries = await outboxStore.enqueueDeliveries(
+    lead.id,
+    targets,
+    buildCrmPayload(lead, context)
+  );
+
+  // Deliver right away instead of waiting for the next poll
+  processCrmOutbox().catch((error) => {
+    logger.error("CRM outbox run failed", error);
+  });
+
+  return deliveries;
+}
+
+async function sendDelivery(delivery) {
+  const response = await fetch(delivery.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(delivery.payload),
+    signal: AbortSignal.timeout(config.crm.requestTimeoutMs),
+  });
+
+  const body = await response.text().catch(() => "");
+  return { ok: response.ok, statusCode: response.status, body };
+}
+
+async function attemptDelivery(outboxStore, delivery) {
+  const claimed = await outboxStore.claimDelivery(delivery.id, {
+    staleLockMs: STALE_LOCK_MS,
+  });
+  if (!claimed) {
+    return;
+  }
+
+  const attempts = (claimed.attempts || 0) + 1;
+  let result;
+
+  try {
+    result = await sendDelivery(claimed);
+  } catch (error) {
+    result = { ok: false, statusCode: null, body: error.message };
+  }
+
+  if (result.ok) {
+    await outboxStore.updateDelivery(claimed.id, {
+      status: "delivered",
+      attempts,
+      lastStatusCode: result.statusCode,
+      lastError: null,
+      lockedAt: null,
+      deliveredAt: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const lastError = String(result.body || `HTTP ${result.statusCode}`).slice(0, 1000);
+  const exhausted = attempts >= config.crm.maxAttempts;
+
+  await outboxStore.updateDelivery(claimed.id, {
+    status: exhausted ? "dead" : "pending",
+    attempts,
+    lastStatusCode: result.statusCode,
+    lastError,
+    lockedAt: null,
+    nextAttemptAt: new Date(Date.now() + getRetryDelayMs(attempts)).toISOString(),
+  });
+
+  if (exhausted) {
+    logger.error(
+      `CRM delivery ${claimed.id} to ${claimed.target} moved to dead letter after ${attempts} attempts`
+    );
+  } else {
+    logger.warn(
+      `CRM delivery ${claimed.id} to ${claimed.target} failed (attempt ${attempts}), will retry`
+    );
+  }
+}
+
+export async function processCrmOutbox() {
+  if (processing) {
+    rerunRequested = true;
+    return;
+  }
+
+  processing = true;
+  try {
+    const outboxStore = await getOutboxStore();
+    const due = await outboxStore.listDueDeliveries({
+      now: new Date(),
+      staleLockMs: STALE_LOCK_MS,
+      limit: BATCH_SIZE,
+    });
+
+    for (const delivery of due) {
+      await attemptDelivery(outboxStore, delivery);
+    }
+  } finally {
+    processing = false;
+  }
+
+  if (rerunRequested) {
+    rerunRequested = false;
+    await processCrmOutbox();
+  }
+}
+
+export function startCrmOutboxWorker() {
+  if (workerTimer || config.crm.targets.length === 0) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processCrmOutbox().catch((error) => {
+      logger.error("CRM outbox run failed", error);
+    });
+  }, config.crm.pollIntervalMs);
+  workerTimer.unref?.();
+}
+
+export function stopCrmOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF, BOM)
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+ * Throws when more than `maxRows` rows are found or a quoted field is left open.
+ */
+export function parseCsv(text, { delimiter = ",", maxRows = Infinity } = {}) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let fieldValue = "";
+  let inQuotes = false;
+
+  const pushRow = () => {
+    row.push(fieldValue);
+    fieldValue = "";
+    if (row.some((value) => value.trim() !== "")) {
+      if (rows.length >= maxRows) {
+        throw new Error(`CSV has more than ${maxRows} rows`);
+      }
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[index + 1] === '"') {
+          fieldValue += '"';
+          index++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        fieldValue += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && fieldValue === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(fieldValue);
+      fieldValue = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index++;
+      }
+      pushRow();
+    } else {
+      fieldValue += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (fieldValue !== "" || row.length > 0) {
+    pushRow();
+  }
+
+  return rows;
+}
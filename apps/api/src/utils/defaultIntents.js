@@ -0,0 +1,331 @@
+/**
+ * Built-in chat intents, used for every project unless overridden
+ *
+ * Response templates are rendered by utils/intentEngine.js against propertyInfo
+ * plus a few derived values (bhkList, pricingList, startingPrice, amenityList,
+ * agentName). `examples` are replayed by POST /api/chat-intents/:projectId/replay.
+ * `leadCapture: true` marks buying intent: the widget offers the BHK and
+ * name/phone steps after such a reply. `translations` hold the Hinglish and
+ * Hindi triggers and responses.
+ */
+
+const CAPTURE = "Share your name and phone so I can assist you better.";
+const FALLBACK_CAPTURE = `I'd love to help you with that! ${CAPTURE}`;
+const CAPTURE_HINGLISH = "Apna naam aur phone share kijiye taaki hum aapki behtar madad kar sakein.";
+const FALLBACK_CAPTURE_HINGLISH = `Hum isme aapki zaroor madad karenge! ${CAPTURE_HINGLISH}`;
+const CAPTURE_HI = "अपना नाम और फ़ोन शेयर करें ताकि हम आपकी बेहतर मदद कर सकें।";
+const FALLBACK_CAPTURE_HI = `हम इसमें आपकी ज़रूर मदद करेंगे! ${CAPTURE_HI}`;
+
+export const DEFAULT_SYNONYMS = {
+  price: ["rate", "rates", "cost", "costs", "costing", "budget"],
+  bhk: ["bedroom", "bedrooms", "configuration", "configurations", "config"],
+  location: ["address", "situated", "locality"],
+  amenities: ["facilities", "facility", "features", "amenity"],
+  brief: ["overview", "highlights", "highlight", "summary"],
+};
+
+export const DEFAULT_INTENTS = [
+  {
+    id: "affirm",
+    priority: 100,
+    match: "exact",
+    triggers: ["yes", "yeah", "yep", "sure", "ok", "okay", "alright", "fine", "correct", "right", "yes please"],
+    response:
+      `That's great! {{#pricing}}Would you like to know about our pricing or available configurations?{{/pricing}}{{^pricing}}Would you like to know more about {{projectName|this project}}?{{/pricing}} ${CAPTURE}`,
+    translations: {
+      hinglish: {
+        triggers: ["haan", "haa", "ha", "haan ji", "ji", "ji haan", "theek hai", "thik hai", "accha", "acha", "chalo"],
+        response:
+          `Bahut badhiya! {{#pricing}}Kya aap pricing ya available configurations ke baare mein jaanna chahenge?{{/pricing}}{{^pricing}}Kya aap {{projectName|is project}} ke baare mein aur jaanna chahenge?{{/pricing}} ${CAPTURE_HINGLISH}`,
+      },
+      hi: {
+        triggers: ["हाँ", "हां", "जी", "जी हाँ", "जी हां", "ठीक है", "अच्छा"],
+        response:
+          `बहुत बढ़िया! {{#pricing}}क्या आप कीमत या उपलब्ध कॉन्फ़िगरेशन के बारे में जानना चाहेंगे?{{/pricing}}{{^pricing}}क्या आप {{projectName|इस प्रोजेक्ट}} के बारे में और जानना चाहेंगे?{{/pricing}} ${CAPTURE_HI}`,
+      },
+    },
+    examples: ["yes", "Okay", "yes please", "haan ji", "हाँ"],
+  },
+  {
+    id: "deny",
+    priority: 100,
+    match: "exact",
+    triggers: ["no", "nope", "not", "don't", "nah", "no thanks"],
+    response:
+      "No worries! Is there anything else about {{projectName|the project}} you'd like to know? I'm here to help!",
+    translations: {
+      hinglish: {
+        triggers: ["nahi", "nahin", "nai", "na", "nahi chahiye", "nahi ji"],
+        response:
+          "Koi baat nahi! {{projectName|Project}} ke baare mein aur kuch jaanna ho to bataiye, main yahin hoon!",
+      },
+      hi: {
+        triggers: ["नहीं", "ना", "नहीं चाहिए", "नहीं जी"],
+        response:
+          "कोई बात नहीं! {{projectName|प्रोजेक्ट}} के बारे में और कुछ जानना हो तो बताइए, मैं यहीं हूँ!",
+      },
+    },
+    examples: ["no", "nah", "no thanks", "nahi"],
+  },
+  {
+    id: "greeting",
+    priority: 90,
+    match: "exact",
+    triggers: ["hi", "hello", "hey", "hello there", "hi there", "good morning", "good evening"],
+    response:
+      "Hi! 👋 I'm {{agentName}} from Homesfy. {{#projectName}}I'm here to help you with {{projectName}}.{{/projectName}}{{^projectName}}I'm here to help you find your dream home.{{/projectName}} What would you like to know?",
+    translations: {
+      hinglish: {
+        triggers: ["namaste", "namaskar", "hello ji", "hi ji"],
+        response:
+          "Namaste! 👋 Main {{agentName}} hoon. {{#projectName}}Main {{projectName}} ke baare mein aapki madad ke liye yahan hoon.{{/projectName}}{{^projectName}}Main aapka dream home dhoondhne mein madad ke liye yahan hoon.{{/projectName}} Aap kya jaanna chahenge?",
+      },
+      hi: {
+        triggers: ["नमस्ते", "नमस्कार"],
+        response:
+          "नमस्ते! 👋 मैं {{agentName}} हूँ। {{#projectName}}मैं {{projectName}} के बारे में आपकी मदद के लिए यहाँ हूँ।{{/projectName}}{{^projectName}}मैं आपके सपनों का घर ढूँढने में मदद के लिए यहाँ हूँ।{{/projectName}} आप क्या जानना चाहेंगे?",
+      },
+    },
+    examples: ["hi", "Hello there", "namaste", "नमस्ते"],
+  },
+  {
+    id: "project_name",
+    priority: 80,
+    triggers: ["project name", "name of project", "name of the project", "what is this", "what project"],
+    response:
+      `{{#projectName}}This is {{projectName}}{{#developer}} by {{developer}}{{/developer}}{{#location}} located in {{location}}{{/location}}. Would you like to know more about pricing or available configurations?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE}{{/projectName}}`,
+    followUps: { affirm: "pricing_and_configurations" },
+    examples: ["what is the project name", "which project is this? what project"],
+    translations: {
+      hinglish: {
+        triggers: ["project ka naam", "project ka name", "kaunsa project", "konsa project"],
+        response:
+          `{{#projectName}}Ye {{projectName}} hai{{#developer}}, {{developer}} ka{{/developer}}{{#location}}, {{location}} mein{{/location}}. Kya aap pricing ya available configurations ke baare mein jaanna chahenge?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE_HINGLISH}{{/projectName}}`,
+      },
+      hi: {
+        triggers: ["प्रोजेक्ट का नाम", "कौन सा प्रोजेक्ट", "कौनसा प्रोजेक्ट"],
+        response:
+          `{{#projectName}}यह {{projectName}} है{{#developer}}, {{developer}} का{{/developer}}{{#location}}, {{location}} में{{/location}}। क्या आप कीमत या उपलब्ध कॉन्फ़िगरेशन के बारे में जानना चाहेंगे?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE_HI}{{/projectName}}`,
+      },
+    },
+  },
+  {
+    id: "pricing",
+    priority: 70,
+    triggers: ["price", "pricing", "how much"],
+    response:
+      "Our pricing: {{pricingList|Check with our team for current pricing}}. Would you like to schedule a site visit or get more details? Share your name and phone.",
+    leadCapture: true,
+    followUps: { affirm: "pricing_lead_capture" },
+    translations: {
+      hinglish: {
+        triggers: ["kitne ka", "kitne ki", "kitne mein", "kitna padega", "kimat", "keemat", "daam"],
+        response:
+          "Hamari pricing: {{pricingList|current pricing ke liye hamari team se baat karein}}. Kya aap site visit schedule karna chahenge ya aur details chahiye? Apna naam aur phone share kijiye.",
+      },
+      hi: {
+        triggers: ["कीमत", "दाम", "कितने का", "कितने की", "कितना पड़ेगा", "प्राइस", "रेट"],
+        response:
+          "हमारी कीमतें: {{pricingList|ताज़ा कीमत के लिए हमारी टीम से बात करें}}। क्या आप साइट विज़िट शेड्यूल करना चाहेंगे या और जानकारी चाहिए? अपना नाम और फ़ोन शेयर करें।",
+      },
+    },
+    examples: ["what is the price", "how much for 2 bhk", "rates please", "total cost?", "pirce list", "price kya hai", "2 bhk kitne ka hai", "कीमत क्या है"],
+  },
+  {
+    id: "site_visit",
+    priority: 75,
+    triggers: ["site visit", "visit", "book", "call me", "call back", "callback", "brochure", "interested"],
+    response:
+      "I'd be happy to arrange that{{#projectName}} for {{projectName}}{{/projectName}}! Tell me which configuration you're looking at, then share your name and phone and our team will get in touch.",
+    leadCapture: true,
+    translations: {
+      hinglish: {
+        triggers: ["visit karna", "dekhna hai", "dekhne aana", "call karo", "call kijiye", "brochure bhejo", "brochure chahiye"],
+        response:
+          "Zaroor{{#projectName}}, {{projectName}} ke liye{{/projectName}} hum arrange kar denge! Bataiye aap kaunsi configuration dekh rahe hain, phir apna naam aur phone share kijiye, hamari team aapse sampark karegi.",
+      },
+      hi: {
+        triggers: ["साइट विज़िट", "साइट विजिट", "देखना है", "देखने आना", "कॉल करें", "कॉल कीजिए", "ब्रोशर"],
+        response:
+          "ज़रूर{{#projectName}}, {{projectName}} के लिए{{/projectName}} हम व्यवस्था कर देंगे! बताइए आप कौन सी कॉन्फ़िगरेशन देख रहे हैं, फिर अपना नाम और फ़ोन शेयर करें, हमारी टीम आपसे संपर्क करेगी।",
+      },
+    },
+    examples: ["I want to book a site visit", "please call me back", "send me the brochure", "interested", "site visit karna hai"],
+  },
+  {
+    id: "location",
+    priority: 60,
+    triggers: ["location", "where"],
+    response:
+      `{{#location}}{{projectName|This project}} is located in {{location}}. {{#bhkList}}We have {{bhkList}} available. {{/bhkList}}Would you like to know about pricing or schedule a site visit?{{/location}}{{^location}}${FALLBACK_CAPTURE}{{/location}}`,
+    followUps: { affirm: "location_follow_up" },
+    translations: {
+      hinglish: {
+        triggers: ["kaha hai", "kahan hai", "kaha pe", "kahan pe", "kidhar hai"],
+        response:
+          `{{#location}}{{projectName|Ye project}} {{location}} mein hai. {{#bhkList}}Hamare paas {{bhkList}} available hain. {{/bhkList}}Kya aap pricing jaanna chahenge ya site visit schedule karna chahenge?{{/location}}{{^location}}${FALLBACK_CAPTURE_HINGLISH}{{/location}}`,
+      },
+      hi: {
+        triggers: ["कहाँ है", "कहां है", "लोकेशन", "पता क्या"],
+        response:
+          `{{#location}}{{projectName|यह प्रोजेक्ट}} {{location}} में है। {{#bhkList}}हमारे पास {{bhkList}} उपलब्ध हैं। {{/bhkList}}क्या आप कीमत जानना चाहेंगे या साइट विज़िट शेड्यूल करना चाहेंगे?{{/location}}{{^location}}${FALLBACK_CAPTURE_HI}{{/location}}`,
+      },
+    },
+    examples: ["where is it", "what is the address", "location?", "project kahan hai", "लोकेशन बताइए"],
+  },
+  {
+    id: "configurations",
+    priority: 50,
+    triggers: ["bhk", "room"],
+    response:
+      `We have {{bhkList|various configurations}} available. {{#pricing}}Would you like to know about pricing? {{/pricing}}${CAPTURE}`,
+    leadCapture: true,
+    followUps: { affirm: "configuration_pricing" },
+    examples: ["which bhk options", "how many bedrooms", "configurations available?"],
+    translations: {
+      hinglish: {
+        triggers: ["kitne bhk", "kaunse flat", "konse flat", "kamre"],
+        response:
+          `Hamare paas {{bhkList|kai configurations}} available hain. {{#pricing}}Kya aap pricing jaanna chahenge? {{/pricing}}${CAPTURE_HINGLISH}`,
+      },
+      hi: {
+        triggers: ["बीएचके", "कमरे", "कॉन्फ़िगरेशन"],
+        response:
+          `हमारे पास {{bhkList|कई कॉन्फ़िगरेशन}} उपलब्ध हैं। {{#pricing}}क्या आप कीमत जानना चाहेंगे? {{/pricing}}${CAPTURE_HI}`,
+      },
+    },
+  },
+  {
+    id: "amenities",
+    priority: 40,
+    triggers: ["amenities", "what do you have"],
+    response:
+      "We offer {{amenityList|modern amenities}}{{#moreAmenities}} and more{{/moreAmenities}}. Would you like to know about pricing or schedule a site visit?",
+    translations: {
+      hinglish: {
+        triggers: ["suvidha", "suvidhaye", "suvidhayen", "kya kya milega"],
+        response:
+          "Hum {{amenityList|modern amenities}}{{#moreAmenities}} aur bhi bahut kuch{{/moreAmenities}} offer karte hain. Kya aap pricing jaanna chahenge ya site visit schedule karna chahenge?",
+      },
+      hi: {
+        triggers: ["सुविधा", "सुविधाएं", "सुविधाएँ", "क्या क्या मिलेगा"],
+        response:
+          "हम {{amenityList|आधुनिक सुविधाएँ}}{{#moreAmenities}} और भी बहुत कुछ{{/moreAmenities}} देते हैं। क्या आप कीमत जानना चाहेंगे या साइट विज़िट शेड्यूल करना चाहेंगे?",
+      },
+    },
+    examples: ["what amenities are there", "list the facilities", "amenitys", "kya kya milega", "सुविधाएं क्या हैं"],
+  },
+  {
+    id: "overview",
+    priority: 30,
+    triggers: ["brief", "detail", "details", "tell me about", "about the project", "about this project", "give me info"],
+    response:
+      `{{#projectName}}{{projectName}}{{#developer}} by {{developer}}{{/developer}}{{#location}}, located in {{location}}{{/location}}{{#bhkList}}, is available in {{bhkList}} configurations{{/bhkList}}.{{#pricingList}} Pricing ranges from {{pricingList}}.{{/pricingList}}{{#topAmenities}} Key amenities include {{topAmenities}}.{{/topAmenities}}{{#specialOffers}} Special offer: {{specialOffers}}.{{/specialOffers}}{{#area}} The project offers {{area}} of living space.{{/area}} Would you like to know more about pricing, configurations, or schedule a site visit?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE}{{/projectName}}`,
+    examples: ["can you give me a breif", "tell me about the project", "project highlights", "more details please"],
+    translations: {
+      hinglish: {
+        triggers: ["ke baare mein", "ke bare me", "details batao", "jankari", "jaankari"],
+        response:
+          `{{#projectName}}{{projectName}}{{#developer}} ({{developer}}){{/developer}}{{#location}} {{location}} mein hai{{/location}}{{#bhkList}} aur {{bhkList}} configurations mein available hai{{/bhkList}}.{{#pricingList}} Pricing: {{pricingList}}.{{/pricingList}}{{#topAmenities}} Khaas amenities: {{topAmenities}}.{{/topAmenities}}{{#specialOffers}} Special offer: {{specialOffers}}.{{/specialOffers}}{{#area}} Living space: {{area}}.{{/area}} Kya aap pricing, configurations ke baare mein aur jaanna chahenge ya site visit schedule karna chahenge?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE_HINGLISH}{{/projectName}}`,
+      },
+      hi: {
+        triggers: ["के बारे में", "जानकारी", "विवरण"],
+        response:
+          `{{#projectName}}{{projectName}}{{#developer}} ({{developer}}){{/developer}}{{#location}} {{location}} में है{{/location}}{{#bhkList}} और {{bhkList}} कॉन्फ़िगरेशन में उपलब्ध है{{/bhkList}}।{{#pricingList}} कीमतें: {{pricingList}}।{{/pricingList}}{{#topAmenities}} ख़ास सुविधाएँ: {{topAmenities}}।{{/topAmenities}}{{#specialOffers}} विशेष ऑफ़र: {{specialOffers}}।{{/specialOffers}}{{#area}} रहने की जगह: {{area}}।{{/area}} क्या आप कीमत, कॉन्फ़िगरेशन के बारे में और जानना चाहेंगे या साइट विज़िट शेड्यूल करना चाहेंगे?{{/projectName}}{{^projectName}}${FALLBACK_CAPTURE_HI}{{/projectName}}`,
+      },
+    },
+  },
+
+  // Reached only through followUps, e.g. "yes" after the pricing answer
+  {
+    id: "pricing_and_configurations",
+    priority: 0,
+    triggers: [],
+    response:
+      "Great! We have {{bhkList|various configurations}} available. Our pricing: {{pricingList|Check with our team for current pricing}}. Would you like to schedule a site visit or get more details?",
+    leadCapture: true,
+    translations: {
+      hinglish: {
+        response:
+          "Badhiya! Hamare paas {{bhkList|kai configurations}} available hain. Hamari pricing: {{pricingList|current pricing ke liye hamari team se baat karein}}. Kya aap site visit schedule karna chahenge ya aur details chahiye?",
+      },
+      hi: {
+        response:
+          "बढ़िया! हमारे पास {{bhkList|कई कॉन्फ़िगरेशन}} उपलब्ध हैं। हमारी कीमतें: {{pricingList|ताज़ा कीमत के लिए हमारी टीम से बात करें}}। क्या आप साइट विज़िट शेड्यूल करना चाहेंगे या और जानकारी चाहिए?",
+      },
+    },
+  },
+  {
+    id: "pricing_lead_capture",
+    priority: 0,
+    triggers: [],
+    response:
+      "Excellent! I'd love to help you with the best pricing and payment plans. Share your name and phone so our team can reach out with exclusive offers.",
+    leadCapture: true,
+    translations: {
+      hinglish: {
+        response:
+          "Bahut badhiya! Best pricing aur payment plans ke liye apna naam aur phone share kijiye, hamari team exclusive offers ke saath aapse sampark karegi.",
+      },
+      hi: {
+        response:
+          "बहुत बढ़िया! सबसे अच्छी कीमत और पेमेंट प्लान के लिए अपना नाम और फ़ोन शेयर करें, हमारी टीम ख़ास ऑफ़र के साथ आपसे संपर्क करेगी।",
+      },
+    },
+  },
+  {
+    id: "location_follow_up",
+    priority: 0,
+    triggers: [],
+    response:
+      "Great! We have {{bhkList|various configurations}} available. {{#startingPrice}}Pricing starts from {{startingPrice}}. {{/startingPrice}}Would you like to know more about the configurations or schedule a site visit?",
+    leadCapture: true,
+    translations: {
+      hinglish: {
+        response:
+          "Badhiya! Hamare paas {{bhkList|kai configurations}} available hain. {{#startingPrice}}Pricing {{startingPrice}} se shuru hoti hai. {{/startingPrice}}Kya aap configurations ke baare mein aur jaanna chahenge ya site visit schedule karna chahenge?",
+      },
+      hi: {
+        response:
+          "बढ़िया! हमारे पास {{bhkList|कई कॉन्फ़िगरेशन}} उपलब्ध हैं। {{#startingPrice}}कीमत {{startingPrice}} से शुरू होती है। {{/startingPrice}}क्या आप कॉन्फ़िगरेशन के बारे में और जानना चाहेंगे या साइट विज़िट शेड्यूल करना चाहेंगे?",
+      },
+    },
+  },
+  {
+    id: "configuration_pricing",
+    priority: 0,
+    triggers: [],
+    response:
+      "Perfect! Our pricing: {{pricingList|Check with our team for current pricing}}. Would you like to schedule a site visit or get more details? Share your name and phone.",
+    leadCapture: true,
+    translations: {
+      hinglish: {
+        response:
+          "Perfect! Hamari pricing: {{pricingList|current pricing ke liye hamari team se baat karein}}. Kya aap site visit schedule karna chahenge ya aur details chahiye? Apna naam aur phone share kijiye.",
+      },
+      hi: {
+        response:
+          "बहुत अच्छा! हमारी कीमतें: {{pricingList|ताज़ा कीमत के लिए हमारी टीम से बात करें}}। क्या आप साइट विज़िट शेड्यूल करना चाहेंगे या और जानकारी चाहिए? अपना नाम और फ़ोन शेयर करें।",
+      },
+    },
+  },
+
+  // Used when nothing else matches
+  {
+    id: "fallback",
+    priority: 0,
+    triggers: [],
+    response:
+      "{{#longConversation}}That's interesting! Share your name and phone so I can connect you with our team.{{/longConversation}}{{^longConversation}}I'd love to help you with that! What would you like to know about the project?{{/longConversation}}",
+    translations: {
+      hinglish: {
+        response:
+          "{{#longConversation}}Achha! Apna naam aur phone share kijiye, hum aapko hamari team se connect kar denge.{{/longConversation}}{{^longConversation}}Hum isme aapki zaroor madad karenge! Aap project ke baare mein kya jaanna chahenge?{{/longConversation}}",
+      },
+      hi: {
+        response:
+          "{{#longConversation}}अच्छा! अपना नाम और फ़ोन शेयर करें, हम आपको हमारी टीम से जोड़ देंगे।{{/longConversation}}{{^longConversation}}हम इसमें आपकी ज़रूर मदद करेंगे! आप प्रोजेक्ट के बारे में क्या जानना चाहेंगे?{{/longConversation}}",
+      },
+    },
+  },
+];
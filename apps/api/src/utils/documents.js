@@ -0,0 +1,109 @@
+/**
+ * Project documents offered by the widget: PDF brochures and floor plans (per
+ * BHK, or for the whole project when bhkType is null).
+ *
+ * Files are never public. Once a lead is captured the widget asks for links,
+ * and each link carries an HMAC-signed token naming the document, the lead and
+ * an expiry, so a download can be tied back to the lead that unlocked it.
+ */
+
+import crypto from "crypto";
+import { config } from "../config.js";
+import { optionValue } from "./widgetOptions.js";
+
+export const DOCUMENT_TYPES = ["brochure", "floor-plan"];
+
+export const DOCUMENT_MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+export const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+
+// Without configured bhkOptions the widget offers 1-4 BHK
+const DEFAULT_FLOOR_PLAN_BHK_TYPES = ["1 BHK", "2 BHK", "3 BHK", "4 BHK"];
+// Answers that name no configuration get every floor plan
+const UNDECIDED_BHK_TYPES = ["Yet to decide", "Just Browsing", "Other"];
+
+// Without a configured secret, links are signed with a per-process key and
+// stop working when the API restarts (validateEnv warns about this)
+const signingSecret = config.documents.signingSecret || crypto.randomBytes(32).toString("hex");
+
+function sign(encodedPayload) {
+  return crypto.createHmac("sha256", signingSecret).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Token for one document download on behalf of one lead
+ */
+export function signDownloadToken({ documentId, leadId }, ttlSeconds = config.documents.linkTtlSeconds) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(
+    JSON.stringify({ d: String(documentId), l: String(leadId), e: expiresAt })
+  ).toString("base64url");
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+  };
+}
+
+/**
+ * { documentId, leadId } for a valid, unexpired token, else null
+ */
+export function verifyDownloadToken(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+  const [payload, signature, extra] = token.split(".");
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { d, l, e } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!d || !l || !Number.isFinite(e) || e * 1000 < Date.now()) {
+      return null;
+    }
+    return { documentId: d, leadId: l };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * BHK types a floor plan can be tagged with: the values of the project's
+ * configured bhkOptions (widget config), or 1-4 BHK without them
+ */
+export function floorPlanBhkTypes(bhkOptions = null) {
+  if (!Array.isArray(bhkOptions) || bhkOptions.length === 0) {
+    return DEFAULT_FLOOR_PLAN_BHK_TYPES;
+  }
+  return bhkOptions.map(optionValue).filter((value) => !UNDECIDED_BHK_TYPES.includes(value));
+}
+
+/**
+ * Documents to offer a lead: every brochure, and the floor plans for the lead's
+ * BHK plus project-wide ones (all floor plans when the BHK is undecided or not
+ * one of the project's options).
+ */
+export function selectDocumentsForLead(documents, { types = DOCUMENT_TYPES, bhkType = null, bhkOptions = null } = {}) {
+  const specificBhk = floorPlanBhkTypes(bhkOptions).includes(bhkType) ? bhkType : null;
+  return documents.filter((document) => {
+    if (!types.includes(document.type)) {
+      return false;
+    }
+    if (document.type !== "floor-plan" || !specificBhk) {
+      return true;
+    }
+    return !document.bhkType || document.bhkType === specificBhk;
+  });
+}
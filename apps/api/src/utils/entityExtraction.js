@@ -0,0 +1,156 @@
+/**
+ * Buyer preferences from free-text visitor messages
+ *
+ * "looking for 2bhk under 1.2 cr near Thane, moving in 6 months" gives
+ *   { bhk: 2, bhkType: "2 BHK", budget: { min: null, max: 12000000 },
+ *     timeline: { months: 6, text: "in 6 months" }, locality: "Thane" }
+ * Budgets are in rupees. Only the entities found are present, and across a
+ * conversation a later message overrides an earlier one.
+ */
+
+import { findPriceMentions } from "./chatResponder.js";
+import { normalizeBhkPreference } from "./leadNormalization.js";
+
+// Localities buyers commonly name; a project's own location is added per call
+export const DEFAULT_LOCALITIES = [
+  "Andheri", "Bandra", "Bhandup", "Borivali", "Chembur", "Dadar", "Ghatkopar", "Goregaon",
+  "Juhu", "Kandivali", "Kanjurmarg", "Lower Parel", "Malad", "Mulund", "Powai", "Santacruz",
+  "Vikhroli", "Wadala", "Worli", "Thane", "Mira Road", "Bhayandar", "Kalyan", "Dombivli",
+  "Navi Mumbai", "Vashi", "Kharghar", "Panvel", "Ulwe", "Airoli",
+  "Baner", "Hadapsar", "Hinjewadi", "Kharadi", "Wagholi", "Wakad",
+  "Electronic City", "Hebbal", "Sarjapur", "Whitefield",
+];
+
+// Amounts below this are EMIs, rents or areas rather than a property budget
+const MIN_BUDGET = 5e5;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, nine: 9, twelve: 12, eighteen: 18,
+};
+
+const BHK_PATTERN = /\b([1-9]|one|two|three|four|five)\s*-?\s*(?:bhk|bed ?rooms?|beds?|br)\b/i;
+
+// "under 1.2 cr" is a ceiling, "above 80 lakh" a floor, a bare amount a ceiling
+const MIN_BUDGET_QUALIFIER = /\b(?:above|over|more than|at ?least|min(?:imum)?|starting(?: from| at)?|from)\s*$/i;
+
+const IMMEDIATE_PATTERN = /\b(?:immediate(?:ly)?|asap|right away|ready to move|ready possession|urgent(?:ly)?)\b/i;
+const DURATION_PATTERN =
+  /\b(?:in|within|after|by|around|about|next)\s+(?:the\s+)?(?:next\s+)?(\d{1,2}|a|an|one|two|three|four|five|six|nine|twelve|eighteen)\s*(months?|mnths?|years?|yrs?)\b/i;
+const NEXT_YEAR_PATTERN = /\bnext year\b/i;
+const YEAR_PATTERN = /\b(?:by|in|around|before|till|until)\s+(20\d{2})\b/i;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toNumber(value) {
+  return NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+}
+
+function extractBhk(text) {
+  const match = text.match(BHK_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const normalized = normalizeBhkPreference({ bhk: toNumber(match[1]) });
+  return normalized ? { bhk: normalized.numeric, bhkType: normalized.type } : null;
+}
+
+function extractBudget(text) {
+  const mentions = findPriceMentions(text).filter((mention) =>
+    mention.amounts.every((amount) => amount >= MIN_BUDGET)
+  );
+  if (mentions.length === 0) {
+    return null;
+  }
+
+  const amounts = mentions.flatMap((mention) => mention.amounts);
+  if (amounts.length > 1) {
+    return { min: Math.min(...amounts), max: Math.max(...amounts) };
+  }
+  return MIN_BUDGET_QUALIFIER.test(text.slice(0, mentions[0].index))
+    ? { min: amounts[0], max: null }
+    : { min: null, max: amounts[0] };
+}
+
+// Months from `now`; a year ("by 2028") counts to the start of that year
+function extractTimeline(text, now) {
+  const immediate = text.match(IMMEDIATE_PATTERN);
+  if (immediate) {
+    return { months: 0, text: immediate[0] };
+  }
+
+  const duration = text.match(DURATION_PATTERN);
+  if (duration) {
+    const count = toNumber(duration[1]);
+    return { months: /^y/i.test(duration[2]) ? count * 12 : count, text: duration[0] };
+  }
+
+  const nextYear = text.match(NEXT_YEAR_PATTERN);
+  if (nextYear) {
+    return { months: 12, text: nextYear[0] };
+  }
+
+  const year = text.match(YEAR_PATTERN);
+  if (year) {
+    const months = (Number(year[1]) - now.getFullYear()) * 12 - now.getMonth();
+    return { months: Math.max(0, months), text: year[0] };
+  }
+
+  return null;
+}
+
+function extractLocality(text, localities) {
+  let best = null;
+  for (const locality of localities) {
+    const match = new RegExp(`\\b${escapeRegex(locality)}\\b`, "i").exec(text);
+    if (match && (!best || match.index < best.index)) {
+      best = { index: match.index, locality };
+    }
+  }
+  return best?.locality || null;
+}
+
+/**
+ * Localities to look for: the defaults plus the parts of propertyInfo.location
+ * ("Kolshet Road, Thane West" adds "Kolshet Road" and "Thane West")
+ */
+export function localitiesFor(propertyInfo = {}) {
+  const own = typeof propertyInfo.location === "string"
+    ? propertyInfo.location.split(",").map((part) => part.trim()).filter((part) => part.length > 2)
+    : [];
+  // Longer names first so "Thane West" wins over "Thane"
+  return [...new Set([...own, ...DEFAULT_LOCALITIES])].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Entities found in one message: { bhk, bhkType, budget, timeline, locality },
+ * each present only when found
+ */
+export function extractEntities(text, { localities = localitiesFor(), now = new Date() } = {}) {
+  const message = String(text || "");
+  if (!message.trim()) {
+    return {};
+  }
+
+  const bhk = extractBhk(message);
+  const budget = extractBudget(message);
+  const timeline = extractTimeline(message, now);
+  const locality = extractLocality(message, localities);
+
+  return {
+    ...bhk,
+    ...(budget && { budget }),
+    ...(timeline && { timeline }),
+    ...(locality && { locality }),
+  };
+}
+
+/**
+ * Entities across the visitor's messages, later messages overriding earlier ones
+ */
+export function extractConversationEntities(conversation = [], options = {}) {
+  return conversation
+    .filter((message) => message?.type === "user")
+    .reduce((entities, message) => ({ ...entities, ...extractEntities(message.text, options) }), {});
+}
@@ -0,0 +1,186 @@
+/**
+ * Widget A/B experiments (widget config `experiments`):
+ *   [{ id, name?, status, variants: [{ id, weight, overrides }] }]
+ * Variant `overrides` replace widget config fields (copy, timing, CTA list...)
+ * for the visitors assigned to it, and weights are the traffic split in percent.
+ *
+ * The widget assigns each visitor by hashing visitor and experiment IDs, so the
+ * assignment is sticky without storing it, and tags its events and the lead
+ * with experimentId / variantId. Reports count distinct visitors per funnel step.
+ */
+
+import { VERSIONED_FIELDS } from "./widgetConfigVersions.js";
+
+export const EXPERIMENT_STATUSES = ["running", "paused", "completed"];
+
+// Funnel steps in order: widget opened, BHK chosen, lead submitted
+export const EXPERIMENT_FUNNEL = [
+  { key: "shown", event: "chat_shown" },
+  { key: "started", event: "chat_started" },
+  { key: "leads", event: "lead_submitted" },
+];
+
+// Project rules rather than widget presentation; targeting is also applied
+// before a variant is known
+const PROJECT_RULE_FIELDS = ["experiments", "targeting", "businessHours"];
+export const EXPERIMENT_OVERRIDE_FIELDS = VERSIONED_FIELDS.filter((field) => !PROJECT_RULE_FIELDS.includes(field));
+
+const MAX_EXPERIMENTS = 10;
+const MAX_VARIANTS = 5;
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Returns an error message, or null when `experiments` is valid.
+ * validateOverrides(overrides) checks variant overrides like a config update.
+ */
+export function validateExperiments(experiments, validateOverrides) {
+  if (experiments === null) {
+    return null;
+  }
+  if (!Array.isArray(experiments) || experiments.length > MAX_EXPERIMENTS) {
+    return `experiments must be a list of at most ${MAX_EXPERIMENTS} experiments`;
+  }
+
+  const experimentIds = new Set();
+  for (const [index, experiment] of experiments.entries()) {
+    const name = `experiments[${index}]`;
+    if (!isPlainObject(experiment)) {
+      return `${name} must be an object`;
+    }
+    if (typeof experiment.id !== "string" || !ID_PATTERN.test(experiment.id)) {
+      return `${name}.id must be 1-64 letters, digits, "-" or "_"`;
+    }
+    if (experimentIds.has(experiment.id)) {
+      return `${name}.id "${experiment.id}" is used twice`;
+    }
+    experimentIds.add(experiment.id);
+    if (experiment.name !== undefined && (typeof experiment.name !== "string" || experiment.name.length > 100)) {
+      return `${name}.name must be a string of at most 100 characters`;
+    }
+    if (!EXPERIMENT_STATUSES.includes(experiment.status)) {
+      return `${name}.status must be one of: ${EXPERIMENT_STATUSES.join(", ")}`;
+    }
+
+    const { variants } = experiment;
+    if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+      return `${name}.variants must list 2 to ${MAX_VARIANTS} variants`;
+    }
+    const variantIds = new Set();
+    let totalWeight = 0;
+    for (const [variantIndex, variant] of variants.entries()) {
+      const variantName = `${name}.variants[${variantIndex}]`;
+      if (!isPlainObject(variant)) {
+        return `${variantName} must be an object`;
+      }
+      if (typeof variant.id !== "string" || !ID_PATTERN.test(variant.id) || variantIds.has(variant.id)) {
+        return `${variantName}.id must be a unique ID of letters, digits, "-" or "_"`;
+      }
+      variantIds.add(variant.id);
+      if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > 100) {
+        return `${variantName}.weight must be a whole percentage from 0 to 100`;
+      }
+      totalWeight += variant.weight;
+
+      const overrides = variant.overrides ?? {};
+      if (!isPlainObject(overrides)) {
+        return `${variantName}.overrides must be an object`;
+      }
+      const unknownField = Object.keys(overrides).find((field) => !EXPERIMENT_OVERRIDE_FIELDS.includes(field));
+      if (unknownField) {
+        return `${variantName}.overrides.${unknownField} cannot be set by a variant`;
+      }
+      const overridesError = validateOverrides(overrides);
+      if (overridesError) {
+        return `${variantName}.overrides: ${overridesError}`;
+      }
+    }
+    if (totalWeight !== 100) {
+      return `${name}.variants weights must add up to 100`;
+    }
+  }
+
+  if (experiments.filter((experiment) => experiment.status === "running").length > 1) {
+    return "Only one experiment can be running at a time";
+  }
+  return null;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf =
+    1 -
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-proportion z-test of a variant's lead rate against the control's.
+ * Returns null until both sides have visitors and at least one conversion.
+ */
+export function compareConversion(control, variant) {
+  if (control.shown === 0 || variant.shown === 0) {
+    return null;
+  }
+  const controlRate = control.leads / control.shown;
+  const variantRate = variant.leads / variant.shown;
+  const pooled = (control.leads + variant.leads) / (control.shown + variant.shown);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.shown + 1 / variant.shown));
+  if (standardError === 0) {
+    return null;
+  }
+
+  const zScore = (variantRate - controlRate) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+  return {
+    lift: controlRate > 0 ? Number(((variantRate - controlRate) / controlRate).toFixed(4)) : null,
+    zScore: Number(zScore.toFixed(3)),
+    pValue: Number(pValue.toFixed(4)),
+    significant: pValue < SIGNIFICANCE_LEVEL,
+  };
+}
+
+function rate(count, total) {
+  return total > 0 ? Number((count / total).toFixed(4)) : null;
+}
+
+/**
+ * Funnel per variant from funnel counts ([{ variantId, type, visitors }]).
+ * The first variant is the control every other variant is compared with.
+ */
+export function buildExperimentReport(experiment, counts) {
+  const variants = experiment.variants.map((variant) => {
+    const steps = Object.fromEntries(
+      EXPERIMENT_FUNNEL.map(({ key, event }) => [
+        key,
+        counts.find((row) => row.variantId === variant.id && row.type === event)?.visitors || 0,
+      ])
+    );
+    return {
+      variantId: variant.id,
+      weight: variant.weight,
+      ...steps,
+      startRate: rate(steps.started, steps.shown),
+      leadRate: rate(steps.leads, steps.shown),
+    };
+  });
+
+  const [control] = variants;
+  return {
+    experimentId: experiment.id,
+    name: experiment.name || null,
+    status: experiment.status,
+    controlVariantId: control.variantId,
+    significanceLevel: SIGNIFICANCE_LEVEL,
+    variants: variants.map((variant, index) => ({
+      ...variant,
+      vsControl: index === 0 ? null : compareConversion(control, variant),
+    })),
+  };
+}
@@ -0,0 +1,456 @@
+/**
+ * Declarative chat intents for /api/chat
+ *
+ * An intent is { id, priority, match, triggers, patterns, response, followUps,
+ * leadCapture, translations, examples }. A message is lowercased, stripped of punctuation and rewritten
+ * with the synonym table (e.g. "rates" -> "price") before matching:
+ *   match: "exact"     the whole message equals a trigger ("yes", "hi")
+ *   match: "contains"  a trigger phrase appears in the message (default); words
+ *                      may carry a suffix ("detail" matches "details") or one
+ *                      typo (two for long words), e.g. "breif" matches "brief"
+ *   patterns           regexes tested against the lowercased original message
+ * The highest-priority match wins. If the previous reply's intent lists the
+ * winner in its followUps ({ affirm: "pricing_lead_capture" }), the follow-up
+ * intent answers instead, so "yes" is resolved against what was last asked.
+ *
+ * `translations` adds Hindi and Hinglish triggers and responses per language:
+ *   { hi: { triggers, response }, hinglish: { triggers, response } }
+ * Triggers of every language are matched (visitors mix languages); the
+ * response is picked for the language of the conversation, English otherwise.
+ *
+ * Responses are templates over propertyInfo plus derived values:
+ *   {{name}}  {{name|fallback text}}  {{#name}}shown if set{{/name}}  {{^name}}shown if not{{/name}}
+ *
+ * Projects override the built-in intents (utils/defaultIntents.js) by id; an
+ * override with disabled: true removes a built-in intent.
+ */
+
+import { config } from "../config.js";
+import { DEFAULT_INTENTS, DEFAULT_SYNONYMS } from "./defaultIntents.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from "./language.js";
+
+export const FALLBACK_INTENT_ID = "fallback";
+export const MATCH_MODES = ["contains", "exact"];
+
+const INTENT_ID = /^[a-z0-9_-]{1,64}$/;
+const MAX_INTENTS = 100;
+const MAX_LIST_ITEMS = 100;
+const MAX_PATTERNS = 20;
+const MAX_PHRASE_LENGTH = 200;
+const MAX_RESPONSE_LENGTH = 2000;
+const EMPTY_VALUES = ["none", "not specified", "n/a", "na", "-"];
+
+async function getIntentStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatIntentStore.js");
+  } else {
+    return await import("../storage/chatIntentStore.js");
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKC")
+    // \p{M} keeps Devanagari vowel signs ("कीमत") attached to their letters
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance: Levenshtein plus adjacent transpositions,
+ * so "breif" -> "brief" costs 1
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+function wordMatches(word, trigger) {
+  if (word === trigger) return true;
+  if (trigger.length >= 4 && word.startsWith(trigger)) return true;
+  if (trigger.length < 5 || word[0] !== trigger[0]) return false;
+
+  const allowed = trigger.length >= 8 ? 2 : 1;
+  return Math.abs(word.length - trigger.length) <= allowed && editDistance(word, trigger) <= allowed;
+}
+
+function containsPhrase(tokens, phrase) {
+  for (let start = 0; start + phrase.length <= tokens.length; start++) {
+    if (phrase.every((word, offset) => wordMatches(tokens[start + offset], word))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Replace synonym words/phrases with their canonical word, longest phrases first
+ */
+function applySynonyms(tokens, synonymList) {
+  const result = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    const entry = synonymList.find(({ variant }) =>
+      variant.every((word, offset) => tokens[index + offset] === word)
+    );
+    if (entry) {
+      result.push(...entry.canonical);
+      index += entry.variant.length;
+    } else {
+      result.push(tokens[index]);
+      index += 1;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merge project overrides over the built-in intents and synonyms
+ */
+export function resolveIntentConfig(overrides = {}) {
+  const byId = new Map(DEFAULT_INTENTS.map((intent) => [intent.id, intent]));
+
+  for (const override of overrides.intents || []) {
+    if (override.disabled) {
+      byId.delete(override.id);
+    } else {
+      byId.set(override.id, { ...byId.get(override.id), ...override });
+    }
+  }
+
+  const synonyms = { ...DEFAULT_SYNONYMS };
+  for (const [canonical, variants] of Object.entries(overrides.synonyms || {})) {
+    synonyms[canonical] = [...new Set([...(synonyms[canonical] || []), ...variants])];
+  }
+
+  return { intents: [...byId.values()], synonyms };
+}
+
+/**
+ * Pre-tokenise triggers and compile patterns once per resolved config
+ */
+export function compileIntentConfig({ intents, synonyms }) {
+  const synonymList = Object.entries(synonyms)
+    .flatMap(([canonical, variants]) =>
+      variants.map((variant) => ({ variant: tokenize(variant), canonical: tokenize(canonical) }))
+    )
+    .filter(({ variant }) => variant.length > 0)
+    .sort((a, b) => b.variant.length - a.variant.length);
+
+  return {
+    synonymList,
+    intents: intents.map((intent, order) => ({
+      ...intent,
+      order,
+      priority: intent.priority || 0,
+      phrases: [
+        ...(intent.triggers || []),
+        ...Object.values(intent.translations || {}).flatMap((translation) => translation.triggers || []),
+      ]
+        .map((trigger) => applySynonyms(tokenize(trigger), synonymList))
+        .filter((phrase) => phrase.length > 0),
+      regexes: (intent.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+    })),
+  };
+}
+
+/**
+ * The compiled intents for a project (built-ins merged with its stored overrides)
+ */
+export async function loadProjectIntents(projectId) {
+  const intentStore = await getIntentStore();
+  const stored = await intentStore.getChatIntents(projectId);
+  return compileIntentConfig(resolveIntentConfig(stored?.overrides));
+}
+
+function findIntent(compiled, id) {
+  return compiled.intents.find((intent) => intent.id === id) || null;
+}
+
+/**
+ * Returns { intent, matched } where matched is the intent that fired before any
+ * follow-up redirect; intent is the fallback (or null) when nothing matched.
+ */
+export function matchIntent(message, compiled, { lastIntent = null } = {}) {
+  const tokens = applySynonyms(tokenize(message), compiled.synonymList);
+  const text = tokens.join(" ");
+  const lowerMessage = String(message || "").toLowerCase();
+  const candidates = [];
+
+  for (const intent of compiled.intents) {
+    let specificity = 0;
+
+    if (intent.match === "exact") {
+      if (intent.phrases.some((phrase) => phrase.join(" ") === text)) {
+        specificity = Infinity;
+      }
+    } else {
+      for (const phrase of intent.phrases) {
+        if (phrase.length > specificity && containsPhrase(tokens, phrase)) {
+          specificity = phrase.length;
+        }
+      }
+    }
+
+    if (specificity === 0 && intent.regexes.some((regex) => regex.test(lowerMessage))) {
+      specificity = 1;
+    }
+
+    if (specificity > 0) {
+      candidates.push({ intent, specificity });
+    }
+  }
+
+  candidates.sort(
+    (a, b) =>
+      b.intent.priority - a.intent.priority ||
+      b.specificity - a.specificity ||
+      a.intent.order - b.intent.order
+  );
+
+  const matched = candidates[0]?.intent || null;
+  if (!matched) {
+    return { intent: findIntent(compiled, FALLBACK_INTENT_ID), matched: null };
+  }
+
+  const followUpId = lastIntent ? findIntent(compiled, lastIntent)?.followUps?.[matched.id] : null;
+  const followUp = followUpId ? findIntent(compiled, followUpId) : null;
+
+  return { intent: followUp || matched, matched };
+}
+
+/**
+ * The response template for a language, falling back to the English one
+ */
+export function localizedResponse(intent, language = DEFAULT_LANGUAGE) {
+  return intent?.translations?.[language]?.response || intent?.response || "";
+}
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === false) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (isPlainObject(value)) return Object.keys(value).length > 0;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed !== "" && !EMPTY_VALUES.includes(trimmed.toLowerCase());
+  }
+  return true;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  if (isPlainObject(value)) return "";
+  return String(value);
+}
+
+export function renderTemplate(template, vars) {
+  const render = (text) =>
+    text
+      .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, type, name, inner) =>
+        hasValue(vars[name]) === (type === "#") ? render(inner) : ""
+      )
+      .replace(/\{\{(\w+)(?:\|([^}]*))?\}\}/g, (_, name, fallback = "") =>
+        hasValue(vars[name]) ? formatValue(vars[name]) : fallback
+      );
+
+  return render(String(template || ""))
+    .replace(/\.\s*\./g, ".")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Values available to response templates
+ */
+export function buildTemplateVars(propertyInfo = {}, { agentName, conversation = [] } = {}) {
+  const availableBhk = Array.isArray(propertyInfo.availableBhk)
+    ? propertyInfo.availableBhk.filter(Boolean)
+    : [];
+  const pricing = isPlainObject(propertyInfo.pricing) ? propertyInfo.pricing : {};
+  const amenities = Array.isArray(propertyInfo.amenities)
+    ? propertyInfo.amenities.filter(Boolean)
+    : [];
+
+  return {
+    ...propertyInfo,
+    agentName,
+    pricing,
+    bhkList: availableBhk.join(" and "),
+    pricingList: Object.entries(pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(", "),
+    startingPrice: Object.values(pricing)[0] || "",
+    amenityList: amenities.slice(0, 8).join(", "),
+    moreAmenities: amenities.length > 8,
+    topAmenities: amenities.slice(0, 5).join(", "),
+    longConversation: conversation.length > 2,
+  };
+}
+
+/**
+ * Run every intent's examples (and any extra { text, expect, lastIntent } cases)
+ * through the matcher. Returns { total, passed, failed, results }.
+ */
+export function replayUtterances(compiled, extraCases = []) {
+  const cases = [
+    ...compiled.intents.flatMap((intent) =>
+      (intent.examples || []).map((text) => ({ text, expect: intent.id, lastIntent: null }))
+    ),
+    ...extraCases.map(({ text, expect, lastIntent = null }) => ({ text, expect, lastIntent })),
+  ];
+
+  const results = cases.map(({ text, expect, lastIntent }) => {
+    const { intent } = matchIntent(text, compiled, { lastIntent });
+    const actual = intent?.id || null;
+    return { text, expected: expect, actual, lastIntent, passed: actual === expect };
+  });
+
+  const passed = results.filter((result) => result.passed).length;
+  return { total: results.length, passed, failed: results.length - passed, results };
+}
+
+function isStringList(value, max = MAX_LIST_ITEMS) {
+  return (
+    Array.isArray(value) &&
+    value.length <= max &&
+    value.every((item) => typeof item === "string" && item.length <= MAX_PHRASE_LENGTH)
+  );
+}
+
+function validateIntentTranslations(translations, label) {
+  if (!isPlainObject(translations)) {
+    return `${label}.translations must be an object keyed by language`;
+  }
+  for (const [language, translation] of Object.entries(translations)) {
+    if (!SUPPORTED_LANGUAGES.includes(language) || language === DEFAULT_LANGUAGE) {
+      return `${label}.translations keys must be one of: ${SUPPORTED_LANGUAGES.filter((code) => code !== DEFAULT_LANGUAGE).join(", ")}`;
+    }
+    if (!isPlainObject(translation)) {
+      return `${label}.translations.${language} must be an object`;
+    }
+    if (translation.triggers !== undefined && !isStringList(translation.triggers)) {
+      return `${label}.translations.${language}.triggers must be a list of strings`;
+    }
+    if (
+      translation.response !== undefined &&
+      (typeof translation.response !== "string" || translation.response.length > MAX_RESPONSE_LENGTH)
+    ) {
+      return `${label}.translations.${language}.response must be a string of at most ${MAX_RESPONSE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when the overrides are valid
+ */
+export function validateIntentConfig(overrides) {
+  if (!isPlainObject(overrides)) {
+    return "body must be an object with intents and/or synonyms";
+  }
+
+  const { intents = [], synonyms = {} } = overrides;
+  if (!Array.isArray(intents) || intents.length > MAX_INTENTS) {
+    return `intents must be a list of at most ${MAX_INTENTS} intents`;
+  }
+
+  const builtInIds = DEFAULT_INTENTS.map((intent) => intent.id);
+  const seen = new Set();
+
+  for (const [index, intent] of intents.entries()) {
+    const label = `intents[${index}]`;
+    if (!isPlainObject(intent) || typeof intent.id !== "string" || !INTENT_ID.test(intent.id)) {
+      return `${label}.id must be lowercase letters, digits, "_" or "-"`;
+    }
+    if (seen.has(intent.id)) {
+      return `Duplicate intent id "${intent.id}"`;
+    }
+    seen.add(intent.id);
+
+    for (const key of ["disabled", "leadCapture"]) {
+      if (intent[key] !== undefined && typeof intent[key] !== "boolean") {
+        return `${label}.${key} must be a boolean`;
+      }
+    }
+    if (!builtInIds.includes(intent.id) && !intent.disabled && typeof intent.response !== "string") {
+      return `${label}.response is required for new intents`;
+    }
+    if (intent.response !== undefined && (typeof intent.response !== "string" || intent.response.length > MAX_RESPONSE_LENGTH)) {
+      return `${label}.response must be a string of at most ${MAX_RESPONSE_LENGTH} characters`;
+    }
+    if (intent.priority !== undefined && (!Number.isInteger(intent.priority) || Math.abs(intent.priority) > 1000)) {
+      return `${label}.priority must be an integer between -1000 and 1000`;
+    }
+    if (intent.match !== undefined && !MATCH_MODES.includes(intent.match)) {
+      return `${label}.match must be one of: ${MATCH_MODES.join(", ")}`;
+    }
+    for (const key of ["triggers", "examples"]) {
+      if (intent[key] !== undefined && !isStringList(intent[key])) {
+        return `${label}.${key} must be a list of strings`;
+      }
+    }
+    if (intent.patterns !== undefined) {
+      if (!isStringList(intent.patterns, MAX_PATTERNS)) {
+        return `${label}.patterns must be a list of at most ${MAX_PATTERNS} strings`;
+      }
+      for (const pattern of intent.patterns) {
+        try {
+          new RegExp(pattern, "i");
+        } catch {
+          return `${label}.patterns contains an invalid regex: ${pattern}`;
+        }
+      }
+    }
+    if (intent.translations !== undefined) {
+      const error = validateIntentTranslations(intent.translations, label);
+      if (error) {
+        return error;
+      }
+    }
+    if (intent.followUps !== undefined) {
+      if (!isPlainObject(intent.followUps) || !Object.values(intent.followUps).every((id) => typeof id === "string")) {
+        return `${label}.followUps must map intent ids to intent ids`;
+      }
+    }
+  }
+
+  if (!isPlainObject(synonyms)) {
+    return "synonyms must be an object of { word: [variants] }";
+  }
+  for (const [canonical, variants] of Object.entries(synonyms)) {
+    if (!isStringList(variants)) {
+      return `synonyms.${canonical} must be a list of strings`;
+    }
+  }
+
+  // follow-ups may point at built-in or project intents, but not removed ones
+  const resolved = resolveIntentConfig(overrides).intents;
+  const resolvedIds = new Set(resolved.map((intent) => intent.id));
+  for (const intent of resolved) {
+    for (const [trigger, target] of Object.entries(intent.followUps || {})) {
+      if (!resolvedIds.has(trigger) || !resolvedIds.has(target)) {
+        return `Intent "${intent.id}" has a follow-up to an unknown intent (${trigger} -> ${target})`;
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,250 @@
+/**
+ * Per-project knowledge base retrieval for /api/chat
+ *
+ * FAQ entries (question/answer) and documents (title/content, split into
+ * paragraph-sized chunks) are indexed with TF-IDF and searched by cosine
+ * similarity. Indexes are built in memory per project and rebuilt after
+ * INDEX_TTL_MS, or immediately when an admin edits the project's entries.
+ * Questions nothing matched are logged so admins can see what to add.
+ */
+
+import { config } from "../config.js";
+import { tokenize } from "./intentEngine.js";
+import { limitReply } from "./chatResponder.js";
+
+export const KNOWLEDGE_INTENT_ID = "knowledge";
+export const KNOWLEDGE_TYPES = ["faq", "document"];
+
+// Cosine similarity needed to answer from the knowledge base when no intent
+// matched, and to answer from it instead of a matched intent
+export const MIN_MATCH_SCORE = 0.3;
+export const STRONG_MATCH_SCORE = 0.55;
+
+const INDEX_TTL_MS = 60 * 1000;
+const MAX_CHUNK_CHARS = 600;
+const MAX_ANSWER_CHARS = 500;
+
+const STOPWORDS = new Set([
+  "a", "about", "am", "an", "and", "any", "are", "as", "at", "be", "by", "can", "could",
+  "do", "does", "for", "from", "get", "give", "have", "has", "how", "i", "i'm", "if", "in",
+  "is", "it", "it's", "know", "let", "me", "my", "of", "on", "or", "please", "project",
+  "share", "should", "so", "tell", "that", "the", "there", "this", "to", "u", "us", "want",
+  "was", "we", "what", "what's", "when", "where", "which", "who", "will", "with", "would",
+  "you", "your",
+]);
+
+const indexCache = new Map();
+
+async function getKnowledgeStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlKnowledgeBaseStore.js");
+  } else {
+    return await import("../storage/knowledgeBaseStore.js");
+  }
+}
+
+// Crude plural folding so "parkings" and "parking", "facilities" and "facility" meet
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+export function indexTerms(text) {
+  return tokenize(text)
+    .filter((word) => !STOPWORDS.has(word))
+    .map((word) => stem(word.replace(/'/g, "")))
+    .filter(Boolean);
+}
+
+function splitDocument(content) {
+  const chunks = [];
+  for (const paragraph of String(content || "").split(/\n\s*\n/)) {
+    let current = "";
+    for (const sentence of paragraph.replace(/\s+/g, " ").trim().split(/(?<=[.!?])\s+/)) {
+      if (current && current.length + sentence.length + 1 > MAX_CHUNK_CHARS) {
+        chunks.push(current);
+        current = "";
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+  }
+  return chunks;
+}
+
+// One searchable unit per FAQ entry, one per document chunk
+function entryPassages(entry) {
+  const tags = Array.isArray(entry.tags) ? entry.tags.join(" ") : "";
+  if (entry.type === "document") {
+    return splitDocument(entry.content).map((chunk) => ({
+      text: `${entry.title || ""} ${chunk} ${tags}`,
+      answer: chunk,
+    }));
+  }
+  // The question is counted twice: it is the best description of what the entry answers
+  return [{
+    text: `${entry.question} ${entry.question} ${entry.answer} ${tags}`,
+    answer: entry.answer,
+  }];
+}
+
+function termCounts(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+function weigh(counts, idf) {
+  const vector = new Map();
+  let sumOfSquares = 0;
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      vector.set(term, weight);
+      sumOfSquares += weight * weight;
+    }
+  }
+  return { vector, norm: Math.sqrt(sumOfSquares) };
+}
+
+export function buildKnowledgeIndex(entries) {
+  const passages = entries.flatMap((entry) =>
+    entryPassages(entry).map((passage) => ({
+      entry,
+      answer: passage.answer,
+      counts: termCounts(indexTerms(passage.text)),
+    }))
+  );
+
+  const documentFrequency = new Map();
+  for (const passage of passages) {
+    for (const term of passage.counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [term, frequency] of documentFrequency) {
+    idf.set(term, Math.log((passages.length + 1) / (frequency + 1)) + 1);
+  }
+
+  return {
+    idf,
+    passages: passages.map(({ entry, answer, counts }) => ({ entry, answer, ...weigh(counts, idf) })),
+  };
+}
+
+/**
+ * Best passages for a question, highest score first: [{ entry, answer, score }].
+ * Only the best passage of each entry is returned.
+ */
+export function searchKnowledgeIndex(index, question, { limit = 3, minScore = MIN_MATCH_SCORE } = {}) {
+  const { vector, norm } = weigh(termCounts(indexTerms(question)), index.idf);
+  if (norm === 0) {
+    return [];
+  }
+
+  const bestByEntry = new Map();
+  for (const passage of index.passages) {
+    if (passage.norm === 0) {
+      continue;
+    }
+    let dot = 0;
+    for (const [term, weight] of vector) {
+      dot += weight * (passage.vector.get(term) || 0);
+    }
+    const score = dot / (norm * passage.norm);
+    const key = String(passage.entry.id);
+    if (score >= minScore && score > (bestByEntry.get(key)?.score || 0)) {
+      bestByEntry.set(key, { entry: passage.entry, answer: passage.answer, score });
+    }
+  }
+
+  return [...bestByEntry.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+async function getProjectIndex(projectId) {
+  const cached = indexCache.get(projectId);
+  if (cached && Date.now() - cached.builtAt < INDEX_TTL_MS) {
+    return cached.index;
+  }
+
+  const knowledgeStore = await getKnowledgeStore();
+  const entries = await knowledgeStore.listKnowledgeEntries(projectId, { activeOnly: true });
+  const index = buildKnowledgeIndex(entries);
+  indexCache.set(projectId, { index, builtAt: Date.now() });
+  return index;
+}
+
+export function invalidateKnowledgeIndex(projectId) {
+  indexCache.delete(projectId);
+}
+
+export function toCitation(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    title: entry.type === "document" ? entry.title : entry.question,
+  };
+}
+
+/**
+ * Search a project's knowledge base. Returns [{ answer, score, citation }].
+ */
+export async function searchKnowledge(projectId, question, options = {}) {
+  const index = await getProjectIndex(projectId);
+  return searchKnowledgeIndex(index, question, options).map(({ entry, answer, score }) => ({
+    answer: limitReply(answer, MAX_ANSWER_CHARS),
+    score: Math.round(score * 1000) / 1000,
+    citation: toCitation(entry),
+  }));
+}
+
+// Long digit runs (phone numbers) are masked before a question is stored
+function maskQuestion(question) {
+  return String(question).replace(/\d{5,}/g, (digits) => "#".repeat(digits.length));
+}
+
+// Repeats of a question share its sorted meaningful words; null when it has none
+function unmatchedQuestionKey(question) {
+  const terms = [...new Set(indexTerms(maskQuestion(question)))].sort();
+  return terms.length > 0 ? terms.join(" ").slice(0, 255) : null;
+}
+
+/**
+ * Log a chat question the knowledge base had no answer for. Repeats are grouped
+ * by their meaningful words; long digit runs (phone numbers) are masked.
+ */
+export async function recordUnmatchedQuestion(projectId, question) {
+  const questionKey = unmatchedQuestionKey(question);
+  if (!questionKey) {
+    return;
+  }
+
+  const knowledgeStore = await getKnowledgeStore();
+  await knowledgeStore.recordUnmatchedQuestion(projectId, {
+    questionKey,
+    question: maskQuestion(question).slice(0, 500),
+  });
+}
+
+/**
+ * Drop the unmatched questions logged from these chat messages in any of the
+ * projects. Used by personal data erasure; returns how many were removed.
+ */
+export async function forgetUnmatchedQuestions(projectIds, questions) {
+  const questionKeys = [...new Set(questions.map(unmatchedQuestionKey).filter(Boolean))];
+  if (projectIds.length === 0 || questionKeys.length === 0) {
+    return 0;
+  }
+
+  const knowledgeStore = await getKnowledgeStore();
+  return await knowledgeStore.deleteUnmatchedQuestionsByKey(projectIds, questionKeys);
+}
@@ -0,0 +1,110 @@
+/**
+ * Chat languages: English, Hindi (Devanagari) and Hinglish (Hindi in Latin script)
+ *
+ * detectLanguage() looks at a single message. Devanagari script means "hi";
+ * common Hindi words written in Latin script ("price kya hai") mean "hinglish";
+ * English function words mean "en". Short or neutral messages ("ok", "2 bhk")
+ * give null, and the caller keeps the language the visitor already uses.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+export const SUPPORTED_LANGUAGES = ["en", "hi", "hinglish"];
+
+// Widget copy that can be translated per language (see the widget's translations.js)
+export const TRANSLATABLE_COPY_FIELDS = [
+  "welcomeMessage",
+  "followupMessage",
+  "bhkPrompt",
+  "inventoryMessage",
+  "namePrompt",
+  "phonePrompt",
+  "thankYouMessage",
+];
+const MAX_COPY_LENGTH = 1000;
+const MAX_CTA_LABELS = 10;
+
+const HINGLISH_WORDS = new Set([
+  "aap", "aapka", "aapke", "abhi", "accha", "acha", "aur", "bata", "batao", "bataiye", "bataye",
+  "bhai", "bhejo", "bhi", "chahiye", "chaiye", "daam", "dekhna", "dijiye", "hai", "hain", "haan",
+  "hoga", "hogi", "humein", "hume", "jankari", "jaankari", "kab", "kaha", "kahan", "kaise", "kaisa",
+  "kaun", "kaunsa", "keemat", "kidhar", "kimat", "kitna", "kitne", "kitni", "konsa", "konsi", "kya",
+  "mera", "mere", "milega", "milegi", "mujhe", "muje", "nahi", "nahin", "sabse", "wala", "wali",
+  "yaha", "yahan",
+]);
+
+const ENGLISH_WORDS = new Set([
+  "about", "are", "available", "can", "could", "does", "have", "how", "i", "is", "looking", "need",
+  "please", "send", "tell", "the", "there", "want", "what", "when", "where", "which", "would", "you",
+]);
+
+const DEVANAGARI = /\p{Script=Devanagari}/gu;
+const LETTER = /\p{L}/gu;
+
+export function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * "hi", "hinglish", "en", or null when the message does not tell
+ */
+export function detectLanguage(text) {
+  const message = String(text || "");
+  const letters = (message.match(LETTER) || []).length;
+  if (letters === 0) {
+    return null;
+  }
+  if ((message.match(DEVANAGARI) || []).length / letters >= 0.3) {
+    return "hi";
+  }
+
+  const words = message.toLowerCase().match(/[a-z']+/g) || [];
+  const hinglish = words.filter((word) => HINGLISH_WORDS.has(word)).length;
+  const english = words.filter((word) => ENGLISH_WORDS.has(word)).length;
+
+  if (hinglish > 0 && hinglish >= english) {
+    return "hinglish";
+  }
+  if (english > 0) {
+    return "en";
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when a widget config `translations` value is
+ * valid: { hi: { welcomeMessage, ..., ctaOptions: [labels] }, hinglish: {...} }.
+ * English copy lives in the regular config fields.
+ */
+export function validateWidgetTranslations(translations) {
+  if (translations === null) {
+    return null;
+  }
+  if (typeof translations !== "object" || Array.isArray(translations)) {
+    return "translations must be an object keyed by language";
+  }
+
+  for (const [language, copy] of Object.entries(translations)) {
+    if (!isSupportedLanguage(language) || language === DEFAULT_LANGUAGE) {
+      return `translations keys must be one of: ${SUPPORTED_LANGUAGES.filter((code) => code !== DEFAULT_LANGUAGE).join(", ")}`;
+    }
+    if (!copy || typeof copy !== "object" || Array.isArray(copy)) {
+      return `translations.${language} must be an object`;
+    }
+    for (const [field, value] of Object.entries(copy)) {
+      if (field === "ctaOptions") {
+        if (
+          !Array.isArray(value) ||
+          value.length > MAX_CTA_LABELS ||
+          value.some((label) => typeof label !== "string" || label.length > 100)
+        ) {
+          return `translations.${language}.ctaOptions must be a list of at most ${MAX_CTA_LABELS} labels`;
+        }
+      } else if (!TRANSLATABLE_COPY_FIELDS.includes(field)) {
+        return `translations.${language}.${field} is not a translatable field`;
+      } else if (typeof value !== "string" || value.length > MAX_COPY_LENGTH) {
+        return `translations.${language}.${field} must be a string of at most ${MAX_COPY_LENGTH} characters`;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Lead assignment to sales agents
+ *
+ * Agents are dashboard users (the users table, or DASHBOARD_USERS without MySQL)
+ * grouped into teams that serve one or more projects ("*" serves all). A new lead
+ * goes to the highest-priority team whose matchRules fit it; teams without
+ * matchRules are the catch-all. Within the team the agent is picked by strategy:
+ *   round-robin   the member after the team's last assignee
+ *   least-loaded  the member with the fewest open (not won/lost) leads
+ *
+ * matchRules (all optional, every given rule must match):
+ *   { phoneCountries: ["AE"], excludePhoneCountries: ["IN"], bhkTypes: ["4 BHK"], minScore: 70 }
+ */
+
+import { config } from "../config.js";
+import { User } from "../models/User.js";
+import { listEnvDashboardUsernames } from "../middleware/auth.js";
+
+export const ASSIGNMENT_STRATEGIES = ["round-robin", "least-loaded"];
+
+export const MATCH_RULE_KEYS = [
+  "phoneCountries",
+  "excludePhoneCountries",
+  "bhkTypes",
+  "minScore",
+];
+
+const MAX_ROUND_ROBIN_ATTEMPTS = 3;
+
+async function getTeamStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlAgentTeamStore.js");
+  } else {
+    return await import("../storage/agentTeamStore.js");
+  }
+}
+
+export function getAssignee(lead) {
+  return lead.assignedTo ?? lead.assigned_to ?? null;
+}
+
+export function getAgentRoom(username) {
+  return `agent:${username}`;
+}
+
+export async function listAgentUsernames() {
+  try {
+    const users = await User.findAll();
+    return users.map((user) => user.username);
+  } catch (dbError) {
+    return listEnvDashboardUsernames();
+  }
+}
+
+function hasMatchRules(team) {
+  return Boolean(team.matchRules) && Object.keys(team.matchRules).length > 0;
+}
+
+export function matchesTeamRules(team, lead) {
+  const rules = team.matchRules || {};
+  const country = String(lead.metadata?.phoneCountryCode || "").toUpperCase();
+  const bhkType = String(lead.bhkType || lead.bhk_type || "").toLowerCase();
+  const upper = (values) => values.map((value) => String(value).toUpperCase());
+
+  if (rules.phoneCountries && !upper(rules.phoneCountries).includes(country)) {
+    return false;
+  }
+  if (rules.excludePhoneCountries && (!country || upper(rules.excludePhoneCountries).includes(country))) {
+    return false;
+  }
+  if (
+    rules.bhkTypes &&
+    !rules.bhkTypes.some((value) => String(value).toLowerCase() === bhkType)
+  ) {
+    return false;
+  }
+  if (rules.minScore !== undefined && !(Number(lead.score) >= rules.minScore)) {
+    return false;
+  }
+  return true;
+}
+
+export async function selectTeam(lead) {
+  const teamStore = await getTeamStore();
+  const teams = await teamStore.findTeamsForProject(
+    [lead.microsite, lead.metadata?.projectId].filter(Boolean).map(String)
+  );
+  const byPriority = (a, b) => (b.priority || 0) - (a.priority || 0);
+
+  const ruled = teams
+    .filter((team) => hasMatchRules(team) && matchesTeamRules(team, lead))
+    .sort(byPriority);
+  const catchAll = teams.filter((team) => !hasMatchRules(team)).sort(byPriority);
+
+  return ruled[0] || catchAll[0] || null;
+}
+
+async function pickRoundRobin(teamStore, team) {
+  let current = team;
+  let next = null;
+
+  for (let attempt = 0; attempt < MAX_ROUND_ROBIN_ATTEMPTS; attempt++) {
+    const index = current.members.indexOf(current.lastAssignee);
+    next = current.members[(index + 1) % current.members.length];
+
+    if (await teamStore.advanceRoundRobin(current.id, current.lastAssignee, next)) {
+      return next;
+    }
+
+    // Another lead took this slot; re-read the pointer and try the following member
+    current = await teamStore.getTeamById(team.id);
+    if (!current || current.members.length === 0) {
+      return null;
+    }
+  }
+
+  return next;
+}
+
+async function pickLeastLoaded(leadStore, team) {
+  const counts = await leadStore.countOpenLeadsByAssignee(team.members);
+  // Ties go to the member listed first
+  return team.members.reduce(
+    (best, member) => (counts[member] < counts[best] ? member : best),
+    team.members[0]
+  );
+}
+
+export async function pickAgent(leadStore, team) {
+  if (team.strategy === "least-loaded") {
+    return await pickLeastLoaded(leadStore, team);
+  }
+  return await pickRoundRobin(await getTeamStore(), team);
+}
+
+/**
+ * Notify the lead's microsite room and the old and new owners' dashboards
+ */
+export function emitAssignment(io, lead, previousAssignee) {
+  if (!io) {
+    return;
+  }
+
+  const assignee = getAssignee(lead);
+  let target = io.to(lead.microsite);
+  for (const username of [assignee, previousAssignee]) {
+    if (username) {
+      target = target.to(getAgentRoom(username));
+    }
+  }
+
+  target.emit("lead:assigned", {
+    leadId: lead.id,
+    assignee,
+    previousAssignee,
+    lead,
+  });
+}
+
+/**
+ * Set (or clear, with assignee null) the lead's owner and record it in the timeline.
+ * Returns { lead, activity }; activity is null when the owner did not change.
+ */
+export async function assignLead(leadStore, lead, assignee, { actor = null, note = null, io } = {}) {
+  const previousAssignee = getAssignee(lead);
+  const nextAssignee = assignee || null;
+
+  if (previousAssignee === nextAssignee) {
+    return { lead, activity: null };
+  }
+
+  const updated = await leadStore.updateLead(lead.id, {
+    assignedTo: nextAssignee,
+    assignedAt: nextAssignee ? new Date().toISOString() : null,
+  });
+  const activity = await leadStore.appendLeadActivity(lead.id, {
+    type: nextAssignee ? "assigned" : "unassigned",
+    fromAssignee: previousAssignee,
+    toAssignee: nextAssignee,
+    note,
+    actor,
+  });
+
+  emitAssignment(io, updated, previousAssignee);
+  return { lead: updated, activity };
+}
+
+/**
+ * Route a lead through the team rules. Leads that already have an owner are left
+ * alone unless `reassign` is set.
+ */
+export async function autoAssignLead(leadStore, lead, { reassign = false, actor = "system", io } = {}) {
+  if (getAssignee(lead) && !reassign) {
+    return { lead, activity: null };
+  }
+
+  const team = await selectTeam(lead);
+  if (!team) {
+    return { lead, activity: null };
+  }
+
+  const agent = await pickAgent(leadStore, team);
+  if (!agent) {
+    return { lead, activity: null };
+  }
+
+  return await assignLead(leadStore, lead, agent, {
+    actor,
+    note: `Auto-assigned by ${team.strategy} via ${team.name}`,
+    io,
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Duplicate lead detection and merging
+ *
+ * Rules (config.leadDedup, set via env):
+ *   LEAD_DEDUP_SCOPE        off | microsite (same phone + microsite) | global (same phone anywhere)
+ *   LEAD_DEDUP_WINDOW_DAYS  only match leads created in the last N days (0 = no limit)
+ *   LEAD_DEDUP_ACTION       flag (insert and tag metadata.duplicateOf) | merge (update the existing lead)
+ */
+
+import { config } from "../config.js";
+
+const MAX_TOUCHPOINTS = 50;
+
+export function getDedupRule() {
+  return { ...config.leadDedup };
+}
+
+export async function findDuplicateLead(leadStore, { phone, microsite, excludeId } = {}) {
+  const rule = getDedupRule();
+
+  if (rule.scope === "off" || !phone) {
+    return null;
+  }
+
+  const since = rule.windowDays > 0
+    ? new Date(Date.now() - rule.windowDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const matches = await leadStore.findLeadsByPhone({
+    phone,
+    microsite: rule.scope === "microsite" ? microsite : undefined,
+    since,
+    excludeId,
+    limit: 1,
+  });
+
+  return matches[0] || null;
+}
+
+/**
+ * Snapshot of where a submission came from, kept in metadata.touchpoints
+ */
+export function buildTouchpoint(lead) {
+  const visitor = lead.metadata?.visitor || {};
+  return {
+    at: lead.createdAt || lead.created_at || new Date().toISOString(),
+    leadId: lead.id ?? null,
+    microsite: lead.microsite,
+    leadSource: lead.leadSource || lead.lead_source || "ChatWidget",
+    bhkType: lead.bhkType || lead.bhk_type || null,
+    utm: visitor.utm || null,
+    landingPage: visitor.landingPage || null,
+    referrer: visitor.referrer || null,
+    visitorId: lead.metadata?.visitorId || null,
+  };
+}
+
+/**
+ * Whether a widget visitor submitted this lead, directly or as a merged
+ * duplicate (each merged submission keeps its visitorId in touchpoints)
+ */
+export function isSubmittedByVisitor(lead, visitorId) {
+  const touchpoints = Array.isArray(lead.metadata?.touchpoints) ? lead.metadata.touchpoints : [];
+  return (
+    Boolean(visitorId) &&
+    (lead.metadata?.visitorId === visitorId ||
+      touchpoints.some((touchpoint) => touchpoint.visitorId === visitorId))
+  );
+}
+
+/**
+ * Fold `incoming` into `target`. Returns the update object for leadStore.updateLead.
+ * The most recent submission's BHK preference and metadata win; conversations
+ * are appended and every submission is kept as a touchpoint.
+ */
+export function buildMergeUpdates(target, incoming) {
+  const targetMetadata = target.metadata || {};
+  const existingTouchpoints = Array.isArray(targetMetadata.touchpoints)
+    ? targetMetadata.touchpoints
+    : [buildTouchpoint(target)];
+  const incomingTouchpoints = Array.isArray(incoming.metadata?.touchpoints)
+    ? incoming.metadata.touchpoints
+    : [buildTouchpoint(incoming)];
+
+  // Merge bookkeeping describes the incoming lead itself (its duplicateOf is
+  // usually the target), so it never carries over
+  const {
+    touchpoints: _touchpoints,
+    duplicateOf: _duplicateOf,
+    mergeCount: _mergeCount,
+    lastMergedAt: _lastMergedAt,
+    ...incomingMetadata
+  } = incoming.metadata || {};
+
+  // A fresh submission has no timestamp yet; a manually merged lead may be older
+  const incomingCreated = incoming.createdAt || incoming.created_at;
+  const targetCreated = target.createdAt || target.created_at;
+  const incomingIsNewer =
+    !incomingCreated || !targetCreated || new Date(incomingCreated) >= new Date(targetCreated);
+  const latest = incomingIsNewer ? incoming : target;
+  // The latest submission's name, CTA and other fields win
+  const [olderMetadata, latestMetadata] = incomingIsNewer
+    ? [targetMetadata, incomingMetadata]
+    : [incomingMetadata, targetMetadata];
+
+  return {
+    bhk: latest.bhk ?? null,
+    bhkType: latest.bhkType || latest.bhk_type || target.bhkType || target.bhk_type,
+    conversation: [
+      ...(Array.isArray(target.conversation) ? target.conversation : []),
+      ...(Array.isArray(incoming.conversation) ? incoming.conversation : []),
+    ],
+    metadata: {
+      ...olderMetadata,
+      ...latestMetadata,
+      // Keep the most recent visitor context, older ones live in touchpoints
+      visitor: latestMetadata.visitor || olderMetadata.visitor,
+      touchpoints: [...existingTouchpoints, ...incomingTouchpoints]
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+        .slice(-MAX_TOUCHPOINTS),
+      mergeCount: (targetMetadata.mergeCount || 0) + 1,
+      lastMergedAt: new Date().toISOString(),
+    },
+  };
+}
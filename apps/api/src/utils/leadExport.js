@@ -0,0 +1,204 @@
+/**
+ * Lead export: column definitions and streaming CSV / XLSX writers
+ *
+ * Columns are picked by key (see LEAD_EXPORT_COLUMNS) or as a dotted metadata
+ * path such as "metadata.visitor.utm.term". Rows are written batch by batch from
+ * leadStore.iterateLeads, so an export never holds the full result set.
+ */
+
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+const MAX_EXPORT_COLUMNS = 60;
+const METADATA_PATH = /^metadata(\.[A-Za-z0-9_-]+){1,5}$/;
+
+// File store leads are camelCase, MySQL rows are snake_case
+const field = (lead, camel, snake) => lead[camel] ?? lead[snake] ?? null;
+const visitor = (lead) => lead.metadata?.visitor || {};
+const utm = (lead) => visitor(lead).utm || {};
+const location = (lead) => visitor(lead).location || lead.location || {};
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+export const LEAD_EXPORT_COLUMNS = {
+  id: { header: "Lead ID", value: (lead) => lead.id },
+  createdAt: {
+    header: "Captured At",
+    value: (lead) => toIsoString(field(lead, "createdAt", "created_at")),
+  },
+  updatedAt: {
+    header: "Updated At",
+    value: (lead) => toIsoString(field(lead, "updatedAt", "updated_at")),
+  },
+  phone: { header: "Phone", value: (lead) => lead.phone },
+  microsite: { header: "Microsite", value: (lead) => lead.microsite },
+  projectId: { header: "Project ID", value: (lead) => lead.metadata?.projectId },
+  bhkType: { header: "Interest", value: (lead) => field(lead, "bhkType", "bhk_type") },
+  bhk: { header: "BHK", value: (lead) => lead.bhk },
+  status: { header: "Status", value: (lead) => lead.status || "new" },
+  score: { header: "Score", value: (lead) => lead.score },
+  assignedTo: { header: "Assignee", value: (lead) => field(lead, "assignedTo", "assigned_to") },
+  leadSource: { header: "Lead Source", value: (lead) => field(lead, "leadSource", "lead_source") },
+  cta: { header: "CTA", value: (lead) => lead.metadata?.cta },
+  phoneCountry: { header: "Phone Country", value: (lead) => lead.metadata?.phoneCountry },
+  phoneCountryCode: {
+    header: "Phone Country Code",
+    value: (lead) => lead.metadata?.phoneCountryCode,
+  },
+  phoneDialCode: { header: "Dial Code", value: (lead) => lead.metadata?.phoneDialCode },
+  utmSource: { header: "UTM Source", value: (lead) => utm(lead).source },
+  utmMedium: { header: "UTM Medium", value: (lead) => utm(lead).medium },
+  utmCampaign: { header: "UTM Campaign", value: (lead) => utm(lead).campaign },
+  utmTerm: { header: "UTM Term", value: (lead) => utm(lead).term },
+  utmContent: { header: "UTM Content", value: (lead) => utm(lead).content },
+  landingPage: { header: "Landing Page", value: (lead) => visitor(lead).landingPage },
+  referrer: { header: "Referrer", value: (lead) => visitor(lead).referrer },
+  city: { header: "City", value: (lead) => location(lead).city },
+  region: { header: "Region", value: (lead) => location(lead).region },
+  country: { header: "Country", value: (lead) => location(lead).country },
+  timezone: { header: "Timezone", value: (lead) => location(lead).timezone },
+  ip: { header: "IP Address", value: (lead) => visitor(lead).ip },
+  duplicateOf: { header: "Duplicate Of", value: (lead) => lead.metadata?.duplicateOf },
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  "id",
+  "createdAt",
+  "phone",
+  "microsite",
+  "bhkType",
+  "status",
+  "score",
+  "assignedTo",
+  "utmSource",
+  "utmMedium",
+  "utmCampaign",
+  "city",
+  "country",
+  "phoneCountry",
+];
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+function getPath(source, path) {
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Parse a comma-separated column list. Returns { columns } or { error }.
+ */
+export function resolveExportColumns(value) {
+  const keys = typeof value === "string" && value.trim()
+    ? [...new Set(value.split(",").map((key) => key.trim()).filter(Boolean))]
+    : DEFAULT_EXPORT_COLUMNS;
+
+  if (keys.length > MAX_EXPORT_COLUMNS) {
+    return { error: `At most ${MAX_EXPORT_COLUMNS} columns can be exported` };
+  }
+
+  const unknown = keys.filter((key) => !LEAD_EXPORT_COLUMNS[key] && !METADATA_PATH.test(key));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown columns: ${unknown.join(", ")}. Use ${Object.keys(LEAD_EXPORT_COLUMNS).join(", ")} or a metadata.<path>`,
+    };
+  }
+
+  return {
+    columns: keys.map((key) =>
+      LEAD_EXPORT_COLUMNS[key]
+        ? { key, ...LEAD_EXPORT_COLUMNS[key] }
+        : {
+            key,
+            header: key,
+            value: (lead) => getPath(lead.metadata, key.split(".").slice(1)),
+          }
+    ),
+  };
+}
+
+function toCellValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function escapeCsvCell(value) {
+  let text = String(toCellValue(value));
+  // Neutralise spreadsheet formulas; phone numbers like "+91 98…" are left alone
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function isClosed(res) {
+  return res.destroyed || res.writableEnded;
+}
+
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+  }
+}
+
+export async function writeCsvExport(res, batches, columns) {
+  // The BOM makes Excel read the file as UTF-8
+  await writeChunk(res, `\uFEFF${columns.map((column) => escapeCsvCell(column.header)).join(",")}\n`);
+
+  for await (const batch of batches) {
+    if (isClosed(res)) {
+      return;
+    }
+    const lines = batch.map((lead) =>
+      columns.map((column) => escapeCsvCell(column.value(lead))).join(",")
+    );
+    if (lines.length > 0) {
+      await writeChunk(res, `${lines.join("\n")}\n`);
+    }
+  }
+
+  res.end();
+}
+
+export async function writeXlsxExport(res, batches, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Leads");
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: 20,
+  }));
+
+  for await (const batch of batches) {
+    if (isClosed(res)) {
+      return;
+    }
+    for (const lead of batch) {
+      sheet.addRow(columns.map((column) => toCellValue(column.value(lead)))).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
@@ -0,0 +1,149 @@
+/**
+ * CSV lead import: column mapping and per-row validation
+ *
+ * Rows go through the same phone and BHK normalisation as POST /api/leads.
+ * Columns are matched to lead fields by header name (see IMPORT_FIELD_ALIASES)
+ * unless the caller passes an explicit { field: "CSV header" } mapping; any
+ * other columns are kept in metadata.importFields.
+ */
+
+import { normalizePhone } from "./phoneValidation.js";
+import { normalizeBhkPreference, withPhoneMetadata } from "./leadNormalization.js";
+import { sanitizeMicrosite, sanitizeString } from "./sanitize.js";
+
+export const MAX_IMPORT_ROWS = 2000;
+
+export const IMPORT_FIELD_ALIASES = {
+  phone: ["phone", "mobile", "mobile number", "phone number", "contact", "contact number"],
+  bhkType: ["bhk", "bhk type", "bhktype", "configuration", "config", "interest"],
+  microsite: ["microsite", "project", "project id", "projectid", "site"],
+  name: ["name", "full name", "customer name"],
+  email: ["email", "email address", "e-mail"],
+  notes: ["notes", "note", "remarks", "comments"],
+  capturedAt: ["captured at", "capturedat", "date", "visit date", "created at"],
+};
+
+export const IMPORT_FIELDS = Object.keys(IMPORT_FIELD_ALIASES);
+
+const MAX_TEXT_LENGTH = 1000;
+const DEFAULT_DIAL_CODE = "+91";
+
+// CRM and ad exports usually drop the country code ("9876543210", or
+// "09876543210" with the trunk prefix); those are Indian mobile numbers
+function withDefaultDialCode(phone) {
+  const stripped = phone.replace(/[\s().-]/g, "");
+  const local = /^0?(\d{10})$/.exec(stripped);
+  return local ? `${DEFAULT_DIAL_CODE}${local[1]}` : phone;
+}
+
+function normalizeHeader(value) {
+  return String(value || "").trim().toLowerCase().replace(/[_\s]+/g, " ");
+}
+
+/**
+ * Map lead fields to column indexes. Returns { mapping } or { error }.
+ */
+export function resolveColumnMapping(headers, overrides = {}) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = {};
+
+  const unknownFields = Object.keys(overrides).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return {
+      error: `Unknown mapping fields: ${unknownFields.join(", ")}. Expected: ${IMPORT_FIELDS.join(", ")}`,
+    };
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (overrides[field] !== undefined) {
+      const index = normalizedHeaders.indexOf(normalizeHeader(overrides[field]));
+      if (index === -1) {
+        return { error: `Column "${overrides[field]}" (mapped to ${field}) is not in the CSV` };
+      }
+      mapping[field] = index;
+      continue;
+    }
+
+    const index = normalizedHeaders.findIndex((header) =>
+      IMPORT_FIELD_ALIASES[field].includes(header)
+    );
+    if (index !== -1) {
+      mapping[field] = index;
+    }
+  }
+
+  if (mapping.phone === undefined) {
+    return { error: "No phone column found. Name it \"phone\" or pass a mapping." };
+  }
+
+  return { mapping };
+}
+
+function readText(row, index) {
+  if (index === undefined) {
+    return "";
+  }
+  return sanitizeString(String(row[index] ?? "")).trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Validate one CSV row. Returns { lead } ready for leadStore.createLead, or { reason }.
+ * getBhkOptions(microsite) supplies that project's configured BHK options, if any.
+ */
+export async function prepareImportRow(
+  row,
+  { headers, mapping, defaultMicrosite, batch, getBhkOptions = async () => null }
+) {
+  const value = (field) => readText(row, mapping[field]);
+
+  const microsite = sanitizeMicrosite(value("microsite") || defaultMicrosite);
+  if (!microsite) {
+    return { reason: "Missing or invalid microsite" };
+  }
+
+  const rawPhone = value("phone");
+  if (!rawPhone) {
+    return { reason: "Missing phone number" };
+  }
+  const normalizedPhoneResult = normalizePhone(withDefaultDialCode(rawPhone));
+  if (normalizedPhoneResult.error) {
+    return { reason: normalizedPhoneResult.error };
+  }
+
+  const normalizedBhk = normalizeBhkPreference(
+    { bhkType: value("bhkType") },
+    { options: await getBhkOptions(microsite) }
+  );
+  if (!normalizedBhk) {
+    return { reason: "Invalid or missing BHK preference" };
+  }
+
+  const mappedIndexes = new Set(Object.values(mapping));
+  const importFields = {};
+  headers.forEach((header, index) => {
+    const text = readText(row, index);
+    if (!mappedIndexes.has(index) && header && text) {
+      importFields[String(header).trim().slice(0, 100)] = text;
+    }
+  });
+
+  const metadata = {
+    ...(value("name") && { name: value("name") }),
+    ...(value("email") && { email: value("email") }),
+    ...(value("notes") && { notes: value("notes") }),
+    ...(value("capturedAt") && { capturedAt: value("capturedAt") }),
+    importBatch: batch,
+    ...(Object.keys(importFields).length > 0 && { importFields }),
+  };
+
+  return {
+    lead: {
+      phone: normalizedPhoneResult.value,
+      bhk: normalizedBhk.numeric,
+      bhkType: normalizedBhk.type,
+      microsite,
+      metadata: withPhoneMetadata(metadata, normalizedPhoneResult),
+      conversation: [],
+    },
+  };
+}
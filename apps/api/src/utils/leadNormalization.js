@@ -0,0 +1,141 @@
+/**
+ * Normalisation shared by lead capture (POST /api/leads) and CSV import
+ */
+
+import { optionValue } from "./widgetOptions.js";
+
+const SPECIAL_BHK_MAPPINGS = new Map([
+  ["duplex", { type: "Duplex", numeric: null }],
+  ["justbrowsing", { type: "Just Browsing", numeric: null }],
+  ["justlooking", { type: "Just Browsing", numeric: null }],
+  ["other", { type: "Other", numeric: null }],
+  ["yettodecide", { type: "Yet to decide", numeric: null }],
+]);
+
+// Letters and digits only, so "2-BHK", "2 bhk" and "2BHK" compare equal (any script)
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+}
+
+/**
+ * The configured option (widget config ctaOptions / bhkOptions) a submitted
+ * value refers to, matched on its canonical value or any of its labels
+ */
+export function findConfiguredOption(options, input) {
+  if (!Array.isArray(options) || input === undefined || input === null || input === "") {
+    return null;
+  }
+  const key = normalizeKey(input);
+  if (!key) {
+    return null;
+  }
+  return (
+    options.find((option) =>
+      [option.value, option.label, ...Object.values(option.labels || {})]
+        .filter(Boolean)
+        .some((candidate) => normalizeKey(candidate) === key)
+    ) || null
+  );
+}
+
+/**
+ * { type, numeric } for a BHK preference. A project's own `options` are matched
+ * first; anything else falls back to the built-in 1-4 BHK and special values.
+ */
+export function normalizeBhkPreference({ bhk, bhkType }, { options = null } = {}) {
+  const configured = findConfiguredOption(options, bhkType);
+  if (configured) {
+    return { type: optionValue(configured), numeric: configured.bhk ?? null };
+  }
+
+  if (bhk !== undefined && bhk !== null && bhk !== "") {
+    const numericValue = Number(bhk);
+
+    if (Number.isFinite(numericValue)) {
+      if (numericValue === 0) {
+        return { type: "Yet to decide", numeric: null };
+      }
+
+      const rounded = Math.round(numericValue);
+      if (rounded >= 1 && rounded <= 4) {
+        return { type: `${rounded} BHK`, numeric: rounded };
+      }
+
+      return { type: "Other", numeric: rounded };
+    }
+  }
+
+  if (bhkType !== undefined && bhkType !== null && bhkType !== "") {
+    const trimmed = String(bhkType).trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    const compactKey = normalizeKey(trimmed);
+
+    if (SPECIAL_BHK_MAPPINGS.has(compactKey)) {
+      return SPECIAL_BHK_MAPPINGS.get(compactKey);
+    }
+
+    const digitsMatch = trimmed.match(/(\d+)/);
+    if (digitsMatch) {
+      const numeric = Number(digitsMatch[1]);
+      if (Number.isFinite(numeric)) {
+        if (numeric === 0) {
+          return { type: "Yet to decide", numeric: null };
+        }
+        if (numeric >= 1 && numeric <= 4) {
+          return { type: `${numeric} BHK`, numeric };
+        }
+        return { type: "Other", numeric };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * { type, numeric } for a BHK picked out of the chat ({ bhk, bhkType } from
+ * entity extraction), or null. A project with its own `options` only accepts
+ * one of them, matched on the type or the option's numeric `bhk`; otherwise
+ * the built-in values apply.
+ */
+export function normalizeExtractedBhk({ bhk, bhkType } = {}, { options = null } = {}) {
+  if (!Array.isArray(options)) {
+    return bhk ? normalizeBhkPreference({ bhk }) : null;
+  }
+
+  const configured =
+    findConfiguredOption(options, bhkType) ||
+    (bhk ? options.find((option) => option.bhk === bhk) : null);
+  return configured ? { type: optionValue(configured), numeric: configured.bhk ?? null } : null;
+}
+
+/**
+ * Copy the country details of a normalizePhone() result into lead metadata,
+ * keeping any values the caller already supplied. Returns the metadata object.
+ */
+export function withPhoneMetadata(metadata, normalizedPhoneResult) {
+  if (!normalizedPhoneResult) {
+    return metadata;
+  }
+
+  if (!metadata) {
+    return {
+      phoneCountry: normalizedPhoneResult.country?.name,
+      phoneCountryCode: normalizedPhoneResult.country?.countryCode,
+      phoneDialCode: normalizedPhoneResult.country?.code,
+      phoneSubscriber: normalizedPhoneResult.subscriber,
+    };
+  }
+
+  return {
+    ...metadata,
+    phoneCountry: metadata.phoneCountry ?? normalizedPhoneResult.country?.name,
+    phoneCountryCode:
+      metadata.phoneCountryCode ?? normalizedPhoneResult.country?.countryCode,
+    phoneDialCode: metadata.phoneDialCode ?? normalizedPhoneResult.country?.code,
+    phoneSubscriber: metadata.phoneSubscriber ?? normalizedPhoneResult.subscriber,
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Rules-based lead scoring (0–100)
+ *
+ * Each signal is normalised to 0..1 and multiplied by its weight; the total is
+ * scaled to 100. Projects can override any part of DEFAULT_SCORING_RULES.
+ */
+
+import { config } from "../config.js";
+
+export const SCORING_SIGNALS = [
+  "bhk",
+  "cta",
+  "utm",
+  "phoneCountry",
+  "conversation",
+  "timeOnPage",
+];
+
+export const DEFAULT_SCORING_RULES = {
+  weights: {
+    bhk: 20,
+    cta: 25,
+    utm: 15,
+    phoneCountry: 10,
+    conversation: 15,
+    timeOnPage: 15,
+  },
+  // Keys are matched case-insensitively against the normalised BHK type
+  bhk: {
+    "1 bhk": 0.8,
+    "2 bhk": 1,
+    "3 bhk": 1,
+    "4 bhk": 1,
+    duplex: 1,
+    other: 0.5,
+    "yet to decide": 0.3,
+    "just browsing": 0,
+  },
+  // Keys are matched as substrings of the selected CTA
+  cta: {
+    "site visit": 1,
+    "call back": 0.9,
+    "best quote": 0.8,
+    whatsapp: 0.7,
+    pricing: 0.7,
+    brochure: 0.5,
+    "just browsing": 0,
+  },
+  utmSources: {
+    google: 1,
+    facebook: 0.7,
+    instagram: 0.7,
+  },
+  // Campaign substrings that override the source value when matched
+  utmCampaigns: {},
+  phoneCountries: {
+    IN: 1,
+  },
+  defaults: {
+    bhk: 0.5,
+    cta: 0.3,
+    utmSource: 0.5,
+    organic: 0.6,
+    phoneCountry: 0.7,
+  },
+  conversation: { fullAtMessages: 6 },
+  timeOnPage: { fullAtSeconds: 180 },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeRules(base, override) {
+  if (!isPlainObject(override)) {
+    return base;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeRules(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+export function resolveScoringRules(override) {
+  return mergeRules(DEFAULT_SCORING_RULES, override);
+}
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+function matchSubstring(map, text) {
+  const normalized = String(text || "").toLowerCase();
+  if (!normalized) return undefined;
+  const key = Object.keys(map).find((candidate) =>
+    normalized.includes(candidate.toLowerCase())
+  );
+  return key === undefined ? undefined : map[key];
+}
+
+function findSelectedCta(lead, rules) {
+  if (lead.metadata?.cta) {
+    return lead.metadata.cta;
+  }
+  // Older widgets did not send the CTA; it is the first user message that matches one
+  const conversation = Array.isArray(lead.conversation) ? lead.conversation : [];
+  const match = conversation.find(
+    (message) => message.type === "user" && matchSubstring(rules.cta, message.text) !== undefined
+  );
+  return match?.text || null;
+}
+
+function evaluateSignals(lead, rules) {
+  const metadata = lead.metadata || {};
+  const visitor = metadata.visitor || {};
+  const bhkType = lead.bhkType || lead.bhk_type || null;
+  const cta = findSelectedCta(lead, rules);
+  const utm = visitor.utm || {};
+  const countryCode = metadata.phoneCountryCode || null;
+  const userMessages = (Array.isArray(lead.conversation) ? lead.conversation : [])
+    .filter((message) => message.type === "user").length;
+
+  let secondsOnPage = null;
+  if (visitor.firstSeenAt && visitor.lastInteractionAt) {
+    const diff = new Date(visitor.lastInteractionAt) - new Date(visitor.firstSeenAt);
+    secondsOnPage = Number.isFinite(diff) ? Math.max(0, Math.round(diff / 1000)) : null;
+  }
+
+  const bhkKey = bhkType ? bhkType.toLowerCase() : null;
+  const campaignValue = matchSubstring(rules.utmCampaigns, utm.campaign);
+  const sourceValue = utm.source
+    ? rules.utmSources[String(utm.source).toLowerCase()] ?? rules.defaults.utmSource
+    : rules.defaults.organic;
+
+  return {
+    bhk: {
+      signal: bhkType,
+      value: bhkKey && rules.bhk[bhkKey] !== undefined ? rules.bhk[bhkKey] : rules.defaults.bhk,
+    },
+    cta: {
+      signal: cta,
+      value: matchSubstring(rules.cta, cta) ?? rules.defaults.cta,
+    },
+    utm: {
+      signal: utm.source ? [utm.source, utm.campaign].filter(Boolean).join(" / ") : "organic",
+      value: campaignValue ?? sourceValue,
+    },
+    phoneCountry: {
+      signal: countryCode,
+      value: !lead.phone
+        ? 0
+        : rules.phoneCountries[countryCode] ?? rules.defaults.phoneCountry,
+    },
+    conversation: {
+      signal: userMessages,
+      value: userMessages / (rules.conversation.fullAtMessages || 1),
+    },
+    timeOnPage: {
+      signal: secondsOnPage,
+      value: secondsOnPage === null ? 0 : secondsOnPage / (rules.timeOnPage.fullAtSeconds || 1),
+    },
+  };
+}
+
+/**
+ * Returns { score, scoreFactors } for a lead (file store or MySQL row shape)
+ */
+export function computeLeadScore(lead, rules = DEFAULT_SCORING_RULES) {
+  const signals = evaluateSignals(lead, rules);
+  const totalWeight = SCORING_SIGNALS.reduce(
+    (sum, key) => sum + Math.max(0, Number(rules.weights[key]) || 0),
+    0
+  );
+
+  if (totalWeight === 0) {
+    return { score: 0, scoreFactors: [] };
+  }
+
+  let weighted = 0;
+  const scoreFactors = SCORING_SIGNALS.map((key) => {
+    const weight = Math.max(0, Number(rules.weights[key]) || 0);
+    const value = clamp01(Number(signals[key].value));
+    weighted += weight * value;
+    return {
+      key,
+      signal: signals[key].signal,
+      value: Math.round(value * 100) / 100,
+      weight,
+      points: Math.round((weight * value * 100) / totalWeight * 10) / 10,
+    };
+  });
+
+  return {
+    score: Math.round((weighted / totalWeight) * 100),
+    scoreFactors,
+  };
+}
+
+async function getScoringRuleStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlScoringRuleStore.js");
+  } else {
+    return await import("../storage/scoringRuleStore.js");
+  }
+}
+
+export async function getEffectiveScoringRules(projectId) {
+  const ruleStore = await getScoringRuleStore();
+  const stored = projectId ? await ruleStore.getScoringRules(projectId) : null;
+  return resolveScoringRules(stored?.rules);
+}
+
+/**
+ * Recompute and persist the score of a stored lead. Returns the updated lead.
+ */
+export async function scoreLead(leadStore, lead) {
+  const rules = await getEffectiveScoringRules(lead.microsite);
+  const { score, scoreFactors } = computeLeadScore(lead, rules);
+  return await leadStore.updateLead(lead.id, { score, scoreFactors });
+}
@@ -0,0 +1,43 @@
+/**
+ * Lead status workflow
+ *
+ * new → contacted → site-visit-scheduled → negotiating → won / lost
+ * A lost lead can be re-opened by moving it back to "contacted".
+ */
+
+export const LEAD_STATUSES = [
+  "new",
+  "contacted",
+  "site-visit-scheduled",
+  "negotiating",
+  "won",
+  "lost",
+];
+
+export const LEAD_STATUS_TRANSITIONS = {
+  new: ["contacted", "lost"],
+  contacted: ["site-visit-scheduled", "negotiating", "lost"],
+  "site-visit-scheduled": ["contacted", "negotiating", "lost"],
+  negotiating: ["site-visit-scheduled", "won", "lost"],
+  won: [],
+  lost: ["contacted"],
+};
+
+// Leads in these statuses no longer count towards an agent's workload
+export const CLOSED_LEAD_STATUSES = ["won", "lost"];
+
+export const MAX_NOTE_LENGTH = 5000;
+
+export function isValidLeadStatus(status) {
+  return LEAD_STATUSES.includes(status);
+}
+
+export function getAllowedTransitions(status) {
+  // Leads created before the workflow existed may carry legacy values
+  // ("qualified", "closed"); treat them like "new" so they can move on.
+  return LEAD_STATUS_TRANSITIONS[status] || LEAD_STATUS_TRANSITIONS.new;
+}
+
+export function canTransition(from, to) {
+  return getAllowedTransitions(from || "new").includes(to);
+}
@@ -0,0 +1,520 @@
+/**
+ * Live agent takeover of widget chats over socket.io
+ *
+ * Visitors are widget sockets connecting with auth { visitorId } and query
+ * { microsite, projectId }; agents are signed-in dashboard sockets. A chat is
+ * keyed by visitorId and moves between:
+ *   bot     the scripted/AI flow is answering (the widget syncs its transcript)
+ *   queued  the visitor asked for a human and waits for an agent to claim
+ *   live    an agent owns the chat and messages are relayed both ways
+ * Closing a chat returns it to "bot". A visitor can only ask for a human while
+ * an available agent is online, and queued chats fall back to "bot" when the
+ * last available agent leaves or goes away.
+ *
+ * State lives in memory on this API process and is lost on restart; the
+ * transcript the visitor saw is still saved by the widget with its chat session.
+ *
+ * Visitor events: live:activity, live:request, live:message, live:typing, live:end
+ * Agent events:   live:availability, live:claim, live:message, live:typing, live:close
+ * Every event accepts an ack callback that receives { ok, reason?, ... }.
+ */
+
+import crypto from "crypto";
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+import { sanitizeString, sanitizeMicrosite, sanitizeProjectId, sanitizeVisitorId } from "./sanitize.js";
+
+export const AGENT_STATUSES = ["available", "away"];
+
+const AGENTS_ROOM = "live:agents";
+const VISITORS_ROOM = "live:visitors";
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_TRANSCRIPT_MESSAGES = 100;
+// An agent refreshing the dashboard keeps their chats; after this they are requeued
+const AGENT_RECONNECT_GRACE_MS = 30 * 1000;
+// Chats of visitors who left are kept this long so agents can read them
+const OFFLINE_VISITOR_TTL_MS = 10 * 60 * 1000;
+
+const agents = new Map();
+const chats = new Map();
+let lastAnnouncedAvailability = false;
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  } else {
+    return await import("../storage/eventStore.js");
+  }
+}
+
+async function recordLiveEvent(type, chat, payload = {}) {
+  try {
+    const eventStore = await getEventStore();
+    await eventStore.recordEvent({
+      type,
+      projectId: chat.projectId,
+      microsite: chat.microsite,
+      payload: { visitorId: chat.visitorId, ...payload },
+    });
+  } catch (error) {
+    logger.error(`Failed to record ${type} event`, error);
+  }
+}
+
+function visitorRoom(visitorId) {
+  return `visitor:${visitorId}`;
+}
+
+function cleanText(value) {
+  return typeof value === "string" ? sanitizeString(value).slice(0, MAX_MESSAGE_LENGTH) : "";
+}
+
+export function hasAvailableAgents() {
+  for (const agent of agents.values()) {
+    if (agent.status === "available" && agent.sockets.size > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function summarizeAgent(agent) {
+  return {
+    username: agent.username,
+    status: agent.status,
+    online: agent.sockets.size > 0,
+    activeChats: [...chats.values()].filter((chat) => chat.agent === agent.username).length,
+  };
+}
+
+function summarizeChat(chat) {
+  const { sockets, removeTimer, ...summary } = chat;
+  return { ...summary, online: sockets.size > 0 };
+}
+
+function queuePosition(chat) {
+  return [...chats.values()]
+    .filter((other) => other.status === "queued" && other.requestedAt <= chat.requestedAt)
+    .length;
+}
+
+/**
+ * Everything the dashboard inbox shows: agents with presence and all chats
+ */
+export function getLiveChatState() {
+  return {
+    agents: [...agents.values()].map(summarizeAgent),
+    chats: [...chats.values()].map(summarizeChat),
+  };
+}
+
+function broadcastAgents(io) {
+  io.to(AGENTS_ROOM).emit("live:agents", [...agents.values()].map(summarizeAgent));
+
+  const available = hasAvailableAgents();
+  if (available !== lastAnnouncedAvailability) {
+    lastAnnouncedAvailability = available;
+    io.to(VISITORS_ROOM).emit("live:presence", { available });
+  }
+}
+
+function broadcastChat(io, chat) {
+  io.to(AGENTS_ROOM).emit("live:chat", summarizeChat(chat));
+}
+
+function emitStatus(io, chat, extra = {}) {
+  io.to(visitorRoom(chat.visitorId)).emit("live:status", {
+    status: chat.status,
+    agentName: chat.agent,
+    ...(chat.status === "queued" && { position: queuePosition(chat) }),
+    ...extra,
+  });
+}
+
+function appendMessage(chat, from, text, extra = {}) {
+  const message = {
+    id: crypto.randomUUID(),
+    from,
+    text,
+    timestamp: new Date().toISOString(),
+    ...extra,
+  };
+  chat.messages = [...chat.messages, message].slice(-MAX_TRANSCRIPT_MESSAGES);
+  chat.updatedAt = message.timestamp;
+  return message;
+}
+
+function findOrCreateChat(role) {
+  let chat = chats.get(role.visitorId);
+  if (!chat) {
+    chat = {
+      visitorId: role.visitorId,
+      microsite: role.microsite,
+      projectId: role.projectId,
+      pageUrl: null,
+      visitorName: null,
+      status: "bot",
+      agent: null,
+      messages: [],
+      requestedAt: null,
+      claimedAt: null,
+      updatedAt: new Date().toISOString(),
+      sockets: new Set(),
+      removeTimer: null,
+    };
+    chats.set(role.visitorId, chat);
+  }
+  return chat;
+}
+
+// Back to the scripted flow, telling the visitor why
+function releaseChat(io, chat, reason) {
+  chat.status = "bot";
+  chat.agent = null;
+  chat.requestedAt = null;
+  chat.claimedAt = null;
+  emitStatus(io, chat, { reason });
+  broadcastChat(io, chat);
+}
+
+function releaseQueueIfUnstaffed(io) {
+  if (hasAvailableAgents()) {
+    return;
+  }
+  for (const chat of chats.values()) {
+    if (chat.status === "queued") {
+      releaseChat(io, chat, "no_agents");
+    }
+  }
+}
+
+function joinAgent(io, socket, username) {
+  let agent = agents.get(username);
+  if (!agent) {
+    agent = { username, status: "available", sockets: new Set(), leaveTimer: null };
+    agents.set(username, agent);
+  }
+  clearTimeout(agent.leaveTimer);
+  agent.sockets.add(socket.id);
+  socket.join(AGENTS_ROOM);
+  socket.emit("live:state", getLiveChatState());
+  broadcastAgents(io);
+  return { agent: username };
+}
+
+function leaveAgent(io, socket, username) {
+  const agent = agents.get(username);
+  if (!agent) {
+    return;
+  }
+  agent.sockets.delete(socket.id);
+  broadcastAgents(io);
+  releaseQueueIfUnstaffed(io);
+  if (agent.sockets.size > 0) {
+    return;
+  }
+
+  agent.leaveTimer = setTimeout(() => {
+    if (agent.sockets.size > 0) {
+      return;
+    }
+    agents.delete(username);
+    for (const chat of chats.values()) {
+      if (chat.agent === username) {
+        appendMessage(chat, "system", `${username} left the chat`);
+        if (hasAvailableAgents()) {
+          chat.status = "queued";
+          chat.agent = null;
+          chat.requestedAt = new Date().toISOString();
+          emitStatus(io, chat, { reason: "agent_left" });
+          broadcastChat(io, chat);
+        } else {
+          releaseChat(io, chat, "agent_left");
+        }
+      }
+    }
+    broadcastAgents(io);
+  }, AGENT_RECONNECT_GRACE_MS);
+  agent.leaveTimer.unref?.();
+}
+
+function joinVisitor(io, socket, visitorId) {
+  const role = {
+    visitorId,
+    microsite: sanitizeMicrosite(socket.handshake.query?.microsite) || null,
+    projectId: sanitizeProjectId(socket.handshake.query?.projectId) || null,
+  };
+  socket.join(VISITORS_ROOM);
+  socket.join(visitorRoom(visitorId));
+
+  const chat = chats.get(visitorId);
+  if (chat) {
+    // Reconnected (page navigation, flaky network): pick the chat back up
+    clearTimeout(chat.removeTimer);
+    chat.sockets.add(socket.id);
+    socket.emit("live:status", {
+      status: chat.status,
+      agentName: chat.agent,
+      ...(chat.status === "queued" && { position: queuePosition(chat) }),
+    });
+    broadcastChat(io, chat);
+  }
+  socket.emit("live:presence", { available: hasAvailableAgents() });
+  return role;
+}
+
+function leaveVisitor(io, socket, visitorId) {
+  const chat = chats.get(visitorId);
+  if (!chat) {
+    return;
+  }
+  chat.sockets.delete(socket.id);
+  if (chat.sockets.size > 0) {
+    return;
+  }
+  broadcastChat(io, chat);
+  chat.removeTimer = setTimeout(() => {
+    if (chat.sockets.size === 0) {
+      chats.delete(visitorId);
+      io.to(AGENTS_ROOM).emit("live:removed", { visitorId });
+    }
+  }, OFFLINE_VISITOR_TTL_MS);
+  chat.removeTimer.unref?.();
+}
+
+// Chats the visitor has touched are tracked from their first activity on
+function touchChat(role, socket) {
+  const chat = findOrCreateChat(role);
+  chat.sockets.add(socket.id);
+  return chat;
+}
+
+const VISITOR_HANDLERS = {
+  // The widget's transcript while the bot answers, so agents can read before claiming
+  "live:activity": (io, role, socket, payload) => {
+    const chat = touchChat(role, socket);
+    if (typeof payload.pageUrl === "string") {
+      chat.pageUrl = payload.pageUrl.slice(0, 500);
+    }
+    if (typeof payload.name === "string" && payload.name.trim()) {
+      chat.visitorName = cleanText(payload.name).slice(0, 100);
+    }
+    if (chat.status === "bot" && Array.isArray(payload.messages)) {
+      chat.messages = payload.messages
+        .slice(-MAX_TRANSCRIPT_MESSAGES)
+        .map((message) => ({
+          id: String(message?.id || crypto.randomUUID()).slice(0, 64),
+          from: message?.type === "user" ? "visitor" : message?.type === "agent" ? "agent" : "bot",
+          text: cleanText(message?.text),
+          timestamp: typeof message?.timestamp === "string" ? message.timestamp : new Date().toISOString(),
+        }))
+        .filter((message) => message.text);
+      chat.updatedAt = new Date().toISOString();
+    }
+    broadcastChat(io, chat);
+    return { ok: true };
+  },
+
+  "live:request": (io, role, socket, payload) => {
+    const chat = touchChat(role, socket);
+    if (chat.status !== "bot") {
+      return { ok: true, status: chat.status, agentName: chat.agent, position: queuePosition(chat) };
+    }
+    if (!hasAvailableAgents()) {
+      return { ok: false, reason: "no_agents" };
+    }
+
+    chat.status = "queued";
+    chat.requestedAt = new Date().toISOString();
+    const reason = cleanText(payload.reason);
+    appendMessage(chat, "system", reason ? `Visitor asked for an agent: ${reason}` : "Visitor asked for an agent");
+    emitStatus(io, chat);
+    broadcastChat(io, chat);
+    recordLiveEvent("live_chat_requested", chat);
+    return { ok: true, status: chat.status, position: queuePosition(chat) };
+  },
+
+  "live:message": (io, role, socket, payload) => {
+    const chat = chats.get(role.visitorId);
+    const text = cleanText(payload.text);
+    if (!chat || chat.status === "bot") {
+      return { ok: false, reason: "not_live" };
+    }
+    if (!text) {
+      return { ok: false, reason: "empty_message" };
+    }
+    const message = appendMessage(chat, "visitor", text);
+    io.to(AGENTS_ROOM).emit("live:message", { visitorId: chat.visitorId, message });
+    return { ok: true, message };
+  },
+
+  "live:typing": (io, role, socket, payload) => {
+    const chat = chats.get(role.visitorId);
+    if (chat?.status === "live") {
+      io.to(AGENTS_ROOM).emit("live:typing", {
+        visitorId: chat.visitorId,
+        from: "visitor",
+        typing: Boolean(payload.typing),
+      });
+    }
+    return { ok: true };
+  },
+
+  "live:end": (io, role) => {
+    const chat = chats.get(role.visitorId);
+    if (!chat || chat.status === "bot") {
+      return { ok: true };
+    }
+    appendMessage(chat, "system", "Visitor ended the chat");
+    recordLiveEvent("live_chat_closed", chat, { agent: chat.agent, closedBy: "visitor" });
+    releaseChat(io, chat, "visitor_ended");
+    broadcastAgents(io);
+    return { ok: true };
+  },
+};
+
+function findAgentChat(role, payload) {
+  const chat = chats.get(payload.visitorId);
+  if (!chat) {
+    return { error: { ok: false, reason: "not_found" } };
+  }
+  if (chat.status !== "live" || chat.agent !== role.agent) {
+    return { error: { ok: false, reason: "not_owner" } };
+  }
+  return { chat };
+}
+
+const AGENT_HANDLERS = {
+  "live:availability": (io, role, socket, payload) => {
+    if (!AGENT_STATUSES.includes(payload.status)) {
+      return { ok: false, reason: "invalid_status" };
+    }
+    agents.get(role.agent).status = payload.status;
+    broadcastAgents(io);
+    releaseQueueIfUnstaffed(io);
+    return { ok: true };
+  },
+
+  // Works on queued chats and on visitors still talking to the bot
+  "live:claim": (io, role, socket, payload) => {
+    const chat = chats.get(payload.visitorId);
+    if (!chat) {
+      return { ok: false, reason: "not_found" };
+    }
+    if (chat.status === "live") {
+      return chat.agent === role.agent
+        ? { ok: true, chat: summarizeChat(chat) }
+        : { ok: false, reason: "already_claimed", agent: chat.agent };
+    }
+
+    const wasQueued = chat.status === "queued";
+    chat.status = "live";
+    chat.agent = role.agent;
+    chat.claimedAt = new Date().toISOString();
+    appendMessage(chat, "system", `${role.agent} joined the chat`);
+    emitStatus(io, chat);
+    broadcastChat(io, chat);
+    broadcastAgents(io);
+    // Everyone still waiting moved up one place
+    if (wasQueued) {
+      for (const other of chats.values()) {
+        if (other.status === "queued") {
+          emitStatus(io, other);
+        }
+      }
+    }
+    recordLiveEvent("live_chat_claimed", chat, { agent: role.agent, requested: wasQueued });
+    return { ok: true, chat: summarizeChat(chat) };
+  },
+
+  "live:message": (io, role, socket, payload) => {
+    const { chat, error } = findAgentChat(role, payload);
+    if (error) {
+      return error;
+    }
+    const text = cleanText(payload.text);
+    if (!text) {
+      return { ok: false, reason: "empty_message" };
+    }
+    const message = appendMessage(chat, "agent", text, { agent: role.agent });
+    io.to(visitorRoom(chat.visitorId)).emit("live:message", { message });
+    io.to(AGENTS_ROOM).emit("live:message", { visitorId: chat.visitorId, message });
+    return { ok: true, message };
+  },
+
+  "live:typing": (io, role, socket, payload) => {
+    const { chat, error } = findAgentChat(role, payload);
+    if (error) {
+      return error;
+    }
+    io.to(visitorRoom(chat.visitorId)).emit("live:typing", {
+      typing: Boolean(payload.typing),
+      agentName: role.agent,
+    });
+    socket.to(AGENTS_ROOM).emit("live:typing", {
+      visitorId: chat.visitorId,
+      from: role.agent,
+      typing: Boolean(payload.typing),
+    });
+    return { ok: true };
+  },
+
+  "live:close": (io, role, socket, payload) => {
+    const { chat, error } = findAgentChat(role, payload);
+    if (error) {
+      return error;
+    }
+    appendMessage(chat, "system", `${role.agent} closed the chat`);
+    recordLiveEvent("live_chat_closed", chat, { agent: role.agent, closedBy: "agent" });
+    releaseChat(io, chat, "agent_closed");
+    broadcastAgents(io);
+    return { ok: true };
+  },
+};
+
+const LIVE_EVENTS = [...new Set([...Object.keys(VISITOR_HANDLERS), ...Object.keys(AGENT_HANDLERS)])];
+
+/**
+ * Wire live chat events on a new socket. `agentLookup` resolves to the signed-in
+ * dashboard username, or null for widget visitors.
+ */
+export function attachLiveChat(io, socket, agentLookup) {
+  const ready = agentLookup.then((agent) => {
+    if (agent) {
+      return joinAgent(io, socket, agent);
+    }
+    const visitorId = sanitizeVisitorId(socket.handshake.auth?.visitorId);
+    return visitorId ? joinVisitor(io, socket, visitorId) : null;
+  });
+
+  // Registered right away so events sent before the agent lookup finishes are not lost
+  for (const event of LIVE_EVENTS) {
+    socket.on(event, async (payload, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        const role = await ready;
+        const handler = role?.agent ? AGENT_HANDLERS[event] : role?.visitorId ? VISITOR_HANDLERS[event] : null;
+        if (!handler) {
+          reply({ ok: false, reason: "forbidden" });
+          return;
+        }
+        reply(handler(io, role, socket, payload && typeof payload === "object" ? payload : {}));
+      } catch (error) {
+        logger.error(`Failed to handle ${event}`, error);
+        reply({ ok: false, reason: "error" });
+      }
+    });
+  }
+
+  socket.on("disconnect", () => {
+    ready
+      .then((role) => {
+        if (role?.agent) {
+          leaveAgent(io, socket, role.agent);
+        } else if (role?.visitorId) {
+          leaveVisitor(io, socket, role.visitorId);
+        }
+      })
+      .catch((error) => logger.error("Failed to clean up live chat socket", error));
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * LLM providers for chat replies
+ *
+ * A provider is { name, generateReply(request) } where request is
+ * { message, conversation, propertyInfo, knowledge, persona: { agentName },
+ *   language, model, maxTokens, temperature, signal } and the result is
+ * { text, usage?, citations? }. `knowledge` holds the best knowledge base
+ * matches for the message as [{ answer, citation }].
+ * Providers throw on any failure; utils/chatResponder.js handles timeouts,
+ * grounding and falling back to the intent engine.
+ */
+
+import { config } from "../config.js";
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * The facts a provider may use, as plain text lines. Prices are copied verbatim
+ * from propertyInfo.pricing so the grounding check can compare against them.
+ */
+export function describeProperty(propertyInfo = {}) {
+  const lines = [];
+  const add = (label, value) => {
+    if (Array.isArray(value) ? value.length > 0 : value) {
+      lines.push(`${label}: ${Array.isArray(value) ? value.join(", ") : value}`);
+    }
+  };
+
+  add("Project", propertyInfo.projectName);
+  add("Developer", propertyInfo.developer);
+  add("Location", propertyInfo.location);
+  add("Configurations", propertyInfo.availableBhk);
+  if (isPlainObject(propertyInfo.pricing)) {
+    for (const [bhk, price] of Object.entries(propertyInfo.pricing)) {
+      add(`Price (${bhk})`, price);
+    }
+  }
+  add("Amenities", propertyInfo.amenities);
+  add("Area", propertyInfo.area);
+  add("Special offers", propertyInfo.specialOffers);
+
+  return lines;
+}
+
+const LANGUAGE_INSTRUCTIONS = {
+  en: "Reply in English.",
+  hi: "Reply in Hindi, written in Devanagari script.",
+  hinglish: "Reply in Hinglish: Hindi written in Latin script, mixed with common English words, the way the visitor writes.",
+};
+
+export function buildSystemPrompt({ propertyInfo, knowledge = [], persona, language = "en" }) {
+  const facts = [
+    ...describeProperty(propertyInfo),
+    ...knowledge.map(({ answer, citation }) => `${citation.title}: ${answer}`),
+  ];
+  return [
+    `You are ${persona.agentName}, a real estate assistant for Homesfy chatting with a home buyer on a project website.`,
+    "Answer in at most three short sentences and steer towards sharing a name and phone number or booking a site visit.",
+    "Only use the facts below. Never state a price, discount or date that is not listed; if asked, say the team will share current pricing.",
+    LANGUAGE_INSTRUCTIONS[language] || LANGUAGE_INSTRUCTIONS.en,
+    "",
+    "Facts:",
+    ...(facts.length > 0 ? facts : ["(none provided)"]),
+  ].join("\n");
+}
+
+/**
+ * Deterministic local provider for development and tests. The reply is built
+ * only from propertyInfo and the knowledge base matches, so the same input
+ * always gives the same output.
+ * Markers in the message simulate provider behaviour:
+ *   [[mock:error]]  throws           [[mock:hang]]  never answers (hits the timeout)
+ *   [[mock:invent-price]]  quotes a price that is not in propertyInfo.pricing
+ */
+const mockProvider = {
+  name: "mock",
+  async generateReply({ message, propertyInfo = {}, knowledge = [], persona, maxTokens, signal }) {
+    if (message.includes("[[mock:error]]")) {
+      throw new Error("Mock provider error");
+    }
+    if (message.includes("[[mock:hang]]")) {
+      await new Promise((resolve, reject) => {
+        signal?.addEventListener("abort", () => reject(signal.reason), { once: true });
+      });
+    }
+
+    const lower = message.toLowerCase();
+    const project = propertyInfo.projectName || "this project";
+    const pricing = isPlainObject(propertyInfo.pricing) ? Object.entries(propertyInfo.pricing) : [];
+    let text;
+    let citations;
+
+    if (message.includes("[[mock:invent-price]]")) {
+      text = `${project} starts at just ₹ 49 Lakh for every configuration.`;
+    } else if (/price|cost|rate|budget|how much/.test(lower)) {
+      text = pricing.length > 0
+        ? `At ${project}, ${pricing.map(([bhk, price]) => `${bhk} is ${price}`).join(" and ")}. Shall I book a site visit for you?`
+        : `Our team will share the latest pricing for ${project}. Could you share your name and phone?`;
+    } else if (knowledge.length > 0) {
+      text = knowledge[0].answer;
+      citations = [knowledge[0].citation];
+    } else if (/where|location|address/.test(lower) && propertyInfo.location) {
+      text = `${project} is in ${propertyInfo.location}. Would you like to visit?`;
+    } else {
+      text = `I'm ${persona.agentName}. ${describeProperty(propertyInfo).slice(0, 3).join(". ") || `Happy to help with ${project}`}. What would you like to know?`;
+    }
+
+    // Rough token budget: one token per word
+    const words = text.split(/\s+/);
+    return {
+      text: words.slice(0, maxTokens).join(" "),
+      usage: { promptTokens: message.split(/\s+/).length, completionTokens: Math.min(words.length, maxTokens) },
+      citations,
+    };
+  },
+};
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (LLM_BASE_URL, LLM_API_KEY)
+ */
+const openaiProvider = {
+  name: "openai",
+  async generateReply({ message, conversation = [], propertyInfo, knowledge = [], persona, language, model, maxTokens, temperature, signal }) {
+    if (!config.llm.apiKey) {
+      throw new Error("LLM_API_KEY is not set");
+    }
+
+    const history = conversation
+      .filter((entry) => entry.text)
+      .map((entry) => ({
+        role: entry.type === "user" ? "user" : "assistant",
+        content: entry.text,
+      }));
+
+    const response = await fetch(`${config.llm.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${config.llm.apiKey}`,
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [
+          { role: "system", content: buildSystemPrompt({ propertyInfo, knowledge, persona, language }) },
+          ...history,
+          { role: "user", content: message },
+        ],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(`LLM request failed with ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== "string" || !text.trim()) {
+      throw new Error("LLM returned an empty reply");
+    }
+
+    // The model is not asked to cite, so every entry it was given counts as a source
+    return {
+      text,
+      citations: knowledge.map((item) => item.citation),
+      usage: data.usage
+        ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+        : undefined,
+    };
+  },
+};
+
+const PROVIDERS = {
+  [mockProvider.name]: mockProvider,
+  [openaiProvider.name]: openaiProvider,
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export function getLlmProvider(name) {
+  return PROVIDERS[name] || null;
+}
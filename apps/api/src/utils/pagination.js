@@ -0,0 +1,114 @@
+/**
+ * Keyset pagination and facet helpers for list endpoints
+ *
+ * A cursor is the sort it was made for plus the sort key of the last item on
+ * a page (e.g. [createdAt, id]), base64url-encoded so clients treat it as an
+ * opaque token. The next page is everything strictly after that key, so pages
+ * stay stable while rows are added.
+ */
+
+export const FACET_LIMIT = 25;
+export const DEFAULT_SORT = "-createdAt";
+
+// Sort key fields of each list sort; every key ends in the id
+export const LEAD_SORT_KEYS = {
+  "-createdAt": ["createdAt", "id"],
+  createdAt: ["createdAt", "id"],
+  "-score": ["score", "createdAt", "id"],
+  score: ["score", "createdAt", "id"],
+};
+export const CHAT_SESSION_SORT_KEYS = {
+  "-createdAt": ["createdAt", "id"],
+};
+
+export function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, key: values })).toString("base64url");
+}
+
+/**
+ * Returns { sort, key }, or null when the cursor is missing or malformed
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf-8"));
+    return typeof decoded?.sort === "string" && Array.isArray(decoded.key) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read ?sort=, ?cursor=, ?total=true and ?facets=true against the list's
+ * `sorts` (one of the *_SORT_KEYS); unknown sorts fall back to DEFAULT_SORT.
+ * A cursor only continues the sort it was made for.
+ * Returns { sort, paging, facets } or { error }.
+ */
+export function parseListQuery(query, sorts) {
+  const sort = Object.hasOwn(sorts, query.sort) ? query.sort : DEFAULT_SORT;
+  const cursor = decodeCursor(query.cursor);
+  if (query.cursor && !cursor) {
+    return { error: "Invalid cursor" };
+  }
+  if (cursor && cursor.sort !== sort) {
+    return { error: `Cursor belongs to sort=${cursor.sort}; start again without a cursor for sort=${sort}` };
+  }
+  if (cursor && cursor.key.length !== sorts[sort].length) {
+    return { error: "Invalid cursor" };
+  }
+
+  return {
+    sort,
+    paging: { cursor: cursor?.key ?? null, withTotal: query.total === "true" },
+    facets: query.facets === "true",
+  };
+}
+
+/**
+ * Single-valued string filters from the query string; repeated or empty params are dropped
+ */
+export function pickTextFilters(query, keys) {
+  const filters = {};
+  for (const key of keys) {
+    const value = query[key];
+    if (typeof value === "string" && value.trim()) {
+      filters[key] = value.trim().slice(0, 255);
+    }
+  }
+  return filters;
+}
+
+// Lexicographic comparison of two sort keys
+export function compareKeys(a, b) {
+  for (let index = 0; index < Math.max(a.length, b.length); index++) {
+    if (a[index] < b[index]) return -1;
+    if (a[index] > b[index]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * In-memory facet counts for the file stores: { facet: [{ value, count }] },
+ * most common values first. `getters` maps facet name to a value accessor.
+ */
+export function countFacets(items, getters) {
+  const facets = {};
+
+  for (const [facet, getValue] of Object.entries(getters)) {
+    const counts = new Map();
+    for (const item of items) {
+      const value = getValue(item);
+      if (value !== null && value !== undefined && value !== "") {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    facets[facet] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+      .slice(0, FACET_LIMIT);
+  }
+
+  return facets;
+}
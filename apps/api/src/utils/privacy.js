@@ -0,0 +1,325 @@
+/**
+ * Personal data export and erasure for one person, identified by phone number
+ *
+ * A person's data is every lead with that phone, the chat sessions linked to
+ * those leads (or captured with the phone), events whose payload names one of
+ * the leads, site visits booked for the leads, and the CRM / webhook delivery
+ * payloads built from the leads. The knowledge base's unmatched questions keep
+ * no link to a visitor, so erasure drops the ones their chat messages logged.
+ *
+ * Erasure anonymises in place instead of deleting, so lead, session and event
+ * counts stay intact. Records keep their ids, project, status, BHK, score, UTM
+ * tags and country; phone, name, contact details, conversations, notes, IP and
+ * precise location are removed. Every export and erasure is written to the
+ * privacy audit log with a masked phone.
+ */
+
+import { config } from "../config.js";
+import { normalizePhone } from "./phoneValidation.js";
+import { toPublicDelivery } from "./crmForwarder.js";
+import { forgetUnmatchedQuestions } from "./knowledgeBase.js";
+
+const MAX_LEADS_PER_PHONE = 1000;
+
+const KEPT_METADATA_KEYS = [
+  "projectId",
+  "cta",
+  "magnetId",
+  "phoneCountry",
+  "phoneCountryCode",
+  "phoneDialCode",
+  "duplicateOf",
+  "importBatch",
+];
+
+const KEPT_EVENT_PAYLOAD_KEYS = ["leadId", "bhkType", "bhk", "duplicateOf", "merged"];
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  } else {
+    return await import("../storage/leadStore.js");
+  }
+}
+
+async function getSessionStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatSessionStore.js");
+  } else {
+    return await import("../storage/chatSessionStore.js");
+  }
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  } else {
+    return await import("../storage/eventStore.js");
+  }
+}
+
+async function getOutboxStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlCrmOutboxStore.js");
+  } else {
+    return await import("../storage/crmOutboxStore.js");
+  }
+}
+
+async function getWebhookStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWebhookStore.js");
+  } else {
+    return await import("../storage/webhookStore.js");
+  }
+}
+
+async function getSiteVisitStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlSiteVisitStore.js");
+  } else {
+    return await import("../storage/siteVisitStore.js");
+  }
+}
+
+async function getAuditStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlPrivacyAuditStore.js");
+  } else {
+    return await import("../storage/privacyAuditStore.js");
+  }
+}
+
+/**
+ * Phone spellings to look up: the normalised E.164 value (how leads are stored)
+ * plus the input as given, for rows captured before normalisation.
+ * Returns { phones, subject } or { error }.
+ */
+export function resolvePhoneVariants(phone) {
+  const normalized = normalizePhone(phone);
+  if (normalized.error) {
+    return { error: normalized.error };
+  }
+
+  const raw = phone.trim();
+  return {
+    phones: [...new Set([normalized.value, raw, raw.replace(/[\s().-]/g, "")])],
+    subject: maskPhone(normalized.value),
+  };
+}
+
+// "+919876543210" -> "+91******3210"
+export function maskPhone(phone) {
+  const value = String(phone || "");
+  if (value.length <= 7) {
+    return "*".repeat(value.length);
+  }
+  return `${value.slice(0, 3)}${"*".repeat(value.length - 7)}${value.slice(-4)}`;
+}
+
+function anonymizeLocation(location) {
+  return location?.country ? { country: location.country } : null;
+}
+
+export function anonymizeMetadata(metadata = {}, erasedAt) {
+  const kept = Object.fromEntries(
+    KEPT_METADATA_KEYS
+      .filter((key) => metadata?.[key] !== undefined)
+      .map((key) => [key, metadata[key]])
+  );
+  const utm = metadata?.visitor?.utm;
+  const location = anonymizeLocation(metadata?.visitor?.location || metadata?.location);
+
+  return {
+    ...kept,
+    ...((utm || location) && {
+      visitor: { ...(utm && { utm }), ...(location && { location }) },
+    }),
+    erasedAt,
+  };
+}
+
+// Projects the person chatted on, and what they typed there
+function collectChatQuestions(leads, chatSessions) {
+  const projectIds = new Set();
+  const questions = [];
+  for (const record of [...leads, ...chatSessions]) {
+    [record.microsite, record.metadata?.projectId].filter(Boolean).forEach((id) => projectIds.add(id));
+    (record.conversation || [])
+      .filter((message) => message?.type === "user" && message.text)
+      .forEach((message) => questions.push(message.text));
+  }
+  return { projectIds: [...projectIds], questions };
+}
+
+function anonymizeEventPayload(payload = {}, erasedAt) {
+  return {
+    ...Object.fromEntries(
+      KEPT_EVENT_PAYLOAD_KEYS
+        .filter((key) => payload?.[key] !== undefined)
+        .map((key) => [key, payload[key]])
+    ),
+    erasedAt,
+  };
+}
+
+async function findPersonalData(phones) {
+  const leadStore = await getLeadStore();
+  const sessionStore = await getSessionStore();
+  const eventStore = await getEventStore();
+
+  const leadsById = new Map();
+  for (const phone of phones) {
+    const matches = await leadStore.findLeadsByPhone({ phone, limit: MAX_LEADS_PER_PHONE });
+    for (const lead of matches) {
+      leadsById.set(String(lead.id), lead);
+    }
+  }
+
+  const leads = [...leadsById.values()];
+  const leadIds = leads.map((lead) => lead.id);
+  const [chatSessions, events] = await Promise.all([
+    sessionStore.findChatSessions({ leadIds, phones }),
+    eventStore.findEventsForLeads(leadIds),
+  ]);
+
+  return { leads, leadIds, chatSessions, events };
+}
+
+/**
+ * Everything stored about the person, as one JSON-serialisable bundle
+ */
+export async function exportPersonalData(phone, { actor = null, reason = null } = {}) {
+  const { phones, subject, error } = resolvePhoneVariants(phone);
+  if (error) {
+    return { error };
+  }
+
+  const leadStore = await getLeadStore();
+  const outboxStore = await getOutboxStore();
+  const { leads, leadIds, chatSessions, events } = await findPersonalData(phones);
+
+  const siteVisitStore = await getSiteVisitStore();
+  const leadsWithActivity = [];
+  const siteVisits = [];
+  for (const lead of leads) {
+    leadsWithActivity.push({ ...lead, activity: await leadStore.listLeadActivity(lead.id) });
+    siteVisits.push(...(await siteVisitStore.listSiteVisits({ leadId: lead.id })));
+  }
+  const crmDeliveries = await outboxStore.listDeliveriesForLeads(leadIds);
+
+  const auditStore = await getAuditStore();
+  const audit = await auditStore.recordPrivacyAction({
+    action: "export",
+    subject,
+    leadIds,
+    counts: {
+      leads: leads.length,
+      chatSessions: chatSessions.length,
+      events: events.length,
+      siteVisits: siteVisits.length,
+      crmDeliveries: crmDeliveries.length,
+    },
+    actor,
+    reason,
+  });
+
+  return {
+    audit,
+    bundle: {
+      phone: phones[0],
+      generatedAt: new Date().toISOString(),
+      leads: leadsWithActivity,
+      chatSessions,
+      events,
+      siteVisits,
+      crmDeliveries: crmDeliveries.map((delivery) => ({
+        ...toPublicDelivery(delivery),
+        payload: delivery.payload,
+      })),
+    },
+  };
+}
+
+/**
+ * Irreversibly anonymise everything stored about the person. Returns { audit, counts }.
+ */
+export async function erasePersonalData(phone, { actor = null, reason = null } = {}) {
+  const { phones, subject, error } = resolvePhoneVariants(phone);
+  if (error) {
+    return { error };
+  }
+
+  const leadStore = await getLeadStore();
+  const sessionStore = await getSessionStore();
+  const eventStore = await getEventStore();
+  const outboxStore = await getOutboxStore();
+  const webhookStore = await getWebhookStore();
+  const siteVisitStore = await getSiteVisitStore();
+  const { leads, leadIds, chatSessions, events } = await findPersonalData(phones);
+  const erasedAt = new Date().toISOString();
+  const counts = {
+    leads: 0,
+    activityNotes: 0,
+    chatSessions: 0,
+    events: 0,
+    siteVisits: 0,
+    crmDeliveries: 0,
+    webhookDeliveries: 0,
+    unmatchedQuestions: 0,
+  };
+
+  // Before the conversations below are cleared
+  const { projectIds, questions } = collectChatQuestions(leads, chatSessions);
+  counts.unmatchedQuestions = await forgetUnmatchedQuestions(projectIds, questions);
+
+  for (const lead of leads) {
+    await leadStore.updateLead(lead.id, {
+      phone: null,
+      metadata: anonymizeMetadata(lead.metadata, erasedAt),
+      conversation: [],
+      location: anonymizeLocation(lead.location),
+    });
+    counts.leads += 1;
+    counts.activityNotes += await leadStore.redactLeadActivity(lead.id);
+  }
+
+  for (const session of chatSessions) {
+    await sessionStore.updateChatSession(session.id, {
+      phone: null,
+      conversation: [],
+      metadata: anonymizeMetadata(session.metadata, erasedAt),
+      location: anonymizeLocation(session.location),
+    });
+    counts.chatSessions += 1;
+  }
+
+  for (const event of events) {
+    await eventStore.updateEvent(event.id, {
+      payload: anonymizeEventPayload(event.payload, erasedAt),
+      location: anonymizeLocation(event.location),
+    });
+    counts.events += 1;
+  }
+
+  counts.siteVisits = await siteVisitStore.redactSiteVisitsForLeads(leadIds);
+  counts.crmDeliveries = await outboxStore.redactDeliveriesForLeads(leadIds);
+  counts.webhookDeliveries = await webhookStore.redactDeliveriesForLeads(leadIds);
+
+  const auditStore = await getAuditStore();
+  const audit = await auditStore.recordPrivacyAction({
+    action: "erase",
+    subject,
+    leadIds,
+    counts,
+    actor,
+    reason,
+  });
+
+  return { audit, counts };
+}
+
+export async function listPrivacyAudit(filters = {}) {
+  const auditStore = await getAuditStore();
+  return await auditStore.listPrivacyActions(filters);
+}
@@ -109,10 +109,21 @@ export function sanitizeConversation(conversation) {
       text: sanitizeString(String(msg.text || '')),
       timestamp: msg.timestamp || new Date().toISOString(),
       // Only include safe fields
+      ...(sanitizeIntentId(msg.intent) && { intent: sanitizeIntentId(msg.intent) }),
     };
   }).filter(Boolean);
 }
 
+/**
+ * Chat intent ids are short slugs ("pricing", "pricing_lead_capture")
+ */
+export function sanitizeIntentId(intentId) {
+  if (typeof intentId !== 'string' || !/^[a-z0-9_-]{1,64}$/.test(intentId)) {
+    return null;
+  }
+  return intentId;
+}
+
 /**
  * Validate and sanitize phone number input
  */
@@ -155,3 +166,13 @@ export function sanitizeProjectId(projectId) {
   return sanitized.slice(0, 100);
 }
 
+
+/**
+ * Validate a widget visitor ID (generated by the widget, kept in localStorage)
+ */
+export function sanitizeVisitorId(visitorId) {
+  if (typeof visitorId !== 'string' || !/^[\w-]{8,64}$/.test(visitorId)) {
+    return null;
+  }
+  return visitorId;
+}
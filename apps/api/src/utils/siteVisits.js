@@ -0,0 +1,388 @@
+// Site visit scheduling. A project's availability lives in its widget config
+// (`siteVisits`); slots are generated from it on the fly and only bookings are
+// stored, so editing the hours never leaves orphaned slot rows behind.
+
+export const SITE_VISIT_MODES = ["in-person", "virtual"];
+export const SITE_VISIT_STATUSES = ["scheduled", "cancelled"];
+
+export const DEFAULT_SITE_VISIT_AVAILABILITY = {
+  enabled: true,
+  timeZone: "Asia/Kolkata",
+  days: [0, 1, 2, 3, 4, 5, 6],
+  startTime: "10:00",
+  endTime: "18:00",
+  slotMinutes: 60,
+  capacity: 1,
+  holidays: [],
+  bookingWindowDays: 14,
+  minNoticeHours: 2,
+};
+
+const AVAILABILITY_KEYS = Object.keys(DEFAULT_SITE_VISIT_AVAILABILITY);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOLIDAYS = 366;
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+export function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return typeof timeZone === "string" && timeZone.length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a widget config `siteVisits` value. Returns an error message or null.
+ */
+export function validateSiteVisitAvailability(availability) {
+  if (availability === null) {
+    return null;
+  }
+  if (typeof availability !== "object" || Array.isArray(availability)) {
+    return "siteVisits must be an object or null";
+  }
+
+  const unknown = Object.keys(availability).filter((key) => !AVAILABILITY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown siteVisits keys: ${unknown.join(", ")}`;
+  }
+
+  const {
+    enabled,
+    timeZone,
+    days,
+    startTime,
+    endTime,
+    slotMinutes,
+    capacity,
+    holidays,
+    bookingWindowDays,
+    minNoticeHours,
+  } = availability;
+
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "siteVisits.enabled must be a boolean";
+  }
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return "siteVisits.timeZone must be an IANA time zone such as Asia/Kolkata";
+  }
+  if (
+    days !== undefined &&
+    (!Array.isArray(days) ||
+      days.length === 0 ||
+      days.some((day) => !isIntegerBetween(day, 0, 6)) ||
+      new Set(days).size !== days.length)
+  ) {
+    return "siteVisits.days must be a list of distinct weekdays from 0 (Sunday) to 6 (Saturday)";
+  }
+  for (const [key, value] of [["startTime", startTime], ["endTime", endTime]]) {
+    if (value !== undefined && (typeof value !== "string" || !TIME_PATTERN.test(value))) {
+      return `siteVisits.${key} must be a time in HH:MM format`;
+    }
+  }
+
+  const resolved = { ...DEFAULT_SITE_VISIT_AVAILABILITY, ...availability };
+  if (toMinutes(resolved.startTime) >= toMinutes(resolved.endTime)) {
+    return "siteVisits.startTime must be before siteVisits.endTime";
+  }
+  if (slotMinutes !== undefined && !isIntegerBetween(slotMinutes, 15, 480)) {
+    return "siteVisits.slotMinutes must be a whole number between 15 and 480";
+  }
+  if (toMinutes(resolved.startTime) + resolved.slotMinutes > toMinutes(resolved.endTime)) {
+    return "siteVisits hours must fit at least one slot";
+  }
+  if (capacity !== undefined && !isIntegerBetween(capacity, 1, 100)) {
+    return "siteVisits.capacity must be a whole number between 1 and 100";
+  }
+  if (
+    holidays !== undefined &&
+    (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS || !holidays.every(isValidDate))
+  ) {
+    return `siteVisits.holidays must be a list of at most ${MAX_HOLIDAYS} dates in YYYY-MM-DD format`;
+  }
+  if (bookingWindowDays !== undefined && !isIntegerBetween(bookingWindowDays, 1, 90)) {
+    return "siteVisits.bookingWindowDays must be a whole number between 1 and 90";
+  }
+  if (minNoticeHours !== undefined && !isIntegerBetween(minNoticeHours, 0, 168)) {
+    return "siteVisits.minNoticeHours must be a whole number between 0 and 168";
+  }
+
+  return null;
+}
+
+// MySQL may hand the column back as a JSON string; anything unreadable counts as unset
+function parseStoredAvailability(availability) {
+  if (typeof availability !== "string") {
+    return availability;
+  }
+  try {
+    return JSON.parse(availability);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A project's availability with defaults filled in, or null when site visit
+ * booking is not set up (or switched off, or unreadable) for the project.
+ */
+export function resolveSiteVisitAvailability(widgetConfig) {
+  const availability = widgetConfig?.siteVisits ?? widgetConfig?.site_visits;
+  const parsed = parseStoredAvailability(availability);
+  if (!parsed || typeof parsed !== "object" || parsed.enabled === false) {
+    return null;
+  }
+  return { ...DEFAULT_SITE_VISIT_AVAILABILITY, ...parsed };
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function zoneOffsetMinutes(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - instant.getTime()) / 60000);
+}
+
+// The instant the zone's clock reads `minutes` past midnight on `date`
+export function zonedInstant(date, minutes, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstGuess = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // Second pass corrects guesses that landed on the other side of a DST change
+  return new Date(wallClock - zoneOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+}
+
+// YYYY-MM-DD of an instant in the zone
+export function zonedDate(instant, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(instant);
+}
+
+export function addDays(date, count) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + count);
+  return next.toISOString().slice(0, 10);
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function countBookings(bookings) {
+  const counts = new Map();
+  for (const booking of bookings) {
+    if (booking.status === "cancelled") {
+      continue;
+    }
+    const key = new Date(booking.slotStart).toISOString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Every slot on one local date, booked or not, ignoring the booking window
+function slotsForDate(availability, date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (!availability.days.includes(weekday) || availability.holidays.includes(date)) {
+    return [];
+  }
+
+  const slots = [];
+  const end = toMinutes(availability.endTime);
+  for (
+    let minutes = toMinutes(availability.startTime);
+    minutes + availability.slotMinutes <= end;
+    minutes += availability.slotMinutes
+  ) {
+    slots.push({
+      time: formatTime(minutes),
+      start: zonedInstant(date, minutes, availability.timeZone).toISOString(),
+      end: zonedInstant(date, minutes + availability.slotMinutes, availability.timeZone).toISOString(),
+    });
+  }
+  return slots;
+}
+
+// First and last bookable local dates, and the earliest bookable instant
+function bookingWindow(availability, now) {
+  const firstDate = zonedDate(now, availability.timeZone);
+  return {
+    firstDate,
+    lastDate: addDays(firstDate, availability.bookingWindowDays - 1),
+    earliest: now.getTime() + availability.minNoticeHours * 3600000,
+  };
+}
+
+// Local dates to list: from `from` (or today) for `days` days, inside the booking window
+function listedDates(availability, { from, days, now }) {
+  const window = bookingWindow(availability, now);
+  const startDate = from && from > window.firstDate ? from : window.firstDate;
+  const lastDate = days ? addDays(startDate, days - 1) : window.lastDate;
+  return { window, startDate, lastDate: lastDate < window.lastDate ? lastDate : window.lastDate };
+}
+
+/**
+ * The instants spanned by the dates listOpenSlots would return, so callers can
+ * load just the bookings it needs.
+ */
+export function slotRange(availability, { from, days, now = new Date() } = {}) {
+  const { startDate, lastDate } = listedDates(availability, { from, days, now });
+  return {
+    from: zonedInstant(startDate, 0, availability.timeZone).toISOString(),
+    to: zonedInstant(addDays(lastDate, 1), 0, availability.timeZone).toISOString(),
+  };
+}
+
+/**
+ * Open slots grouped by local date: [{ date, slots: [{ start, end, time, remaining }] }].
+ * `bookings` are the project's site visits in slotRange(); dates without an
+ * open slot are left out.
+ */
+export function listOpenSlots(availability, bookings = [], { from, days, now = new Date() } = {}) {
+  const { window, startDate, lastDate } = listedDates(availability, { from, days, now });
+  const counts = countBookings(bookings);
+  const result = [];
+
+  for (let date = startDate; date <= lastDate; date = addDays(date, 1)) {
+    const slots = slotsForDate(availability, date)
+      .filter((slot) => new Date(slot.start).getTime() >= window.earliest)
+      .map((slot) => ({ ...slot, remaining: availability.capacity - (counts.get(slot.start) || 0) }))
+      .filter((slot) => slot.remaining > 0);
+    if (slots.length > 0) {
+      result.push({ date, slots });
+    }
+  }
+  return result;
+}
+
+/**
+ * The slot starting at `start`, if the project offers one then and it is inside
+ * the booking window. Returns { slot } or { error }. Capacity is checked by the
+ * store when the slot is booked.
+ */
+export function findSlot(availability, start, { now = new Date() } = {}) {
+  const instant = new Date(start);
+  if (typeof start !== "string" || Number.isNaN(instant.getTime())) {
+    return { error: "slotStart must be an ISO 8601 date-time" };
+  }
+
+  const window = bookingWindow(availability, now);
+  const date = zonedDate(instant, availability.timeZone);
+  const slot = slotsForDate(availability, date).find((item) => item.start === instant.toISOString());
+  if (!slot || date > window.lastDate || instant.getTime() < window.earliest) {
+    return { error: "slotStart is not an available site visit slot" };
+  }
+  return { slot };
+}
+
+// "20 Oct 2026, 10:00 am" in the project's time zone, for timelines and messages
+export function formatSlotTime(start, timeZone) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(start));
+}
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function formatIcsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545 lines are at most 75 octets; longer ones continue with a leading space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * iCalendar invite for a booking. Reschedules reuse the UID with a higher
+ * SEQUENCE so calendar apps move the existing event; cancellations send
+ * METHOD:CANCEL.
+ */
+export function buildSiteVisitIcs(visit, { projectName, location, organizer = "Homesfy" } = {}) {
+  const cancelled = visit.status === "cancelled";
+  const title = visit.mode === "virtual" ? "Virtual tour" : "Site visit";
+  const name = projectName || visit.microsite || visit.projectId;
+  const description = [
+    `${title} booked through ${organizer}.`,
+    visit.mode === "virtual" ? "Our expert will call you with the tour link before the visit." : null,
+    visit.notes ? `Notes: ${visit.notes}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${escapeIcsText(organizer)}//Site Visits//EN`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${cancelled ? "CANCEL" : "REQUEST"}`,
+    "BEGIN:VEVENT",
+    `UID:site-visit-${visit.id}@homesfy.in`,
+    `SEQUENCE:${visit.sequence || 0}`,
+    `DTSTAMP:${formatIcsDate(visit.updatedAt || new Date())}`,
+    `DTSTART:${formatIcsDate(visit.slotStart)}`,
+    `DTEND:${formatIcsDate(visit.slotEnd)}`,
+    `SUMMARY:${escapeIcsText(`${title}: ${name}`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    location && visit.mode !== "virtual" ? `LOCATION:${escapeIcsText(location)}` : null,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
@@ -37,6 +37,10 @@ export function validateEnvironment() {
       warnings.push('WIDGET_CONFIG_API_KEY is not set - config updates will be unprotected');
     }
     
+    if (!process.env.DOWNLOAD_SIGNING_SECRET) {
+      warnings.push('DOWNLOAD_SIGNING_SECRET is not set - brochure download links will stop working whenever the API restarts');
+    }
+    
     if (!process.env.ALLOWED_ORIGINS || process.env.ALLOWED_ORIGINS === '*') {
       warnings.push('ALLOWED_ORIGINS is set to "*" - consider restricting to specific domains for production');
     }
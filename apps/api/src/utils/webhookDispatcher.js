@@ -0,0 +1,244 @@
+/**
+ * Outbound webhooks
+ * Events are fanned out to matching subscriptions, logged as deliveries and
+ * sent in the background with HMAC-SHA256 signatures and exponential backoff.
+ */
+
+import crypto from "crypto";
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+
+export const WEBHOOK_EVENTS = [
+  "lead.created",
+  "lead.updated",
+  "chat.session.created",
+];
+
+export const TEST_EVENT = "webhook.test";
+
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_RESPONSE_BODY = 2000;
+
+let workerTimer = null;
+let processing = false;
+let rerunRequested = false;
+
+async function getWebhookStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWebhookStore.js");
+  } else {
+    return await import("../storage/webhookStore.js");
+  }
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signature receivers should recompute: hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function getRetryDelayMs(attempts) {
+  const { retryBaseMs, retryMaxMs } = config.webhooks;
+  return Math.min(retryBaseMs * 2 ** Math.max(0, attempts - 1), retryMaxMs);
+}
+
+function buildEnvelope(event, projectId, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    projectId,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+async function sendDelivery(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = signWebhookPayload(subscription.secret, timestamp, body);
+
+  const response = await fetch(subscription.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Homesfy-Webhooks/1.0",
+      "X-Homesfy-Event": delivery.event,
+      "X-Homesfy-Delivery": String(delivery.id),
+      "X-Homesfy-Timestamp": timestamp,
+      "X-Homesfy-Signature": `sha256=${signature}`,
+    },
+    body,
+    signal: AbortSignal.timeout(config.webhooks.requestTimeoutMs),
+  });
+
+  const responseBody = await response.text().catch(() => "");
+  return {
+    ok: response.ok,
+    responseCode: response.status,
+    responseBody: responseBody.slice(0, MAX_RESPONSE_BODY),
+  };
+}
+
+async function attemptDelivery(webhookStore, delivery, { retry = true } = {}) {
+  const claimed = await webhookStore.claimDelivery(delivery.id, {
+    staleLockMs: STALE_LOCK_MS,
+  });
+  if (!claimed) {
+    return null;
+  }
+
+  const subscription = await webhookStore.getSubscriptionById(claimed.subscriptionId);
+  const attempts = (claimed.attempts || 0) + 1;
+
+  if (!subscription) {
+    return await webhookStore.updateDelivery(claimed.id, {
+      status: "failed",
+      attempts,
+      lockedAt: null,
+      error: "Subscription no longer exists",
+    });
+  }
+
+  let result;
+  try {
+    result = await sendDelivery(subscription, claimed);
+  } catch (error) {
+    result = { ok: false, responseCode: null, responseBody: null, error: error.message };
+  }
+
+  if (result.ok) {
+    return await webhookStore.updateDelivery(claimed.id, {
+      status: "delivered",
+      attempts,
+      lockedAt: null,
+      responseCode: result.responseCode,
+      responseBody: result.responseBody,
+      error: null,
+      deliveredAt: new Date().toISOString(),
+    });
+  }
+
+  const exhausted = !retry || attempts >= config.webhooks.maxAttempts;
+  if (exhausted && retry) {
+    logger.warn(`Webhook delivery ${claimed.id} to ${subscription.url} failed after ${attempts} attempts`);
+  }
+
+  return await webhookStore.updateDelivery(claimed.id, {
+    status: exhausted ? "failed" : "pending",
+    attempts,
+    lockedAt: null,
+    responseCode: result.responseCode,
+    responseBody: result.responseBody,
+    error: result.error || `HTTP ${result.responseCode}`,
+    nextAttemptAt: new Date(Date.now() + getRetryDelayMs(attempts)).toISOString(),
+  });
+}
+
+/**
+ * Queue an event for every active subscription of the given project(s).
+ * Never throws: webhook problems must not break the request that raised the event.
+ */
+export async function dispatchWebhookEvent(event, { projectIds = [], data } = {}) {
+  try {
+    const scopes = [...new Set(projectIds.filter(Boolean).map(String))];
+    const webhookStore = await getWebhookStore();
+    const subscriptions = await webhookStore.findSubscriptionsForEvent(event, scopes);
+
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      deliveries.push(
+        await webhookStore.createDelivery({
+          subscriptionId: subscription.id,
+          event,
+          payload: buildEnvelope(event, scopes[0] || null, data),
+        })
+      );
+    }
+
+    processWebhookDeliveries().catch((error) => {
+      logger.error("Webhook delivery run failed", error);
+    });
+
+    return deliveries;
+  } catch (error) {
+    logger.error(`Failed to dispatch webhook event ${event}`, error);
+    return [];
+  }
+}
+
+/**
+ * Send a one-off test event synchronously so the caller sees the response code
+ */
+export async function sendTestEvent(subscription) {
+  const webhookStore = await getWebhookStore();
+  const delivery = await webhookStore.createDelivery({
+    subscriptionId: subscription.id,
+    event: TEST_EVENT,
+    payload: buildEnvelope(TEST_EVENT, subscription.projectId, {
+      message: "This is a test event from Homesfy Chat.",
+    }),
+  });
+
+  return await attemptDelivery(webhookStore, delivery, { retry: false });
+}
+
+export async function processWebhookDeliveries() {
+  if (processing) {
+    rerunRequested = true;
+    return;
+  }
+
+  processing = true;
+  try {
+    const webhookStore = await getWebhookStore();
+    const due = await webhookStore.listDueDeliveries({
+      now: new Date(),
+      staleLockMs: STALE_LOCK_MS,
+      limit: BATCH_SIZE,
+    });
+
+    for (const delivery of due) {
+      await attemptDelivery(webhookStore, delivery);
+    }
+  } finally {
+    processing = false;
+  }
+
+  if (rerunRequested) {
+    rerunRequested = false;
+    await processWebhookDeliveries();
+  }
+}
+
+export function startWebhookWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processWebhookDeliveries().catch((error) => {
+      logger.error("Webhook delivery run failed", error);
+    });
+  }, config.webhooks.pollIntervalMs);
+  workerTimer.unref?.();
+}
+
+export function stopWebhookWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
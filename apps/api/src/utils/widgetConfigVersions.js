@@ -0,0 +1,77 @@
+/**
+ * Widget config versions. Every save is an immutable snapshot of the versioned
+ * fields plus the diff against the version it was based on; only a published
+ * version is copied into the live config.
+ */
+
+import crypto from "crypto";
+
+export const VERSION_STATUSES = ["draft", "published", "archived"];
+
+// Everything the widget renders; ids, timestamps and authorship stay on the live row
+export const VERSIONED_FIELDS = [
+  "agentName",
+  "avatarUrl",
+  "primaryColor",
+  "followupMessage",
+  "bhkPrompt",
+  "inventoryMessage",
+  "phonePrompt",
+  "thankYouMessage",
+  "bubblePosition",
+  "autoOpenDelayMs",
+  "welcomeMessage",
+  "propertyInfo",
+  "aiChat",
+  "chatMode",
+  "translations",
+  "siteVisits",
+  "ctaOptions",
+  "bhkOptions",
+  "experiments",
+  "targeting",
+  "businessHours",
+];
+
+// What the widget shows when a project never set these; the file store seeds new configs with them
+export const DEFAULT_THEME = {
+  agentName: "Riya from Homesfy",
+  avatarUrl:
+    "https://media.giphy.com/media/v1.Y2lkPTc5MGI3NjExNzlzZ2R4b3J2OHJ2MjFpd3RiZW5sbmxwOHVzb3RrdmNmZTh5Z25mYiZlcD12MV9naWZzX3NlYXJjaCZjdD1n/g9582DNuQppxC/giphy.gif",
+  primaryColor: "#6158ff",
+  followupMessage: "Sure… I’ll send that across right away!",
+  bhkPrompt: "Which configuration you are looking for?",
+  inventoryMessage: "That’s cool… we have inventory available with us.",
+  phonePrompt: "Please enter your mobile number...",
+  thankYouMessage: "Thanks! Our expert will call you shortly 📞",
+  bubblePosition: "bottom-right",
+  autoOpenDelayMs: 4000,
+  welcomeMessage: "Hi, I’m Riya from Homesfy 👋\nHow can I help you today?",
+  chatMode: "scripted",
+};
+
+/**
+ * Versioned fields of a config. Missing theme fields take their defaults and
+ * every other missing field becomes null, so publishing an older snapshot
+ * clears settings added after it without blanking the widget.
+ */
+export function snapshotConfig(config = {}) {
+  return VERSIONED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = config[field] ?? DEFAULT_THEME[field] ?? null;
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Changed fields between two snapshots: [{ field, from, to }]
+ */
+export function diffConfigs(before, after) {
+  return VERSIONED_FIELDS.filter(
+    (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  ).map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+// Unguessable token that lets a microsite load one draft without the API key
+export function createPreviewToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
@@ -0,0 +1,116 @@
+/**
+ * Per-project CTA and BHK option lists (widget config `ctaOptions` /
+ * `bhkOptions`). Each option is
+ *   { label, value?, icon?, order?, labels?: { hi, hinglish }, ... }
+ * where `value` is the canonical value stored on the lead (defaults to the
+ * label). CTAs may name an `action` the widget runs after the lead form; BHK
+ * options may carry the numeric `bhk` stored alongside the type.
+ * Without a list the widget and lead capture use their built-in options.
+ */
+
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from "./language.js";
+
+export const CTA_ACTIONS = ["site-visit", "brochure", "floor-plans"];
+
+const MAX_OPTIONS = 10;
+const MAX_LABEL_LENGTH = 100;
+const MAX_ICON_LENGTH = 16;
+// leads.bhk_type is VARCHAR(50)
+const MAX_BHK_VALUE_LENGTH = 50;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isText(value, maxLength) {
+  return typeof value === "string" && value.trim().length > 0 && value.length <= maxLength;
+}
+
+export function optionValue(option) {
+  return (option.value || option.label).trim();
+}
+
+function validateOptionList(field, options, { maxValueLength, validateExtra }) {
+  if (options === null) {
+    return null;
+  }
+  if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+    return `${field} must be a list of 1 to ${MAX_OPTIONS} options`;
+  }
+
+  const seen = new Set();
+  for (const [index, option] of options.entries()) {
+    const name = `${field}[${index}]`;
+    if (!isPlainObject(option)) {
+      return `${name} must be an object`;
+    }
+    if (!isText(option.label, MAX_LABEL_LENGTH)) {
+      return `${name}.label must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    if (option.value !== undefined && !isText(option.value, maxValueLength)) {
+      return `${name}.value must be a string of at most ${maxValueLength} characters`;
+    }
+    if (option.value === undefined && option.label.trim().length > maxValueLength) {
+      return `${name} needs a value of at most ${maxValueLength} characters`;
+    }
+    if (option.icon !== undefined && !isText(option.icon, MAX_ICON_LENGTH)) {
+      return `${name}.icon must be a string of at most ${MAX_ICON_LENGTH} characters`;
+    }
+    if (option.order !== undefined && !Number.isFinite(option.order)) {
+      return `${name}.order must be a number`;
+    }
+    if (option.labels !== undefined) {
+      if (!isPlainObject(option.labels)) {
+        return `${name}.labels must be an object keyed by language`;
+      }
+      for (const [language, label] of Object.entries(option.labels)) {
+        if (!SUPPORTED_LANGUAGES.includes(language) || language === DEFAULT_LANGUAGE) {
+          return `${name}.labels keys must be one of: ${SUPPORTED_LANGUAGES.filter((code) => code !== DEFAULT_LANGUAGE).join(", ")}`;
+        }
+        if (!isText(label, MAX_LABEL_LENGTH)) {
+          return `${name}.labels.${language} must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+        }
+      }
+    }
+
+    const extraError = validateExtra(option, name);
+    if (extraError) {
+      return extraError;
+    }
+
+    const key = optionValue(option).toLowerCase();
+    if (seen.has(key)) {
+      return `${name} repeats the value "${optionValue(option)}"`;
+    }
+    seen.add(key);
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when `ctaOptions` is valid (null resets to
+ * the built-in CTAs)
+ */
+export function validateCtaOptions(options) {
+  return validateOptionList("ctaOptions", options, {
+    maxValueLength: MAX_LABEL_LENGTH,
+    validateExtra: (option, name) =>
+      option.action !== undefined && option.action !== null && !CTA_ACTIONS.includes(option.action)
+        ? `${name}.action must be one of: ${CTA_ACTIONS.join(", ")}`
+        : null,
+  });
+}
+
+/**
+ * Returns an error message, or null when `bhkOptions` is valid (null resets to
+ * the built-in BHK choices)
+ */
+export function validateBhkOptions(options) {
+  return validateOptionList("bhkOptions", options, {
+    maxValueLength: MAX_BHK_VALUE_LENGTH,
+    validateExtra: (option, name) =>
+      option.bhk !== undefined && option.bhk !== null && !(Number.isInteger(option.bhk) && option.bhk >= 0 && option.bhk <= 20)
+        ? `${name}.bhk must be a whole number from 0 to 20`
+        : null,
+  });
+}
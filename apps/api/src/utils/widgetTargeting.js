@@ -0,0 +1,144 @@
+/**
+ * Page targeting and auto-open triggers (widget config `targeting`):
+ *   {
+ *     pages?: { include?: ["/projects/*"], exclude?: [...] },
+ *     utm?: { source?: [...], medium?: [...], campaign?: [...], term?: [...], content?: [...] },
+ *     devices?: ["mobile" | "tablet" | "desktop"],
+ *     visitors?: "all" | "new" | "returning",
+ *     triggers?: [{ type, value? }],
+ *     dismissCooldownHours?: number,
+ *   }
+ * The widget evaluates the rules in the browser (apps/widget/src/targeting.js);
+ * the API only checks their shape.
+ */
+
+export const TARGETING_DEVICES = ["mobile", "tablet", "desktop"];
+export const TARGETING_VISITORS = ["all", "new", "returning"];
+export const UTM_KEYS = ["source", "medium", "campaign", "term", "content"];
+
+// Trigger types and the range of their value (null: takes no value)
+export const TRIGGER_TYPES = {
+  scroll: { min: 1, max: 100, unit: "percent of the page" },
+  "exit-intent": null,
+  "time-on-page": { min: 1, max: 3600, unit: "seconds" },
+  "page-views": { min: 1, max: 50, unit: "page views" },
+};
+
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_UTM_VALUES = 20;
+const MAX_UTM_VALUE_LENGTH = 100;
+const MAX_COOLDOWN_HOURS = 24 * 30;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateStringList(list, name, { maxItems, maxLength, check }) {
+  if (!Array.isArray(list) || list.length > maxItems) {
+    return `${name} must be a list of at most ${maxItems} entries`;
+  }
+  for (const [index, item] of list.entries()) {
+    if (typeof item !== "string" || item.trim().length === 0 || item.length > maxLength) {
+      return `${name}[${index}] must be a string of at most ${maxLength} characters`;
+    }
+    const error = check?.(item, `${name}[${index}]`);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when `targeting` is valid (null removes
+ * all rules, so the widget shows on every page)
+ */
+export function validateTargeting(targeting) {
+  if (targeting === null) {
+    return null;
+  }
+  if (!isPlainObject(targeting)) {
+    return "targeting must be an object";
+  }
+
+  if (targeting.pages !== undefined) {
+    if (!isPlainObject(targeting.pages)) {
+      return "targeting.pages must be an object with include and/or exclude lists";
+    }
+    for (const key of ["include", "exclude"]) {
+      if (targeting.pages[key] === undefined) {
+        continue;
+      }
+      const error = validateStringList(targeting.pages[key], `targeting.pages.${key}`, {
+        maxItems: MAX_PATTERNS,
+        maxLength: MAX_PATTERN_LENGTH,
+        check: (pattern, name) => (pattern.startsWith("/") ? null : `${name} must be a path starting with "/"`),
+      });
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (targeting.utm !== undefined) {
+    if (!isPlainObject(targeting.utm)) {
+      return "targeting.utm must be an object keyed by UTM parameter";
+    }
+    for (const [key, values] of Object.entries(targeting.utm)) {
+      if (!UTM_KEYS.includes(key)) {
+        return `targeting.utm keys must be one of: ${UTM_KEYS.join(", ")}`;
+      }
+      const error = validateStringList(values, `targeting.utm.${key}`, {
+        maxItems: MAX_UTM_VALUES,
+        maxLength: MAX_UTM_VALUE_LENGTH,
+      });
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (targeting.devices !== undefined) {
+    if (!Array.isArray(targeting.devices) || targeting.devices.some((device) => !TARGETING_DEVICES.includes(device))) {
+      return `targeting.devices must list any of: ${TARGETING_DEVICES.join(", ")}`;
+    }
+  }
+
+  if (targeting.visitors !== undefined && !TARGETING_VISITORS.includes(targeting.visitors)) {
+    return `targeting.visitors must be one of: ${TARGETING_VISITORS.join(", ")}`;
+  }
+
+  if (targeting.triggers !== undefined) {
+    const types = Object.keys(TRIGGER_TYPES);
+    if (!Array.isArray(targeting.triggers) || targeting.triggers.length > types.length) {
+      return `targeting.triggers must be a list of at most ${types.length} triggers`;
+    }
+    const seen = new Set();
+    for (const [index, trigger] of targeting.triggers.entries()) {
+      const name = `targeting.triggers[${index}]`;
+      if (!isPlainObject(trigger) || !types.includes(trigger.type)) {
+        return `${name}.type must be one of: ${types.join(", ")}`;
+      }
+      if (seen.has(trigger.type)) {
+        return `${name} repeats the "${trigger.type}" trigger`;
+      }
+      seen.add(trigger.type);
+      const range = TRIGGER_TYPES[trigger.type];
+      if (range && !(Number.isInteger(trigger.value) && trigger.value >= range.min && trigger.value <= range.max)) {
+        return `${name}.value must be a whole number from ${range.min} to ${range.max} (${range.unit})`;
+      }
+    }
+  }
+
+  if (
+    targeting.dismissCooldownHours !== undefined &&
+    !(Number.isFinite(targeting.dismissCooldownHours) &&
+      targeting.dismissCooldownHours >= 0 &&
+      targeting.dismissCooldownHours <= MAX_COOLDOWN_HOURS)
+  ) {
+    return `targeting.dismissCooldownHours must be a number from 0 to ${MAX_COOLDOWN_HOURS}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+// No MySQL here: the sessions table is unavailable, as with the file store
+for (const name of ["DATABASE_URL", "MYSQL_URL", "MYSQL_URI", "MYSQL_HOST", "MYSQL_USER"]) {
+  delete process.env[name];
+}
+process.env.VITE_DASHBOARD_USERNAME = "admin";
+process.env.VITE_DASHBOARD_PASSWORD = "secret-pass";
+
+const { default: express } = await import("express");
+const { createEnvSession, deleteEnvSession, resolveDashboardUser } = await import("../src/middleware/auth.js");
+const { default: usersRouter } = await import("../src/routes/users.js");
+
+// The routes warn on stdout, which node --test also reads its own results from
+console.log = () => {};
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe("resolveDashboardUser", () => {
+  test("never trusts a bare username", async () => {
+    assert.equal(await resolveDashboardUser({ token: "anything", username: "admin" }), null);
+    assert.equal(await resolveDashboardUser({ username: "admin" }), null);
+  });
+
+  test("resolves an issued session until it expires or is deleted", async () => {
+    const token = createEnvSession("agent-1", inOneHour());
+    assert.equal(await resolveDashboardUser({ token }), "agent-1");
+    deleteEnvSession(token);
+    assert.equal(await resolveDashboardUser({ token }), null);
+
+    const expired = createEnvSession("agent-1", new Date(Date.now() - 1000));
+    assert.equal(await resolveDashboardUser({ token: expired }), null);
+  });
+});
+
+describe("/api/users env-based login", () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}/api/users${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/users", usersRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("issues a token that verifies for its user only", async () => {
+    const login = await post("/auth", { username: "admin", password: "secret-pass" });
+    assert.equal(login.status, 200);
+    assert.equal(await resolveDashboardUser({ token: login.body.token }), "admin");
+
+    assert.equal((await post("/verify", { token: login.body.token, username: "admin" })).body.valid, true);
+    assert.equal((await post("/verify", { token: login.body.token, username: "agent-2" })).body.valid, false);
+    assert.equal((await post("/verify", { token: "anything", username: "admin" })).body.valid, false);
+
+    await post("/logout", { token: login.body.token });
+    assert.equal(await resolveDashboardUser({ token: login.body.token }), null);
+  });
+});
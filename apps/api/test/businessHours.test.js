@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { resolveBusinessHours } from "../src/utils/businessHours.js";
+
+describe("resolveBusinessHours", () => {
+  test("fills in defaults for stored hours, objects or JSON strings", () => {
+    assert.equal(resolveBusinessHours({ businessHours: { openTime: "09:00" } }).openTime, "09:00");
+    assert.equal(resolveBusinessHours({ business_hours: '{"openTime":"09:30"}' }).openTime, "09:30");
+  });
+
+  test("treats missing, switched off or unreadable hours as always open", () => {
+    assert.equal(resolveBusinessHours(null), null);
+    assert.equal(resolveBusinessHours({ businessHours: { enabled: false } }), null);
+    assert.equal(resolveBusinessHours({ business_hours: "{not json" }), null);
+    assert.equal(resolveBusinessHours({ business_hours: '"09:00-18:00"' }), null);
+  });
+});
@@ -0,0 +1,218 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "chat-responder-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { default: express } = await import("express");
+const { config } = await import("../src/config.js");
+const {
+  checkPriceGrounding,
+  extractPriceAmounts,
+  generateAiReply,
+  limitReply,
+  resolveAiSettings,
+  validateAiSettings,
+} = await import("../src/utils/chatResponder.js");
+const { upsertWidgetConfig } = await import("../src/storage/widgetConfigStore.js");
+const { createChatSession, getChatSessionById } = await import("../src/storage/chatSessionStore.js");
+const { default: chatRouter } = await import("../src/routes/chat.js");
+
+config.dataStore = "file";
+
+// The chat route logs every request to stdout, which node --test also reads
+// its own results from; keep the two from interleaving
+console.log = () => {};
+
+const PROPERTY_INFO = {
+  projectName: "Skyline Heights",
+  location: "Baner, Pune",
+  availableBhk: ["2 BHK", "3 BHK"],
+  pricing: { "2 BHK": "₹ 85 Lakh", "3 BHK": "₹ 1.2 Cr" },
+};
+
+const mockSettings = (overrides = {}) => resolveAiSettings({ provider: "mock", timeoutMs: 500, ...overrides });
+
+async function replyError(request) {
+  try {
+    await generateAiReply(request);
+  } catch (error) {
+    return error;
+  }
+  assert.fail("expected the reply to be rejected");
+}
+
+describe("price grounding", () => {
+  test("reads amounts with currency or units, not BHK counts", () => {
+    assert.deepEqual(extractPriceAmounts("2 BHK from ₹ 85 Lakh, 3 BHK 1.2 - 1.5 Cr"), [8500000, 12000000, 15000000]);
+    assert.deepEqual(extractPriceAmounts("Rs. 49,00,000 all inclusive"), [4900000]);
+    assert.deepEqual(extractPriceAmounts("2 BHK and 3 BHK on floor 12"), []);
+  });
+
+  test("accepts prices from propertyInfo and knowledge answers", () => {
+    assert.equal(checkPriceGrounding("2 BHK is 85 lakhs", PROPERTY_INFO).grounded, true);
+    assert.equal(checkPriceGrounding("3 BHK at Rs 1.2 crore", PROPERTY_INFO).grounded, true);
+    assert.equal(
+      checkPriceGrounding("Parking costs ₹ 3 Lakh", PROPERTY_INFO, ["Covered parking is ₹ 3 Lakh"]).grounded,
+      true
+    );
+  });
+
+  test("flags invented prices", () => {
+    const { grounded, inventedPrices } = checkPriceGrounding("Prices start at ₹ 49 Lakh", PROPERTY_INFO);
+    assert.equal(grounded, false);
+    assert.deepEqual(inventedPrices, [4900000]);
+    assert.equal(checkPriceGrounding("Only ₹ 90 Lakh", {}).grounded, false);
+  });
+});
+
+describe("AI settings", () => {
+  test("clamp limits and fall back to the server defaults", () => {
+    const settings = resolveAiSettings({ provider: "mock", maxTokens: 5000, timeoutMs: 10 });
+    assert.equal(settings.provider, "mock");
+    assert.equal(settings.maxTokens, 1000);
+    assert.equal(settings.timeoutMs, 500);
+    assert.equal(resolveAiSettings(null).provider, config.llm.provider);
+  });
+
+  test("reject unknown providers and out-of-range values", () => {
+    assert.equal(validateAiSettings({ provider: "mock", temperature: 0.5 }), null);
+    assert.match(validateAiSettings({ provider: "gpt" }), /aiChat.provider/);
+    assert.match(validateAiSettings({ maxReplyChars: 10 }), /aiChat.maxReplyChars/);
+  });
+
+  test("replies are trimmed on a sentence boundary", () => {
+    const reply = limitReply("First sentence here. Second sentence is much longer than the limit.", 30);
+    assert.equal(reply, "First sentence here.");
+  });
+});
+
+describe("mock provider", () => {
+  const request = (message, settings = mockSettings()) => ({
+    message,
+    propertyInfo: PROPERTY_INFO,
+    agentName: "Riya",
+    settings,
+  });
+
+  test("answers prices from propertyInfo only", async () => {
+    const reply = await generateAiReply(request("what is the price?"));
+    assert.equal(reply.provider, "mock");
+    assert.match(reply.text, /2 BHK is ₹ 85 Lakh/);
+    assert.ok(reply.usage.completionTokens > 0);
+  });
+
+  test("is deterministic", async () => {
+    const first = await generateAiReply(request("where is it located"));
+    const second = await generateAiReply(request("where is it located"));
+    assert.equal(first.text, second.text);
+    assert.match(first.text, /Baner, Pune/);
+  });
+
+  test("cites the knowledge base entry it answered from", async () => {
+    const citation = { id: "kb-1", title: "Possession" };
+    const reply = await generateAiReply({
+      ...request("when is possession"),
+      knowledge: [{ answer: "Possession is planned for December 2027.", citation }],
+    });
+    assert.equal(reply.text, "Possession is planned for December 2027.");
+    assert.deepEqual(reply.citations, [citation]);
+  });
+
+  // Timeouts are covered through the route below: the abort timer does not keep
+  // the process alive on its own
+  test("rejects provider errors and invented prices", async () => {
+    assert.equal((await replyError(request("hello [[mock:error]]"))).reason, "provider_error");
+    assert.equal((await replyError(request("price [[mock:invent-price]]"))).reason, "ungrounded_price");
+    assert.equal((await replyError(request("hello", mockSettings({ provider: "nope" })))).reason, "unknown_provider");
+  });
+});
+
+describe("POST /api/chat fallback", () => {
+  let server;
+  let baseUrl;
+
+  const chat = async (body) => {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId: "skyline", propertyInfo: PROPERTY_INFO, ...body }),
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  before(async () => {
+    await upsertWidgetConfig("skyline", { agentName: "Riya", aiChat: { provider: "mock", timeoutMs: 500 } });
+    const app = express();
+    app.use(express.json());
+    app.use("/api/chat", chatRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("uses the provider reply when it is grounded", async () => {
+    const reply = await chat({ message: "what is the price" });
+    assert.equal(reply.aiUsed, true);
+    assert.equal(reply.fallback, false);
+    assert.equal(reply.provider, "mock");
+    assert.equal(reply.leadCapture, true);
+  });
+
+  for (const [marker, reason] of [
+    ["[[mock:error]]", "provider_error"],
+    ["[[mock:hang]]", "timeout"],
+    ["[[mock:invent-price]]", "ungrounded_price"],
+  ]) {
+    test(`falls back to the intent engine on ${reason}`, async () => {
+      const reply = await chat({ message: `what is the price ${marker}` });
+      assert.equal(reply.aiUsed, false);
+      assert.equal(reply.fallback, true);
+      assert.equal(reply.fallbackReason, reason);
+      assert.equal(reply.intent, "pricing");
+      assert.doesNotMatch(reply.response, /49 Lakh/);
+    });
+  }
+
+  test("keeps the entities found on the visitor's chat session", async () => {
+    const visitorId = "visitor-entities-1";
+    const session = await createChatSession({ microsite: "skyline", visitorId, metadata: { language: "en" } });
+    await chat({ message: "need a 2 bhk in Baner under 1 cr", visitorId, chatSessionId: session.id });
+
+    const { metadata } = await getChatSessionById(session.id);
+    assert.equal(metadata.language, "en");
+    assert.equal(metadata.entities.bhkType, "2 BHK");
+    assert.equal(metadata.entities.locality, "Baner");
+    assert.deepEqual(metadata.entities.budget, { min: null, max: 10000000 });
+
+    // Another visitor cannot write to the session
+    await chat({ message: "3 bhk please", visitorId: "visitor-entities-2", chatSessionId: session.id });
+    assert.equal((await getChatSessionById(session.id)).metadata.entities.bhkType, "2 BHK");
+  });
+
+  test("keyword projects never call a provider", async () => {
+    await upsertWidgetConfig("keyword-only", { aiChat: { provider: "keyword" } });
+    const reply = await chat({ projectId: "keyword-only", message: "what is the price" });
+    assert.equal(reply.aiUsed, false);
+    assert.equal(reply.intent, "pricing");
+    assert.equal(reply.fallback, false);
+    assert.equal(reply.fallbackReason, undefined);
+  });
+
+  test("a project without an AI provider is not reported as a fallback", async () => {
+    await upsertWidgetConfig("no-ai", { agentName: "Riya" });
+    const reply = await chat({ projectId: "no-ai", message: "what is the price" });
+    assert.equal(reply.aiUsed, false);
+    assert.equal(reply.fallback, false);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "chat-sessions-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { default: express } = await import("express");
+const { config } = await import("../src/config.js");
+const { createLead } = await import("../src/storage/leadStore.js");
+const { updateChatSession } = await import("../src/storage/chatSessionStore.js");
+const { default: chatSessionsRouter } = await import("../src/routes/chatSessions.js");
+
+config.dataStore = "file";
+
+// The stores log to stdout, which node --test also reads its own results from
+console.log = () => {};
+
+describe("chat session routes", () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}/api/chat-sessions${url}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const startSession = (visitorId, extra = {}) =>
+    request("POST", "/", {
+      visitorId,
+      microsite: "skyline",
+      conversation: [{ type: "user", text: "hi" }],
+      ...extra,
+    });
+
+  const turns = (count) => Array.from({ length: count }, (_, index) => ({ type: "user", text: `message ${index}` }));
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/chat-sessions", chatSessionsRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("POST / starts a session for the visitor", async () => {
+    const { status, body } = await startSession("visitor-1", { projectId: "skyline-phase-2" });
+    assert.equal(status, 201);
+    assert.equal(body.session.visitorId, "visitor-1");
+    assert.equal(body.session.projectId, "skyline-phase-2");
+    assert.equal(body.session.conversation.length, 1);
+  });
+
+  test("POST / needs a visitorId and a microsite", async () => {
+    assert.equal((await request("POST", "/", { microsite: "skyline" })).status, 400);
+    assert.equal((await request("POST", "/", { visitorId: "visitor-1" })).status, 400);
+  });
+
+  test("POST /:id/messages appends the visitor's turns", async () => {
+    const { body } = await startSession("visitor-2");
+    const added = await request("POST", `/${body.session.id}/messages`, { visitorId: "visitor-2", messages: turns(2) });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.messageCount, 3);
+
+    const empty = await request("POST", `/${body.session.id}/messages`, { visitorId: "visitor-2", messages: [] });
+    assert.equal(empty.status, 400);
+  });
+
+  test("POST /:id/messages hides the session from other visitors", async () => {
+    const { body } = await startSession("visitor-3");
+    const url = `/${body.session.id}/messages`;
+    assert.equal((await request("POST", url, { visitorId: "visitor-4", messages: turns(1) })).status, 404);
+    assert.equal((await request("POST", url, { messages: turns(1) })).status, 404);
+    assert.equal((await request("POST", "/missing/messages", { visitorId: "visitor-3", messages: turns(1) })).status, 404);
+  });
+
+  test("POST /:id/messages stops at 500 messages", async () => {
+    const { body } = await startSession("visitor-5");
+    const url = `/${body.session.id}/messages`;
+    for (let batch = 0; batch < 4; batch += 1) {
+      assert.equal((await request("POST", url, { visitorId: "visitor-5", messages: turns(100) })).status, 200);
+    }
+    const last = await request("POST", url, { visitorId: "visitor-5", messages: turns(99) });
+    assert.equal(last.body.messageCount, 500);
+
+    const over = await request("POST", url, { visitorId: "visitor-5", messages: turns(1) });
+    assert.equal(over.status, 409);
+  });
+
+  test("GET / filters on the session's visitor context and its linked lead", async () => {
+    const { body: tagged } = await startSession("visitor-6", {
+      metadata: { visitor: { utm: { source: "google", campaign: "launch" } } },
+    });
+    await startSession("visitor-7", { metadata: { visitor: { utm: { source: "facebook" } } } });
+
+    const bySource = await request("GET", "/?utmSource=google");
+    assert.deepEqual(bySource.body.items.map((item) => item.id), [tagged.session.id]);
+
+    const lead = await createLead({ phone: "+919876500030", bhkType: "2 BHK", microsite: "skyline" });
+    await updateChatSession(tagged.session.id, { leadId: lead.id });
+    const byStatus = await request("GET", "/?status=new");
+    assert.deepEqual(byStatus.body.items.map((item) => item.id), [tagged.session.id]);
+  });
+});
@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "crm-forwarder-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { config } = await import("../src/config.js");
+const { buildCrmPayload, enqueueLeadForCrm, processCrmOutbox } = await import("../src/utils/crmForwarder.js");
+const outboxStore = await import("../src/storage/crmOutboxStore.js");
+const { writeJson } = await import("../src/storage/fileStore.js");
+
+config.dataStore = "file";
+
+const LEAD = {
+  id: "lead-1",
+  microsite: "skyline",
+  metadata: {
+    name: "Asha",
+    projectId: "1234",
+    phoneDialCode: "+91",
+    phoneSubscriber: "9876543210",
+    visitor: { utm: { source: "google", campaign: "diwali" }, userAgent: "Mozilla/5.0 (iPhone) Safari" },
+  },
+};
+
+// Local CRM stand-in: answers with the queued status codes, then 200
+const crm = { requests: [], statuses: [] };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    crm.requests.push({ method: req.method, body: JSON.parse(body) });
+    const status = crm.statuses.shift() ?? 200;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: status < 400 }));
+  });
+});
+
+async function listAll() {
+  return (await outboxStore.listDeliveries({ limit: 100 })).items;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out waiting for the CRM outbox");
+}
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  config.crm.targets = [{ name: "stub-crm", url: `http://127.0.0.1:${server.address().port}/leads` }];
+  config.crm.requestTimeoutMs = 2000;
+});
+
+beforeEach(async () => {
+  await writeJson("crm-outbox.json", { deliveries: [] });
+  crm.requests = [];
+  crm.statuses = [];
+  config.crm.maxAttempts = 3;
+  config.crm.retryBaseMs = 0;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dataDirectory, { recursive: true, force: true });
+});
+
+describe("buildCrmPayload", () => {
+  test("maps the lead to the CRM fields", () => {
+    const payload = buildCrmPayload(LEAD, { clientIp: "10.0.0.1" });
+    assert.equal(payload.name, "Asha");
+    assert.equal(payload.country_code, "+91");
+    assert.equal(payload.number, "9876543210");
+    assert.equal(payload.nationality, 1);
+    assert.equal(payload.project_id, 1234);
+    assert.equal(payload.tracking_lead_id, "chat-lead-1");
+    assert.equal(payload.Digital.user_device, "Mobile");
+    assert.equal(payload.Digital.client_ipaddress, "10.0.0.1");
+    assert.equal(payload.Digital.campaing_type, "diwali");
+    assert.equal(payload.Utm.utm_source, "google");
+  });
+
+  test("marks lead magnets and NRI numbers", () => {
+    const payload = buildCrmPayload({
+      ...LEAD,
+      metadata: { ...LEAD.metadata, magnetId: "mag-7", phoneDialCode: "+971" },
+    });
+    assert.equal(payload.is_magnet, 1);
+    assert.equal(payload.tracking_lead_id, "mag-7");
+    assert.equal(payload.source_id, 49);
+    assert.equal(payload.nationality, 2);
+  });
+});
+
+describe("CRM outbox", () => {
+  test("enqueueing a lead delivers it to the CRM", async () => {
+    const [queued] = await enqueueLeadForCrm(LEAD);
+    assert.equal(queued.target, "stub-crm");
+
+    const delivered = await waitFor(async () =>
+      (await listAll()).find((delivery) => delivery.status === "delivered")
+    );
+    assert.equal(delivered.attempts, 1);
+    assert.equal(delivered.lastStatusCode, 200);
+    assert.equal(crm.requests.length, 1);
+    assert.equal(crm.requests[0].body.number, "9876543210");
+  });
+
+  test("a failed delivery is retried", async () => {
+    crm.statuses = [500];
+    await outboxStore.enqueueDeliveries(LEAD.id, config.crm.targets, buildCrmPayload(LEAD));
+
+    await processCrmOutbox();
+    let [delivery] = await listAll();
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastStatusCode, 500);
+
+    await processCrmOutbox();
+    [delivery] = await listAll();
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.lastError, null);
+    assert.equal(crm.requests.length, 2);
+  });
+
+  test("waits for the backoff before retrying", async () => {
+    crm.statuses = [503];
+    config.crm.retryBaseMs = 60 * 60 * 1000;
+    await outboxStore.enqueueDeliveries(LEAD.id, config.crm.targets, buildCrmPayload(LEAD));
+
+    await processCrmOutbox();
+    await processCrmOutbox();
+    const [delivery] = await listAll();
+    assert.equal(delivery.status, "pending");
+    assert.ok(new Date(delivery.nextAttemptAt) > new Date());
+    assert.equal(crm.requests.length, 1);
+  });
+
+  test("parks a delivery as dead after the last attempt", async () => {
+    crm.statuses = [502, 502, 502];
+    await outboxStore.enqueueDeliveries(LEAD.id, config.crm.targets, buildCrmPayload(LEAD));
+
+    for (let run = 0; run < config.crm.maxAttempts; run += 1) {
+      await processCrmOutbox();
+    }
+    const [delivery] = await listAll();
+    assert.equal(delivery.status, "dead");
+    assert.equal(delivery.attempts, 3);
+
+    // A dead delivery is not picked up again
+    await processCrmOutbox();
+    assert.equal(crm.requests.length, 3);
+  });
+
+  test("requeueing a dead delivery sends it again", async () => {
+    crm.statuses = [502];
+    config.crm.maxAttempts = 1;
+    await outboxStore.enqueueDeliveries(LEAD.id, config.crm.targets, buildCrmPayload(LEAD));
+    await processCrmOutbox();
+    assert.equal((await listAll())[0].status, "dead");
+
+    await outboxStore.requeueDeliveries(LEAD.id);
+    await processCrmOutbox();
+    assert.equal((await listAll())[0].status, "delivered");
+  });
+
+  test("nothing is queued without CRM targets", async () => {
+    const targets = config.crm.targets;
+    config.crm.targets = [];
+    try {
+      assert.deepEqual(await enqueueLeadForCrm(LEAD), []);
+      assert.deepEqual(await listAll(), []);
+    } finally {
+      config.crm.targets = targets;
+    }
+  });
+});
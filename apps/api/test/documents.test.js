@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { floorPlanBhkTypes, selectDocumentsForLead } from "../src/utils/documents.js";
+
+const DOCUMENTS = [
+  { id: "brochure", type: "brochure", bhkType: null },
+  { id: "plan-all", type: "floor-plan", bhkType: null },
+  { id: "plan-2", type: "floor-plan", bhkType: "2 BHK" },
+  { id: "plan-jodi", type: "floor-plan", bhkType: "Jodi Flat" },
+  { id: "plan-penthouse", type: "floor-plan", bhkType: "Penthouse" },
+];
+
+const BHK_OPTIONS = [
+  { label: "2 BHK", bhk: 2 },
+  { label: "Jodi flat (2+2)", value: "Jodi Flat" },
+  { label: "Penthouse" },
+  { label: "Yet to decide" },
+];
+
+const selectedIds = (options) => selectDocumentsForLead(DOCUMENTS, options).map((document) => document.id);
+
+describe("document selection", () => {
+  test("floor plans can be tagged with the project's BHK options", () => {
+    assert.deepEqual(floorPlanBhkTypes(BHK_OPTIONS), ["2 BHK", "Jodi Flat", "Penthouse"]);
+    assert.deepEqual(floorPlanBhkTypes(null), ["1 BHK", "2 BHK", "3 BHK", "4 BHK"]);
+  });
+
+  test("a configured BHK gets its own and project-wide floor plans", () => {
+    assert.deepEqual(selectedIds({ bhkType: "Jodi Flat", bhkOptions: BHK_OPTIONS }), ["brochure", "plan-all", "plan-jodi"]);
+    assert.deepEqual(selectedIds({ bhkType: "2 BHK" }), ["brochure", "plan-all", "plan-2"]);
+  });
+
+  test("an undecided or unknown BHK gets every floor plan", () => {
+    const all = DOCUMENTS.map((document) => document.id);
+    assert.deepEqual(selectedIds({ bhkType: "Yet to decide", bhkOptions: BHK_OPTIONS }), all);
+    assert.deepEqual(selectedIds({ bhkType: "Penthouse" }), all);
+    assert.deepEqual(selectedIds({}), all);
+  });
+
+  test("types narrow the result", () => {
+    assert.deepEqual(selectedIds({ types: ["brochure"], bhkType: "2 BHK" }), ["brochure"]);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { extractConversationEntities, extractEntities, localitiesFor } from "../src/utils/entityExtraction.js";
+import { normalizeExtractedBhk } from "../src/utils/leadNormalization.js";
+
+const NOW = new Date("2026-01-15T00:00:00Z");
+
+describe("entity extraction", () => {
+  test("reads BHK, budget, timeline and locality from one message", () => {
+    assert.deepEqual(extractEntities("looking for 2bhk under 1.2 cr near Thane, moving in 6 months", { now: NOW }), {
+      bhk: 2,
+      bhkType: "2 BHK",
+      budget: { min: null, max: 12000000 },
+      timeline: { months: 6, text: "in 6 months" },
+      locality: "Thane",
+    });
+  });
+
+  test("only known localities count", () => {
+    assert.equal(extractEntities("I am interested in Pricing").locality, undefined);
+    assert.equal(extractEntities("call me at Sunday evening").locality, undefined);
+    assert.equal(extractEntities("something near Kolshet Road").locality, undefined);
+    const localities = localitiesFor({ location: "Kolshet Road, Thane West" });
+    assert.equal(extractEntities("something near kolshet road", { localities }).locality, "Kolshet Road");
+    assert.equal(extractEntities("flats in Thane West", { localities }).locality, "Thane West");
+  });
+
+  test("later messages override earlier ones", () => {
+    const entities = extractConversationEntities([
+      { type: "user", text: "2 bhk in Powai" },
+      { type: "system", text: "We have 3 BHK too" },
+      { type: "user", text: "actually 3 bhk" },
+    ]);
+    assert.equal(entities.bhkType, "3 BHK");
+    assert.equal(entities.locality, "Powai");
+  });
+});
+
+describe("extracted BHK", () => {
+  const options = [
+    { label: "2 BHK Classic", value: "2 BHK", bhk: 2 },
+    { label: "3 BHK", bhk: 3 },
+  ];
+
+  test("must be one the project offers", () => {
+    const entities = extractConversationEntities([{ type: "user", text: "need a 5 bhk" }]);
+    assert.equal(normalizeExtractedBhk(entities, { options }), null);
+  });
+
+  test("maps onto the matching configured option", () => {
+    assert.deepEqual(normalizeExtractedBhk({ bhk: 2, bhkType: "2 BHK" }, { options }), { type: "2 BHK", numeric: 2 });
+    assert.deepEqual(normalizeExtractedBhk({ bhk: 3, bhkType: "3 BHK" }, { options }), { type: "3 BHK", numeric: 3 });
+  });
+
+  test("uses the built-in values when the project has no options", () => {
+    assert.deepEqual(normalizeExtractedBhk({ bhk: 2, bhkType: "2 BHK" }), { type: "2 BHK", numeric: 2 });
+    assert.equal(normalizeExtractedBhk({}), null);
+  });
+});
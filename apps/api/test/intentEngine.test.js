@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+  compileIntentConfig,
+  localizedResponse,
+  matchIntent,
+  renderTemplate,
+  replayUtterances,
+  resolveIntentConfig,
+  validateIntentConfig,
+} from "../src/utils/intentEngine.js";
+
+const compiled = compileIntentConfig(resolveIntentConfig());
+
+// Sample utterances beyond the built-in `examples`, as { text, expect, lastIntent }
+const SAMPLE_UTTERANCES = [
+  { text: "Hi!", expect: "greeting" },
+  { text: "what are the rates for 3 bhk", expect: "pricing" },
+  { text: "costing details?", expect: "pricing" },
+  { text: "yes what is the price", expect: "pricing" },
+  { text: "can I visit the site this weekend", expect: "site_visit" },
+  { text: "where exactly is the project situated", expect: "location" },
+  { text: "how many bedrooms do the flats have", expect: "configurations" },
+  { text: "facilities?", expect: "amenities" },
+  { text: "breif please", expect: "overview" },
+  { text: "project ki location kahan hai", expect: "location" },
+  { text: "xyz qwerty", expect: "fallback" },
+  // "yes" answers whatever the previous reply asked
+  { text: "yes", expect: "affirm" },
+  { text: "yes", expect: "pricing_lead_capture", lastIntent: "pricing" },
+  { text: "haan ji", expect: "location_follow_up", lastIntent: "location" },
+  { text: "okay", expect: "configuration_pricing", lastIntent: "configurations" },
+  { text: "no", expect: "deny", lastIntent: "pricing" },
+];
+
+describe("intent replay", () => {
+  test("every built-in example matches its intent", () => {
+    const { total, results } = replayUtterances(compiled);
+    assert.ok(total > 0);
+    assert.deepEqual(results.filter((result) => !result.passed), []);
+  });
+
+  test("sample utterances match the expected intents", () => {
+    const { failed, results } = replayUtterances(compiled, SAMPLE_UTTERANCES);
+    assert.deepEqual(
+      results.filter((result) => !result.passed).map(({ text, expected, actual }) => ({ text, expected, actual })),
+      []
+    );
+    assert.equal(failed, 0);
+  });
+
+  test("a follow-up reports the intent that fired", () => {
+    const { intent, matched } = matchIntent("yes", compiled, { lastIntent: "pricing" });
+    assert.equal(intent.id, "pricing_lead_capture");
+    assert.equal(matched.id, "affirm");
+  });
+
+  test("nothing matched answers with the fallback intent", () => {
+    const { intent, matched } = matchIntent("xyz qwerty", compiled);
+    assert.equal(intent.id, "fallback");
+    assert.equal(matched, null);
+  });
+});
+
+describe("project overrides", () => {
+  test("add intents, remove built-ins and extend synonyms", () => {
+    const overrides = {
+      intents: [
+        { id: "loan", triggers: ["home loan", "emi"], response: "We partner with leading banks.", examples: ["is home loan available"] },
+        { id: "amenities", disabled: true },
+      ],
+      synonyms: { price: ["kimat"] },
+    };
+    assert.equal(validateIntentConfig(overrides), null);
+
+    const project = compileIntentConfig(resolveIntentConfig(overrides));
+    const { failed, results } = replayUtterances(project, [
+      { text: "what is the emi", expect: "loan" },
+      { text: "kimat batao", expect: "pricing" },
+      { text: "list the facilities", expect: "fallback" },
+    ]);
+    assert.deepEqual(results.filter((result) => !result.passed && result.expected !== "amenities"), []);
+    // The removed intent's own examples are no longer replayed
+    assert.ok(results.every((result) => result.expected !== "amenities"));
+    assert.equal(failed, 0);
+  });
+
+  test("reject follow-ups to removed intents", () => {
+    const error = validateIntentConfig({ intents: [{ id: "pricing_lead_capture", disabled: true }] });
+    assert.match(error, /follow-up to an unknown intent/);
+  });
+});
+
+describe("responses", () => {
+  test("pick the conversation language, English otherwise", () => {
+    const greeting = compiled.intents.find((intent) => intent.id === "greeting");
+    assert.notEqual(localizedResponse(greeting, "hi"), localizedResponse(greeting, "en"));
+    assert.equal(localizedResponse(greeting, "fr"), localizedResponse(greeting, "en"));
+  });
+
+  test("render fallbacks and sections", () => {
+    const template = "{{projectName|this project}}{{#pricing}} has prices{{/pricing}}{{^pricing}} has no prices{{/pricing}}";
+    assert.equal(renderTemplate(template, {}), "this project has no prices");
+    assert.equal(renderTemplate(template, { projectName: "Skyline", pricing: "1 Cr" }), "Skyline has prices");
+  });
+});
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "lead-dedup-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+delete process.env.WIDGET_CONFIG_API_KEY;
+
+const { default: express } = await import("express");
+const { config } = await import("../src/config.js");
+const { buildMergeUpdates, buildTouchpoint } = await import("../src/utils/leadDedup.js");
+const { default: leadsRouter } = await import("../src/routes/leads.js");
+
+config.dataStore = "file";
+config.crm.targets = [];
+
+// The lead routes log to stdout, which node --test also reads its own results from
+console.log = () => {};
+
+const older = {
+  id: "lead-old",
+  microsite: "skyline",
+  bhk: 2,
+  bhkType: "2 BHK",
+  createdAt: "2026-01-01T10:00:00.000Z",
+  conversation: [{ type: "user", text: "first visit" }],
+  metadata: {
+    name: "Asha",
+    cta: "Pricing",
+    source: "google",
+    visitor: { landingPage: "/old" },
+    duplicateOf: "lead-older-still",
+  },
+};
+
+const newer = {
+  id: "lead-new",
+  microsite: "skyline-offers",
+  bhk: 3,
+  bhkType: "3 BHK",
+  createdAt: "2026-02-01T10:00:00.000Z",
+  conversation: [{ type: "user", text: "second visit" }],
+  metadata: {
+    name: "Asha Rao",
+    cta: "Site visit",
+    visitor: { landingPage: "/new" },
+    duplicateOf: "lead-old",
+    mergeCount: 4,
+    lastMergedAt: "2026-02-01T10:00:00.000Z",
+  },
+};
+
+describe("buildMergeUpdates", () => {
+  test("a newer submission's values win", () => {
+    const { bhkType, metadata, conversation } = buildMergeUpdates(older, newer);
+    assert.equal(bhkType, "3 BHK");
+    assert.equal(metadata.name, "Asha Rao");
+    assert.equal(metadata.cta, "Site visit");
+    assert.equal(metadata.source, "google");
+    assert.equal(metadata.visitor.landingPage, "/new");
+    assert.deepEqual(conversation.map((message) => message.text), ["first visit", "second visit"]);
+  });
+
+  test("an older lead merged into a newer one does not overwrite it", () => {
+    const { bhkType, metadata } = buildMergeUpdates(newer, older);
+    assert.equal(bhkType, "3 BHK");
+    assert.equal(metadata.name, "Asha Rao");
+    assert.equal(metadata.cta, "Site visit");
+    assert.equal(metadata.visitor.landingPage, "/new");
+  });
+
+  test("merge bookkeeping stays with the target", () => {
+    const { metadata } = buildMergeUpdates(older, newer);
+    assert.equal(metadata.duplicateOf, "lead-older-still");
+    assert.equal(metadata.mergeCount, 1);
+    assert.notEqual(metadata.lastMergedAt, newer.metadata.lastMergedAt);
+
+    const again = buildMergeUpdates({ ...older, metadata }, { ...newer, createdAt: "2026-03-01T10:00:00.000Z" });
+    assert.equal(again.metadata.mergeCount, 2);
+  });
+
+  test("touchpoints accumulate in time order", () => {
+    const first = buildMergeUpdates(older, newer);
+    assert.deepEqual(first.metadata.touchpoints.map((touchpoint) => touchpoint.leadId), ["lead-old", "lead-new"]);
+
+    const third = { ...newer, id: "lead-third", createdAt: "2026-03-01T10:00:00.000Z", metadata: {} };
+    const second = buildMergeUpdates({ ...older, metadata: first.metadata }, third);
+    assert.deepEqual(
+      second.metadata.touchpoints.map((touchpoint) => touchpoint.leadId),
+      ["lead-old", "lead-new", "lead-third"]
+    );
+    assert.deepEqual(second.metadata.touchpoints[2], buildTouchpoint(third));
+  });
+});
+
+describe("lead merge routes", () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}/api/leads${url}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const submit = (phone, metadata, extra = {}) =>
+    request("POST", "/", { phone, bhkType: "2 BHK", microsite: "skyline", metadata, ...extra });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/leads", leadsRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("a resubmission keeps the new name and CTA", async () => {
+    config.leadDedup = { scope: "microsite", windowDays: 30, action: "merge" };
+    try {
+      const first = await submit("+919876500001", { name: "Asha", cta: "Pricing" });
+      assert.equal(first.status, 201);
+      const second = await submit("+919876500001", { name: "Asha Rao", cta: "Site visit" }, { bhkType: "3 BHK" });
+      assert.equal(second.body.lead.id, first.body.lead.id);
+
+      const { body } = await request("GET", `/${first.body.lead.id}`);
+      assert.equal(body.lead.metadata.name, "Asha Rao");
+      assert.equal(body.lead.metadata.cta, "Site visit");
+      assert.equal(body.lead.bhkType, "3 BHK");
+      assert.equal(body.lead.metadata.mergeCount, 1);
+    } finally {
+      config.leadDedup = { scope: "microsite", windowDays: 30, action: "flag" };
+    }
+  });
+
+  test("merging moves the source's timeline onto the target and deletes the source", async () => {
+    const target = (await submit("+919876500002", { name: "Ravi" })).body.lead;
+    const source = (await submit("+919876500002", { name: "Ravi K" })).body.lead;
+    assert.equal(source.metadata.duplicateOf, target.id);
+    await request("PATCH", `/${source.id}`, { note: "Asked for a brochure" });
+
+    const merged = await request("POST", `/${target.id}/merge`, { sourceId: source.id, actor: "agent-1" });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.mergedLeadId, source.id);
+    assert.equal(merged.body.lead.metadata.duplicateOf, undefined);
+    assert.equal(merged.body.lead.metadata.name, "Ravi K");
+
+    const { body } = await request("GET", `/${target.id}`);
+    assert.ok(body.activity.some((entry) => entry.note === "Asked for a brochure"));
+    assert.ok(body.activity.some((entry) => entry.type === "merged" && entry.actor === "agent-1"));
+    assert.equal((await request("GET", `/${source.id}`)).status, 404);
+  });
+
+  test("merge rejects a missing source, itself and unknown leads", async () => {
+    const lead = (await submit("+919876500003", { name: "Meera" })).body.lead;
+    assert.equal((await request("POST", `/${lead.id}/merge`, {})).status, 400);
+    assert.equal((await request("POST", `/${lead.id}/merge`, { sourceId: lead.id })).status, 400);
+    assert.equal((await request("POST", `/${lead.id}/merge`, { sourceId: "missing" })).status, 404);
+  });
+});
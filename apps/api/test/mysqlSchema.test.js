@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, test } from "node:test";
+
+import { findOutdatedStatusChecks, splitSchemaStatements } from "../src/db/mysql.js";
+
+const schema = await readFile(new URL("../src/db/mysql-schema.sql", import.meta.url), "utf8");
+const statements = splitSchemaStatements(schema);
+
+// "CREATE TABLE IF NOT EXISTS leads" → "CREATE TABLE leads", one per statement in the file
+const statementHeads = (lines) =>
+  lines
+    .map((line) => line.trim().match(/^(CREATE (?:TABLE|INDEX)|ALTER TABLE)\s+(?:IF NOT EXISTS\s+)?(\S+)(?:\s+ADD COLUMN\s+(\S+))?/i))
+    .filter(Boolean)
+    .map(([, kind, name, column]) => [kind.toUpperCase(), name, column].filter(Boolean).join(" "));
+
+describe("mysql-schema.sql", () => {
+  test("every CREATE and ALTER statement is run", () => {
+    const inFile = statementHeads(schema.split("\n"));
+    const run = statementHeads(statements.map((statement) => statement.split("\n")[0]));
+    assert.ok(inFile.length > 60);
+    assert.deepEqual(run, inFile);
+  });
+
+  test("columns and tables added by later features are included", () => {
+    const run = statementHeads(statements.map((statement) => statement.split("\n")[0]));
+    for (const expected of [
+      "CREATE TABLE lead_activities",
+      "CREATE TABLE widget_config_versions",
+      "ALTER TABLE widget_configs business_hours",
+      "ALTER TABLE chat_sessions visitor_id",
+      "ALTER TABLE leads score",
+    ]) {
+      assert.ok(run.includes(expected), expected);
+    }
+  });
+
+  test("no statement keeps a comment or MariaDB-only index syntax", () => {
+    for (const statement of statements) {
+      assert.doesNotMatch(statement, /^\s*--/m);
+      assert.doesNotMatch(statement, /CREATE INDEX IF NOT EXISTS/i);
+    }
+  });
+});
+
+describe("leads status CHECK migration", () => {
+  test("flags status checks that reject a workflow status", () => {
+    const checks = [
+      { name: "leads_chk_1", clause: "(`status` in (_utf8mb4'new',_utf8mb4'contacted',_utf8mb4'qualified',_utf8mb4'closed'))" },
+      { name: "widget_chk", clause: "(`bubble_position` in ('bottom-right','bottom-left'))" },
+      {
+        name: "chk_leads_status",
+        clause:
+          "(`status` in ('new','contacted','site-visit-scheduled','negotiating','won','lost','qualified','closed'))",
+      },
+    ];
+    assert.deepEqual(findOutdatedStatusChecks(checks).map((check) => check.name), ["leads_chk_1"]);
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "privacy-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { config } = await import("../src/config.js");
+const { createLead, getLeadById } = await import("../src/storage/leadStore.js");
+const { createChatSession } = await import("../src/storage/chatSessionStore.js");
+const { listUnmatchedQuestions } = await import("../src/storage/knowledgeBaseStore.js");
+const { recordUnmatchedQuestion } = await import("../src/utils/knowledgeBase.js");
+const { erasePersonalData } = await import("../src/utils/privacy.js");
+
+config.dataStore = "file";
+
+// The stores log to stdout, which node --test also reads its own results from
+console.log = () => {};
+
+describe("erasePersonalData", () => {
+  after(async () => {
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("drops the unmatched questions the person asked", async () => {
+    const lead = await createLead({
+      phone: "+919876500010",
+      bhkType: "2 BHK",
+      microsite: "skyline",
+      conversation: [{ type: "user", text: "is there a crèche for my daughter Meera" }],
+    });
+    await createChatSession({
+      microsite: "skyline",
+      visitorId: "visitor-privacy-1",
+      leadId: lead.id,
+      conversation: [{ type: "user", text: "Does Meera's school bus stop here?" }],
+    });
+    await recordUnmatchedQuestion("skyline", "is there a crèche for my daughter Meera");
+    await recordUnmatchedQuestion("skyline", "does meera's school bus stop here");
+    await recordUnmatchedQuestion("skyline", "is there a jogging track");
+    await recordUnmatchedQuestion("harbour", "is there a crèche for my daughter Meera");
+
+    const { counts } = await erasePersonalData("+919876500010");
+    assert.equal(counts.leads, 1);
+    assert.equal(counts.unmatchedQuestions, 2);
+
+    const skyline = await listUnmatchedQuestions("skyline");
+    assert.deepEqual(skyline.items.map((item) => item.question), ["is there a jogging track"]);
+    // Another project's log never held this person's messages
+    assert.equal((await listUnmatchedQuestions("harbour")).total, 1);
+    assert.equal((await getLeadById(lead.id)).phone, null);
+  });
+});
@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "site-visits-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { default: express } = await import("express");
+const { config } = await import("../src/config.js");
+const { DEFAULT_SITE_VISIT_AVAILABILITY, findSlot, listOpenSlots } = await import("../src/utils/siteVisits.js");
+const { createLead } = await import("../src/storage/leadStore.js");
+const { upsertWidgetConfig } = await import("../src/storage/widgetConfigStore.js");
+const { default: siteVisitsRouter } = await import("../src/routes/siteVisits.js");
+
+config.dataStore = "file";
+
+// The stores log to stdout, which node --test also reads its own results from
+console.log = () => {};
+
+// Friday 6 March 2026, 05:30 in Kolkata
+const NOW = new Date("2026-03-06T00:00:00Z");
+
+const availability = (overrides = {}) => ({ ...DEFAULT_SITE_VISIT_AVAILABILITY, ...overrides });
+
+describe("site visit slots", () => {
+  test("are generated in the project's time zone", () => {
+    const [day] = listOpenSlots(availability({ startTime: "10:00", endTime: "12:00" }), [], { days: 1, now: NOW });
+    assert.equal(day.date, "2026-03-06");
+    assert.deepEqual(
+      day.slots.map((slot) => [slot.time, slot.start]),
+      [["10:00", "2026-03-06T04:30:00.000Z"], ["11:00", "2026-03-06T05:30:00.000Z"]]
+    );
+  });
+
+  test("follow the zone's daylight saving changes", () => {
+    const dates = listOpenSlots(
+      availability({ timeZone: "America/New_York", startTime: "10:00", endTime: "11:00" }),
+      [],
+      { from: "2026-03-07", days: 2, now: NOW }
+    );
+    assert.deepEqual(
+      dates.map(({ date, slots }) => [date, slots[0].start]),
+      [["2026-03-07", "2026-03-07T15:00:00.000Z"], ["2026-03-08", "2026-03-08T14:00:00.000Z"]]
+    );
+  });
+
+  test("skip closed weekdays and holidays", () => {
+    const dates = listOpenSlots(
+      availability({ days: [1, 2, 3, 4, 5], holidays: ["2026-03-09"] }),
+      [],
+      { days: 5, now: NOW }
+    );
+    assert.deepEqual(dates.map((item) => item.date), ["2026-03-06", "2026-03-10"]);
+  });
+
+  test("leave out slots inside the minimum notice", () => {
+    const [day] = listOpenSlots(availability({ startTime: "06:00", endTime: "10:00", minNoticeHours: 2 }), [], {
+      days: 1,
+      now: NOW,
+    });
+    assert.deepEqual(day.slots.map((slot) => slot.time), ["08:00", "09:00"]);
+  });
+
+  test("count scheduled bookings against the slot's capacity", () => {
+    const hours = availability({ startTime: "10:00", endTime: "12:00", capacity: 2 });
+    const start = "2026-03-06T04:30:00.000Z";
+    const booking = (status = "scheduled") => ({ slotStart: start, status });
+
+    const [halfBooked] = listOpenSlots(hours, [booking(), booking("cancelled")], { days: 1, now: NOW });
+    assert.equal(halfBooked.slots[0].remaining, 1);
+
+    const [full] = listOpenSlots(hours, [booking(), booking()], { days: 1, now: NOW });
+    assert.deepEqual(full.slots.map((slot) => slot.time), ["11:00"]);
+  });
+
+  test("findSlot only accepts a generated slot inside the booking window", () => {
+    const hours = availability({ bookingWindowDays: 3 });
+    assert.equal(findSlot(hours, "2026-03-06T04:30:00.000Z", { now: NOW }).slot.time, "10:00");
+    assert.ok(findSlot(hours, "2026-03-06T04:45:00.000Z", { now: NOW }).error);
+    assert.ok(findSlot(hours, "2026-03-10T04:30:00.000Z", { now: NOW }).error);
+    assert.ok(findSlot(hours, "tomorrow", { now: NOW }).error);
+  });
+});
+
+describe("POST /api/site-visits", () => {
+  let server;
+  let baseUrl;
+  let openSlots;
+
+  const book = async (body) => {
+    const response = await fetch(`${baseUrl}/api/site-visits`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId: "skyline", ...body }),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const createVisitorLead = (visitorId) =>
+    createLead({ phone: "+919876500020", bhkType: "2 BHK", microsite: "skyline", metadata: { visitorId } });
+
+  before(async () => {
+    await upsertWidgetConfig("skyline", {
+      siteVisits: { startTime: "00:00", endTime: "23:00", minNoticeHours: 0, bookingWindowDays: 3, capacity: 1 },
+    });
+    const app = express();
+    app.use(express.json());
+    app.use("/api/site-visits", siteVisitsRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Slots depend on the current time, so the tests book from the live list
+    const response = await fetch(`${baseUrl}/api/site-visits/slots?projectId=skyline&from=${tomorrow()}&days=1`);
+    openSlots = (await response.json()).dates[0].slots;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("books a slot for the visitor's own lead", async () => {
+    const lead = await createVisitorLead("visitor-1");
+    const { status, body } = await book({ leadId: lead.id, visitorId: "visitor-1", slotStart: openSlots[0].start });
+    assert.equal(status, 201);
+    assert.equal(body.siteVisit.leadId, lead.id);
+    assert.match(body.ics, /BEGIN:VCALENDAR/);
+  });
+
+  test("hides another visitor's lead", async () => {
+    const lead = await createVisitorLead("visitor-2");
+    const { status } = await book({ leadId: lead.id, visitorId: "visitor-3", slotStart: openSlots[1].start });
+    assert.equal(status, 404);
+  });
+
+  test("refuses a second booking for the same lead", async () => {
+    const lead = await createVisitorLead("visitor-4");
+    assert.equal((await book({ leadId: lead.id, visitorId: "visitor-4", slotStart: openSlots[2].start })).status, 201);
+
+    const second = await book({ leadId: lead.id, visitorId: "visitor-4", slotStart: openSlots[3].start });
+    assert.equal(second.status, 409);
+    assert.equal(second.body.siteVisit.slotStart, openSlots[2].start);
+  });
+
+  test("refuses a slot that is already full", async () => {
+    const first = await createVisitorLead("visitor-5");
+    const second = await createVisitorLead("visitor-6");
+    assert.equal((await book({ leadId: first.id, visitorId: "visitor-5", slotStart: openSlots[4].start })).status, 201);
+
+    const { status } = await book({ leadId: second.id, visitorId: "visitor-6", slotStart: openSlots[4].start });
+    assert.equal(status, 409);
+  });
+});
+
+// Tomorrow in Kolkata, so every listed slot is still in the future
+function tomorrow() {
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata" }).format(new Date());
+  const date = new Date(`${today}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+// The file stores read DATA_DIRECTORY when they are first imported
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "widget-config-versions-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+process.env.WIDGET_CONFIG_API_KEY = "test-key";
+
+const { default: express } = await import("express");
+const { config } = await import("../src/config.js");
+const { DEFAULT_THEME, snapshotConfig } = await import("../src/utils/widgetConfigVersions.js");
+const versionStore = await import("../src/storage/widgetConfigVersionStore.js");
+const { default: widgetConfigRouter } = await import("../src/routes/widgetConfig.js");
+
+config.dataStore = "file";
+
+// The config store logs to stdout, which node --test also reads its own results from
+console.log = () => {};
+
+describe("snapshotConfig", () => {
+  test("missing theme fields take their defaults", () => {
+    const snapshot = snapshotConfig({ agentName: "Maya" });
+    assert.equal(snapshot.agentName, "Maya");
+    assert.equal(snapshot.primaryColor, DEFAULT_THEME.primaryColor);
+    assert.equal(snapshot.bubblePosition, DEFAULT_THEME.bubblePosition);
+    assert.equal(snapshot.chatMode, "scripted");
+  });
+
+  test("missing feature settings become null so they are cleared", () => {
+    const snapshot = snapshotConfig({ agentName: "Maya" });
+    assert.equal(snapshot.experiments, null);
+    assert.equal(snapshot.businessHours, null);
+  });
+});
+
+describe("widget config version routes", () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, { body, apiKey = "test-key" } = {}) => {
+    const response = await fetch(`${baseUrl}/api/widget-config${url}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { "X-API-Key": apiKey }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/widget-config", widgetConfigRouter);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  test("saving creates a draft on top of the seeded v1 and leaves the live config alone", async () => {
+    const saved = await request("POST", "/drafts", { body: { agentName: "Maya" } });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.version.version, 2);
+    assert.equal(saved.body.version.status, "draft");
+    assert.deepEqual(saved.body.version.diff.map((change) => change.field), ["agentName"]);
+
+    const { body: versions } = await request("GET", "/drafts/versions");
+    assert.deepEqual(versions.items.map((item) => [item.version, item.status]), [[2, "draft"], [1, "published"]]);
+
+    const live = await request("GET", "/drafts", { apiKey: null });
+    assert.equal(live.body.agentName, DEFAULT_THEME.agentName);
+
+    const unchanged = await request("POST", "/drafts", { body: { agentName: "Maya" } });
+    assert.equal(unchanged.status, 200);
+    assert.equal(unchanged.body.message, "No changes to save");
+  });
+
+  test("saving and publishing need the API key", async () => {
+    assert.equal((await request("POST", "/drafts", { body: { agentName: "Zed" }, apiKey: null })).status, 401);
+    assert.equal((await request("POST", "/drafts/versions/2/publish", { apiKey: null })).status, 401);
+  });
+
+  test("publishing copies the draft into the live config", async () => {
+    await request("POST", "/publish", { body: { agentName: "Maya", primaryColor: "#112233" } });
+    const published = await request("POST", "/publish/versions/2/publish");
+    assert.equal(published.status, 200);
+    assert.equal(published.body.version.status, "published");
+
+    const live = await request("GET", "/publish", { apiKey: null });
+    assert.equal(live.body.agentName, "Maya");
+    assert.equal(live.body.primaryColor, "#112233");
+
+    const { body: v1 } = await request("GET", "/publish/versions/1");
+    assert.equal(v1.status, "archived");
+    assert.equal((await request("POST", "/publish/versions/2/publish")).status, 409);
+    assert.equal((await request("POST", "/publish/versions/9/publish")).status, 404);
+  });
+
+  test("rolling back to v1 restores the defaults, not nulls", async () => {
+    // A v1 snapshot saved before missing theme fields were defaulted
+    await versionStore.createConfigVersion({
+      projectId: "rollback",
+      config: { ...Object.fromEntries(Object.keys(snapshotConfig()).map((field) => [field, null])), agentName: "Riya" },
+      status: "published",
+    });
+    await request("POST", "/rollback", {
+      body: { agentName: "Maya", bubblePosition: "bottom-left", businessHours: null },
+    });
+    await request("POST", "/rollback/versions/2/publish");
+
+    const rolledBack = await request("POST", "/rollback/versions/1/rollback");
+    assert.equal(rolledBack.status, 201);
+    assert.equal(rolledBack.body.version.version, 3);
+    assert.equal(rolledBack.body.version.rolledBackFrom, 1);
+
+    const live = await request("GET", "/rollback", { apiKey: null });
+    assert.equal(live.body.agentName, "Riya");
+    assert.equal(live.body.primaryColor, DEFAULT_THEME.primaryColor);
+    assert.equal(live.body.bubblePosition, DEFAULT_THEME.bubblePosition);
+    assert.equal(live.body.welcomeMessage, DEFAULT_THEME.welcomeMessage);
+    assert.equal(live.body.chatMode, "scripted");
+
+    assert.equal((await request("POST", "/rollback/versions/3/rollback")).status, 409);
+  });
+
+  test("?version= returns that version and needs the API key", async () => {
+    await request("POST", "/preview", { body: { agentName: "Maya" } });
+
+    const preview = await request("GET", "/preview?version=2");
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.agentName, "Maya");
+    assert.equal(preview.body.version, 2);
+    assert.equal(preview.body.versionStatus, "draft");
+
+    assert.equal((await request("GET", "/preview?version=2", { apiKey: null })).status, 401);
+    assert.equal((await request("GET", "/preview?version=7")).status, 404);
+  });
+
+  test("?preview= loads a draft without the API key, for its own project only", async () => {
+    await request("POST", "/token", { body: { agentName: "Maya" } });
+    const { body: draft } = await request("GET", "/token/versions/2");
+
+    const preview = await request("GET", `/token?preview=${draft.previewToken}`, { apiKey: null });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.agentName, "Maya");
+    assert.equal(preview.body.versionStatus, "draft");
+
+    const otherProject = await request("GET", `/drafts?preview=${draft.previewToken}`, { apiKey: null });
+    assert.equal(otherProject.status, 404);
+    assert.equal((await request("GET", "/token?preview=unknown", { apiKey: null })).status, 404);
+  });
+});
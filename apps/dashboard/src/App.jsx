@@ -4,10 +4,12 @@ import { SettingsPage } from "./pages/SettingsPage.jsx";
 import { InstallPage } from "./pages/InstallPage.jsx";
 import { AnalyticsPage } from "./pages/AnalyticsPage.jsx";
 import { ConversationsPage } from "./pages/ConversationsPage.jsx";
+import { InboxPage } from "./pages/InboxPage.jsx";
 import { ProtectedRoute } from "./components/ProtectedRoute.jsx";
 
 const navItems = [
   { to: "/leads", label: "Leads" },
+  { to: "/inbox", label: "Live Inbox" },
   { to: "/conversations", label: "Conversations" },
   { to: "/analytics", label: "Analytics" },
   { to: "/settings", label: "Widget Settings" },
@@ -101,6 +103,14 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/inbox"
+              element={
+                <ProtectedRoute>
+                  <InboxPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/conversations"
               element={
@@ -65,6 +65,30 @@ export function resolveWebsiteInfo(lead) {
   };
 }
 
+export function resolveAssignee(lead) {
+  return lead.assignedTo || lead.assigned_to || "";
+}
+
+function resolveScoreTone(score) {
+  if (score >= 70) {
+    return "border-emerald-400/40 bg-emerald-400/20 text-emerald-100";
+  }
+  if (score >= 40) {
+    return "border-amber-400/40 bg-amber-400/20 text-amber-100";
+  }
+  return "border-white/20 bg-white/10 text-slate-300";
+}
+
+function describeScoreFactors(lead) {
+  const factors = lead.scoreFactors || lead.score_factors;
+  if (!Array.isArray(factors)) {
+    return "";
+  }
+  return factors
+    .map((factor) => `${factor.key}: +${factor.points}`)
+    .join("\n");
+}
+
 export function LeadsTable({ leads }) {
   if (!leads.length) {
     return (
@@ -249,9 +273,24 @@ export function LeadsTable({ leads }) {
                     : "—"}
                 </td>
                 <td className="px-5 py-4 align-top">
-                  <span className="rounded-full border border-sky-400/40 bg-sky-400/20 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-sky-100">
-                    {lead.status || "new"}
-                  </span>
+                  <div className="flex flex-col items-start gap-2">
+                    <span className="rounded-full border border-sky-400/40 bg-sky-400/20 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-sky-100">
+                      {lead.status || "new"}
+                    </span>
+                    <span className="text-xs text-slate-300/80">
+                      {resolveAssignee(lead)
+                        ? `Owner: ${resolveAssignee(lead)}`
+                        : "Unassigned"}
+                    </span>
+                    {typeof lead.score === "number" && (
+                      <span
+                        className={`rounded-full border px-3 py-1 text-xs font-semibold ${resolveScoreTone(lead.score)}`}
+                        title={describeScoreFactors(lead)}
+                      >
+                        Score {lead.score}
+                      </span>
+                    )}
+                  </div>
                 </td>
               </tr>
             );
@@ -164,6 +164,12 @@ api.interceptors.request.use(
     if (apiKey && (config.url?.includes("/widget-config") || config.method === "post")) {
       config.headers["X-API-Key"] = apiKey;
     }
+
+    // Identify the signed-in user (e.g. for /leads?assignee=me)
+    const sessionToken = localStorage.getItem("dashboard_token");
+    if (sessionToken) {
+      config.headers["X-Session-Token"] = sessionToken;
+    }
     
     // Log request details (always log in development, or when debug=true)
     const shouldLog = typeof window !== "undefined" && 
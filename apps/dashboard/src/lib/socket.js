@@ -0,0 +1,25 @@
+import { io } from "socket.io-client";
+import { api } from "./api.js";
+
+// socket.io is served from the API origin; a relative /api base means same origin
+// (the Vite dev server proxies /socket.io to the API)
+function resolveSocketOrigin() {
+  const baseURL = api.defaults.baseURL || "";
+  if (/^https?:\/\//i.test(baseURL)) {
+    return new URL(baseURL).origin;
+  }
+  return undefined;
+}
+
+/**
+ * Socket for the signed-in dashboard user. The API places it in the user's agent
+ * room so assignment events ("lead:assigned") reach their dashboard live.
+ */
+export function createDashboardSocket() {
+  return io(resolveSocketOrigin(), {
+    auth: {
+      token: localStorage.getItem("dashboard_token"),
+    },
+    transports: ["websocket", "polling"],
+  });
+}
@@ -1,11 +1,27 @@
 import { useEffect, useState } from "react";
 import { api } from "../lib/api.js";
 
+// "converted" filter values: sessions that reached a lead, or drop-offs without one
+const OUTCOME_OPTIONS = [
+  { value: "", label: "All conversations" },
+  { value: "true", label: "Converted to lead" },
+  { value: "false", label: "Abandoned (no lead)" },
+];
+
+const sessionLeadId = (conv) => conv.leadId ?? conv.lead_id ?? null;
+const isVisitorMessage = (msg) => msg.role === "user" || msg.type === "user";
+
+function senderLabel(msg) {
+  if (isVisitorMessage(msg)) return "User";
+  return msg.type === "agent" ? "Live agent" : "Agent";
+}
+
 export function ConversationsPage() {
   const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
   const [micrositeFilter, setMicrositeFilter] = useState("");
+  const [outcomeFilter, setOutcomeFilter] = useState("");
   const [selectedConversation, setSelectedConversation] = useState(null);
 
   useEffect(() => {
@@ -16,6 +32,9 @@ export function ConversationsPage() {
         if (micrositeFilter) {
           params.microsite = micrositeFilter;
         }
+        if (outcomeFilter) {
+          params.converted = outcomeFilter;
+        }
         const response = await api.get("/chat-sessions", { params });
         setConversations(response.data.items || []);
       } catch (error) {
@@ -26,7 +45,7 @@ export function ConversationsPage() {
     }
 
     loadConversations();
-  }, [micrositeFilter]);
+  }, [micrositeFilter, outcomeFilter]);
 
   const filteredConversations = conversations.filter((conv) => {
     if (!searchTerm) return true;
@@ -34,7 +53,7 @@ export function ConversationsPage() {
     return (
       conv.phone?.toLowerCase().includes(search) ||
       conv.microsite?.toLowerCase().includes(search) ||
-      conv.leadId?.toLowerCase().includes(search)
+      String(sessionLeadId(conv) ?? "").toLowerCase().includes(search)
     );
   });
 
@@ -56,7 +75,7 @@ export function ConversationsPage() {
         <div>
           <h2 className="text-2xl font-semibold text-white">Chat Conversations</h2>
           <p className="text-sm text-slate-300">
-            View all chat conversations and their full history
+            View all chat conversations, including visitors who left before sharing their number
           </p>
         </div>
       </div>
@@ -80,6 +99,17 @@ export function ConversationsPage() {
                 onChange={(e) => setMicrositeFilter(e.target.value)}
                 className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
               />
+              <select
+                value={outcomeFilter}
+                onChange={(e) => setOutcomeFilter(e.target.value)}
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+              >
+                {OUTCOME_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value} className="bg-slate-900">
+                    {option.label}
+                  </option>
+                ))}
+              </select>
             </div>
           </div>
 
@@ -103,8 +133,13 @@ export function ConversationsPage() {
                   >
                     <div className="space-y-1">
                       <div className="flex items-center justify-between">
-                        <span className="text-sm font-medium text-white">
+                        <span className="flex items-center gap-2 text-sm font-medium text-white">
                           {conv.phone || "No phone"}
+                          {!sessionLeadId(conv) && (
+                            <span className="rounded-full bg-amber-500/20 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide text-amber-200">
+                              Abandoned
+                            </span>
+                          )}
                         </span>
                         <span className="text-xs text-slate-400">
                           {formatDate(conv.createdAt)}
@@ -154,7 +189,19 @@ export function ConversationsPage() {
                   <div>
                     <span className="text-slate-400">Lead ID:</span>
                     <span className="ml-2 text-white font-mono text-xs">
-                      {selectedConversation.leadId || "—"}
+                      {sessionLeadId(selectedConversation) || "No lead (abandoned)"}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-slate-400">Visitor:</span>
+                    <span className="ml-2 text-white font-mono text-xs">
+                      {selectedConversation.visitorId || selectedConversation.visitor_id || "—"}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-slate-400">Messages:</span>
+                    <span className="ml-2 text-white">
+                      {selectedConversation.conversation?.length || 0}
                     </span>
                   </div>
                   <div>
@@ -181,13 +228,13 @@ export function ConversationsPage() {
                       <div
                         key={index}
                         className={`rounded-lg p-3 ${
-                          msg.role === "user"
+                          isVisitorMessage(msg)
                             ? "bg-sky-500/20 text-white ml-8"
                             : "bg-white/5 text-slate-200 mr-8"
                         }`}
                       >
                         <div className="text-xs text-slate-400 mb-1">
-                          {msg.role === "user" ? "User" : "Agent"} • {msg.timestamp || "—"}
+                          {senderLabel(msg)} • {msg.timestamp || "—"}
                         </div>
                         <div className="text-sm whitespace-pre-wrap">{msg.content || msg.text || JSON.stringify(msg)}</div>
                       </div>
@@ -0,0 +1,393 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createDashboardSocket } from "../lib/socket.js";
+
+const CLAIM_ERRORS = {
+  already_claimed: "Another agent has already taken this chat.",
+  not_found: "The visitor has left.",
+};
+
+function formatTime(timestamp) {
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function visitorLabel(chat) {
+  return chat.visitorName || `Visitor ${chat.visitorId.slice(-6)}`;
+}
+
+function lastMessage(chat) {
+  return chat.messages?.[chat.messages.length - 1]?.text || "No messages yet";
+}
+
+export function InboxPage() {
+  const username = localStorage.getItem("dashboard_username");
+  const [connected, setConnected] = useState(false);
+  const [agents, setAgents] = useState([]);
+  const [chats, setChats] = useState({});
+  const [typing, setTyping] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  const typingSentRef = useRef(false);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    const socket = createDashboardSocket();
+    socketRef.current = socket;
+
+    socket.on("connect", () => setConnected(true));
+    socket.on("disconnect", () => setConnected(false));
+    socket.on("live:state", (state) => {
+      setAgents(state.agents || []);
+      setChats(Object.fromEntries((state.chats || []).map((chat) => [chat.visitorId, chat])));
+    });
+    socket.on("live:agents", setAgents);
+    socket.on("live:chat", (chat) => {
+      setChats((prev) => ({ ...prev, [chat.visitorId]: chat }));
+    });
+    socket.on("live:removed", ({ visitorId }) => {
+      setChats((prev) => {
+        const { [visitorId]: _removed, ...rest } = prev;
+        return rest;
+      });
+    });
+    socket.on("live:message", ({ visitorId, message }) => {
+      setTyping((prev) => ({ ...prev, [visitorId]: null }));
+      setChats((prev) => {
+        const chat = prev[visitorId];
+        if (!chat || chat.messages.some((existing) => existing.id === message.id)) {
+          return prev;
+        }
+        return { ...prev, [visitorId]: { ...chat, messages: [...chat.messages, message] } };
+      });
+    });
+    socket.on("live:typing", ({ visitorId, from, typing: isTyping }) => {
+      setTyping((prev) => ({ ...prev, [visitorId]: isTyping ? from : null }));
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, []);
+
+  const me = agents.find((agent) => agent.username === username);
+  const selectedChat = selectedId ? chats[selectedId] : null;
+  const isMine = selectedChat?.status === "live" && selectedChat.agent === username;
+
+  const groups = useMemo(() => {
+    const all = Object.values(chats);
+    const byRecent = (a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt));
+    return [
+      {
+        title: "Waiting",
+        empty: "Nobody is waiting",
+        items: all
+          .filter((chat) => chat.status === "queued")
+          .sort((a, b) => String(a.requestedAt).localeCompare(String(b.requestedAt))),
+      },
+      {
+        title: "My chats",
+        empty: "No active chats",
+        items: all.filter((chat) => chat.status === "live" && chat.agent === username).sort(byRecent),
+      },
+      {
+        title: "With other agents",
+        empty: null,
+        items: all.filter((chat) => chat.status === "live" && chat.agent !== username).sort(byRecent),
+      },
+      {
+        title: "Chatting with the bot",
+        empty: "No visitors right now",
+        items: all.filter((chat) => chat.status === "bot" && chat.online).sort(byRecent),
+      },
+    ];
+  }, [chats, username]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [selectedChat?.messages?.length, selectedId]);
+
+  useEffect(() => {
+    setDraft("");
+    setError(null);
+    typingSentRef.current = false;
+  }, [selectedId]);
+
+  const emit = (event, payload) =>
+    new Promise((resolve) => {
+      socketRef.current?.timeout(5000).emit(event, payload, (err, ack) => {
+        resolve(err ? { ok: false, reason: "timeout" } : ack);
+      });
+    });
+
+  const handleAvailability = async (status) => {
+    const ack = await emit("live:availability", { status });
+    if (!ack?.ok) {
+      setError("Could not update your availability");
+    }
+  };
+
+  const handleClaim = async () => {
+    setError(null);
+    const ack = await emit("live:claim", { visitorId: selectedId });
+    if (!ack?.ok) {
+      setError(CLAIM_ERRORS[ack?.reason] || "Could not take this chat");
+    }
+  };
+
+  const handleClose = async () => {
+    const ack = await emit("live:close", { visitorId: selectedId });
+    if (!ack?.ok) {
+      setError("Could not close this chat");
+    }
+  };
+
+  const sendTyping = (isTyping) => {
+    if (typingSentRef.current === isTyping) {
+      return;
+    }
+    typingSentRef.current = isTyping;
+    socketRef.current?.emit("live:typing", { visitorId: selectedId, typing: isTyping });
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft(event.target.value);
+    sendTyping(event.target.value.trim().length > 0);
+  };
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) {
+      return;
+    }
+    setDraft("");
+    sendTyping(false);
+    const ack = await emit("live:message", { visitorId: selectedId, text });
+    if (!ack?.ok) {
+      setDraft(text);
+      setError("Message not sent. The chat may have ended.");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Live Inbox</h2>
+          <p className="text-sm text-slate-300">
+            Take over widget conversations and chat with visitors in real time
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className={`text-xs ${connected ? "text-emerald-300" : "text-rose-300"}`}>
+            {connected ? "Connected" : "Reconnecting..."}
+          </span>
+          <div className="flex rounded-full border border-white/10 bg-white/5 p-1">
+            {["available", "away"].map((status) => (
+              <button
+                key={status}
+                onClick={() => handleAvailability(status)}
+                disabled={!connected}
+                className={`rounded-full px-3 py-1 text-xs font-medium capitalize transition-colors ${
+                  me?.status === status
+                    ? status === "available"
+                      ? "bg-emerald-500/30 text-emerald-100"
+                      : "bg-amber-500/30 text-amber-100"
+                    : "text-slate-300 hover:text-white"
+                }`}
+              >
+                {status}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="lg:col-span-1 space-y-4">
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-4 backdrop-blur">
+            <h3 className="mb-3 text-xs font-semibold uppercase tracking-wider text-slate-400">
+              Agents online
+            </h3>
+            {agents.filter((agent) => agent.online).length === 0 ? (
+              <p className="text-sm text-slate-400">Nobody is online</p>
+            ) : (
+              <ul className="space-y-2">
+                {agents
+                  .filter((agent) => agent.online)
+                  .map((agent) => (
+                    <li key={agent.username} className="flex items-center justify-between text-sm">
+                      <span className="flex items-center gap-2 text-white">
+                        <span
+                          className={`h-2 w-2 rounded-full ${
+                            agent.status === "available" ? "bg-emerald-400" : "bg-amber-400"
+                          }`}
+                        />
+                        {agent.username}
+                      </span>
+                      <span className="text-xs text-slate-400">
+                        {agent.activeChats} active
+                      </span>
+                    </li>
+                  ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="rounded-2xl border border-white/10 bg-white/5 backdrop-blur max-h-[600px] overflow-y-auto">
+            {groups.map((group) =>
+              group.items.length === 0 && !group.empty ? null : (
+                <div key={group.title} className="border-b border-white/5 last:border-b-0">
+                  <h3 className="px-4 pt-4 pb-2 text-xs font-semibold uppercase tracking-wider text-slate-400">
+                    {group.title} ({group.items.length})
+                  </h3>
+                  {group.items.length === 0 ? (
+                    <p className="px-4 pb-4 text-sm text-slate-500">{group.empty}</p>
+                  ) : (
+                    <div className="divide-y divide-white/5">
+                      {group.items.map((chat) => (
+                        <button
+                          key={chat.visitorId}
+                          onClick={() => setSelectedId(chat.visitorId)}
+                          className={`w-full p-4 text-left transition-colors ${
+                            selectedId === chat.visitorId
+                              ? "bg-sky-500/20 border-l-4 border-sky-400"
+                              : "hover:bg-white/5"
+                          }`}
+                        >
+                          <div className="space-y-1">
+                            <div className="flex items-center justify-between">
+                              <span className="text-sm font-medium text-white">
+                                {visitorLabel(chat)}
+                              </span>
+                              <span className="text-xs text-slate-400">
+                                {formatTime(chat.updatedAt)}
+                              </span>
+                            </div>
+                            <div className="text-xs text-slate-400">
+                              {chat.microsite || "—"}
+                              {chat.agent && ` • ${chat.agent}`}
+                              {!chat.online && " • left"}
+                            </div>
+                            <div className="truncate text-xs text-slate-500">
+                              {typing[chat.visitorId] === "visitor" ? "typing..." : lastMessage(chat)}
+                            </div>
+                          </div>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2">
+          {selectedChat ? (
+            <div className="flex h-full flex-col rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+              <div className="mb-4 flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">{visitorLabel(selectedChat)}</h3>
+                  <p className="text-xs text-slate-400">
+                    {selectedChat.microsite || "—"}
+                    {selectedChat.pageUrl && ` • ${selectedChat.pageUrl}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {isMine ? (
+                    <button
+                      onClick={handleClose}
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10 transition-colors"
+                    >
+                      Close chat
+                    </button>
+                  ) : (
+                    selectedChat.status !== "live" &&
+                    selectedChat.online && (
+                      <button
+                        onClick={handleClaim}
+                        className="rounded-lg bg-sky-500 px-3 py-2 text-sm font-medium text-white hover:bg-sky-400 transition-colors"
+                      >
+                        {selectedChat.status === "queued" ? "Accept chat" : "Take over"}
+                      </button>
+                    )
+                  )}
+                </div>
+              </div>
+
+              {error && <p className="mb-3 text-sm text-rose-300">{error}</p>}
+
+              <div className="flex-1 space-y-3 max-h-[500px] overflow-y-auto">
+                {selectedChat.messages.length === 0 ? (
+                  <div className="text-center text-slate-400 py-8">No messages yet</div>
+                ) : (
+                  selectedChat.messages.map((msg) =>
+                    msg.from === "system" ? (
+                      <p key={msg.id} className="text-center text-xs text-slate-500">
+                        {msg.text} • {formatTime(msg.timestamp)}
+                      </p>
+                    ) : (
+                      <div
+                        key={msg.id}
+                        className={`rounded-lg p-3 ${
+                          msg.from === "visitor"
+                            ? "bg-white/5 text-slate-200 mr-8"
+                            : msg.from === "agent"
+                              ? "bg-sky-500/20 text-white ml-8"
+                              : "bg-white/5 text-slate-400 ml-8"
+                        }`}
+                      >
+                        <div className="text-xs text-slate-400 mb-1">
+                          {msg.from === "visitor" ? "Visitor" : msg.from === "agent" ? msg.agent || "Agent" : "Bot"} •{" "}
+                          {formatTime(msg.timestamp)}
+                        </div>
+                        <div className="text-sm whitespace-pre-wrap">{msg.text}</div>
+                      </div>
+                    )
+                  )
+                )}
+                {typing[selectedChat.visitorId] && typing[selectedChat.visitorId] !== username && (
+                  <p className="text-xs italic text-slate-400">
+                    {typing[selectedChat.visitorId] === "visitor" ? "Visitor" : typing[selectedChat.visitorId]} is typing...
+                  </p>
+                )}
+                <div ref={messagesEndRef} />
+              </div>
+
+              {isMine && (
+                <form onSubmit={handleSend} className="mt-4 flex gap-2">
+                  <input
+                    type="text"
+                    value={draft}
+                    onChange={handleDraftChange}
+                    onBlur={() => sendTyping(false)}
+                    placeholder="Type a reply..."
+                    maxLength={1000}
+                    className="flex-1 rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!draft.trim()}
+                    className="rounded-lg bg-sky-500 px-4 py-2 text-sm font-medium text-white hover:bg-sky-400 disabled:opacity-50 transition-colors"
+                  >
+                    Send
+                  </button>
+                </form>
+              )}
+            </div>
+          ) : (
+            <div className="rounded-2xl border border-white/10 bg-white/5 p-12 text-center backdrop-blur">
+              <p className="text-slate-400">Select a chat to read along or take it over</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
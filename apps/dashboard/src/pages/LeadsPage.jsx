@@ -1,11 +1,28 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { api } from "../lib/api.js";
-import {
-  LeadsTable,
-  resolveLocation,
-  resolveSource,
-  resolveWebsiteInfo,
-} from "../components/LeadsTable.jsx";
+import { createDashboardSocket } from "../lib/socket.js";
+import { LeadsTable } from "../components/LeadsTable.jsx";
+
+const EXPORT_COLUMNS = [
+  "id",
+  "createdAt",
+  "phone",
+  "microsite",
+  "landingPage",
+  "bhkType",
+  "utmSource",
+  "utmMedium",
+  "utmCampaign",
+  "city",
+  "region",
+  "country",
+  "timezone",
+  "ip",
+  "phoneCountry",
+  "status",
+  "score",
+  "assignedTo",
+];
 
 export function LeadsPage() {
   const [leads, setLeads] = useState([]);
@@ -14,22 +31,31 @@ export function LeadsPage() {
   const [datePreset, setDatePreset] = useState("all");
   const [customStart, setCustomStart] = useState("");
   const [customEnd, setCustomEnd] = useState("");
+  const [assigneeFilter, setAssigneeFilter] = useState("all");
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const socket = createDashboardSocket();
+    // Reload when a lead is assigned to or taken from this user
+    socket.on("lead:assigned", () => setRefreshKey((key) => key + 1));
+    return () => {
+      socket.disconnect();
+    };
+  }, []);
 
   useEffect(() => {
     async function loadLeads() {
       setLoading(true);
       try {
-        const params = {};
-
-        if (searchTerm) {
-          params.search = searchTerm;
-        }
-
-        const { startDate, endDate } = resolveDateRange({
+        const params = buildLeadParams({
+          searchTerm,
+          assigneeFilter,
           datePreset,
           customStart,
           customEnd,
         });
+        const { startDate, endDate } = params;
 
         // Log the date range being used
         console.log("📅 Date Filter:", {
@@ -38,9 +64,6 @@ export function LeadsPage() {
           endDate: endDate ? new Date(endDate).toLocaleString() : "None (all time)",
         });
 
-        if (startDate) params.startDate = startDate;
-        if (endDate) params.endDate = endDate;
-
         const response = await api.get("/leads", {
           params,
         });
@@ -120,7 +143,7 @@ export function LeadsPage() {
     }
 
     loadLeads();
-  }, [searchTerm, datePreset, customStart, customEnd]);
+  }, [searchTerm, datePreset, customStart, customEnd, assigneeFilter, refreshKey]);
 
   const stats = useMemo(() => {
     if (!leads.length) {
@@ -182,97 +205,52 @@ export function LeadsPage() {
     };
   }, [leads]);
 
-  const handleExport = () => {
-    if (!leads.length) {
-      return;
-    }
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      // The API streams every matching lead, not just the page loaded here
+      const response = await api.get("/leads/export", {
+        params: {
+          ...buildLeadParams({
+            searchTerm,
+            assigneeFilter,
+            datePreset,
+            customStart,
+            customEnd,
+          }),
+          format,
+          columns: EXPORT_COLUMNS.join(","),
+        },
+        headers: {
+          "X-API-Key": localStorage.getItem("widget_config_api_key") || undefined,
+        },
+        responseType: "blob",
+        timeout: 0,
+      });
 
-    const escapeCell = (value) => {
-      if (value === null || value === undefined) {
-        return "";
-      }
-      const stringValue = String(value);
-      if (/[",\n]/.test(stringValue)) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+      if (response.status !== 200) {
+        throw new Error(`Export failed with status ${response.status}`);
       }
-      return stringValue;
-    };
 
-    const headers = [
-      "Lead ID",
-      "Captured At",
-      "Phone",
-      "Microsite",
-      "Website",
-      "Environment",
-      "Landing Page",
-      "Interest",
-      "Source (Display)",
-      "UTM Source",
-      "UTM Medium",
-      "UTM Campaign",
-      "Location",
-      "Timezone",
-      "IP Address",
-      "Status",
-    ];
-
-    const rows = leads.map((lead, index) => {
-      const rawId =
-        (typeof lead.id === "string" && lead.id) ||
-        (typeof lead._id === "string" && lead._id) ||
-        String(index + 1);
-      const website = resolveWebsiteInfo(lead);
-      const websiteLabel = lead.metadata?.website
-        ? String(lead.metadata.website)
-        : website.label;
-      const micrositeLabel = lead.microsite ? String(lead.microsite) : "";
-      const utm = lead.metadata?.visitor?.utm || {};
-      const locationLabel = resolveLocation(lead);
-      const timezone = lead.metadata?.visitor?.location?.timezone || "";
-      const ip = lead.metadata?.visitor?.ip || "";
-      const formattedPhone = formatPhoneForExport(lead);
-
-      return [
-        rawId,
-        lead.createdAt ? new Date(lead.createdAt).toISOString() : "",
-        formattedPhone,
-        micrositeLabel,
-        websiteLabel,
-        website.environment || "",
-        website.landingPage || "",
-        lead.bhkType || "",
-        resolveSource(lead),
-        utm.source || "",
-        utm.medium || "",
-        utm.campaign || "",
-        locationLabel,
-        timezone,
-        ip,
-        lead.status || "new",
-      ];
-    });
-
-    const csvContent = [headers, ...rows]
-      .map((row) => row.map(escapeCell).join(","))
-      .join("\n");
-
-    const blob = new Blob([csvContent], {
-      type: "text/csv;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
-    const timestamp = new Date()
-      .toISOString()
-      .slice(0, 19)
-      .replace(/[:T]/g, "-");
-
-    const anchor = document.createElement("a");
-    anchor.href = url;
-    anchor.download = `leads-${timestamp}.csv`;
-    document.body.appendChild(anchor);
-    anchor.click();
-    document.body.removeChild(anchor);
-    URL.revokeObjectURL(url);
+      const url = URL.createObjectURL(response.data);
+      const timestamp = new Date()
+        .toISOString()
+        .slice(0, 19)
+        .replace(/[:T]/g, "-");
+
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.download = `leads-${timestamp}.${format}`;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("❌ Failed to export leads", error);
+      alert("Export failed. Check that your API key is set in Settings.");
+    } finally {
+      setExporting(false);
+    }
   };
 
   return (
@@ -349,17 +327,22 @@ export function LeadsPage() {
                 setCustomEnd(end);
               }}
             />
+
+            <AssigneeFilter value={assigneeFilter} onChange={setAssigneeFilter} />
           </div>
 
           <div className="flex flex-col gap-2 self-start sm:flex-row">
-            <button
-              type="button"
-              onClick={handleExport}
-              disabled={loading || !leads.length}
-              className="rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-2 text-sm font-semibold text-emerald-100 shadow-[0_12px_30px_rgba(16,185,129,0.35)] transition hover:border-emerald-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
-            >
-              Export CSV
-            </button>
+            {["csv", "xlsx"].map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => handleExport(format)}
+                disabled={loading || exporting || !leads.length}
+                className="rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-2 text-sm font-semibold text-emerald-100 shadow-[0_12px_30px_rgba(16,185,129,0.35)] transition hover:border-emerald-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
+              >
+                {exporting ? "Exporting…" : `Export ${format.toUpperCase()}`}
+              </button>
+            ))}
             <button
               type="button"
               onClick={() => {
@@ -367,6 +350,7 @@ export function LeadsPage() {
                 setDatePreset("all");
                 setCustomStart("");
                 setCustomEnd("");
+                setAssigneeFilter("all");
               }}
               className="rounded-full border border-white/10 px-4 py-2 text-sm font-medium text-sky-300 transition hover:border-sky-400/40 hover:text-sky-200"
             >
@@ -427,25 +411,33 @@ function StatCard({ label, value, variant = "primary" }) {
   );
 }
 
-function formatPhoneForExport(lead) {
-  const normalizedPhone = typeof lead.phone === "string" ? lead.phone.trim() : "";
-  const phoneDialCode = lead.metadata?.phoneDialCode;
-  const phoneSubscriber = lead.metadata?.phoneSubscriber;
+function buildLeadParams({
+  searchTerm,
+  assigneeFilter,
+  datePreset,
+  customStart,
+  customEnd,
+}) {
+  const params = {};
 
-  if (phoneDialCode && phoneSubscriber) {
-    return `${phoneDialCode} ${phoneSubscriber}`;
+  if (searchTerm) {
+    params.search = searchTerm;
   }
 
-  if (normalizedPhone && /^\+\d{4,}$/.test(normalizedPhone)) {
-    const dialCodeMatch = normalizedPhone.match(/^\+\d{1,4}/);
-    if (dialCodeMatch) {
-      const dialCode = dialCodeMatch[0];
-      const subscriberPart = normalizedPhone.slice(dialCode.length);
-      return subscriberPart ? `${dialCode} ${subscriberPart}` : normalizedPhone;
-    }
+  if (assigneeFilter !== "all") {
+    params.assignee = assigneeFilter;
   }
 
-  return normalizedPhone;
+  const { startDate, endDate } = resolveDateRange({
+    datePreset,
+    customStart,
+    customEnd,
+  });
+
+  if (startDate) params.startDate = startDate;
+  if (endDate) params.endDate = endDate;
+
+  return params;
 }
 
 function resolveDateRange({ datePreset, customStart, customEnd }) {
@@ -483,6 +475,33 @@ function resolveDateRange({ datePreset, customStart, customEnd }) {
   };
 }
 
+function AssigneeFilter({ value, onChange }) {
+  const options = [
+    { value: "all", label: "All owners" },
+    { value: "me", label: "My leads" },
+    { value: "unassigned", label: "Unassigned" },
+  ];
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          className={`rounded-full border px-3 py-1.5 text-xs font-semibold transition-all ${
+            value === option.value
+              ? "border-sky-400/60 bg-sky-400/20 text-sky-200 shadow-[0_8px_20px_rgba(56,189,248,0.25)]"
+              : "border-white/10 bg-white/5 text-slate-200 hover:border-sky-200/30 hover:text-white"
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 function DateFilters({
   preset,
   onPresetChange,
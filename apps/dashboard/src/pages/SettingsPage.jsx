@@ -15,12 +15,123 @@ const getDefaultProjectId = () => {
 
 const DEFAULT_PROJECT_ID = getDefaultProjectId();
 
+const TARGETING_DEVICES = ["mobile", "tablet", "desktop"];
+
+// The `targeting` config as form fields: lists become one entry per line and
+// UTM rules "source=google, facebook" lines; blank trigger values are off
+function toTargetingForm(targeting) {
+  const triggerValue = (type) => targeting?.triggers?.find((trigger) => trigger.type === type)?.value ?? "";
+  return {
+    include: (targeting?.pages?.include || []).join("\n"),
+    exclude: (targeting?.pages?.exclude || []).join("\n"),
+    utm: Object.entries(targeting?.utm || {})
+      .map(([key, values]) => `${key}=${values.join(", ")}`)
+      .join("\n"),
+    devices: targeting?.devices || [],
+    visitors: targeting?.visitors || "all",
+    scroll: triggerValue("scroll"),
+    exitIntent: Boolean(targeting?.triggers?.some((trigger) => trigger.type === "exit-intent")),
+    timeOnPage: triggerValue("time-on-page"),
+    pageViews: triggerValue("page-views"),
+    dismissCooldownHours: targeting?.dismissCooldownHours ?? "",
+  };
+}
+
+// Back to the config shape; null when no rule is set (widget shows everywhere)
+function fromTargetingForm(form) {
+  const lines = (text) => text.split("\n").map((line) => line.trim()).filter(Boolean);
+  const targeting = {};
+
+  const pages = {};
+  if (lines(form.include).length > 0) pages.include = lines(form.include);
+  if (lines(form.exclude).length > 0) pages.exclude = lines(form.exclude);
+  if (Object.keys(pages).length > 0) targeting.pages = pages;
+
+  const utm = {};
+  for (const line of lines(form.utm)) {
+    const [key, values = ""] = line.split("=");
+    const list = values.split(",").map((value) => value.trim()).filter(Boolean);
+    if (list.length > 0) utm[key.trim().replace(/^utm_/, "")] = list;
+  }
+  if (Object.keys(utm).length > 0) targeting.utm = utm;
+
+  if (form.devices.length > 0 && form.devices.length < TARGETING_DEVICES.length) targeting.devices = form.devices;
+  if (form.visitors !== "all") targeting.visitors = form.visitors;
+
+  const triggers = [];
+  if (form.scroll !== "") triggers.push({ type: "scroll", value: Number(form.scroll) });
+  if (form.exitIntent) triggers.push({ type: "exit-intent" });
+  if (form.timeOnPage !== "") triggers.push({ type: "time-on-page", value: Number(form.timeOnPage) });
+  if (form.pageViews !== "") triggers.push({ type: "page-views", value: Number(form.pageViews) });
+  if (triggers.length > 0) targeting.triggers = triggers;
+
+  if (form.dismissCooldownHours !== "") targeting.dismissCooldownHours = Number(form.dismissCooldownHours);
+
+  return Object.keys(targeting).length > 0 ? targeting : null;
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// The `businessHours` config as form fields: holidays are "2026-11-08 Diwali"
+// lines. After-hours settings the form doesn't show (translations, CTAs) are
+// kept as they are.
+function toBusinessHoursForm(businessHours) {
+  const { welcomeMessage = "", thankYouMessage = "", callbackPicker = false, ...afterHoursRest } =
+    businessHours?.afterHours || {};
+  return {
+    enabled: Boolean(businessHours) && businessHours.enabled !== false,
+    timeZone: businessHours?.timeZone || "Asia/Kolkata",
+    days: businessHours?.days || [1, 2, 3, 4, 5, 6],
+    openTime: businessHours?.openTime || "10:00",
+    closeTime: businessHours?.closeTime || "19:00",
+    holidays: (businessHours?.holidays || [])
+      .map((holiday) => [holiday.date, holiday.name].filter(Boolean).join(" "))
+      .join("\n"),
+    welcomeMessage,
+    thankYouMessage,
+    callbackPicker,
+    afterHoursRest,
+  };
+}
+
+// Back to the config shape; null when switched off (the project is always open)
+function fromBusinessHoursForm(form) {
+  if (!form.enabled) {
+    return null;
+  }
+  const holidays = form.holidays
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [date, ...name] = line.split(/\s+/);
+      return name.length > 0 ? { date, name: name.join(" ") } : { date };
+    });
+  const afterHours = { ...form.afterHoursRest };
+  if (form.welcomeMessage.trim()) afterHours.welcomeMessage = form.welcomeMessage;
+  if (form.thankYouMessage.trim()) afterHours.thankYouMessage = form.thankYouMessage;
+  if (form.callbackPicker) afterHours.callbackPicker = true;
+
+  return {
+    timeZone: form.timeZone.trim(),
+    days: [...form.days].sort(),
+    openTime: form.openTime,
+    closeTime: form.closeTime,
+    holidays,
+    afterHours: Object.keys(afterHours).length > 0 ? afterHours : null,
+  };
+}
+
 export function SettingsPage() {
   const [projectId, setProjectId] = useState(DEFAULT_PROJECT_ID);
   const [formState, setFormState] = useState({});
   const [status, setStatus] = useState("idle");
   const [uploading, setUploading] = useState(false);
   const [avatarPreview, setAvatarPreview] = useState(null);
+  // Saved versions, newest first; the form edits the newest one when it is a draft
+  const [versions, setVersions] = useState([]);
+  const [targetingForm, setTargetingForm] = useState(() => toTargetingForm(null));
+  const [businessHoursForm, setBusinessHoursForm] = useState(() => toBusinessHoursForm(null));
   const fileInputRef = useRef(null);
 
   // Default values for pre-filling
@@ -63,9 +174,17 @@ export function SettingsPage() {
         };
       }
       
+      // Keep editing an unpublished draft rather than the live config
+      const loadedVersions = await loadVersions();
+      if (loadedVersions[0]?.status === "draft") {
+        config = { ...config, ...loadedVersions[0].config };
+      }
+
       // Merge with defaults to ensure all fields are pre-filled
       const mergedConfig = { ...DEFAULT_CONFIG, ...config };
       setFormState(mergedConfig);
+      setTargetingForm(toTargetingForm(mergedConfig.targeting));
+      setBusinessHoursForm(toBusinessHoursForm(mergedConfig.businessHours));
       
       // Set avatar preview if URL exists
       if (mergedConfig.avatarUrl) {
@@ -82,14 +201,86 @@ export function SettingsPage() {
     }
   };
 
+  // History needs the API key; without it the page still edits the config
+  const loadVersions = async () => {
+    try {
+      const response = await api.get(`/widget-config/${projectId}/versions`);
+      const items = response.data?.items || [];
+      setVersions(items);
+      return items;
+    } catch (error) {
+      setVersions([]);
+      return [];
+    }
+  };
+
   useEffect(() => {
     loadConfig();
   }, [projectId]);
 
+  const handleVersionAction = async (version, action) => {
+    if (action === "rollback" && !confirm(`Roll back the live widget to version ${version.version}?`)) {
+      return;
+    }
+    try {
+      await api.post(`/widget-config/${projectId}/versions/${version.version}/${action}`);
+      await loadConfig();
+      // Notify widget to refresh immediately
+      if (typeof window !== 'undefined' && window.HomesfyChatClearCache) {
+        window.HomesfyChatClearCache();
+      }
+    } catch (error) {
+      alert(`Failed to ${action === "rollback" ? "roll back" : "publish"}: ${error.response?.data?.message || error.message}`);
+    }
+  };
+
+  const copyPreviewLink = async (version) => {
+    const param = `homesfy_preview=${version.previewToken}`;
+    try {
+      await navigator.clipboard.writeText(param);
+      alert(`Copied "${param}". Add it to a microsite URL to preview version ${version.version}.`);
+    } catch (error) {
+      prompt("Add this to a microsite URL to preview the version:", param);
+    }
+  };
+
+  const liveVersion = versions.find((version) => version.status === "published");
+  const draftVersion = versions[0]?.status === "draft" ? versions[0] : null;
+
   const handleChange = (field) => (event) => {
     setFormState((prev) => ({ ...prev, [field]: event.target.value }));
   };
 
+  const handleTargetingChange = (field) => (event) => {
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setTargetingForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleBusinessHoursChange = (field) => (event) => {
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setBusinessHoursForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleBusinessDay = (day) => {
+    setBusinessHoursForm((prev) => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter((item) => item !== day) : [...prev.days, day],
+    }));
+  };
+
+  // No devices listed means all of them
+  const toggleTargetingDevice = (device) => {
+    setTargetingForm((prev) => {
+      const current = prev.devices.length > 0 ? prev.devices : TARGETING_DEVICES;
+      return {
+        ...prev,
+        devices: current.includes(device)
+          ? current.filter((item) => item !== device)
+          : [...current, device],
+      };
+    });
+  };
+
   const handleFileSelect = (event) => {
     const file = event.target.files?.[0];
     if (file) {
@@ -180,38 +371,20 @@ export function SettingsPage() {
       });
       
       // API key is automatically added by axios interceptor if in localStorage
-      const response = await api.post(`/widget-config/${projectId}`, formState);
+      const response = await api.post(`/widget-config/${projectId}`, {
+        ...formState,
+        targeting: fromTargetingForm(targetingForm),
+        businessHours: fromBusinessHoursForm(businessHoursForm),
+      });
       
       console.log("✅ Save response:", response.data);
-      console.log("✅ Response status:", response.status);
-      
-      // Check if the response contains the updated config or just a message
-      if (response.data && (response.data.agentName || response.data.projectId)) {
-        // Response contains the config - update form state directly
-        setFormState(response.data);
-        if (response.data.avatarUrl) {
-          setAvatarPreview(response.data.avatarUrl);
-        }
-        console.log("✅ Config updated in form state");
-      } else if (response.data && response.data.message) {
-        // Response is just a message - reload from server
-        console.log("ℹ️ Response is message only, reloading config...");
-        await loadConfig();
-      } else {
-        // Unknown response format - reload anyway
-        console.log("ℹ️ Unknown response format, reloading config...");
-        await loadConfig();
-      }
-      
+
+      // Saving creates a draft version; reload so the form and history match it
+      await loadConfig();
+
       setStatus("saved");
       setTimeout(() => setStatus("idle"), 3000);
       
-      // Notify widget to refresh immediately
-      if (typeof window !== 'undefined' && window.HomesfyChatClearCache) {
-        window.HomesfyChatClearCache();
-        console.log("✅ Widget cache cleared - changes will appear immediately");
-      }
-      
     } catch (error) {
       console.error("❌ Failed to update widget config", error);
       console.error("Error response:", error.response?.data);
@@ -243,7 +416,7 @@ export function SettingsPage() {
         <div>
           <h2 className="text-2xl font-semibold text-white">Widget Settings</h2>
           <p className="text-sm text-slate-300">
-            Customize the Homesfy chat experience. Changes reflect immediately in the widget (within 3 seconds).
+            Customize the Homesfy chat experience. Saved changes become a draft; publish it to update the widget.
           </p>
         </div>
         <div className="flex items-center gap-2">
@@ -427,19 +600,251 @@ export function SettingsPage() {
           />
         </div>
 
+        <div className="space-y-4 md:col-span-2 border-t border-white/10 pt-6">
+          <div>
+            <h3 className="text-lg font-semibold text-white">Page Targeting &amp; Triggers</h3>
+            <p className="text-xs text-slate-400">
+              Where the widget appears for this project and when its invitation pops up. Leave everything empty to show it on every page.
+            </p>
+          </div>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Show only on paths</label>
+              <textarea
+                rows={3}
+                value={targetingForm.include}
+                onChange={handleTargetingChange("include")}
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                placeholder={"One per line, * as wildcard\n/projects/*"}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Hide on paths</label>
+              <textarea
+                rows={3}
+                value={targetingForm.exclude}
+                onChange={handleTargetingChange("exclude")}
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                placeholder={"/careers*\n/blog/*"}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">UTM rules</label>
+              <textarea
+                rows={3}
+                value={targetingForm.utm}
+                onChange={handleTargetingChange("utm")}
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                placeholder={"source=google, facebook\ncampaign=diwali"}
+              />
+            </div>
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Devices</label>
+                <div className="flex gap-4">
+                  {TARGETING_DEVICES.map((device) => (
+                    <label key={device} className="flex items-center gap-2 text-sm capitalize text-slate-300">
+                      <input
+                        type="checkbox"
+                        checked={targetingForm.devices.length === 0 || targetingForm.devices.includes(device)}
+                        onChange={() => toggleTargetingDevice(device)}
+                      />
+                      {device}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Visitors</label>
+                <select
+                  value={targetingForm.visitors}
+                  onChange={handleTargetingChange("visitors")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                >
+                  <option value="all">All visitors</option>
+                  <option value="new">New visitors only</option>
+                  <option value="returning">Returning visitors only</option>
+                </select>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Open invitation when (first one wins)</label>
+              <div className="grid grid-cols-3 gap-2">
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={targetingForm.scroll}
+                  onChange={handleTargetingChange("scroll")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder="Scroll %"
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={3600}
+                  value={targetingForm.timeOnPage}
+                  onChange={handleTargetingChange("timeOnPage")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder="Seconds on page"
+                />
+                <input
+                  type="number"
+                  min={1}
+                  max={50}
+                  value={targetingForm.pageViews}
+                  onChange={handleTargetingChange("pageViews")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder="Page views"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={targetingForm.exitIntent}
+                  onChange={handleTargetingChange("exitIntent")}
+                />
+                Exit intent (pointer leaves the window)
+              </label>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Don&apos;t reopen after dismissal for (hours)</label>
+              <input
+                type="number"
+                min={0}
+                max={720}
+                value={targetingForm.dismissCooldownHours}
+                onChange={handleTargetingChange("dismissCooldownHours")}
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                placeholder="e.g., 24"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-4 md:col-span-2 border-t border-white/10 pt-6">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white">Business Hours</h3>
+              <p className="text-xs text-slate-400">
+                Outside these hours and on holidays the widget shows the after-hours messages, and leads are marked as after-hours.
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={businessHoursForm.enabled}
+                onChange={handleBusinessHoursChange("enabled")}
+              />
+              Enabled
+            </label>
+          </div>
+          {businessHoursForm.enabled && (
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Open days</label>
+                <div className="flex flex-wrap gap-3">
+                  {WEEKDAYS.map((label, day) => (
+                    <label key={label} className="flex items-center gap-2 text-sm text-slate-300">
+                      <input
+                        type="checkbox"
+                        checked={businessHoursForm.days.includes(day)}
+                        onChange={() => toggleBusinessDay(day)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-slate-200">Opens</label>
+                  <input
+                    type="time"
+                    value={businessHoursForm.openTime}
+                    onChange={handleBusinessHoursChange("openTime")}
+                    className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-slate-200">Closes</label>
+                  <input
+                    type="time"
+                    value={businessHoursForm.closeTime}
+                    onChange={handleBusinessHoursChange("closeTime")}
+                    className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-slate-200">Time zone</label>
+                  <input
+                    type="text"
+                    value={businessHoursForm.timeZone}
+                    onChange={handleBusinessHoursChange("timeZone")}
+                    className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                    placeholder="Asia/Kolkata"
+                  />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Holidays</label>
+                <textarea
+                  rows={3}
+                  value={businessHoursForm.holidays}
+                  onChange={handleBusinessHoursChange("holidays")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder={"One per line: date and name\n2026-11-08 Diwali"}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">After-hours welcome message</label>
+                <textarea
+                  rows={3}
+                  value={businessHoursForm.welcomeMessage}
+                  onChange={handleBusinessHoursChange("welcomeMessage")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder="Our team is offline right now, but leave your details and we'll get back to you."
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">After-hours thank you message</label>
+                <textarea
+                  rows={2}
+                  value={businessHoursForm.thankYouMessage}
+                  onChange={handleBusinessHoursChange("thankYouMessage")}
+                  className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  placeholder="Thanks! We'll call you tomorrow after 10 AM 📞"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={businessHoursForm.callbackPicker}
+                  onChange={handleBusinessHoursChange("callbackPicker")}
+                />
+                Let visitors pick a callback time after hours
+              </label>
+            </div>
+          )}
+        </div>
+
         <div className="md:col-span-2 flex items-center justify-between pt-4 border-t border-white/10">
           <div className="text-sm">
             {status === "saving" && (
               <span className="text-sky-400">💾 Saving changes...</span>
             )}
             {status === "saved" && (
-              <span className="text-emerald-400">✅ Changes saved! Widget will update within 3 seconds.</span>
+              <span className="text-emerald-400">✅ Draft saved. Publish it to update the widget.</span>
             )}
             {status === "error" && (
               <span className="text-red-400">❌ Failed to save. Check console for details.</span>
             )}
             {status === "idle" && (
-              <span className="text-slate-400">Ready to save - changes reflect immediately</span>
+              <span className="text-slate-400">
+                {draftVersion
+                  ? `Editing draft v${draftVersion.version} (live: ${liveVersion ? `v${liveVersion.version}` : "none"})`
+                  : "Ready to save - changes are saved as a draft"}
+              </span>
             )}
           </div>
           <div className="flex gap-3">
@@ -469,11 +874,86 @@ export function SettingsPage() {
               disabled={status === "saving"}
               className="rounded-lg bg-sky-600 px-6 py-2 text-sm font-semibold text-white shadow-sm hover:bg-sky-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {status === "saving" ? "Saving..." : "Save Changes"}
+              {status === "saving" ? "Saving..." : "Save Draft"}
             </button>
+            {draftVersion && (
+              <button
+                type="button"
+                onClick={() => handleVersionAction(draftVersion, "publish")}
+                disabled={status === "saving"}
+                className="rounded-lg bg-emerald-600 px-6 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Publish v{draftVersion.version}
+              </button>
+            )}
           </div>
         </div>
       </form>
+
+      {versions.length > 0 && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+          <h3 className="mb-4 text-lg font-semibold text-white">Version History</h3>
+          <ul className="divide-y divide-white/10">
+            {versions.map((version) => (
+              <li key={version.version} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2 text-sm text-white">
+                    <span className="font-semibold">v{version.version}</span>
+                    <span
+                      className={`rounded-full px-2 py-0.5 text-xs ${
+                        version.status === "published"
+                          ? "bg-emerald-500/20 text-emerald-300"
+                          : version.status === "draft"
+                            ? "bg-amber-500/20 text-amber-300"
+                            : "bg-white/10 text-slate-300"
+                      }`}
+                    >
+                      {version.status === "published" ? "live" : version.status}
+                    </span>
+                    <span className="text-xs text-slate-400">
+                      {version.createdBy || "unknown"} · {new Date(version.createdAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="truncate text-xs text-slate-400">
+                    {version.rolledBackFrom
+                      ? `Rollback to v${version.rolledBackFrom}`
+                      : version.diff.length > 0
+                        ? `Changed: ${version.diff.map((change) => change.field).join(", ")}`
+                        : "Initial version"}
+                  </p>
+                </div>
+                <div className="flex shrink-0 gap-2">
+                  <button
+                    type="button"
+                    onClick={() => copyPreviewLink(version)}
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                  >
+                    Preview link
+                  </button>
+                  {version.status === "draft" && (
+                    <button
+                      type="button"
+                      onClick={() => handleVersionAction(version, "publish")}
+                      className="rounded-lg border border-emerald-500/40 px-3 py-1 text-xs font-medium text-emerald-300 hover:bg-emerald-500/10"
+                    >
+                      Publish
+                    </button>
+                  )}
+                  {version.status === "archived" && (
+                    <button
+                      type="button"
+                      onClick={() => handleVersionAction(version, "rollback")}
+                      className="rounded-lg border border-white/10 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                    >
+                      Roll back
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
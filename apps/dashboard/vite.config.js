@@ -63,6 +63,11 @@ export default defineConfig(({ mode }) => {
       port: 5173,
       hmr: false, // Disable Hot Module Replacement to prevent auto-reloads
       proxy: {
+        "/socket.io": {
+          target: "http://localhost:4000",
+          changeOrigin: true,
+          ws: true,
+        },
         "/api": {
           target: "http://localhost:4000",
           changeOrigin: true,
@@ -1,5 +1,14 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./styles.css";
+import { LANGUAGES, getInitialLanguage, resolveCopy, storeLanguage } from "./translations.js";
+import { liveChatCopy, loadSocketClient } from "./liveChat.js";
+import { getVisitorId } from "./visitor.js";
+import { downloadIcs, formatSlotDate, formatSlotTime, siteVisitCopy } from "./siteVisits.js";
+import { documentCopy, documentLabel, isLinkExpired } from "./documents.js";
+import { DEFAULT_BHK_OPTIONS, DEFAULT_CTA_OPTIONS, resolveOptions } from "./options.js";
+import { assignVariant } from "./experiments.js";
+import { afterHoursOverrides, callbackCopy, callbackSlots } from "./businessHours.js";
+import { recordDismissal } from "./targeting.js";
 
 const DEFAULT_PRIMARY_COLOR = "#6158ff";
 const DEFAULT_PRIMARY_RGB = "97, 88, 255";
@@ -126,23 +135,34 @@ const UTM_PARAMS = [
   "utm_term",
   "utm_content",
 ];
-const CTA_OPTIONS = [
-  "Pricing & Floor Plans 💸💸",
-  "Download Brochure ⬇️",
-  "Get The Best Quote 💰",
-  "Site Visit Or Virtual Tour 🚁",
-  "Pricing on Whatsapp ✅",
-  "Get A Call Back 📞",
-];
-
-const BHK_OPTIONS = [
-  "1 Bhk",
-  "2 Bhk",
-  "3 Bhk",
-  "4 Bhk",
-  "Other",
-  "Yet to decide",
-];
+const CHAT_MODES = ["scripted", "conversational", "hybrid"];
+const CHAT_FALLBACK_REPLY =
+  "I'd love to help you with that! Share your name and phone so our team can assist you better.";
+
+// CTA actions that end with download links for the project's documents of
+// these types ("site-visit" opens the date/slot picker instead)
+const DOCUMENT_ACTION_TYPES = {
+  "floor-plans": ["floor-plan", "brochure"],
+  brochure: ["brochure"],
+};
+
+// Lower-case letters and digits only, for matching typed text to an option
+const optionKey = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").trim();
+
+// Project ID for lead submission - from the embed script's data-project attribute
+// or the page URL. Widget design is shared (same for all), but leads are project-specific
+function resolveLeadProjectId(projectId) {
+  const urlParams = new URLSearchParams(window.location.search);
+  const projectIdFromUrl = urlParams.get("project_id") || urlParams.get("projectId");
+  // Check for data attribute on script tag as fallback
+  const scriptElement = document.currentScript ||
+    document.querySelector('script[data-project]') ||
+    document.querySelector('script[data-project-id]') ||
+    document.querySelector('script[src*="widget.js"]');
+  const projectIdFromData = scriptElement?.dataset?.project || scriptElement?.dataset?.projectId;
+  // Use projectId prop FIRST (from embed script data-project attribute)
+  return projectId || projectIdFromUrl || projectIdFromData || "5796";
+}
 
 const COUNTRY_PHONE_CODES = [
   { code: "+91", name: "India", countryCode: "IN", selected: true },
@@ -397,8 +417,10 @@ export function ChatWidget({
   projectId,
   microsite,
   theme = {},
+  projectConfig = null, // Lead project's config from widget.jsx, when it differs from theme
   onEvent,
   preservedState = null, // Optional preserved state from global store
+  watchAutoOpen = null, // Page trigger rules from widget.jsx (see targeting.js)
 }) {
   // Extract propertyInfo from theme
   const propertyInfo = theme.propertyInfo || {};
@@ -486,55 +508,133 @@ export function ChatWidget({
   const [nameInput, setNameInput] = useState(""); // Separate state for name
   const [phoneInput, setPhoneInput] = useState(""); // Separate state for phone
   const [selectedCountry, setSelectedCountry] = useState(DEFAULT_COUNTRY);
+  // The lead project's chat mode, translations, CTA/BHK lists, experiments and
+  // business hours; the shared design config may belong to another project
+  const leadProjectId = resolveLeadProjectId(projectId);
+  // A previewed version (it carries versionStatus) wins over the published theme
+  const projectSource = useMemo(
+    () =>
+      theme.projectId === leadProjectId && !projectConfig?.versionStatus
+        ? theme
+        : projectConfig || {},
+    [theme, leadProjectId, projectConfig]
+  );
   // Simple flow state: CTA → BHK → Name + Phone (together)
-  const [currentStage, setCurrentStage] = useState(preservedState?.currentStage || "cta"); // "cta" | "bhk" | "name" | "complete"
-
-  const resolvedTheme = useMemo(
-    () => ({
-      agentName: theme.agentName || "Riya Agarwal",
-      avatarUrl: resolveAvatarUrl(theme.avatarUrl),
-      primaryColor: theme.primaryColor || DEFAULT_PRIMARY_COLOR,
-      bubblePosition: theme.bubblePosition || "bottom-right",
+  // "chat" is free conversation through /api/chat before lead capture is offered
+  const [currentStage, setCurrentStage] = useState(
+    preservedState?.currentStage || (projectSource.chatMode === "conversational" ? "chat" : "cta")
+  ); // "cta" | "chat" | "bhk" | "name" | "site-visit" | "callback" | "complete"
+  const chatContextRef = useRef(null); // Echoed back to /api/chat so "yes" follows up on the last answer
+  // Chat session saved turn by turn from the visitor's first message (see saveChatSession)
+  const chatSessionRef = useRef(preservedState?.chatSession || { id: null, savedCount: 0 });
+  const chatSessionQueueRef = useRef(Promise.resolve());
+  const [language, setLanguage] = useState(getInitialLanguage); // "en" | "hinglish" | "hi", kept for the session
+  const languageRef = useRef(language);
+  languageRef.current = language;
+
+  // Live agent chat: "bot" while the scripted/AI flow answers, "queued" while the
+  // visitor waits for an agent and "live" once one has taken over
+  const [liveStatus, setLiveStatus] = useState("bot");
+  const [liveAgentName, setLiveAgentName] = useState(null);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [agentsAvailable, setAgentsAvailable] = useState(false);
+  const [agentTyping, setAgentTyping] = useState(false);
+  const liveSocketRef = useRef(null);
+  const liveStatusRef = useRef("bot");
+  const visitorTypingRef = useRef(false);
+
+  // Site visit picker ("site-visit" stage): { projectId, leadId, timeZone, dates,
+  // date, mode, booking }. booking holds the confirmed visit and its invite.
+  const [siteVisit, setSiteVisit] = useState(preservedState?.siteVisit || null);
+  // Unlocked downloads: { projectId, leadId, types, items } with signed links
+  const [documents, setDocuments] = useState(preservedState?.documents || null);
+  // After-hours callback picker ("callback" stage): { leadId, timeZone, slots }
+  const [callback, setCallback] = useState(preservedState?.callback || null);
+
+  // { experimentId, variantId, overrides } while an experiment is running; the
+  // variant's overrides replace config fields below
+  const experiment = useMemo(
+    () => assignVariant(projectSource.experiments, getVisitorId()),
+    [projectSource.experiments]
+  );
+  const experimentRef = useRef(experiment);
+  experimentRef.current = experiment;
+
+  // While the project is closed its after-hours copy and CTAs win over both
+  // the config and the experiment variant
+  const afterHours = useMemo(() => afterHoursOverrides(projectSource), [projectSource]);
+
+  const resolvedTheme = useMemo(() => {
+    const { translations: afterHoursTranslations, ...afterHoursFields } = afterHours || {};
+    const config = {
+      ...theme,
+      chatMode: projectSource.chatMode,
+      translations: projectSource.translations,
+      ...experiment?.overrides,
+      ...afterHoursFields,
+    };
+    // Hindi/Hinglish copy replaces the English config copy field by field
+    const copy = {
+      ...resolveCopy(language, config.translations),
+      ...afterHoursTranslations?.[language],
+    };
+    const optionSource = { ...projectSource, ...experiment?.overrides, ...afterHoursFields };
+    return {
+      agentName: config.agentName || "Riya Agarwal",
+      avatarUrl: resolveAvatarUrl(config.avatarUrl),
+      primaryColor: config.primaryColor || DEFAULT_PRIMARY_COLOR,
+      bubblePosition: config.bubblePosition || "bottom-right",
       welcomeMessage:
-        theme.welcomeMessage ||
+        copy.welcomeMessage ||
+        config.welcomeMessage ||
         "Hey, I'm Riya Agarwal! How can I help you understand this project?",
       namePrompt:
-        theme.namePrompt || "Please enter your name",
+        copy.namePrompt || config.namePrompt || "Please enter your name",
       ctaAcknowledgement:
-        theme.followupMessage ||
-        theme.ctaAcknowledgement ||
+        copy.followupMessage ||
+        config.followupMessage ||
+        config.ctaAcknowledgement ||
         "Sure… I'll send that across right away!",
       bhkPrompt:
-        theme.bhkPrompt || "Which configuration you are looking for?",
+        copy.bhkPrompt || config.bhkPrompt || "Which configuration you are looking for?",
       inventoryMessage:
-        theme.inventoryMessage ||
+        copy.inventoryMessage ||
+        config.inventoryMessage ||
         "That's cool… we have inventory available with us.",
       phonePrompt:
-        theme.phonePrompt || "Please enter your mobile number...",
+        copy.phonePrompt || config.phonePrompt || "Please enter your mobile number...",
       thankYouMessage:
-        theme.thankYouMessage ||
+        copy.thankYouMessage ||
+        config.thankYouMessage ||
         "Thanks! Our expert will call you shortly 📞",
-      autoOpenDelayMs: Number(theme.autoOpenDelayMs || 4000),
-      bubbleTitle: theme.bubbleTitle || "Chat with us",
-      bubbleSubtitle: theme.bubbleSubtitle || "Expert help in minutes",
+      autoOpenDelayMs: Number(config.autoOpenDelayMs || 4000),
+      // "scripted" | "conversational" | "hybrid" - how typed messages are handled
+      chatMode: CHAT_MODES.includes(config.chatMode) ? config.chatMode : "scripted",
+      // { value, label, action } - label is shown in the visitor's language, value is stored
+      ctaOptions: resolveOptions(optionSource.ctaOptions, DEFAULT_CTA_OPTIONS, {
+        language,
+        defaultLabels: copy.ctaOptions,
+      }),
+      bhkOptions: resolveOptions(optionSource.bhkOptions, DEFAULT_BHK_OPTIONS, { language }),
+      bubbleTitle: config.bubbleTitle || "Chat with us",
+      bubbleSubtitle: config.bubbleSubtitle || "Expert help in minutes",
       heroPoints:
-        Array.isArray(theme.heroPoints) && theme.heroPoints.length > 0
-          ? theme.heroPoints
+        Array.isArray(config.heroPoints) && config.heroPoints.length > 0
+          ? config.heroPoints
           : [
               "Instant project availability",
               "Exclusive launch offers",
               "Dedicated closing support",
             ],
       trustBadges:
-        Array.isArray(theme.trustBadges) && theme.trustBadges.length > 0
-          ? theme.trustBadges
+        Array.isArray(config.trustBadges) && config.trustBadges.length > 0
+          ? config.trustBadges
           : [
               "2000+ happy buyers assisted",
               "Verified listings • RERA compliant",
             ],
-    }),
-    [theme]
-  );
+    };
+  }, [theme, language, experiment, afterHours, projectSource]);
 
   // Store latest theme in ref for use in effects (initialized after resolvedTheme is defined)
   const resolvedThemeRef = useRef(resolvedTheme);
@@ -584,8 +684,12 @@ export function ChatWidget({
       preservedState.nameSubmitted = nameSubmitted;
       preservedState.phoneSubmitted = phoneSubmitted;
       preservedState.componentMountId = componentMountIdRef.current;
+      preservedState.chatSession = chatSessionRef.current;
+      preservedState.siteVisit = siteVisit;
+      preservedState.callback = callback;
+      preservedState.documents = documents;
     }
-  }, [isOpen, messages, selectedCta, selectedBhk, currentStage, userName, nameSubmitted, phoneSubmitted, preservedState]);
+  }, [isOpen, messages, selectedCta, selectedBhk, currentStage, userName, nameSubmitted, phoneSubmitted, siteVisit, callback, documents, preservedState]);
   
   // Detect component mount/remount - simplified to prevent conflicts
   const hasMountedRef = useRef(false);
@@ -620,9 +724,9 @@ export function ChatWidget({
     };
   }, []); // Only run on mount/unmount
 
-  const ctaOptions = CTA_OPTIONS;
+  const ctaOptions = resolvedTheme.ctaOptions;
 
-  const bhkOptions = BHK_OPTIONS;
+  const bhkOptions = resolvedTheme.bhkOptions;
 
   const [avatarUrl, setAvatarUrl] = useState(() => {
     const initialUrl = resolvedTheme.avatarUrl || DEFAULT_AVATAR_URL;
@@ -693,7 +797,13 @@ export function ChatWidget({
     [resolvedTheme.primaryColor]
   );
 
-  function trackEvent(type, payload) {
+  // Every event of a visitor in an experiment carries the variant, so the
+  // experiment report can follow them from shown to lead
+  function trackEvent(type, eventPayload) {
+    const variant = experimentRef.current;
+    const payload = variant
+      ? { ...eventPayload, experimentId: variant.experimentId, variantId: variant.variantId, visitorId: getVisitorId() }
+      : eventPayload;
     onEvent?.(type, { projectId, microsite, ...payload });
 
     if (!apiBaseUrl) {
@@ -718,7 +828,7 @@ export function ChatWidget({
     });
   }
 
-  function pushSystemMessage(text) {
+  function pushSystemMessage(text, extra = {}) {
     setMessages((prev) => [
       ...prev,
       {
@@ -726,6 +836,7 @@ export function ChatWidget({
         type: "system",
         text,
         timestamp: Date.now(),
+        ...extra,
       },
     ]);
   }
@@ -758,7 +869,7 @@ export function ChatWidget({
 
     if (!hasShownRef.current) {
       hasShownRef.current = true;
-      pushSystemMessage(resolvedTheme.welcomeMessage);
+      pushSystemMessage(resolvedTheme.welcomeMessage, { welcome: true });
       trackEvent("chat_shown");
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -801,11 +912,11 @@ export function ChatWidget({
       autoOpenTimeoutRef.current = null;
     }
 
-    // Show modal after 8 seconds (instead of auto-opening chat)
-    const delay = 8000; // Always 8 seconds for modal
-    
-    console.log("HomesfyChat: Setting up modal display timeout - Mount ID:", componentMountIdRef.current, "Delay:", delay);
-    autoOpenTimeoutRef.current = window.setTimeout(() => {
+    // Show modal after 8 seconds (instead of auto-opening chat), unless an
+    // experiment variant is testing another delay
+    const delay = Number(experimentRef.current?.overrides.autoOpenDelayMs) || 8000;
+
+    const showModalOnce = () => {
       // Double-check before showing modal (in case user already opened chat)
       // Show modal if chat is not open (regardless of hasShownRef - modal can show on new page loads)
       if (!isOpenRef.current && !isIntentionallyOpenRef.current) {
@@ -816,7 +927,15 @@ export function ChatWidget({
         console.log("HomesfyChat: Skipping modal - chat already open - Mount ID:", componentMountIdRef.current);
       }
       autoOpenTimeoutRef.current = null;
-    }, delay);
+    };
+
+    // Project trigger rules (scroll depth, exit intent...) replace the fixed delay
+    if (watchAutoOpen) {
+      return watchAutoOpen(showModalOnce, delay);
+    }
+
+    console.log("HomesfyChat: Setting up modal display timeout - Mount ID:", componentMountIdRef.current, "Delay:", delay);
+    autoOpenTimeoutRef.current = window.setTimeout(showModalOnce, delay);
 
     return () => {
       if (autoOpenTimeoutRef.current) {
@@ -914,6 +1033,7 @@ export function ChatWidget({
       isIntentionallyOpenRef.current = false; // User is intentionally closing
       setIsOpen(false, true); // Force close (bypass protection for user action)
       setShowModal(false); // Also close modal if open
+      recordDismissal();
       return;
     }
 
@@ -939,11 +1059,13 @@ export function ChatWidget({
       e.stopPropagation();
     }
     setShowModal(false);
+    recordDismissal();
   };
 
-  const handleCtaSelect = (cta) => {
+  // `label` is the CTA as shown in the visitor's language
+  const handleCtaSelect = (cta, label = cta) => {
     setSelectedCta(cta);
-    pushUserMessage(cta);
+    pushUserMessage(label);
     trackEvent("cta_selected", { label: cta });
     setCurrentStage("bhk");
     setIsTyping(true);
@@ -958,13 +1080,17 @@ export function ChatWidget({
     }, 1100);
   };
 
-  const handleBhkSelect = (bhk) => {
+  // `fromChat`: the BHK came from what the visitor typed, so it is not echoed.
+  // `label` is the option as shown; `bhk` is the value stored on the lead
+  const handleBhkSelect = (bhk, { fromChat = false, label = bhk } = {}) => {
     setSelectedBhk(bhk);
     setManualInput("");
     setNameInput("");
     setPhoneInput("");
-    pushUserMessage(bhk);
-    trackEvent("chat_started", { bhkType: bhk });
+    if (!fromChat) {
+      pushUserMessage(label);
+    }
+    trackEvent("chat_started", { bhkType: bhk, ...(fromChat && { source: "chat" }) });
     setCurrentStage("name");
     setIsTyping(true);
 
@@ -983,6 +1109,295 @@ export function ChatWidget({
     }, 1500);
   };
 
+  const handleLanguageChange = (code) => {
+    if (code === language) {
+      return;
+    }
+    setLanguage(code);
+    storeLanguage(code);
+    trackEvent("language_changed", { language: code });
+  };
+
+  // Connect to live chat the first time the widget opens. The socket stays up
+  // while the widget is closed so an agent's reply is not missed.
+  useEffect(() => {
+    if (!isOpen || !apiBaseUrl || liveSocketRef.current) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadSocketClient(apiBaseUrl)
+      .then((io) => {
+        if (cancelled || liveSocketRef.current) {
+          return;
+        }
+        const socket = io(apiBaseUrl, {
+          query: { microsite, projectId },
+          auth: { visitorId: getVisitorId() },
+        });
+        liveSocketRef.current = socket;
+
+        socket.on("connect", () => setLiveConnected(true));
+        socket.on("disconnect", () => setLiveConnected(false));
+        socket.on("live:presence", ({ available }) => setAgentsAvailable(Boolean(available)));
+        socket.on("live:status", ({ status, agentName, position, reason }) => {
+          const previous = liveStatusRef.current;
+          liveStatusRef.current = status;
+          visitorTypingRef.current = false;
+          setLiveStatus(status);
+          setLiveAgentName(agentName || null);
+          setAgentTyping(false);
+
+          if (status === previous) {
+            return;
+          }
+          if (status === "queued") {
+            pushSystemMessage(liveChatCopy(languageRef.current, "queued", { position }));
+          } else if (status === "live") {
+            pushSystemMessage(liveChatCopy(languageRef.current, "joined", { agent: agentName }));
+          } else if (reason !== "visitor_ended") {
+            // Back to the scripted flow where the visitor left it
+            pushSystemMessage(liveChatCopy(languageRef.current, reason === "no_agents" ? "noAgents" : "ended"));
+          }
+        });
+        socket.on("live:message", ({ message }) => {
+          setAgentTyping(false);
+          setMessages((prev) => [
+            ...prev,
+            {
+              id: message.id,
+              type: "agent",
+              text: message.text,
+              agentName: message.agent,
+              timestamp: Date.parse(message.timestamp) || Date.now(),
+            },
+          ]);
+        });
+        socket.on("live:typing", ({ typing }) => setAgentTyping(Boolean(typing)));
+      })
+      .catch((err) => {
+        console.warn("HomesfyChat: Live chat unavailable", err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, apiBaseUrl]);
+
+  useEffect(() => () => liveSocketRef.current?.disconnect(), []);
+
+  // While the bot is answering, agents can read along and step in
+  useEffect(() => {
+    const socket = liveSocketRef.current;
+    if (!socket || !liveConnected || liveStatus !== "bot" || messages.length === 0) {
+      return;
+    }
+    socket.emit("live:activity", {
+      messages: messages.map(({ id, type, text, timestamp }) => ({
+        id,
+        type,
+        text,
+        timestamp: new Date(timestamp || Date.now()).toISOString(),
+      })),
+      pageUrl: window.location.href,
+      ...(userName && { name: userName }),
+    });
+  }, [messages, liveStatus, liveConnected, userName]);
+
+  // Stores the messages the API has not seen yet: the first call starts the
+  // session, later calls append to it
+  async function saveChatSession(snapshot) {
+    const session = chatSessionRef.current;
+    const pending = snapshot.slice(session.savedCount).map(({ type, text, timestamp, intent }) => ({
+      type,
+      text,
+      timestamp: new Date(timestamp || Date.now()).toISOString(),
+      ...(intent && { intent }),
+    }));
+    if (pending.length === 0) {
+      return;
+    }
+
+    const visitorId = getVisitorId();
+    const response = await fetch(
+      session.id
+        ? `${apiBaseUrl}/api/chat-sessions/${encodeURIComponent(session.id)}/messages`
+        : `${apiBaseUrl}/api/chat-sessions`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(
+          session.id
+            ? { visitorId, messages: pending }
+            : {
+                visitorId,
+                microsite: microsite || projectId,
+                projectId,
+                conversation: pending,
+                metadata: { language, pageUrl: window.location.href, visitor: visitorContext },
+              }
+        ),
+        credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
+      }
+    );
+
+    if (!session.id) {
+      if (!response.ok) {
+        // Retried with the next message
+        throw new Error(`Failed to start chat session (${response.status})`);
+      }
+      session.id = (await response.json()).session.id;
+    } else if (!response.ok) {
+      // A full or deleted session is not retried; these turns are skipped
+      console.warn("HomesfyChat: Chat session messages not saved", response.status);
+    }
+    session.savedCount = snapshot.length;
+  }
+
+  useEffect(() => {
+    if (!apiBaseUrl || !messages.some((message) => message.type === "user")) {
+      return;
+    }
+    // Without a session of its own the lead submission stored the conversation
+    if (!chatSessionRef.current.id && phoneSubmitted) {
+      return;
+    }
+    chatSessionQueueRef.current = chatSessionQueueRef.current
+      .then(() => saveChatSession(messages))
+      .catch((err) => {
+        console.warn("HomesfyChat: Chat session not saved", err.message);
+      });
+  }, [messages]);
+
+  const handleLiveRequest = () => {
+    const socket = liveSocketRef.current;
+    if (!socket || liveStatusRef.current !== "bot") {
+      return;
+    }
+    pushUserMessage(liveChatCopy(language, "talkToAgent"));
+    socket.timeout(5000).emit("live:request", {}, (err, ack) => {
+      if (err || !ack?.ok) {
+        // Nobody to take the chat: the scripted flow carries on
+        setAgentsAvailable(false);
+        pushSystemMessage(liveChatCopy(languageRef.current, "noAgents"));
+      }
+    });
+  };
+
+  const handleLiveEnd = () => {
+    liveSocketRef.current?.emit("live:end");
+  };
+
+  function setVisitorTyping(typing) {
+    if (liveStatusRef.current !== "live" || visitorTypingRef.current === typing) {
+      return;
+    }
+    visitorTypingRef.current = typing;
+    liveSocketRef.current?.emit("live:typing", { typing });
+  }
+
+  // Before the visitor has replied, the welcome message follows the language switcher
+  useEffect(() => {
+    setMessages((prev) =>
+      prev.length === 1 && prev[0].welcome && prev[0].text !== resolvedTheme.welcomeMessage
+        ? [{ ...prev[0], text: resolvedTheme.welcomeMessage }]
+        : prev
+    );
+  }, [resolvedTheme.welcomeMessage]);
+
+  // Typed input that names a CTA or BHK option counts as clicking it
+  const findCtaOption = (text) => {
+    const normalizedInput = optionKey(text);
+    return ctaOptions.find((option) =>
+      [option.value, option.label].some((candidate) => {
+        const normalizedCta = optionKey(candidate);
+        return normalizedCta && (normalizedInput === normalizedCta || normalizedInput.includes(normalizedCta));
+      })
+    );
+  };
+
+  // Typed "2 bhk" style answers are kept as typed; the API normalises them
+  const findBhkOption = (text) => {
+    const normalizedInput = optionKey(text);
+    const option = bhkOptions.find((item) =>
+      [item.value, item.label].some((candidate) => optionKey(candidate) === normalizedInput)
+    );
+    if (option) {
+      return option;
+    }
+    const typed = text.toLowerCase().trim();
+    return /^\s*[1-4]\s*bhk\s*$/i.test(typed) || (typed.includes('bhk') && /[1-4]/.test(typed))
+      ? { value: text.trim(), label: text.trim() }
+      : null;
+  };
+
+  // Conversational/hybrid modes: answer a typed question through /api/chat and
+  // move on to BHK → Name + Phone once the reply signals buying intent
+  const askChatEngine = async (text) => {
+    pushUserMessage(text);
+    setIsTyping(true);
+
+    let reply = null;
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/chat`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          message: text,
+          projectId,
+          microsite,
+          propertyInfo,
+          language,
+          conversation: messages.map(({ type, text: messageText, intent }) => ({
+            type,
+            text: messageText,
+            ...(intent && { intent }),
+          })),
+          context: chatContextRef.current,
+          // The API keeps the buyer preferences it finds on this session
+          visitorId: getVisitorId(),
+          ...(chatSessionRef.current.id && { chatSessionId: chatSessionRef.current.id }),
+        }),
+        credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
+      });
+      // Errors still carry a fallback `response`
+      reply = await response.json();
+    } catch (err) {
+      console.error("HomesfyChat: Chat request failed", err);
+    }
+
+    chatContextRef.current = reply?.context || null;
+    pushSystemMessage(reply?.response || CHAT_FALLBACK_REPLY, reply?.intent ? { intent: reply.intent } : {});
+    trackEvent("chat_message", { intent: reply?.intent || null, aiUsed: Boolean(reply?.aiUsed) });
+
+    // A failed request also offers lead capture so the visitor is not stuck
+    const wantsLeadCapture = !reply?.response || reply.leadCapture;
+    const knownBhk = reply?.entities?.bhkType;
+    if (knownBhk && (wantsLeadCapture || currentStage === "bhk")) {
+      // "2bhk under 1.2 cr" already answered the BHK question
+      handleBhkSelect(knownBhk, { fromChat: true });
+      return;
+    }
+    if (wantsLeadCapture && (currentStage === "cta" || currentStage === "chat")) {
+      setCurrentStage("bhk");
+      trackEvent("lead_capture_offered", { intent: reply?.intent || null });
+      setTimeout(() => {
+        pushSystemMessage(resolvedTheme.bhkPrompt);
+        setIsTyping(false);
+      }, 700);
+      return;
+    }
+
+    if (currentStage === "cta") {
+      setCurrentStage("chat");
+    }
+    setIsTyping(false);
+  };
+
   // handleNameSubmit is no longer used - both fields are submitted together
   // Keeping for backward compatibility but it won't be called
 
@@ -990,6 +1405,10 @@ export function ChatWidget({
   const isNameInputActive = currentStage === "name" && !nameSubmitted;
   const isPhoneInputActive = currentStage === "name" && !phoneSubmitted; // Show phone field together with name
   const isLeadCaptureActive = isNameInputActive || isPhoneInputActive;
+  const isLiveChat = liveStatus !== "bot"; // an agent has taken over, or the visitor is waiting for one
+  // Day shown in the slot picker; falls back to the first day when its last slot was taken
+  const siteVisitDate =
+    siteVisit?.dates.find((entry) => entry.date === siteVisit.date) || siteVisit?.dates[0];
   
   // Debug logging (development only)
   useEffect(() => {
@@ -1008,6 +1427,7 @@ export function ChatWidget({
     // For regular chat input (not lead capture)
     nextValue = nextValue.replace(/[^\w\s.,!?@#$%^&*()\-+=]/g, "");
     setManualInput(nextValue);
+    setVisitorTyping(nextValue.trim().length > 0);
     if (error) {
       setError(null);
     }
@@ -1123,7 +1543,7 @@ export function ChatWidget({
 
       conversationSnapshot.push(submissionMessage);
 
-      // Extract country code and number for Homesfy CRM API
+      // Country code and subscriber digits (used for validation and GTM/localStorage below)
       const countryCode = validationResult.country?.code || "+91";
       // Use the subscriber digits directly from validation result
       let phoneNumber = validationResult.subscriber || "";
@@ -1131,9 +1551,6 @@ export function ChatWidget({
       // Ensure we have just the digits without country code
       phoneNumber = phoneNumber.replace(/\D/g, "");
       
-      // Determine nationality: 1 for India (+91), 2 for others
-      const nationality = countryCode === "+91" ? 1 : 2;
-      
       // Validate Indian phone numbers (must be 10 digits starting with 6-9)
       if (countryCode === "+91") {
         if (phoneNumber.length !== 10 || !/^[6-9]/.test(phoneNumber)) {
@@ -1142,178 +1559,50 @@ export function ChatWidget({
         }
       }
 
-      // Get project ID for lead submission - extracted from script's data-project attribute
-      // This ensures each microsite's leads are sent to CRM with the correct project ID
-      // Widget design is shared (same for all), but leads are project-specific
-      const urlParams = new URLSearchParams(window.location.search);
-      const projectIdFromUrl = urlParams.get("project_id") || urlParams.get("projectId");
-      // Check for data attribute on script tag as fallback
-      const scriptElement = document.currentScript || 
-        document.querySelector('script[data-project]') ||
-        document.querySelector('script[data-project-id]') ||
-        document.querySelector('script[src*="widget.js"]');
-      const projectIdFromData = scriptElement?.dataset?.project || scriptElement?.dataset?.projectId;
-      // Use projectId prop FIRST (from embed script data-project attribute)
       // This is the project ID that will be sent to CRM with the lead
-      const finalProjectId = projectId || projectIdFromUrl || projectIdFromData || "5796";
-      
-      // Project ID is used for lead submission to CRM
-      // Widget design uses shared config (same for all projects)
-      // Removed sensitive logging - project ID logging removed for privacy
+      const finalProjectId = resolveLeadProjectId(projectId);
+      const urlParams = new URLSearchParams(window.location.search);
 
       // Get magnet_id from URL if present
       const magnetId = urlParams.get("magnet_id");
 
-      // Get UTM parameters (matching the provided API structure)
-      const utmParams = {};
-      UTM_PARAMS.forEach(param => {
-        const value = urlParams.get(param);
-        if (value) {
-          // Map to the format used in the provided API: utm_source -> utmsource, etc.
-          const key = param.replace("utm_", "");
-          utmParams[`utm${key}`] = value;
-        }
-      });
-      
-      // Also check sessionStorage for UTM params (matching provided API behavior)
-      UTM_PARAMS.forEach(param => {
-        const storedValue = sessionStorage.getItem(param);
-        if (storedValue && !utmParams[param.replace("utm_", "utm")]) {
-          const key = param.replace("utm_", "");
-          utmParams[`utm${key}`] = storedValue;
+      // UTM parameters from the URL, falling back to values kept in sessionStorage
+      const utm = { ...(visitorContext?.utm || {}) };
+      UTM_PARAMS.forEach((param) => {
+        const key = param.replace("utm_", "");
+        const value = urlParams.get(param) || sessionStorage.getItem(param);
+        if (value && !utm[key]) {
+          utm[key] = value;
         }
       });
 
-      // Get device and browser info
-      const deviceInfo = navigator.userAgent.match(/Android/i) || navigator.userAgent.match(/webOS/i) || 
-        navigator.userAgent.match(/iPhone/i) || navigator.userAgent.match(/Windows Phone/i) 
-        ? "Mobile" 
-        : navigator.userAgent.match(/iPad/i) || navigator.userAgent.match(/iPod/i) 
-        ? "Tablet" 
-        : "Desktop";
-
-      const browserInfo = navigator.userAgent.indexOf("Chrome") > -1 ? "Chrome" :
-        navigator.userAgent.indexOf("Firefox") > -1 ? "Firefox" :
-        navigator.userAgent.indexOf("Safari") > -1 ? "Safari" :
-        navigator.userAgent.indexOf("Edge") > -1 ? "Edge" : "Other";
-
-      // Get IP address
-      let clientIp = "0.0.0.0";
-      try {
-        const ipResponse = await fetch("https://api.ipify.org/?format=json", { mode: "cors" });
-        if (ipResponse.ok) {
-          const ipData = await ipResponse.json();
-          clientIp = ipData.ip || "0.0.0.0";
-        }
-      } catch (err) {
-        console.warn("Failed to fetch IP address", err);
-      }
-
-      // Prepare payload for Homesfy CRM API (matching the provided API structure)
       // Use nameToUse which comes from parameter or state
       const leadName = nameToUse || userName || "Guest";
-      
-      // Removed sensitive logging - name, phone, and country code logging removed for privacy
-      
-      const crmPayload = {
-        name: leadName,
-        email: null, // Not collected in simplified flow
-        country_code: countryCode,
-        number: phoneNumber,
-        tracking_lead_id: magnetId || `chat-${Date.now()}`,
-        nationality: nationality,
-        source_id: magnetId ? 49 : 31, // 49 for magnet campaigns, 31 for regular chat widget leads
-        project_id: Number(finalProjectId) || Number(projectId) || 5796, // Use project ID from embed script (data-project attribute)
-        Digital: {
-          user_device: deviceInfo,
-          user_browser: browserInfo,
-          campaing_type: utmParams.utmcampaign || urlParams.get("utm_campaign") || null, // Note: typo "campaing" matches provided API
-          launch_name: "",
-          client_ipaddress: clientIp,
-          client_pref: null
-        }
-      };
 
-      // Add UTM params if present (matching the provided API structure)
-      if (Object.keys(utmParams).length > 0) {
-        crmPayload.Utm = {
-          utm_medium: utmParams.utmmedium || null,
-          utm_source: utmParams.utmsource || null,
-          utm_content: utmParams.utmcontent || null,
-          utm_term: utmParams.utmterm || null,
-        };
-      }
-
-      // Add magnet info if present
-      if (magnetId) {
-        crmPayload.is_magnet = 1;
-        crmPayload.magnet_id = magnetId;
-      }
-
-      // Send to Homesfy CRM API - always use production API
-      const crmBaseUrl = "https://api.homesfy.in";
-
-      // Removed sensitive logging - full CRM payload logging removed for privacy
-
-      const crmResponse = await fetch(`${crmBaseUrl}/api/leads/create`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(crmPayload),
-      });
-
-      const responseText = await crmResponse.text();
-      // Removed sensitive logging - API response logging removed for privacy
-      // Only log status for debugging (non-sensitive)
-      if (process.env.NODE_ENV === 'development') {
-        console.log("HomesfyChat: CRM API Response Status:", crmResponse.status);
-      }
-
-      if (!crmResponse.ok) {
-        let errorMessage = `Failed to save lead to CRM (${crmResponse.status})`;
-        try {
-          if (responseText) {
-            const errorData = JSON.parse(responseText);
-            errorMessage = errorData.message || errorData.error || errorMessage;
-            // Removed sensitive logging - only log error message, not full error data
-            if (process.env.NODE_ENV === 'development') {
-              console.error("HomesfyChat: CRM API Error:", errorMessage);
-            }
-          }
-        } catch (e) {
-          // Removed sensitive logging - response text logging removed for privacy
-          if (process.env.NODE_ENV === 'development') {
-            console.error("HomesfyChat: CRM API Error (non-JSON)");
-          }
-        }
-        throw new Error(errorMessage);
-      }
-      
-      // Parse successful response
-      try {
-        const responseData = JSON.parse(responseText);
-        // Removed sensitive logging - response data logging removed for privacy
-        if (process.env.NODE_ENV === 'development') {
-          console.log("HomesfyChat: ✅ Lead saved to CRM successfully");
-        }
-      } catch (e) {
-        if (process.env.NODE_ENV === 'development') {
-          console.log("HomesfyChat: ✅ Lead saved to CRM (response not JSON)");
-        }
-      }
+      // Let a session that is still being started finish so the lead can link it
+      await chatSessionQueueRef.current;
 
-      // Also save to local API for dashboard tracking
-      try {
-        const localPayload = {
+      // The API stores the lead and forwards it to the CRM from its own
+      // retry queue, so this is the only request the widget makes.
+      const leadPayload = {
         phone: normalizedPhone,
-          bhkType: selectedBhk || "Yet to decide",
+        bhkType: selectedBhk || "Yet to decide",
         microsite: microsite || projectId,
         metadata: {
-            projectId: finalProjectId,
-            name: userName,
+          projectId: finalProjectId,
+          name: leadName,
+          language,
+          visitorId: getVisitorId(),
+          ...(chatSessionRef.current.id && { chatSessionId: chatSessionRef.current.id }),
+          ...(selectedCta && { cta: selectedCta }),
+          ...(magnetId && { magnetId }),
+          ...(experimentRef.current && {
+            experimentId: experimentRef.current.experimentId,
+            variantId: experimentRef.current.variantId,
+          }),
           visitor: {
             ...visitorContext,
+            ...(Object.keys(utm).length > 0 && { utm }),
             lastInteractionAt: new Date().toISOString(),
           },
           phoneCountry: validationResult.country?.name,
@@ -1324,26 +1613,48 @@ export function ChatWidget({
         conversation: conversationSnapshot,
       };
 
-        await fetch(`${apiBaseUrl}/api/leads`, {
+      const leadResponse = await fetch(`${apiBaseUrl}/api/leads`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-          body: JSON.stringify(localPayload),
-          credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
-        }).catch(() => {
-          // Silently fail if local API is not available
+        body: JSON.stringify(leadPayload),
+        credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
       });
-      } catch (localErr) {
-        console.warn("Failed to save to local API", localErr);
+
+      if (!leadResponse.ok) {
+        let errorMessage = `Failed to save lead (${leadResponse.status})`;
+        try {
+          const errorData = await leadResponse.json();
+          errorMessage = errorData.message || errorMessage;
+        } catch (e) {
+          // Non-JSON error body
+        }
+        if (process.env.NODE_ENV === 'development') {
+          console.error("HomesfyChat: Lead API Error:", errorMessage);
+        }
+        throw new Error(errorMessage);
       }
 
+      const leadResult = await leadResponse.json().catch(() => ({}));
+
+      // The linked session now holds conversationSnapshot
+      chatSessionRef.current.savedCount = conversationSnapshot.length;
       pushUserMessage(displayPhone || normalizedPhone);
       setPhoneSubmitted(true);
       pushSystemMessage(resolvedTheme.thankYouMessage);
       
       // Mark as complete
       setCurrentStage("complete");
+      const ctaAction = ctaOptions.find((option) => option.value === selectedCta)?.action;
+      if (ctaAction === "site-visit" && leadResult.lead?.id) {
+        offerSiteVisit(finalProjectId, leadResult.lead.id);
+      } else if (DOCUMENT_ACTION_TYPES[ctaAction] && leadResult.lead?.id) {
+        offerDocuments(finalProjectId, leadResult.lead.id, DOCUMENT_ACTION_TYPES[ctaAction]);
+      }
+      if (ctaAction !== "site-visit" && leadResult.lead?.id) {
+        offerCallback(leadResult.lead.id);
+      }
       // Removed sensitive logging - success message removed to prevent data exposure
       
       trackEvent("lead_submitted", {
@@ -1381,6 +1692,200 @@ export function ChatWidget({
     }
   }
 
+  // Show the date/slot picker when the project has open slots; otherwise the
+  // flow simply ends at the thank-you message
+  async function offerSiteVisit(visitProjectId, leadId) {
+    try {
+      const response = await fetch(
+        `${apiBaseUrl}/api/site-visits/slots?projectId=${encodeURIComponent(visitProjectId)}`,
+        { credentials: "omit" }
+      );
+      const data = response.ok ? await response.json() : null;
+      if (!data?.enabled || data.dates.length === 0) {
+        return;
+      }
+      setSiteVisit({
+        projectId: visitProjectId,
+        leadId,
+        timeZone: data.timeZone,
+        dates: data.dates,
+        date: data.dates[0].date,
+        mode: "in-person",
+        booking: null,
+      });
+      pushSystemMessage(siteVisitCopy(languageRef.current, "prompt"));
+      setCurrentStage("site-visit");
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error("HomesfyChat: Failed to load site visit slots:", err.message);
+      }
+    }
+  }
+
+  const handleSlotSelect = async (slot) => {
+    if (isTyping) {
+      return;
+    }
+    setError(null);
+    setIsTyping(true);
+    const when = `${formatSlotDate(siteVisit.date)}, ${formatSlotTime(slot.start, siteVisit.timeZone)}`;
+    const visitLabel = siteVisitCopy(language, siteVisit.mode === "virtual" ? "virtual" : "inPerson");
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/site-visits`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          projectId: siteVisit.projectId,
+          leadId: siteVisit.leadId,
+          visitorId: getVisitorId(),
+          slotStart: slot.start,
+          mode: siteVisit.mode,
+        }),
+        credentials: "omit",
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 409 && !data.siteVisit) {
+        // Someone else took the slot: drop it and let the visitor pick again
+        setError(siteVisitCopy(language, "taken"));
+        setSiteVisit((current) => ({
+          ...current,
+          dates: current.dates
+            .map((entry) => ({ ...entry, slots: entry.slots.filter((item) => item.start !== slot.start) }))
+            .filter((entry) => entry.slots.length > 0),
+        }));
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to book site visit (${response.status})`);
+      }
+
+      pushUserMessage(`${visitLabel}: ${when}`);
+      pushSystemMessage(siteVisitCopy(language, "booked", { visit: visitLabel.toLowerCase(), when }));
+      setSiteVisit((current) => ({ ...current, booking: { id: data.siteVisit.id, ics: data.ics } }));
+      setCurrentStage("complete");
+      trackEvent("site_visit_booked", { slotStart: slot.start, mode: siteVisit.mode });
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error("HomesfyChat: Error booking site visit:", err.message);
+      }
+      setError(siteVisitCopy(language, "failed"));
+    } finally {
+      setIsTyping(false);
+    }
+  };
+
+  const handleSiteVisitSkip = () => {
+    setError(null);
+    pushUserMessage(siteVisitCopy(language, "skip"));
+    pushSystemMessage(siteVisitCopy(language, "skipped"));
+    setSiteVisit(null);
+    setCurrentStage("complete");
+  };
+
+  // Outside business hours, let the visitor choose when the team calls back
+  function offerCallback(leadId) {
+    const slots = callbackSlots(projectSource);
+    if (slots.length === 0) {
+      return;
+    }
+    setCallback({ leadId, timeZone: projectSource.businessStatus.timeZone, slots });
+    pushSystemMessage(callbackCopy(languageRef.current, "prompt"));
+    setCurrentStage("callback");
+  }
+
+  const handleCallbackSelect = async (slot) => {
+    if (isTyping) {
+      return;
+    }
+    setError(null);
+    setIsTyping(true);
+    const when = `${formatSlotDate(slot.date)}, ${formatSlotTime(slot.start, callback.timeZone)}`;
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/leads/${encodeURIComponent(callback.leadId)}/callback`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ visitorId: getVisitorId(), callbackAt: slot.start }),
+        credentials: "omit",
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Failed to save callback time (${response.status})`);
+      }
+
+      pushUserMessage(when);
+      pushSystemMessage(callbackCopy(language, "booked", { when }));
+      setCallback(null);
+      setCurrentStage("complete");
+      trackEvent("callback_requested", { callbackAt: slot.start });
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error("HomesfyChat: Error saving callback time:", err.message);
+      }
+      setError(callbackCopy(language, "failed"));
+    } finally {
+      setIsTyping(false);
+    }
+  };
+
+  const handleCallbackSkip = () => {
+    setError(null);
+    pushUserMessage(callbackCopy(language, "skip"));
+    pushSystemMessage(callbackCopy(language, "skipped"));
+    setCallback(null);
+    setCurrentStage("complete");
+  };
+
+  async function fetchDocumentLinks(documentProjectId, leadId, types) {
+    const response = await fetch(`${apiBaseUrl}/api/documents/links`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectId: documentProjectId, leadId, visitorId: getVisitorId(), types }),
+      credentials: "omit",
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to load documents (${response.status})`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  }
+
+  // Projects without uploaded documents just end at the thank-you message
+  async function offerDocuments(documentProjectId, leadId, types) {
+    try {
+      const items = await fetchDocumentLinks(documentProjectId, leadId, types);
+      if (items.length === 0) {
+        return;
+      }
+      setDocuments({ projectId: documentProjectId, leadId, types, items });
+      pushSystemMessage(documentCopy(languageRef.current, "ready"));
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error("HomesfyChat: Failed to load documents:", err.message);
+      }
+    }
+  }
+
+  // Links expire after a few minutes; swap in fresh ones instead of opening a dead link
+  const handleDocumentClick = async (event, item) => {
+    trackEvent("document_download_clicked", { documentId: item.id, documentType: item.type });
+    if (!isLinkExpired(item)) {
+      return;
+    }
+    event.preventDefault();
+    try {
+      const items = await fetchDocumentLinks(documents.projectId, documents.leadId, documents.types);
+      setDocuments((current) => ({ ...current, items }));
+      pushSystemMessage(documentCopy(language, "expired"));
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error("HomesfyChat: Failed to refresh document links:", err.message);
+      }
+    }
+  };
+
   const handleManualSubmit = async (event) => {
     event.preventDefault();
 
@@ -1391,6 +1896,38 @@ export function ChatWidget({
     const rawValue = manualInput;
     const trimmed = rawValue.trim();
 
+    // Live chat: typed messages go to the agent instead of the scripted flow
+    if (isLiveChat) {
+      if (!trimmed) {
+        return;
+      }
+      setManualInput("");
+      setVisitorTyping(false);
+      pushUserMessage(trimmed);
+      liveSocketRef.current?.emit("live:message", { text: trimmed });
+      return;
+    }
+
+    // Conversational and hybrid modes: typed questions go to /api/chat until the
+    // visitor reaches the name + phone step; typed CTA/BHK options still count
+    if (resolvedTheme.chatMode !== "scripted" && ["cta", "chat", "bhk"].includes(currentStage)) {
+      if (!trimmed) {
+        return;
+      }
+      setManualInput("");
+
+      const ctaOption = currentStage === "cta" && findCtaOption(trimmed);
+      const bhkOption = currentStage === "bhk" && findBhkOption(trimmed);
+      if (ctaOption) {
+        handleCtaSelect(ctaOption.value, trimmed);
+      } else if (bhkOption) {
+        handleBhkSelect(bhkOption.value, { label: trimmed });
+      } else {
+        await askChatEngine(trimmed);
+      }
+      return;
+    }
+
     // Simple flow: CTA → BHK → Name → Phone
     
     // Stage 1: CTA selection
@@ -1400,15 +1937,10 @@ export function ChatWidget({
       }
       
       // Check if input matches a CTA option
-      const normalizedInput = trimmed.toLowerCase().replace(/[^\w\s]/g, '').trim();
-      const isCtaSelection = ctaOptions.some(cta => {
-        const normalizedCta = cta.toLowerCase().replace(/[^\w\s]/g, '').trim();
-        return normalizedInput === normalizedCta || normalizedInput.includes(normalizedCta);
-      });
-      
-      if (isCtaSelection) {
+      const ctaOption = findCtaOption(trimmed);
+      if (ctaOption) {
         setManualInput("");
-        handleCtaSelect(trimmed);
+        handleCtaSelect(ctaOption.value, trimmed);
         return;
       }
       
@@ -1419,7 +1951,7 @@ export function ChatWidget({
       setManualInput("");
       
       // Set a default CTA to hide the buttons (use first CTA as default)
-      setSelectedCta(ctaOptions[0]);
+      setSelectedCta(ctaOptions[0].value);
       trackEvent("cta_selected", { label: "user_message", userMessage });
       setCurrentStage("bhk");
       setIsTyping(true);
@@ -1445,17 +1977,10 @@ export function ChatWidget({
       }
       
       // Check if input matches a BHK option
-      const normalizedInput = trimmed.toLowerCase().trim();
-      const isBhkSelection = bhkOptions.some(bhk => {
-        const normalizedBhk = bhk.toLowerCase().trim();
-        return normalizedInput === normalizedBhk || 
-               /^\s*[1-4]\s*bhk\s*$/i.test(normalizedInput) ||
-               (normalizedInput.includes('bhk') && /[1-4]/.test(normalizedInput));
-      });
-      
-      if (isBhkSelection) {
+      const bhkOption = findBhkOption(trimmed);
+      if (bhkOption) {
         setManualInput("");
-        handleBhkSelect(trimmed);
+        handleBhkSelect(bhkOption.value, { label: trimmed });
         return;
       }
       
@@ -1573,13 +2098,31 @@ export function ChatWidget({
                 </p>
                 <p className="homesfy-widget__agent-status">
                   <span className="homesfy-widget__status-dot" aria-hidden />
-                  Live property expert • 
+                  {liveStatus === "live" && liveAgentName
+                    ? liveChatCopy(language, "status", { agent: liveAgentName })
+                    : "Live property expert • "}
                 </p>
               </div>
             </div>
-            <button className="homesfy-widget__close" onClick={handleToggle}>
-              ×
-            </button>
+            <div className="homesfy-widget__header-actions">
+              <div className="homesfy-widget__language" role="group" aria-label="Language">
+                {LANGUAGES.map(({ code, label, name }) => (
+                  <button
+                    key={code}
+                    type="button"
+                    className={`homesfy-widget__language-option ${language === code ? "homesfy-widget__language-option--active" : ""}`}
+                    aria-pressed={language === code}
+                    title={name}
+                    onClick={() => handleLanguageChange(code)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button className="homesfy-widget__close" onClick={handleToggle}>
+                ×
+              </button>
+            </div>
           </header>
 
           {/* Hero section removed per request */}
@@ -1593,7 +2136,14 @@ export function ChatWidget({
                   key={message.id}
                   className={`homesfy-widget__message-row homesfy-widget__message-row--${message.type}`}
                 >
-                  {!isUser && avatarUrl && (
+                  {message.type === "agent" ? (
+                    <div
+                      className="homesfy-widget__message-avatar homesfy-widget__message-avatar--live"
+                      title={message.agentName}
+                    >
+                      {(message.agentName || "?").charAt(0).toUpperCase()}
+                    </div>
+                  ) : !isUser && avatarUrl && (
                     <div className="homesfy-widget__message-avatar homesfy-widget__message-avatar--agent">
                       <img
                         src={avatarUrl}
@@ -1630,7 +2180,7 @@ export function ChatWidget({
               );
             })}
 
-            {isTyping && (
+            {(isTyping || agentTyping) && (
               <div className="homesfy-widget__message-row homesfy-widget__message-row--system">
                 {avatarUrl && (
                   <div className="homesfy-widget__message-avatar homesfy-widget__message-avatar--agent">
@@ -1651,23 +2201,23 @@ export function ChatWidget({
               </div>
             )}
 
-            {/* Stage 1: CTA selection - inside scrollable area */}
-            {!selectedCta && (
+            {/* Stage 1: CTA selection - inside scrollable area (not shown in conversational mode) */}
+            {!selectedCta && currentStage === "cta" && resolvedTheme.chatMode !== "conversational" && !isLiveChat && (
               <div className="homesfy-widget__cta-grid">
                 {ctaOptions.map((option, index) => {
                   const isVisible = !isMobile || index < visibleCtaCount;
                   return (
                     <button
-                      key={option}
+                      key={option.value}
                       className={`homesfy-widget__cta-button ${isVisible ? 'homesfy-widget__cta-button--visible' : 'homesfy-widget__cta-button--hidden'}`}
                       style={{
                         borderColor: resolvedTheme.primaryColor,
                         color: resolvedTheme.primaryColor,
                         animationDelay: `${300 + index * 150}ms`,
                       }}
-                      onClick={() => handleCtaSelect(option)}
+                      onClick={() => handleCtaSelect(option.value, option.label)}
                     >
-                      {option}
+                      {option.label}
                     </button>
                   );
                 })}
@@ -1680,25 +2230,152 @@ export function ChatWidget({
           <div className="homesfy-widget__input">
 
             {/* Stage 2: BHK selection */}
-            {selectedCta && !selectedBhk && !isTyping && (
+            {currentStage === "bhk" && !selectedBhk && !isTyping && !isLiveChat && (
               <div className="homesfy-widget__options">
                 {bhkOptions.map((option) => (
                   <button
-                    key={option}
+                    key={option.value}
                     className="homesfy-widget__option-button"
                     style={{
                       borderColor: resolvedTheme.primaryColor,
                       color: resolvedTheme.primaryColor,
                     }}
-                    onClick={() => handleBhkSelect(option)}
+                    onClick={() => handleBhkSelect(option.value, { label: option.label })}
                   >
-                    {option}
+                    {option.label}
                   </button>
                 ))}
               </div>
             )}
 
-            {phoneSubmitted && (
+            {/* Stage 4: site visit date/slot picker, after the lead is saved */}
+            {currentStage === "site-visit" && siteVisit && !siteVisit.booking && !isLiveChat && (
+              <div className="homesfy-widget__slot-picker">
+                <div className="homesfy-widget__slot-row">
+                  {["in-person", "virtual"].map((mode) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      className={`homesfy-widget__slot-chip ${siteVisit.mode === mode ? "homesfy-widget__slot-chip--active" : ""}`}
+                      onClick={() => setSiteVisit((current) => ({ ...current, mode }))}
+                    >
+                      {siteVisitCopy(language, mode === "virtual" ? "virtual" : "inPerson")}
+                    </button>
+                  ))}
+                </div>
+                <div className="homesfy-widget__slot-row homesfy-widget__slot-row--scroll">
+                  {siteVisit.dates.map((entry) => (
+                    <button
+                      key={entry.date}
+                      type="button"
+                      className={`homesfy-widget__slot-chip ${entry.date === siteVisitDate?.date ? "homesfy-widget__slot-chip--active" : ""}`}
+                      onClick={() => setSiteVisit((current) => ({ ...current, date: entry.date }))}
+                    >
+                      {formatSlotDate(entry.date)}
+                    </button>
+                  ))}
+                </div>
+                <div className="homesfy-widget__options">
+                  {(siteVisitDate?.slots || []).map((slot) => (
+                    <button
+                      key={slot.start}
+                      type="button"
+                      className="homesfy-widget__option-button homesfy-widget__slot-time"
+                      style={{
+                        borderColor: resolvedTheme.primaryColor,
+                        color: resolvedTheme.primaryColor,
+                      }}
+                      disabled={isTyping}
+                      onClick={() => handleSlotSelect(slot)}
+                    >
+                      {formatSlotTime(slot.start, siteVisit.timeZone)}
+                    </button>
+                  ))}
+                </div>
+                <button type="button" className="homesfy-widget__slot-skip" onClick={handleSiteVisitSkip}>
+                  {siteVisitCopy(language, "skip")}
+                </button>
+              </div>
+            )}
+
+            {/* After hours: callback time picker, after the lead is saved */}
+            {currentStage === "callback" && callback && !isLiveChat && (
+              <div className="homesfy-widget__slot-picker">
+                <div className="homesfy-widget__options">
+                  {callback.slots.map((slot) => (
+                    <button
+                      key={slot.start}
+                      type="button"
+                      className="homesfy-widget__option-button homesfy-widget__slot-time"
+                      style={{
+                        borderColor: resolvedTheme.primaryColor,
+                        color: resolvedTheme.primaryColor,
+                      }}
+                      disabled={isTyping}
+                      onClick={() => handleCallbackSelect(slot)}
+                    >
+                      {`${formatSlotDate(slot.date)}, ${formatSlotTime(slot.start, callback.timeZone)}`}
+                    </button>
+                  ))}
+                </div>
+                <button type="button" className="homesfy-widget__slot-skip" onClick={handleCallbackSkip}>
+                  {callbackCopy(language, "skip")}
+                </button>
+              </div>
+            )}
+
+            {siteVisit?.booking && !isLiveChat && (
+              <div className="homesfy-widget__live-bar">
+                <button
+                  type="button"
+                  className="homesfy-widget__live-button"
+                  style={{ borderColor: resolvedTheme.primaryColor, color: resolvedTheme.primaryColor }}
+                  onClick={() => downloadIcs(siteVisit.booking.ics, `site-visit-${siteVisit.booking.id}.ics`)}
+                >
+                  📅 {siteVisitCopy(language, "addToCalendar")}
+                </button>
+              </div>
+            )}
+
+            {documents?.items.length > 0 && !isLiveChat && (
+              <div className="homesfy-widget__document-list">
+                {documents.items.map((item) => (
+                  <a
+                    key={item.id}
+                    className="homesfy-widget__live-button homesfy-widget__document-link"
+                    style={{ borderColor: resolvedTheme.primaryColor, color: resolvedTheme.primaryColor }}
+                    href={`${apiBaseUrl}${item.url}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={(event) => handleDocumentClick(event, item)}
+                  >
+                    ⬇️ {documentLabel(language, item)}
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {/* Live agent chat: offered while an agent is available */}
+            {isLiveChat ? (
+              <div className="homesfy-widget__live-bar">
+                <button type="button" className="homesfy-widget__live-button" onClick={handleLiveEnd}>
+                  {liveChatCopy(language, "endChat")}
+                </button>
+              </div>
+            ) : agentsAvailable && !isTyping && (
+              <div className="homesfy-widget__live-bar">
+                <button
+                  type="button"
+                  className="homesfy-widget__live-button"
+                  style={{ borderColor: resolvedTheme.primaryColor, color: resolvedTheme.primaryColor }}
+                  onClick={handleLiveRequest}
+                >
+                  {liveChatCopy(language, "talkToAgent")}
+                </button>
+              </div>
+            )}
+
+            {phoneSubmitted && !isLiveChat && !["site-visit", "callback"].includes(currentStage) && (
               <p className="homesfy-widget__footer-note">
                 You can close the chat. We'll reach out soon.
               </p>
@@ -1707,7 +2384,7 @@ export function ChatWidget({
             {error && <p className="homesfy-widget__error">{error}</p>}
 
             {/* Form - Show both name and phone fields together when in name stage */}
-            {isLeadCaptureActive ? (
+            {isLeadCaptureActive && !isLiveChat ? (
               <form 
                 className="homesfy-widget__form homesfy-widget__form--lead-capture" 
                 onSubmit={(e) => {
@@ -1802,10 +2479,10 @@ export function ChatWidget({
                   <input
                     type="text"
                     className="homesfy-widget__field"
-                    placeholder={!selectedCta ? "Write a reply.." : !selectedBhk ? "Tell us your preferred configuration" : "Write a reply.."}
+                    placeholder={isLiveChat ? "Write a reply.." : currentStage === "chat" ? "Ask about the project.." : currentStage !== "bhk" ? "Write a reply.." : "Tell us your preferred configuration"}
                     value={manualInput}
                     onChange={handleManualInputChange}
-                    disabled={isTyping || phoneSubmitted}
+                    disabled={isTyping || (phoneSubmitted && !isLiveChat)}
                     inputMode="text"
                     autoComplete="off"
                     autoCorrect="off"
@@ -1817,7 +2494,7 @@ export function ChatWidget({
                   type="submit"
                   className="homesfy-widget__submit"
                   style={{ background: resolvedTheme.primaryColor }}
-                  disabled={isTyping || !manualInput.trim() || phoneSubmitted}
+                  disabled={isTyping || !manualInput.trim() || (phoneSubmitted && !isLiveChat)}
                   title="Send message"
                 >
                   ➤
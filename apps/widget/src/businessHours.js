@@ -0,0 +1,50 @@
+// Outside business hours the project's `businessHours.afterHours` copy and CTAs
+// replace the usual ones, and the visitor can pick a callback time after the
+// lead form. The API sends the current `businessStatus` with the config.
+
+export const CALLBACK_COPY = {
+  en: {
+    prompt: "When should our expert call you?",
+    skip: "Any time is fine",
+    booked: "Done! Our expert will call you on {when} 📞",
+    failed: "We couldn't save that time. Please try again.",
+    skipped: "No problem, our expert will call you as soon as we open.",
+  },
+  hinglish: {
+    prompt: "Hamare expert aapko kab call karein?",
+    skip: "Kabhi bhi chalega",
+    booked: "Ho gaya! Hamare expert aapko {when} par call karenge 📞",
+    failed: "Yeh time save nahi ho paaya. Dobara try karein.",
+    skipped: "Koi baat nahi, office khulte hi hamare expert aapko call karenge.",
+  },
+  hi: {
+    prompt: "हमारे विशेषज्ञ आपको कब कॉल करें?",
+    skip: "कभी भी चलेगा",
+    booked: "हो गया! हमारे विशेषज्ञ आपको {when} पर कॉल करेंगे 📞",
+    failed: "यह समय सेव नहीं हो पाया। कृपया फिर से कोशिश करें।",
+    skipped: "कोई बात नहीं, ऑफ़िस खुलते ही हमारे विशेषज्ञ आपको कॉल करेंगे।",
+  },
+};
+
+export function callbackCopy(language, key, values = {}) {
+  const template = (CALLBACK_COPY[language] || CALLBACK_COPY.en)[key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+/**
+ * Config fields to replace while the project is closed, or null during
+ * business hours (and for projects without hours)
+ */
+export function afterHoursOverrides(projectConfig) {
+  if (projectConfig?.businessStatus?.open !== false) {
+    return null;
+  }
+  const { callbackPicker, ...overrides } = projectConfig.businessHours?.afterHours || {};
+  return overrides;
+}
+
+// Callback times to offer after the lead form: [{ date, start }] while closed
+export function callbackSlots(projectConfig) {
+  const status = projectConfig?.businessStatus;
+  return status?.open === false && Array.isArray(status.callbackSlots) ? status.callbackSlots : [];
+}
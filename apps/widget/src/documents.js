@@ -0,0 +1,42 @@
+// Gated downloads: brochures and floor plans are only unlocked once the lead is
+// saved. Links come back signed and time-limited, so expired ones are refetched.
+
+export const DOCUMENT_COPY = {
+  en: {
+    ready: "Here you go! Tap below to download 👇",
+    brochure: "Brochure",
+    floorPlan: "Floor plan",
+    expired: "That link had expired, so here's a fresh one. Tap again to download.",
+  },
+  hinglish: {
+    ready: "Yeh lijiye! Download karne ke liye neeche tap karein 👇",
+    brochure: "Brochure",
+    floorPlan: "Floor plan",
+    expired: "Woh link expire ho gaya tha, naya link yeh raha. Download ke liye dobara tap karein.",
+  },
+  hi: {
+    ready: "यह लीजिए! डाउनलोड करने के लिए नीचे टैप करें 👇",
+    brochure: "ब्रोशर",
+    floorPlan: "फ़्लोर प्लान",
+    expired: "वह लिंक एक्सपायर हो गया था, यह नया लिंक है। डाउनलोड के लिए फिर से टैप करें।",
+  },
+};
+
+export function documentCopy(language, key) {
+  return (DOCUMENT_COPY[language] || DOCUMENT_COPY.en)[key];
+}
+
+// Button label: the uploaded title, falling back to the type (and BHK for plans)
+export function documentLabel(language, item) {
+  if (item.title) {
+    return item.title;
+  }
+  if (item.type === "floor-plan") {
+    return [documentCopy(language, "floorPlan"), item.bhkType].filter(Boolean).join(" · ");
+  }
+  return documentCopy(language, "brochure");
+}
+
+export function isLinkExpired(item) {
+  return new Date(item.expiresAt).getTime() <= Date.now();
+}
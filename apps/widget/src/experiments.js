@@ -0,0 +1,40 @@
+// A/B experiments from the widget config. A visitor's variant is derived from
+// a hash of the visitor and experiment IDs, so it stays the same on every page
+// load without being stored anywhere.
+
+// FNV-1a: small, fast and evenly spread over the 0-99 buckets
+function hashToBucket(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 100;
+}
+
+/**
+ * The running experiment's variant for this visitor:
+ * { experimentId, variantId, overrides }, or null when nothing is running
+ */
+export function assignVariant(experiments, visitorId) {
+  const experiment = Array.isArray(experiments)
+    ? experiments.find((item) => item?.status === "running" && Array.isArray(item.variants) && item.variants.length > 0)
+    : null;
+  if (!experiment || !visitorId) {
+    return null;
+  }
+
+  const bucket = hashToBucket(`${experiment.id}:${visitorId}`);
+  let threshold = 0;
+  const variant =
+    experiment.variants.find((item) => {
+      threshold += Number(item.weight) || 0;
+      return bucket < threshold;
+    }) || experiment.variants[experiment.variants.length - 1];
+
+  return {
+    experimentId: experiment.id,
+    variantId: variant.id,
+    overrides: variant.overrides || {},
+  };
+}
@@ -0,0 +1,63 @@
+// Live agent chat. The socket.io client is loaded from the API server itself
+// (socket.io serves it at /socket.io/socket.io.min.js) so the widget bundle
+// stays small and host pages only pay for it once the chat is opened.
+
+export const LIVE_CHAT_COPY = {
+  en: {
+    talkToAgent: "Talk to an agent 🙋",
+    endChat: "End chat",
+    queued: "Connecting you to an agent… you're number {position} in line.",
+    joined: "{agent} has joined the chat.",
+    ended: "The agent has left the chat. We can keep helping you here.",
+    noAgents: "Our agents are busy right now, but we can help you here.",
+    status: "Chatting with {agent}",
+  },
+  hinglish: {
+    talkToAgent: "Agent se baat karein 🙋",
+    endChat: "Chat band karein",
+    queued: "Aapko agent se connect kar rahe hain… line mein aap number {position} par hain.",
+    joined: "{agent} chat mein aa gaye hain.",
+    ended: "Agent ne chat chhod di hai. Hum yahan aapki madad karte rahenge.",
+    noAgents: "Abhi hamare agents busy hain, lekin hum yahan aapki madad kar sakte hain.",
+    status: "{agent} se baat ho rahi hai",
+  },
+  hi: {
+    talkToAgent: "एजेंट से बात करें 🙋",
+    endChat: "चैट बंद करें",
+    queued: "आपको एजेंट से जोड़ रहे हैं… कतार में आप {position} नंबर पर हैं।",
+    joined: "{agent} चैट में जुड़ गए हैं।",
+    ended: "एजेंट ने चैट छोड़ दी है। हम यहाँ आपकी मदद करते रहेंगे।",
+    noAgents: "अभी हमारे एजेंट व्यस्त हैं, लेकिन हम यहाँ आपकी मदद कर सकते हैं।",
+    status: "{agent} से बात हो रही है",
+  },
+};
+
+export function liveChatCopy(language, key, values = {}) {
+  const template = (LIVE_CHAT_COPY[language] || LIVE_CHAT_COPY.en)[key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+let socketClientPromise = null;
+
+export function loadSocketClient(apiBaseUrl) {
+  if (typeof window !== "undefined" && typeof window.io === "function") {
+    return Promise.resolve(window.io);
+  }
+  if (!socketClientPromise) {
+    socketClientPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = `${apiBaseUrl}/socket.io/socket.io.min.js`;
+      script.async = true;
+      script.onload = () =>
+        typeof window.io === "function"
+          ? resolve(window.io)
+          : reject(new Error("socket.io client did not load"));
+      script.onerror = () => {
+        socketClientPromise = null;
+        reject(new Error("Failed to load the socket.io client"));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return socketClientPromise;
+}
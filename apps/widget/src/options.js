@@ -0,0 +1,50 @@
+// CTA and BHK choices. A project can replace either list through its widget
+// config (ctaOptions / bhkOptions); `value` is what gets stored on the lead.
+
+// `action` is what happens after the lead form for that CTA
+export const DEFAULT_CTA_OPTIONS = [
+  { label: "Pricing & Floor Plans 💸💸", action: "floor-plans" },
+  { label: "Download Brochure ⬇️", action: "brochure" },
+  { label: "Get The Best Quote 💰" },
+  { label: "Site Visit Or Virtual Tour 🚁", action: "site-visit" },
+  { label: "Pricing on Whatsapp ✅" },
+  { label: "Get A Call Back 📞" },
+];
+
+export const DEFAULT_BHK_OPTIONS = [
+  { label: "1 Bhk" },
+  { label: "2 Bhk" },
+  { label: "3 Bhk" },
+  { label: "4 Bhk" },
+  { label: "Other" },
+  { label: "Yet to decide" },
+];
+
+/**
+ * Options ready to render: { value, label, action, bhk } in display order.
+ * Configured options use their own per-language labels and icon; the built-in
+ * ones take `defaultLabels` (translated copy in the same order).
+ */
+export function resolveOptions(configured, defaults, { language, defaultLabels = [] } = {}) {
+  if (Array.isArray(configured) && configured.length > 0) {
+    return configured
+      .map((option, index) => ({ option, index }))
+      .sort((a, b) => (a.option.order ?? a.index) - (b.option.order ?? b.index) || a.index - b.index)
+      .map(({ option }) => {
+        const label = option.labels?.[language] || option.label;
+        return {
+          value: (option.value || option.label).trim(),
+          label: option.icon ? `${label} ${option.icon}` : label,
+          action: option.action || null,
+          bhk: option.bhk ?? null,
+        };
+      });
+  }
+
+  return defaults.map((option, index) => ({
+    value: option.label,
+    label: defaultLabels[index] || option.label,
+    action: option.action || null,
+    bhk: null,
+  }));
+}
@@ -0,0 +1,73 @@
+// Site visit booking step, offered after the lead form when the visitor picked
+// the site visit CTA and the project has availability set up.
+
+export const SITE_VISIT_COPY = {
+  en: {
+    prompt: "Would you like to book your visit? Pick a day and time:",
+    inPerson: "Site visit",
+    virtual: "Virtual tour",
+    skip: "I'll decide later",
+    booked: "Done! Your {visit} is booked for {when} 📅",
+    addToCalendar: "Add to calendar",
+    taken: "That slot was just taken. Please pick another time.",
+    failed: "We couldn't book that slot. Please try again.",
+    skipped: "No problem, our expert will help you plan your visit on the call.",
+  },
+  hinglish: {
+    prompt: "Kya aap visit book karna chahenge? Din aur time chuniye:",
+    inPerson: "Site visit",
+    virtual: "Virtual tour",
+    skip: "Baad mein decide karenge",
+    booked: "Ho gaya! Aapka {visit} {when} ke liye book hai 📅",
+    addToCalendar: "Calendar mein add karein",
+    taken: "Yeh slot abhi book ho gaya. Koi aur time chuniye.",
+    failed: "Slot book nahi ho paaya. Dobara try karein.",
+    skipped: "Koi baat nahi, hamare expert call par aapka visit plan karne mein madad karenge.",
+  },
+  hi: {
+    prompt: "क्या आप अपनी विज़िट बुक करना चाहेंगे? दिन और समय चुनें:",
+    inPerson: "साइट विज़िट",
+    virtual: "वर्चुअल टूर",
+    skip: "बाद में तय करेंगे",
+    booked: "हो गया! आपका {visit} {when} के लिए बुक है 📅",
+    addToCalendar: "कैलेंडर में जोड़ें",
+    taken: "यह स्लॉट अभी बुक हो गया। कृपया कोई और समय चुनें।",
+    failed: "स्लॉट बुक नहीं हो पाया। कृपया फिर से कोशिश करें।",
+    skipped: "कोई बात नहीं, हमारे विशेषज्ञ कॉल पर आपकी विज़िट प्लान करने में मदद करेंगे।",
+  },
+};
+
+export function siteVisitCopy(language, key, values = {}) {
+  const template = (SITE_VISIT_COPY[language] || SITE_VISIT_COPY.en)[key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+// Slot dates are already the project's local dates (YYYY-MM-DD)
+export function formatSlotDate(date) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone: "UTC",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  }).format(new Date(`${date}T12:00:00Z`));
+}
+
+// Times are shown in the project's time zone, not the visitor's
+export function formatSlotTime(start, timeZone) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(start));
+}
+
+export function downloadIcs(ics, fileName = "site-visit.ics") {
+  const url = URL.createObjectURL(new Blob([ics], { type: "text/calendar;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
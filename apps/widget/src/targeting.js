@@ -0,0 +1,213 @@
+// Page targeting and auto-open triggers from the project's widget config
+// (`targeting`). Display rules decide whether the widget mounts on this page at
+// all; triggers decide when the invitation modal shows.
+//
+//   {
+//     pages: { include: ["/projects/*"], exclude: ["/careers*"] },
+//     utm: { source: ["google"], campaign: ["diwali"] },
+//     devices: ["mobile", "desktop"],
+//     visitors: "all" | "new" | "returning",
+//     triggers: [{ type: "scroll", value: 50 }, { type: "exit-intent" }],
+//     dismissCooldownHours: 24,
+//   }
+
+const PAGE_VIEWS_STORAGE_KEY = "homesfy_chat_page_views";
+const VISIT_STORAGE_KEY = "homesfy_chat_visit";
+const DISMISSED_STORAGE_KEY = "homesfy_chat_dismissed_at";
+
+// "*" matches anything (including "/"); everything else is literal
+function matchesPattern(pattern, pathname) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}/?$`, "i").test(pathname);
+}
+
+export function detectDevice() {
+  const userAgent = navigator.userAgent || "";
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod|Android|BlackBerry|Opera Mini|IEMobile/i.test(userAgent)) {
+    return "mobile";
+  }
+  return "desktop";
+}
+
+/**
+ * Count this page view. A visitor is "returning" when they had page views in
+ * an earlier browser session; the answer stays the same for the whole session.
+ */
+export function recordPageView() {
+  try {
+    const pageViews = Number(localStorage.getItem(PAGE_VIEWS_STORAGE_KEY)) || 0;
+    let visit = sessionStorage.getItem(VISIT_STORAGE_KEY);
+    if (!visit) {
+      visit = pageViews > 0 ? "returning" : "new";
+      sessionStorage.setItem(VISIT_STORAGE_KEY, visit);
+    }
+    localStorage.setItem(PAGE_VIEWS_STORAGE_KEY, String(pageViews + 1));
+    return { pageViews: pageViews + 1, returning: visit === "returning" };
+  } catch (e) {
+    // Storage unavailable (privacy mode): every page is a first visit
+    return { pageViews: 1, returning: false };
+  }
+}
+
+function currentUtm() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const utm = {};
+  for (const key of ["source", "medium", "campaign", "term", "content"]) {
+    let value = urlParams.get(`utm_${key}`);
+    try {
+      value = value || sessionStorage.getItem(`utm_${key}`);
+    } catch (e) {
+      // sessionStorage unavailable
+    }
+    if (value) {
+      utm[key] = value.toLowerCase();
+    }
+  }
+  return utm;
+}
+
+/**
+ * Whether the widget should appear on this page. Every rule that is set has to
+ * match; a missing rule matches everything.
+ */
+export function matchesTargeting(targeting, { returning }) {
+  if (!targeting) {
+    return true;
+  }
+
+  const pathname = window.location.pathname || "/";
+  const { include = [], exclude = [] } = targeting.pages || {};
+  if (include.length > 0 && !include.some((pattern) => matchesPattern(pattern, pathname))) {
+    return false;
+  }
+  if (exclude.some((pattern) => matchesPattern(pattern, pathname))) {
+    return false;
+  }
+
+  const utm = currentUtm();
+  for (const [key, values] of Object.entries(targeting.utm || {})) {
+    if (values.length > 0 && !values.some((value) => value.toLowerCase() === utm[key])) {
+      return false;
+    }
+  }
+
+  if (targeting.devices?.length > 0 && !targeting.devices.includes(detectDevice())) {
+    return false;
+  }
+
+  if (targeting.visitors === "new" && returning) {
+    return false;
+  }
+  if (targeting.visitors === "returning" && !returning) {
+    return false;
+  }
+  return true;
+}
+
+// Closing the modal or the chat holds back auto-open for dismissCooldownHours
+export function recordDismissal() {
+  try {
+    localStorage.setItem(DISMISSED_STORAGE_KEY, String(Date.now()));
+  } catch (e) {
+    // localStorage unavailable: no frequency capping
+  }
+}
+
+function isDismissalCapped(cooldownHours) {
+  if (!cooldownHours) {
+    return false;
+  }
+  try {
+    const dismissedAt = Number(localStorage.getItem(DISMISSED_STORAGE_KEY)) || 0;
+    return Date.now() - dismissedAt < cooldownHours * 60 * 60 * 1000;
+  } catch (e) {
+    return false;
+  }
+}
+
+function watchTrigger(trigger, { pageViews }, fire) {
+  switch (trigger.type) {
+    case "scroll": {
+      const onScroll = () => {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+        if (depth >= trigger.value) {
+          fire();
+        }
+      };
+      window.addEventListener("scroll", onScroll, { passive: true });
+      return () => window.removeEventListener("scroll", onScroll);
+    }
+    case "exit-intent": {
+      // Pointer leaving through the top of the window (desktop only)
+      const onMouseOut = (event) => {
+        if (!event.relatedTarget && event.clientY <= 0) {
+          fire();
+        }
+      };
+      document.addEventListener("mouseout", onMouseOut);
+      return () => document.removeEventListener("mouseout", onMouseOut);
+    }
+    case "time-on-page": {
+      // Only seconds with the tab in view count
+      let seconds = 0;
+      const interval = window.setInterval(() => {
+        if (document.visibilityState === "visible" && ++seconds >= trigger.value) {
+          fire();
+        }
+      }, 1000);
+      return () => window.clearInterval(interval);
+    }
+    case "page-views": {
+      if (pageViews < trigger.value) {
+        return () => {};
+      }
+      const timeout = window.setTimeout(fire, 0);
+      return () => window.clearTimeout(timeout);
+    }
+    default:
+      return () => {};
+  }
+}
+
+/**
+ * Auto-open watcher handed to ChatWidget: watch(onTrigger, defaultDelayMs)
+ * calls onTrigger once, when the first configured trigger fires (or after the
+ * default delay when none is configured), and returns a cleanup function.
+ */
+export function createAutoOpenWatcher(targeting, pageContext) {
+  return (onTrigger, defaultDelayMs) => {
+    if (isDismissalCapped(targeting?.dismissCooldownHours)) {
+      return () => {};
+    }
+
+    let cleanups = [];
+    const stop = () => {
+      cleanups.forEach((cleanup) => cleanup());
+      cleanups = [];
+    };
+    let fired = false;
+    const fire = () => {
+      if (!fired) {
+        fired = true;
+        stop();
+        onTrigger();
+      }
+    };
+
+    const triggers = targeting?.triggers || [];
+    if (triggers.length === 0) {
+      const timeout = window.setTimeout(fire, defaultDelayMs);
+      cleanups.push(() => window.clearTimeout(timeout));
+    } else {
+      cleanups = triggers.map((trigger) => watchTrigger(trigger, pageContext, fire));
+    }
+    return stop;
+  };
+}
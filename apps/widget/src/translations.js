@@ -0,0 +1,85 @@
+// Widget languages. English copy comes from the widget config fields; Hindi and
+// Hinglish use the copy below unless the config's `translations` override it.
+export const LANGUAGES = [
+  { code: "en", label: "EN", name: "English" },
+  { code: "hinglish", label: "Hinglish", name: "Hinglish" },
+  { code: "hi", label: "हिं", name: "हिंदी" },
+];
+
+const LANGUAGE_STORAGE_KEY = "homesfy_chat_language";
+
+// ctaOptions are labels for the built-in CTAs, in the same order
+export const DEFAULT_COPY = {
+  hinglish: {
+    welcomeMessage: "Namaste 👋\nBataiye, hum aapki kaise madad kar sakte hain?",
+    followupMessage: "Zaroor… abhi bhej dete hain!",
+    bhkPrompt: "Aap kaunsi configuration dhoondh rahe hain?",
+    inventoryMessage: "Badhiya… hamare paas inventory available hai.",
+    namePrompt: "Apna naam aur mobile number bataiye",
+    phonePrompt: "Apna mobile number daaliye...",
+    thankYouMessage: "Dhanyavaad! Hamare expert aapko jaldi call karenge 📞",
+    ctaOptions: [
+      "Pricing & Floor Plans 💸💸",
+      "Brochure Download Karein ⬇️",
+      "Best Quote Paayein 💰",
+      "Site Visit Ya Virtual Tour 🚁",
+      "Whatsapp Par Pricing ✅",
+      "Call Back Paayein 📞",
+    ],
+  },
+  hi: {
+    welcomeMessage: "नमस्ते 👋\nबताइए, हम आपकी कैसे मदद कर सकते हैं?",
+    followupMessage: "ज़रूर… अभी भेज देते हैं!",
+    bhkPrompt: "आप कौन सी कॉन्फ़िगरेशन ढूँढ रहे हैं?",
+    inventoryMessage: "बढ़िया… हमारे पास इन्वेंटरी उपलब्ध है।",
+    namePrompt: "कृपया अपना नाम और मोबाइल नंबर बताइए",
+    phonePrompt: "अपना मोबाइल नंबर डालें...",
+    thankYouMessage: "धन्यवाद! हमारे विशेषज्ञ आपको जल्द ही कॉल करेंगे 📞",
+    ctaOptions: [
+      "कीमत और फ़्लोर प्लान 💸💸",
+      "ब्रोशर डाउनलोड करें ⬇️",
+      "सबसे अच्छा कोट पाएँ 💰",
+      "साइट विज़िट या वर्चुअल टूर 🚁",
+      "व्हाट्सऐप पर कीमत ✅",
+      "कॉल बैक पाएँ 📞",
+    ],
+  },
+};
+
+function isLanguage(code) {
+  return LANGUAGES.some((language) => language.code === code);
+}
+
+// The visitor's choice for this browser session, else the browser language
+export function getInitialLanguage() {
+  try {
+    const stored = sessionStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isLanguage(stored)) {
+      return stored;
+    }
+  } catch (e) {
+    // sessionStorage unavailable (privacy mode, sandboxed iframe)
+  }
+  return typeof navigator !== "undefined" && navigator.language?.toLowerCase().startsWith("hi")
+    ? "hi"
+    : "en";
+}
+
+export function storeLanguage(code) {
+  try {
+    sessionStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  } catch (e) {
+    // Not persisted; the choice still applies until the page reloads
+  }
+}
+
+/**
+ * Copy for a language: the project's translations over the built-in copy.
+ * Returns {} for English, whose copy is the config itself.
+ */
+export function resolveCopy(language, translations) {
+  if (language === "en" || !DEFAULT_COPY[language]) {
+    return {};
+  }
+  return { ...DEFAULT_COPY[language], ...(translations?.[language] || {}) };
+}
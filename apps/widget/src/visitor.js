@@ -0,0 +1,24 @@
+// Anonymous widget visitor ID, generated in the browser
+
+const VISITOR_ID_STORAGE_KEY = "homesfy_chat_visitor_id";
+let pageVisitorId = null;
+
+function createVisitorId() {
+  return `v-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Kept across page loads: chat sessions and live chats of one visitor share it
+export function getVisitorId() {
+  try {
+    let visitorId = localStorage.getItem(VISITOR_ID_STORAGE_KEY);
+    if (!visitorId) {
+      visitorId = createVisitorId();
+      localStorage.setItem(VISITOR_ID_STORAGE_KEY, visitorId);
+    }
+    return visitorId;
+  } catch (e) {
+    // localStorage unavailable (privacy mode): a new visitor on every page load
+    pageVisitorId = pageVisitorId || createVisitorId();
+    return pageVisitorId;
+  }
+}
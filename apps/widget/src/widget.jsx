@@ -3,6 +3,7 @@ import ReactDOM from "react-dom/client";
 import { ChatWidget } from "./ChatWidget.jsx";
 import styles from "./styles.css?inline";
 import { detectPropertyFromPage } from "./propertyDetector.js";
+import { createAutoOpenWatcher, matchesTargeting, recordPageView } from "./targeting.js";
 
 // CRITICAL: Use single widget instance for all project IDs
 // Project ID is only used for lead submission (CRM), not for widget config
@@ -118,6 +119,8 @@ async function fetchWidgetTheme(apiBaseUrl, projectId, forceRefresh = false) {
         autoOpenDelayMs: data.auto_open_delay_ms || data.autoOpenDelayMs,
         welcomeMessage: data.welcome_message || data.welcomeMessage,
         propertyInfo: data.property_info || data.propertyInfo || {},
+        chatMode: data.chat_mode || data.chatMode,
+        translations: data.translations || null,
       };
     }
     
@@ -140,6 +143,35 @@ async function fetchWidgetTheme(apiBaseUrl, projectId, forceRefresh = false) {
   }
 }
 
+// Targeting, chat mode, translations and options belong to the lead project,
+// which may differ from the shared design config. Fetched once per page load and
+// handed to ChatWidget; null when it cannot be loaded (widget shows everywhere).
+async function fetchProjectConfig(apiBaseUrl, projectId, designConfig) {
+  // ?homesfy_preview=<token> loads an unpublished version of the lead project's
+  // config from the dashboard; the shared design config is never previewed
+  const previewToken = new URLSearchParams(window.location.search).get('homesfy_preview');
+  if (!previewToken && designConfig?.projectId === projectId) {
+    return designConfig;
+  }
+  if (!apiBaseUrl) {
+    return null;
+  }
+  try {
+    const query = previewToken ? `?preview=${encodeURIComponent(previewToken)}` : "";
+    const response = await fetch(`${apiBaseUrl}/api/widget-config/${encodeURIComponent(projectId)}${query}`, {
+      credentials: 'omit',
+      cache: previewToken ? 'no-store' : 'default',
+    });
+    if (!response.ok) {
+      return null;
+    }
+    return (await response.json()) || null;
+  } catch (error) {
+    console.warn("HomesfyChat: Failed to load project config, showing widget everywhere", error);
+    return null;
+  }
+}
+
 function createEventDispatcher(apiBaseUrl, projectId, microsite) {
   return (type, extra = {}) => {
     // Skip event dispatch if API URL is localhost and we're not on localhost
@@ -191,7 +223,9 @@ async function mountWidget({
   projectId, // Project ID from script - used for lead submission to CRM
   microsite,
   theme, // Shared widget design config (same for all projects)
+  projectConfig, // Lead project's own config (see fetchProjectConfig)
   target,
+  watchAutoOpen, // Trigger rules for the invitation modal (see targeting.js)
 }) {
   // Use single widget instance for all projects (shared design, like WhatsApp)
   // Project ID is only used for lead submission (different projects = different CRM entries)
@@ -206,7 +240,7 @@ async function mountWidget({
     }
     // Update projectId in the instance for lead submission
     if (existingInstance.updateProjectId) {
-      existingInstance.updateProjectId(projectId);
+      existingInstance.updateProjectId(projectId, projectConfig);
     }
     return existingInstance;
   }
@@ -297,7 +331,9 @@ async function mountWidget({
     projectId,
     microsite,
     theme,
+    projectConfig,
     onEvent: eventDispatcher,
+    watchAutoOpen,
   };
 
   root.render(
@@ -307,8 +343,10 @@ async function mountWidget({
       projectId={projectId}
       microsite={microsite}
       theme={theme}
+      projectConfig={projectConfig}
       onEvent={eventDispatcher}
       preservedState={widgetStateStore}
+      watchAutoOpen={watchAutoOpen}
     />
   );
 
@@ -339,8 +377,10 @@ async function mountWidget({
               projectId={currentProps.projectId}
               microsite={currentProps.microsite}
               theme={newTheme}
+              projectConfig={currentProps.projectConfig}
               onEvent={currentProps.onEvent}
               preservedState={widgetStateStore}
+              watchAutoOpen={currentProps.watchAutoOpen}
             />
           );
         }
@@ -415,7 +455,7 @@ async function mountWidget({
       mountedWidgets.delete(WIDGET_INSTANCE_KEY);
       console.log("HomesfyChat: Widget destroyed");
     },
-    updateProjectId(newProjectId) {
+    updateProjectId(newProjectId, newProjectConfig) {
       // Update projectId for lead submission without remounting
       // This allows the same widget instance to handle leads for different projects
       if (newProjectId && newProjectId !== currentProps.projectId) {
@@ -423,6 +463,7 @@ async function mountWidget({
           console.log("HomesfyChat: Updating project ID for lead submission");
         }
         currentProps.projectId = newProjectId;
+        currentProps.projectConfig = newProjectConfig ?? null;
         // Re-render with new projectId (only affects lead submission, widget design stays the same)
         // Preserve state when re-rendering
         root.render(
@@ -432,8 +473,10 @@ async function mountWidget({
             projectId={newProjectId}
             microsite={currentProps.microsite}
             theme={currentProps.theme}
+            projectConfig={currentProps.projectConfig}
             onEvent={currentProps.onEvent}
             preservedState={widgetStateStore} // Pass preserved state
+            watchAutoOpen={currentProps.watchAutoOpen}
           />
         );
       }
@@ -660,6 +703,18 @@ async function init(options = {}) {
     hasWelcomeMessage: !!theme.welcomeMessage
   });
 
+    // Page, UTM, device and new/returning rules decide whether the widget shows here
+    const projectConfig = await fetchProjectConfig(apiBaseUrl, leadProjectId, remoteTheme);
+    const targeting = projectConfig?.targeting || null;
+    const pageContext = recordPageView();
+    if (!matchesTargeting(targeting, pageContext)) {
+      console.log("HomesfyChat: Widget hidden on this page by the project's targeting rules");
+      initInProgress = false;
+      return {
+        destroy: () => {}
+      };
+    }
+
     console.log("HomesfyChat: Mounting widget...");
     try {
       const widgetInstance = await mountWidget({
@@ -667,7 +722,9 @@ async function init(options = {}) {
         projectId: leadProjectId, // Pass actual project ID for lead submission
         microsite,
         theme,
+        projectConfig,
         target: options.target,
+        watchAutoOpen: targeting ? createAutoOpenWatcher(targeting, pageContext) : null,
       });
       console.log("HomesfyChat: ✅ Widget mounted successfully");
       console.log("HomesfyChat: 🎨 Design: Shared config (same for all) | 📝 Leads: Project ID", leadProjectId);